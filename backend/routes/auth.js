@@ -1,11 +1,27 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
+const bcrypt = require('bcryptjs');
 const db = require('../config/database');
 const { addActiveUser, removeActiveUser, getActiveUsers } = require('../config/redis');
+const { createSession, rotateSession, revokeSession, verifyAccessToken } = require('../utils/sessions');
+const { claimAccount } = require('../utils/accountClaims');
+const {
+  getOidcConfig,
+  createAuthorizationUrl,
+  completeAuthorization,
+  findOrCreateOidcUser,
+  issueLoginCode,
+  redeemLoginCode
+} = require('../utils/oidc');
 
 const router = express.Router();
 
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores anything past 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+// Compared against when a user has no password, so logins take as long whether or not the username exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('no password', BCRYPT_ROUNDS);
+
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -16,83 +32,163 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     req.user = decoded;
     next();
   } catch (error) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    // 401 tells the client to refresh its access token
+    return res.status(401).json({ error: 'Invalid or expired token' });
   }
 };
 
-// Login with username
-router.post('/login', async (req, res) => {
-  try {
-    const { username } = req.body;
+const validateCredentials = (username, password) => {
+  if (typeof username !== 'string' || username.trim().length === 0) {
+    return 'Username is required';
+  }
 
-    if (!username || username.trim().length === 0) {
-      return res.status(400).json({ error: 'Username is required' });
-    }
+  if (username.length > 50) {
+    return 'Username must be 50 characters or less';
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+    return `Password must be ${MAX_PASSWORD_BYTES} bytes or less`;
+  }
+
+  return null;
+};
 
-    if (username.length > 50) {
-      return res.status(400).json({ error: 'Username must be 50 characters or less' });
+// Mark the user active and open a session for them
+const startSession = async (req, res, user, status = 200) => {
+  await db.query('UPDATE users SET last_seen = NOW() WHERE id = $1', [user.id]);
+  await addActiveUser(user.id, user.username);
+
+  const { token, refreshToken } = await createSession(user, req.headers['user-agent']);
+
+  res.status(status).json({
+    success: true,
+    user: {
+      id: user.id,
+      username: user.username,
+      createdAt: user.created_at
+    },
+    token,
+    refreshToken
+  });
+};
+
+// Register a new account
+router.post('/register', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const validationError = validateCredentials(username, password);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
     const trimmedUsername = username.trim();
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
 
-    // Check if user already exists
-    let user = await db.query('SELECT * FROM users WHERE username = $1', [trimmedUsername]);
+    // Existing usernames are never taken over, including accounts from before
+    // passwords existed: those are claimed with a token (POST /claim)
+    const user = await db.query(`
+      INSERT INTO users (username, password_hash) VALUES ($1, $2)
+      ON CONFLICT (username) DO NOTHING
+      RETURNING *
+    `, [trimmedUsername, passwordHash]);
 
     if (user.rows.length === 0) {
-      // Create new user
-      const newUser = await db.query(
-        'INSERT INTO users (username) VALUES ($1) RETURNING *',
-        [trimmedUsername]
-      );
-      user = newUser;
-    } else {
-      // Update last_seen for existing user
-      await db.query(
-        'UPDATE users SET last_seen = NOW() WHERE username = $1',
-        [trimmedUsername]
-      );
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    await startSession(req, res, user.rows[0], 201);
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set the first password of an account from before passwords existed, with the claim token an administrator issued
+router.post('/claim', async (req, res) => {
+  try {
+    const { username, password, claimToken } = req.body;
+
+    const validationError = validateCredentials(username, password);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    const userId = user.rows[0].id;
-    const usernameValue = user.rows[0].username;
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const user = await claimAccount(username.trim(), claimToken, passwordHash);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired claim token' });
+    }
 
-    // Add user to active users in Redis
-    await addActiveUser(userId, usernameValue);
+    await startSession(req, res, user);
+  } catch (error) {
+    console.error('Claim account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId, 
-        username: usernameValue,
-        iat: Math.floor(Date.now() / 1000)
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+// Login with username and password
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || username.trim().length === 0 || typeof password !== 'string' || password.length === 0) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await db.query('SELECT * FROM users WHERE username = $1', [username.trim()]);
+    const found = user.rows[0];
+
+    // Same answer for unknown users, wrong passwords and accounts without a password,
+    // so the response doesn't tell which usernames exist
+    const passwordMatches = await bcrypt.compare(password, found?.password_hash || DUMMY_PASSWORD_HASH);
+    if (!found?.password_hash || !passwordMatches) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await startSession(req, res, found);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = await rotateSession(refreshToken);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
 
     res.json({
       success: true,
-      user: {
-        id: userId,
-        username: usernameValue,
-        createdAt: user.rows[0].created_at
-      },
-      token
+      user: session.user,
+      token: session.token,
+      refreshToken: session.refreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Logout
+// Logout and revoke the session behind the access token
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.user;
+    const { userId, sid } = req.user;
+
+    await revokeSession(sid);
 
     // Remove user from active users
     await removeActiveUser(userId);
@@ -104,6 +200,79 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Only same-site paths are allowed as a destination after single sign-on
+const safeReturnPath = (value) => (
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/'
+);
+
+// Where the provider's answer is handed back to the frontend
+const ssoCallbackUrl = (params) => `${process.env.FRONTEND_URL || ''}/auth/callback?${new URLSearchParams(params)}`;
+
+// Whether single sign-on is available, for the login page
+router.get('/oidc/config', (req, res) => {
+  const config = getOidcConfig();
+  res.json({
+    success: true,
+    enabled: Boolean(config),
+    providerName: config ? config.providerName : null
+  });
+});
+
+// Start an OpenID Connect login by redirecting to the identity provider
+router.get('/oidc/login', async (req, res) => {
+  try {
+    if (!getOidcConfig()) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    const url = await createAuthorizationUrl(safeReturnPath(req.query.returnTo));
+    res.redirect(url);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.redirect(ssoCallbackUrl({ error: 'Could not reach the identity provider' }));
+  }
+});
+
+// The identity provider redirects back here with an authorization code
+router.get('/oidc/callback', async (req, res) => {
+  try {
+    const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+
+    if (providerError) {
+      return res.redirect(ssoCallbackUrl({ error: providerErrorDescription || providerError }));
+    }
+
+    const { claims, returnTo } = await completeAuthorization(code, state);
+    const user = await findOrCreateOidcUser(claims);
+    const loginCode = await issueLoginCode(user.id);
+
+    res.redirect(ssoCallbackUrl({ code: loginCode, returnTo: safeReturnPath(returnTo) }));
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.redirect(ssoCallbackUrl({ error: 'Single sign-on failed' }));
+  }
+});
+
+// Exchange the one-time code from the callback for the usual tokens
+router.post('/oidc/exchange', async (req, res) => {
+  try {
+    const userId = await redeemLoginCode(req.body.code);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login code is invalid or has expired' });
+    }
+
+    const user = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await startSession(req, res, user.rows[0]);
+  } catch (error) {
+    console.error('OIDC exchange error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get current user info
 router.get('/me', authenticateToken, async (req, res) => {
   try {
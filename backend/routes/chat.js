@@ -1,21 +1,16 @@
 const express = require('express');
 const db = require('../config/database');
 const { authenticateToken } = require('./auth');
+const { requireDocumentRole } = require('../utils/permissions');
 
 const router = express.Router();
 
 // Get chat messages for a document
-router.get('/:documentId', authenticateToken, async (req, res) => {
+router.get('/:documentId', authenticateToken, requireDocumentRole('viewer', 'documentId'), async (req, res) => {
   try {
     const { documentId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
 
-    // Verify document exists
-    const document = await db.query('SELECT id FROM documents WHERE id = $1', [documentId]);
-    if (document.rows.length === 0) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
-
     const messages = await db.query(`
       SELECT 
         cm.*,
@@ -61,7 +56,7 @@ router.get('/:documentId', authenticateToken, async (req, res) => {
 });
 
 // Send a chat message
-router.post('/:documentId', authenticateToken, async (req, res) => {
+router.post('/:documentId', authenticateToken, requireDocumentRole('commenter', 'documentId'), async (req, res) => {
   try {
     const { documentId } = req.params;
     const { message } = req.body;
@@ -75,12 +70,6 @@ router.post('/:documentId', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Message must be 1000 characters or less' });
     }
 
-    // Verify document exists
-    const document = await db.query('SELECT id FROM documents WHERE id = $1', [documentId]);
-    if (document.rows.length === 0) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
-
     const newMessage = await db.query(`
       INSERT INTO chat_messages (document_id, user_id, username, message)
       VALUES ($1, $2, $3, $4)
@@ -105,7 +94,7 @@ router.post('/:documentId', authenticateToken, async (req, res) => {
 });
 
 // Delete a chat message (only by the author)
-router.delete('/:documentId/:messageId', authenticateToken, async (req, res) => {
+router.delete('/:documentId/:messageId', authenticateToken, requireDocumentRole('commenter', 'documentId'), async (req, res) => {
   try {
     const { documentId, messageId } = req.params;
     const { userId } = req.user;
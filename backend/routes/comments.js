@@ -0,0 +1,293 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('./auth');
+const { requireDocumentRole } = require('../utils/permissions');
+const { anchorRange, getAnchors, forgetAnchor, defineAnchorSaver } = require('../socket/documentState');
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const COMMENT_COLUMNS = `
+  c.*,
+  u.username,
+  r.username as resolved_by_username
+`;
+
+const COMMENT_JOINS = `
+  LEFT JOIN users u ON c.user_id = u.id
+  LEFT JOIN users r ON c.resolved_by = r.id
+`;
+
+// A new thread, stored once its range has been moved through concurrent edits
+defineAnchorSaver('comment', async (range, quotedText, { documentId, userId, body }) => {
+  const result = await db.query(`
+    INSERT INTO comments (document_id, user_id, body, anchor_start, anchor_end, quoted_text)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [documentId, userId, body, range.start, range.end, quotedText]);
+  return result.rows[0];
+});
+
+const formatComment = (comment) => ({
+  id: comment.id,
+  documentId: comment.document_id,
+  parentId: comment.parent_id,
+  userId: comment.user_id,
+  username: comment.username,
+  body: comment.body,
+  anchorStart: comment.anchor_start,
+  anchorEnd: comment.anchor_end,
+  quotedText: comment.quoted_text,
+  resolvedAt: comment.resolved_at,
+  resolvedBy: comment.resolved_by,
+  resolvedByUsername: comment.resolved_by_username,
+  createdAt: comment.created_at,
+  updatedAt: comment.updated_at
+});
+
+const validateBody = (body) => {
+  if (typeof body !== 'string' || body.trim().length === 0) {
+    return 'Comment text is required';
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    return `Comments must be ${MAX_COMMENT_LENGTH} characters or less`;
+  }
+  return null;
+};
+
+async function getComment(documentId, commentId) {
+  const result = await db.query(`
+    SELECT ${COMMENT_COLUMNS}
+    FROM comments c
+    ${COMMENT_JOINS}
+    WHERE c.id = $1 AND c.document_id = $2
+  `, [commentId, documentId]);
+  return result.rows[0] || null;
+}
+
+// Mounted at /api/documents/:id/comments
+module.exports = (io) => {
+  const router = express.Router({ mergeParams: true });
+
+// All threads of a document, oldest first, with anchors as of `version`
+router.get('/', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const current = await getAnchors(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const result = await db.query(`
+      SELECT ${COMMENT_COLUMNS}
+      FROM comments c
+      ${COMMENT_JOINS}
+      WHERE c.document_id = $1
+      ORDER BY c.created_at ASC
+    `, [id]);
+
+    // Anchors in the database lag behind edits that haven't been flushed yet
+    const threads = new Map();
+    for (const row of result.rows.filter(row => !row.parent_id)) {
+      const anchor = current.anchors.get(row.id);
+      threads.set(row.id, {
+        ...formatComment(row),
+        anchorStart: anchor ? anchor.start : row.anchor_start,
+        anchorEnd: anchor ? anchor.end : row.anchor_end,
+        replies: []
+      });
+    }
+    for (const row of result.rows.filter(row => row.parent_id)) {
+      threads.get(row.parent_id)?.replies.push(formatComment(row));
+    }
+
+    res.json({
+      success: true,
+      version: current.version,
+      comments: [...threads.values()]
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a thread on the text between `start` and `end`, as seen at `version`
+router.post('/', authenticateToken, requireDocumentRole('commenter'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body, start, end, version } = req.body;
+    const { userId, username } = req.user;
+
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+      return res.status(400).json({ error: 'Select the text to comment on' });
+    }
+
+    const anchored = await anchorRange(id, 'comment', { start, end, version }, {
+      documentId: id,
+      userId,
+      body: body.trim()
+    });
+
+    if (!anchored) {
+      return res.status(409).json({ error: 'The selected text has changed; select it again' });
+    }
+
+    // Anchors are only meaningful together with the version they were placed at
+    const thread = { ...formatComment({ ...anchored.row, username }), replies: [] };
+
+    io.to(id).emit('commentAdded', { documentId: id, comment: thread, version: anchored.version });
+
+    res.status(201).json({
+      success: true,
+      comment: thread,
+      version: anchored.version
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reply to a thread
+router.post('/:commentId/replies', authenticateToken, requireDocumentRole('commenter'), async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { body } = req.body;
+    const { userId, username } = req.user;
+
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+
+    const thread = await getComment(id, commentId);
+    if (!thread || thread.parent_id) {
+      return res.status(404).json({ error: 'Comment thread not found' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO comments (document_id, parent_id, user_id, body)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [id, commentId, userId, body.trim()]);
+
+    const reply = formatComment({ ...result.rows[0], username });
+
+    io.to(id).emit('commentAdded', { documentId: id, comment: reply });
+
+    res.status(201).json({
+      success: true,
+      comment: reply
+    });
+  } catch (error) {
+    console.error('Reply to comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resolve or reopen a thread
+const setResolved = (resolved) => async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { userId } = req.user;
+
+    const result = await db.query(`
+      UPDATE comments
+      SET resolved_at = ${resolved ? 'NOW()' : 'NULL'}, resolved_by = $3, updated_at = NOW()
+      WHERE id = $1 AND document_id = $2 AND parent_id IS NULL
+      RETURNING id
+    `, [commentId, id, resolved ? userId : null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment thread not found' });
+    }
+
+    const comment = formatComment(await getComment(id, commentId));
+
+    io.to(id).emit('commentUpdated', { documentId: id, comment });
+
+    res.json({
+      success: true,
+      comment
+    });
+  } catch (error) {
+    console.error(`${resolved ? 'Resolve' : 'Reopen'} comment error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+router.post('/:commentId/resolve', authenticateToken, requireDocumentRole('commenter'), setResolved(true));
+router.post('/:commentId/reopen', authenticateToken, requireDocumentRole('commenter'), setResolved(false));
+
+// Edit a comment (only by the author)
+router.put('/:commentId', authenticateToken, requireDocumentRole('commenter'), async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { body } = req.body;
+    const { userId } = req.user;
+
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+
+    const result = await db.query(`
+      UPDATE comments SET body = $1, updated_at = NOW()
+      WHERE id = $2 AND document_id = $3 AND user_id = $4
+      RETURNING id
+    `, [body.trim(), commentId, id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found or not authorized to edit' });
+    }
+
+    const comment = formatComment(await getComment(id, commentId));
+
+    io.to(id).emit('commentUpdated', { documentId: id, comment });
+
+    res.json({
+      success: true,
+      comment
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a comment, with its replies if it starts a thread (by the author or a document owner)
+router.delete('/:commentId', authenticateToken, requireDocumentRole('commenter'), async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { userId } = req.user;
+
+    const comment = await getComment(id, commentId);
+    if (!comment || (comment.user_id !== userId && req.documentRole !== 'owner')) {
+      return res.status(404).json({ error: 'Comment not found or not authorized to delete' });
+    }
+
+    await db.query('DELETE FROM comments WHERE id = $1', [commentId]);
+    if (!comment.parent_id) {
+      await forgetAnchor(id, commentId);
+    }
+
+    io.to(id).emit('commentDeleted', { documentId: id, commentId, parentId: comment.parent_id });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+  return router;
+};
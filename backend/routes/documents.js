@@ -3,30 +3,103 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const { authenticateToken } = require('./auth');
 const { cacheDocument, getCachedDocument, invalidateDocumentCache, getDocumentPresence } = require('../config/redis');
+const {
+  getDocumentSnapshot,
+  replaceDocumentContent,
+  releaseDocumentState,
+  moveStoredAnchors
+} = require('../socket/documentState');
+const { diffWords, diffLines, diffStats } = require('../utils/textDiff');
+const richText = require('../utils/richText');
+const markdown = require('../utils/markdown');
+const { EXPORT_FORMATS, exportDocument, exportFileName } = require('../utils/export');
+const { importDocument } = require('../utils/import');
+const { multipart } = require('../utils/multipart');
+const { normalizeTags, parseDocumentFilters, documentFilterSql } = require('../utils/documentFilters');
+const { TRASH_RETENTION_DAYS, purgeDate, purgeDocument } = require('../utils/trash');
+const { latestSnapshotVersion } = require('../utils/compaction');
+const { PLACEHOLDERS, isValidTimeZone, placeholderValues, fillPlaceholders, fillRichContent } = require('../utils/templates');
+const {
+  ROLES,
+  WORKSPACE_DOCUMENT_ROLE,
+  UUID_PATTERN,
+  userRoom,
+  getDocumentAccess,
+  grantDocumentRole,
+  invalidateDocumentAccess,
+  accessibleDocumentsSql,
+  requireDocumentRole,
+  getDocumentMemberIds,
+  emitToDocumentMembers,
+  getWorkspaceRole
+} = require('../utils/permissions');
 
-module.exports = (io) => {
-  const router = express.Router();
+const SYNC_MODES = ['ot', 'crdt'];
+const CONTENT_TYPES = ['rich', 'markdown'];
+const MAX_IMPORT_FILES = 20;
+const MAX_OPERATION_VERSIONS = 500;
+const MAX_VERSIONS_PAGE = 100;
 
-// Create a new document
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    const { title } = req.body;
-    const { userId } = req.user;
+// Block model of a rich OT document; stored rich content is NULL until first saved
+const richContentOf = (row) => {
+  if (row.sync_mode !== 'ot' || row.content_type !== 'rich') return null;
+  return row.rich_content || richText.toModel(richText.fromPlainText(row.content));
+};
 
-    if (!title || title.trim().length === 0) {
-      return res.status(400).json({ error: 'Document title is required' });
-    }
+/**
+ * Check where a user may put a document. `workspaceId` null means the
+ * user's personal documents, which have no folders. Returns
+ * { workspaceId, folderId } or { status, error } when the location is invalid.
+ */
+const resolveLocation = async (userId, { workspaceId = null, folderId = null }) => {
+  if (!workspaceId) {
+    if (folderId) return { status: 400, error: 'Personal documents cannot be put in folders' };
+    return { workspaceId: null, folderId: null };
+  }
 
-    if (title.length > 255) {
-      return res.status(400).json({ error: 'Title must be 255 characters or less' });
-    }
+  if (!UUID_PATTERN.test(workspaceId) || !await getWorkspaceRole(workspaceId, userId)) {
+    return { status: 404, error: 'Workspace not found' };
+  }
+
+  if (folderId) {
+    const folder = UUID_PATTERN.test(folderId)
+      ? await db.query('SELECT id FROM folders WHERE id = $1 AND workspace_id = $2', [folderId, workspaceId])
+      : { rows: [] };
+    if (folder.rows.length === 0) return { status: 404, error: 'Folder not found' };
+  }
+
+  return { workspaceId, folderId: folderId || null };
+};
+
+// Trim a title to the column's length, e.g. after prefixing "Copy of" or filling placeholders
+const fitTitle = (title) => title.trim().slice(0, 255).trim();
+
+// Word-level diff as an operation, so comment anchors survive rewrites of the whole text
+const operationBetween = (oldContent, newContent) => diffWords(oldContent, newContent).map((segment) => {
+  if (segment.type === 'insert') return { insert: segment.value };
+  if (segment.type === 'delete') return { delete: segment.value.length };
+  return { retain: segment.value.length };
+});
+
+module.exports = (io) => {
+  const router = express.Router();
 
+  // Insert a document owned by its creator and announce it to everyone who can see it
+  const createDocument = async (userId, { title, syncMode, contentType, content = '', richContent = null, workspaceId = null, folderId = null, tags = [] }) => {
     const document = await db.query(
-      'INSERT INTO documents (title, content, created_by) VALUES ($1, $2, $3) RETURNING *',
-      [title.trim(), '', userId]
+      'INSERT INTO documents (title, content, rich_content, created_by, sync_mode, content_type, workspace_id, folder_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+      [title, content, richContent, userId, syncMode, contentType, workspaceId, folderId]
     );
 
     const newDocument = document.rows[0];
+    await grantDocumentRole(newDocument.id, userId, 'owner', userId);
+
+    if (tags.length > 0) {
+      await db.query(`
+        INSERT INTO document_tags (document_id, tag, created_by)
+        SELECT $1, tag, $3 FROM unnest($2::text[]) tag
+      `, [newDocument.id, tags, userId]);
+    }
 
     // Get the creator's username
     const userResult = await db.query('SELECT username FROM users WHERE id = $1', [userId]);
@@ -40,14 +113,128 @@ router.post('/', authenticateToken, async (req, res) => {
       createdAt: newDocument.created_at,
       updatedAt: newDocument.updated_at,
       version: newDocument.version,
+      syncMode: newDocument.sync_mode,
+      contentType: newDocument.content_type,
+      workspaceId: newDocument.workspace_id,
+      folderId: newDocument.folder_id,
       createdBy: newDocument.created_by,
       createdByUsername: creatorUsername,
       chatMessageCount: 0,
-      activeParticipants: 0
+      activeParticipants: 0,
+      role: 'owner',
+      tags,
+      favorite: false,
+      isTemplate: false
+    };
+
+    // Workspace members can see it right away; a personal document only its creator until it is shared.
+    // Everyone but the creator gets it with the role workspace membership gives them.
+    if (workspaceId) {
+      const memberIds = (await getDocumentMemberIds(newDocument.id)).filter(memberId => memberId !== userId);
+      if (memberIds.length > 0) {
+        io.to(memberIds.map(userRoom)).emit('documentCreated', { ...documentForBroadcast, role: WORKSPACE_DOCUMENT_ROLE });
+      }
+    }
+    io.to(userRoom(userId)).emit('documentCreated', documentForBroadcast);
+    return documentForBroadcast;
+  };
+
+  // Title, tags and current content of a document to copy, including edits not flushed yet
+  const loadSource = async (documentId) => {
+    const snapshot = await getDocumentSnapshot(documentId);
+    if (!snapshot) return null;
+
+    const document = await db.query(`
+      SELECT d.title, d.workspace_id, d.folder_id, d.is_template,
+        COALESCE((SELECT array_agg(t.tag ORDER BY t.tag) FROM document_tags t WHERE t.document_id = d.id), '{}') as tags
+      FROM documents d
+      WHERE d.id = $1
+    `, [documentId]);
+    if (document.rows.length === 0) return null;
+
+    const row = document.rows[0];
+    return {
+      title: row.title,
+      workspaceId: row.workspace_id,
+      folderId: row.folder_id,
+      isTemplate: row.is_template,
+      tags: row.tags,
+      syncMode: snapshot.syncMode,
+      contentType: snapshot.contentType,
+      content: snapshot.content,
+      richContent: snapshot.richContent
     };
+  };
+
+  // Where a copy goes when the request doesn't say: next to the original if the
+  // user could create documents there, otherwise with their personal documents
+  const copyLocation = async (userId, source, body) => {
+    if (body.workspaceId !== undefined || body.folderId !== undefined) {
+      return resolveLocation(userId, { workspaceId: body.workspaceId || null, folderId: body.folderId || null });
+    }
+    if (source.workspaceId && await getWorkspaceRole(source.workspaceId, userId)) {
+      return { workspaceId: source.workspaceId, folderId: source.folderId };
+    }
+    return { workspaceId: null, folderId: null };
+  };
+
+// Create a new document, blank or from a template
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { title, syncMode = 'ot', contentType = 'rich', workspaceId, folderId, templateId, timeZone = 'UTC' } = req.body;
+    const { userId, username } = req.user;
+
+    // From a template the title may be left out, in which case the template's title is used
+    if ((!title || title.trim().length === 0) && !templateId) {
+      return res.status(400).json({ error: 'Document title is required' });
+    }
+
+    if (title && title.length > 255) {
+      return res.status(400).json({ error: 'Title must be 255 characters or less' });
+    }
+
+    if (!SYNC_MODES.includes(syncMode)) {
+      return res.status(400).json({ error: `Sync mode must be one of: ${SYNC_MODES.join(', ')}` });
+    }
+
+    if (!CONTENT_TYPES.includes(contentType)) {
+      return res.status(400).json({ error: `Content type must be one of: ${CONTENT_TYPES.join(', ')}` });
+    }
+
+    const location = await resolveLocation(userId, { workspaceId, folderId });
+    if (location.error) {
+      return res.status(location.status).json({ error: location.error });
+    }
+
+    let fields = { title: title && title.trim(), syncMode, contentType };
+    if (templateId) {
+      if (typeof timeZone !== 'string' || !isValidTimeZone(timeZone)) {
+        return res.status(400).json({ error: 'timeZone must be an IANA time zone such as Europe/Berlin' });
+      }
+
+      // Any template the user can open will do, like any document they could duplicate
+      const access = UUID_PATTERN.test(templateId) ? await getDocumentAccess(templateId, userId) : null;
+      const template = access?.role && !access.deleted ? await loadSource(templateId) : null;
+      if (!template || !template.isTemplate) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      // The new document takes the template's sync mode and type along with its content
+      const values = placeholderValues({ author: username, timeZone });
+      const richContent = template.richContent && fillRichContent(template.richContent, values);
+      fields = {
+        title: fitTitle(fields.title || fillPlaceholders(template.title, values)),
+        syncMode: template.syncMode,
+        contentType: template.contentType,
+        content: richContent
+          ? richText.toPlainText(richText.fromModel(richContent))
+          : fillPlaceholders(template.content, values),
+        richContent,
+        tags: template.tags
+      };
+    }
 
-    // Broadcast the new document to all connected users
-    io.emit('documentCreated', documentForBroadcast);
+    const newDocument = await createDocument(userId, { ...fields, ...location });
 
     res.status(201).json({
       success: true,
@@ -55,10 +242,16 @@ router.post('/', authenticateToken, async (req, res) => {
         id: newDocument.id,
         title: newDocument.title,
         content: newDocument.content,
-        createdAt: newDocument.created_at,
-        updatedAt: newDocument.updated_at,
+        createdAt: newDocument.createdAt,
+        updatedAt: newDocument.updatedAt,
         version: newDocument.version,
-        createdBy: newDocument.created_by
+        syncMode: newDocument.syncMode,
+        contentType: newDocument.contentType,
+        workspaceId: newDocument.workspaceId,
+        folderId: newDocument.folderId,
+        createdBy: newDocument.createdBy,
+        tags: newDocument.tags,
+        role: 'owner'
       }
     });
   } catch (error) {
@@ -67,27 +260,97 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get all documents with metadata
+// Import uploaded Markdown, HTML, DOCX or plain text files as new documents, one per file
+router.post('/import', authenticateToken, multipart({ limit: '20mb', maxFiles: MAX_IMPORT_FILES }), async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    if (req.files.length === 0) {
+      return res.status(400).json({ error: 'Choose at least one file to import' });
+    }
+
+    // Form fields arrive as strings, so an empty one means no workspace or folder
+    const location = await resolveLocation(userId, {
+      workspaceId: req.body.workspaceId || null,
+      folderId: req.body.folderId || null
+    });
+    if (location.error) {
+      return res.status(location.status).json({ error: location.error });
+    }
+
+    const documents = [];
+    const errors = [];
+    for (const file of req.files) {
+      let imported;
+      try {
+        imported = importDocument(file);
+      } catch (error) {
+        errors.push({ filename: file.filename, error: 'The file could not be read' });
+        continue;
+      }
+      if (!imported) {
+        errors.push({ filename: file.filename, error: 'Only Markdown, HTML, DOCX and plain text files can be imported' });
+        continue;
+      }
+
+      documents.push(await createDocument(userId, { ...imported, syncMode: 'ot', ...location }));
+    }
+
+    res.status(documents.length > 0 ? 201 : 400).json({
+      success: documents.length > 0,
+      documents,
+      errors
+    });
+  } catch (error) {
+    console.error('Import documents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all documents with metadata, filtered and sorted as described in utils/documentFilters.js
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
+    const { userId } = req.user;
     const offset = (page - 1) * limit;
 
+    const { filters, error } = parseDocumentFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Conditions shared by the page and count queries; $1 is always the user
+    const params = [userId];
+    const { where, orderBy } = documentFilterSql(filters, params);
+
+    // Only documents the user has a role on, directly or through a workspace
     const documents = await db.query(`
       SELECT 
         d.*,
+        a.role,
         u.username as created_by_username,
+        f.user_id IS NOT NULL as favorite,
+        COALESCE((SELECT array_agg(t.tag ORDER BY t.tag) FROM document_tags t WHERE t.document_id = d.id), '{}') as tags,
         COUNT(DISTINCT cm.id) as chat_message_count
       FROM documents d
+      JOIN (${accessibleDocumentsSql('$1')}) a ON a.document_id = d.id
+      LEFT JOIN user_favorites f ON f.document_id = d.id AND f.user_id = $1
       LEFT JOIN users u ON d.created_by = u.id
       LEFT JOIN chat_messages cm ON d.id = cm.document_id
-      GROUP BY d.id, u.username
-      ORDER BY d.updated_at DESC
-      LIMIT $1 OFFSET $2
-    `, [limit, offset]);
+      ${where}
+      GROUP BY d.id, a.role, u.username, f.user_id
+      ORDER BY ${orderBy}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
 
     // Get total count for pagination
-    const totalCount = await db.query('SELECT COUNT(*) FROM documents');
+    const totalCount = await db.query(`
+      SELECT COUNT(*)
+      FROM documents d
+      JOIN (${accessibleDocumentsSql('$1')}) a ON a.document_id = d.id
+      LEFT JOIN user_favorites f ON f.document_id = d.id AND f.user_id = $1
+      ${where}
+    `, params);
     const total = parseInt(totalCount.rows[0].count);
 
     // Get active participants for each document
@@ -101,10 +364,19 @@ router.get('/', authenticateToken, async (req, res) => {
           createdAt: doc.created_at,
           updatedAt: doc.updated_at,
           version: doc.version,
+          syncMode: doc.sync_mode,
+          contentType: doc.content_type,
+          workspaceId: doc.workspace_id,
+          folderId: doc.folder_id,
           createdBy: doc.created_by,
           createdByUsername: doc.created_by_username,
           chatMessageCount: parseInt(doc.chat_message_count),
-          activeParticipants: presence.length
+          activeParticipants: presence.length,
+          role: doc.role,
+          tags: doc.tags,
+          favorite: doc.favorite,
+          isTemplate: doc.is_template,
+          ...(doc.deleted_at && { deletedAt: doc.deleted_at, purgeAt: purgeDate(doc.deleted_at) })
         };
       })
     );
@@ -112,6 +384,8 @@ router.get('/', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       documents: documentsWithPresence,
+      filters,
+      ...(filters.trash && { retentionDays: TRASH_RETENTION_DAYS }),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -125,17 +399,86 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Tags and authors across the documents the user can open, for the list's filter controls
+router.get('/facets', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const tags = await db.query(`
+      SELECT t.tag, COUNT(*) as count
+      FROM document_tags t
+      JOIN (${accessibleDocumentsSql('$1')}) a ON a.document_id = t.document_id
+      JOIN documents d ON d.id = t.document_id AND d.deleted_at IS NULL
+      GROUP BY t.tag
+      ORDER BY t.tag
+    `, [userId]);
+
+    const authors = await db.query(`
+      SELECT u.id, u.username, COUNT(*) as count
+      FROM documents d
+      JOIN (${accessibleDocumentsSql('$1')}) a ON a.document_id = d.id
+      JOIN users u ON d.created_by = u.id
+      WHERE d.deleted_at IS NULL
+      GROUP BY u.id, u.username
+      ORDER BY u.username
+    `, [userId]);
+
+    res.json({
+      success: true,
+      tags: tags.rows.map(row => ({ tag: row.tag, count: parseInt(row.count) })),
+      authors: authors.rows.map(row => ({ userId: row.id, username: row.username, count: parseInt(row.count) }))
+    });
+  } catch (error) {
+    console.error('Get document facets error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Templates the user can create documents from: every template document they can open
+router.get('/templates', authenticateToken, async (req, res) => {
+  try {
+    const templates = await db.query(`
+      SELECT d.id, d.title, d.sync_mode, d.content_type, d.workspace_id, d.updated_at,
+        u.username as created_by_username, w.name as workspace_name
+      FROM documents d
+      JOIN (${accessibleDocumentsSql('$1')}) a ON a.document_id = d.id
+      LEFT JOIN users u ON d.created_by = u.id
+      LEFT JOIN workspaces w ON d.workspace_id = w.id
+      WHERE d.is_template AND d.deleted_at IS NULL
+      ORDER BY LOWER(d.title)
+    `, [req.user.userId]);
+
+    res.json({
+      success: true,
+      templates: templates.rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        syncMode: row.sync_mode,
+        contentType: row.content_type,
+        workspaceId: row.workspace_id,
+        workspaceName: row.workspace_name,
+        createdByUsername: row.created_by_username,
+        updatedAt: row.updated_at
+      })),
+      placeholders: PLACEHOLDERS
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get a specific document
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Try to get from cache first
+    // Try to get from cache first; the cache is shared, so the role is added per request
     const cached = await getCachedDocument(id);
     if (cached) {
       return res.json({
         success: true,
-        document: cached
+        document: { ...cached, role: req.documentRole }
       });
     }
 
@@ -160,8 +503,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
       createdAt: doc.created_at,
       updatedAt: doc.updated_at,
       version: doc.version,
+      syncMode: doc.sync_mode,
+      contentType: doc.content_type,
+      workspaceId: doc.workspace_id,
+      folderId: doc.folder_id,
       createdBy: doc.created_by,
-      createdByUsername: doc.created_by_username
+      createdByUsername: doc.created_by_username,
+      isTemplate: doc.is_template,
+      richContent: richContentOf(doc)
     };
 
     // Cache the document
@@ -169,7 +518,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      document: documentData
+      document: { ...documentData, role: req.documentRole }
     });
   } catch (error) {
     console.error('Get document error:', error);
@@ -178,24 +527,27 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Update document content
-router.put('/:id/content', authenticateToken, async (req, res) => {
+router.put('/:id/content', authenticateToken, requireDocumentRole('editor'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { content, version } = req.body;
-    const { userId } = req.user;
+    const { content, version, richContent = null } = req.body;
 
     if (typeof content !== 'string') {
       return res.status(400).json({ error: 'Content must be a string' });
     }
 
+    if (richContent !== null && (typeof richContent !== 'object' || !Array.isArray(richContent.blocks))) {
+      return res.status(400).json({ error: 'Rich content must be an object with a blocks array' });
+    }
+
     // Check if document exists and get current version
-    const document = await db.query('SELECT version FROM documents WHERE id = $1', [id]);
+    const snapshot = await getDocumentSnapshot(id);
     
-    if (document.rows.length === 0) {
+    if (!snapshot) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    const currentVersion = document.rows[0].version;
+    const currentVersion = snapshot.version;
 
     // Simple version check for conflict resolution
     if (version && version !== currentVersion) {
@@ -206,22 +558,19 @@ router.put('/:id/content', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update document content and increment version
-    const updatedDocument = await db.query(
-      'UPDATE documents SET content = $1, version = version + 1, updated_at = NOW() WHERE id = $2 RETURNING *',
-      [content, id]
-    );
+    // Apply the change as an operation so editors in the room stay in sync; it is broadcast as a documentEdit
+    await replaceDocumentContent(id, content, req.user, richContent);
 
-    // Invalidate cache
-    await invalidateDocumentCache(id);
+    const updatedSnapshot = await getDocumentSnapshot(id);
 
     res.json({
       success: true,
       document: {
-        id: updatedDocument.rows[0].id,
-        content: updatedDocument.rows[0].content,
-        version: updatedDocument.rows[0].version,
-        updatedAt: updatedDocument.rows[0].updated_at
+        id,
+        content: updatedSnapshot.content,
+        richContent: updatedSnapshot.richContent,
+        version: updatedSnapshot.version,
+        updatedAt: new Date().toISOString()
       }
     });
   } catch (error) {
@@ -231,7 +580,7 @@ router.put('/:id/content', authenticateToken, async (req, res) => {
 });
 
 // Update document title
-router.put('/:id/title', authenticateToken, async (req, res) => {
+router.put('/:id/title', authenticateToken, requireDocumentRole('editor'), async (req, res) => {
   try {
     const { id } = req.params;
     const { title } = req.body;
@@ -270,31 +619,429 @@ router.put('/:id/title', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete document
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Replace a document's tags; everyone who can open it sees the same ones
+router.put('/:id/tags', authenticateToken, requireDocumentRole('editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { tags, error } = normalizeTags(req.body.tags);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.query('DELETE FROM document_tags WHERE document_id = $1 AND NOT (tag = ANY($2))', [id, tags]);
+    if (tags.length > 0) {
+      await db.query(`
+        INSERT INTO document_tags (document_id, tag, created_by)
+        SELECT $1, tag, $3 FROM unnest($2::text[]) tag
+        ON CONFLICT (document_id, tag) DO NOTHING
+      `, [id, tags, req.user.userId]);
+    }
+
+    const sorted = [...tags].sort();
+    await emitToDocumentMembers(io, id, 'documentTagsChanged', { documentId: id, tags: sorted });
+
+    res.json({
+      success: true,
+      tags: sorted
+    });
+  } catch (error) {
+    console.error('Update document tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Copy a document's current content, type and tags into a new document owned by the user.
+// Chat, comments and history stay with the original
+router.post('/:id/duplicate', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
   try {
     const { id } = req.params;
     const { userId } = req.user;
+    const { title } = req.body;
 
-    // Check if user is the creator (optional: add admin check)
-    const document = await db.query('SELECT created_by FROM documents WHERE id = $1', [id]);
-    
-    if (document.rows.length === 0) {
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0 || title.length > 255)) {
+      return res.status(400).json({ error: 'Title must be between 1 and 255 characters' });
+    }
+
+    const source = await loadSource(id);
+    if (!source) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    if (document.rows[0].created_by !== userId) {
-      return res.status(403).json({ error: 'Only the document creator can delete it' });
+    const location = await copyLocation(userId, source, req.body);
+    if (location.error) {
+      return res.status(location.status).json({ error: location.error });
     }
 
-    await db.query('DELETE FROM documents WHERE id = $1', [id]);
+    const newDocument = await createDocument(userId, {
+      title: fitTitle(title || `Copy of ${source.title}`),
+      syncMode: source.syncMode,
+      contentType: source.contentType,
+      content: source.content,
+      richContent: source.richContent,
+      tags: source.tags,
+      ...location
+    });
+
+    res.status(201).json({
+      success: true,
+      document: newDocument
+    });
+  } catch (error) {
+    console.error('Duplicate document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Flag a document as a template, or stop offering it as one
+router.put('/:id/template', authenticateToken, requireDocumentRole('editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isTemplate } = req.body;
+
+    if (typeof isTemplate !== 'boolean') {
+      return res.status(400).json({ error: 'isTemplate must be true or false' });
+    }
+
+    await db.query('UPDATE documents SET is_template = $2 WHERE id = $1', [id, isTemplate]);
+    await invalidateDocumentCache(id);
+    await emitToDocumentMembers(io, id, 'documentTemplateChanged', { documentId: id, isTemplate });
+
+    res.json({
+      success: true,
+      isTemplate
+    });
+  } catch (error) {
+    console.error('Update document template flag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Star a document for the current user
+router.put('/:id/favorite', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.user;
+
+    await db.query(
+      'INSERT INTO user_favorites (user_id, document_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [userId, id]
+    );
+    io.to(userRoom(userId)).emit('documentFavoriteChanged', { documentId: id, favorite: true });
+
+    res.json({
+      success: true,
+      favorite: true
+    });
+  } catch (error) {
+    console.error('Add favorite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unstar a document
+router.delete('/:id/favorite', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.user;
+
+    await db.query('DELETE FROM user_favorites WHERE user_id = $1 AND document_id = $2', [userId, id]);
+    io.to(userRoom(userId)).emit('documentFavoriteChanged', { documentId: id, favorite: false });
+
+    res.json({
+      success: true,
+      favorite: false
+    });
+  } catch (error) {
+    console.error('Remove favorite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move a document to another folder or workspace (`workspaceId: null` for personal documents).
+// Editors can move it within its workspace; moving it out of the workspace takes an owner.
+router.put('/:id/location', authenticateToken, requireDocumentRole('editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.user;
+    const { workspaceId = null, folderId = null } = req.body;
+
+    const current = await db.query('SELECT workspace_id FROM documents WHERE id = $1', [id]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const location = await resolveLocation(userId, { workspaceId, folderId });
+    if (location.error) {
+      return res.status(location.status).json({ error: location.error });
+    }
+
+    if (location.workspaceId !== current.rows[0].workspace_id && req.documentRole !== 'owner') {
+      return res.status(403).json({ error: 'Moving a document to another workspace requires owner access' });
+    }
+
+    const previousMemberIds = await getDocumentMemberIds(id);
+    await db.query(
+      'UPDATE documents SET workspace_id = $1, folder_id = $2 WHERE id = $3',
+      [location.workspaceId, location.folderId, id]
+    );
+    invalidateDocumentAccess(id);
+    await invalidateDocumentCache(id);
+
+    // Everyone who could see the document before or can now gets the new location;
+    // those who only had it through the old workspace lose it
+    const memberIds = await getDocumentMemberIds(id);
+    const moved = { documentId: id, ...location };
+    io.to([...new Set([...previousMemberIds, ...memberIds])].map(userRoom)).emit('documentMoved', moved);
+
+    for (const memberId of previousMemberIds.filter(memberId => !memberIds.includes(memberId))) {
+      io.in(userRoom(memberId)).socketsLeave(id);
+      io.to(userRoom(memberId)).emit('documentAccessRevoked', { documentId: id });
+    }
+
+    res.json({
+      success: true,
+      document: { id, ...location }
+    });
+  } catch (error) {
+    console.error('Move document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Switch a document between OT and CRDT sync
+router.put('/:id/sync-mode', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { syncMode } = req.body;
+
+    if (!SYNC_MODES.includes(syncMode)) {
+      return res.status(400).json({ error: `Sync mode must be one of: ${SYNC_MODES.join(', ')}` });
+    }
+
+    // Open editors hold state for the current engine, so only switch idle documents,
+    // on any instance. CRDT documents are plain text, so switching either way drops the formatting.
+    if ((await io.in(id).allSockets()).size > 0) {
+      return res.status(409).json({ error: 'Close the document in all editors before changing its sync mode' });
+    }
+
+    await releaseDocumentState(id);
+
+    const updatedDocument = await db.query(
+      'UPDATE documents SET sync_mode = $1, crdt_state = NULL, rich_content = NULL, updated_at = NOW() WHERE id = $2 RETURNING *',
+      [syncMode, id]
+    );
+
+    if (updatedDocument.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
     // Invalidate cache
     await invalidateDocumentCache(id);
 
     res.json({
       success: true,
-      message: 'Document deleted successfully'
+      document: {
+        id: updatedDocument.rows[0].id,
+        syncMode: updatedDocument.rows[0].sync_mode,
+        updatedAt: updatedDocument.rows[0].updated_at
+      }
+    });
+  } catch (error) {
+    console.error('Update sync mode error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Convert a document between rich text and Markdown
+router.put('/:id/content-type', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { contentType } = req.body;
+    const { userId } = req.user;
+
+    if (!CONTENT_TYPES.includes(contentType)) {
+      return res.status(400).json({ error: `Content type must be one of: ${CONTENT_TYPES.join(', ')}` });
+    }
+
+    // The content is rewritten outside the edit pipeline, so only convert documents idle on every instance
+    if ((await io.in(id).allSockets()).size > 0) {
+      return res.status(409).json({ error: 'Close the document in all editors before changing its content type' });
+    }
+
+    await releaseDocumentState(id);
+
+    const current = await db.query(
+      'SELECT content, rich_content, content_type, sync_mode FROM documents WHERE id = $1',
+      [id]
+    );
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const doc = current.rows[0];
+    let content = doc.content || '';
+    let richContent = null;
+
+    // CRDT documents are plain text either way; OT documents are converted
+    if (doc.sync_mode === 'ot' && doc.content_type !== contentType) {
+      if (contentType === 'markdown') {
+        content = markdown.fromRichModel(richContentOf(doc));
+      } else {
+        richContent = markdown.toRichModel(content);
+        content = richText.toPlainText(richText.fromModel(richContent));
+      }
+    } else if (doc.content_type === contentType) {
+      richContent = doc.rich_content;
+    }
+
+    // A new version, so clients holding edits for the old text resync instead of replaying them
+    const updatedDocument = await db.query(`
+      UPDATE documents
+      SET content_type = $1, content = $2, rich_content = $3, version = version + 1, updated_at = NOW()
+      WHERE id = $4
+      RETURNING *
+    `, [contentType, content, richContent, id]);
+
+    await moveStoredAnchors(id, operationBetween(doc.content || '', content));
+
+    await db.query(`
+      INSERT INTO document_versions (document_id, version, title, content, rich_content, created_by)
+      SELECT id, version, title, content, rich_content, $2 FROM documents WHERE id = $1
+      ON CONFLICT (document_id, version) DO NOTHING
+    `, [id, userId]);
+
+    // Invalidate cache
+    await invalidateDocumentCache(id);
+
+    res.json({
+      success: true,
+      document: {
+        id: updatedDocument.rows[0].id,
+        contentType: updatedDocument.rows[0].content_type,
+        content: updatedDocument.rows[0].content,
+        version: updatedDocument.rows[0].version,
+        updatedAt: updatedDocument.rows[0].updated_at
+      }
+    });
+  } catch (error) {
+    console.error('Update content type error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current content rendered as sanitized HTML
+router.get('/:id/rendered', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const snapshot = await getDocumentSnapshot(id);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    let html;
+    if (snapshot.contentType === 'markdown') {
+      html = markdown.renderHtml(snapshot.content);
+    } else {
+      // CRDT documents have no formatting, so every line is a paragraph
+      html = richText.toHtml(snapshot.richContent || richText.toModel(richText.fromPlainText(snapshot.content)));
+    }
+
+    res.json({
+      success: true,
+      contentType: snapshot.contentType,
+      version: snapshot.version,
+      html
+    });
+  } catch (error) {
+    console.error('Render document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download the document as md, html, pdf, docx or txt, optionally with the chat transcript
+router.get('/:id/export', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'md', includeChat } = req.query;
+
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const snapshot = await getDocumentSnapshot(id);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const document = await db.query('SELECT title FROM documents WHERE id = $1', [id]);
+    const title = document.rows[0]?.title || 'Untitled';
+
+    let chat = [];
+    if (includeChat === 'true') {
+      const messages = await db.query(`
+        SELECT cm.message, cm.created_at, COALESCE(u.username, cm.username) as username
+        FROM chat_messages cm
+        LEFT JOIN users u ON cm.user_id = u.id
+        WHERE cm.document_id = $1
+        ORDER BY cm.created_at ASC
+      `, [id]);
+      chat = messages.rows.map(msg => ({
+        username: msg.username,
+        message: msg.message,
+        createdAt: new Date(msg.created_at).toISOString()
+      }));
+    }
+
+    const { body, mimeType, extension } = exportDocument({ ...snapshot, title }, format, chat);
+    const fileName = exportFileName(title, extension);
+
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': `attachment; filename="${fileName.ascii}"; filename*=UTF-8''${fileName.encoded}`
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('Export document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move a document to the trash; it is purged after the retention period unless restored
+router.delete('/:id', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, username } = req.user;
+
+    const trashed = await db.query(
+      'UPDATE documents SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL RETURNING title, deleted_at',
+      [id, userId]
+    );
+    if (trashed.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    invalidateDocumentAccess(id);
+
+    // Close the document for everyone who has it open, and drop it from everyone's list
+    const { title, deleted_at: deletedAt } = trashed.rows[0];
+    const memberIds = await getDocumentMemberIds(id);
+    io.to([id, ...memberIds.map(userRoom)]).emit('documentTrashed', {
+      documentId: id,
+      title,
+      deletedBy: username,
+      message: `"${title}" was moved to the trash by ${username}`
+    });
+    io.in(id).socketsLeave(id);
+
+    // Save any edits still batched so a restore brings back the latest content
+    await releaseDocumentState(id);
+    await invalidateDocumentCache(id);
+
+    res.json({
+      success: true,
+      message: 'Document moved to the trash',
+      deletedAt,
+      purgeAt: purgeDate(deletedAt)
     });
   } catch (error) {
     console.error('Delete document error:', error);
@@ -302,30 +1049,436 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Get document operations history (for conflict resolution)
-router.get('/:id/operations', authenticateToken, async (req, res) => {
+// Take a document out of the trash
+router.post('/:id/restore', authenticateToken, requireDocumentRole('owner', 'id', { trashed: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await db.query('UPDATE documents SET deleted_at = NULL, deleted_by = NULL WHERE id = $1', [id]);
+    invalidateDocumentAccess(id);
+    await emitToDocumentMembers(io, id, 'documentRestoredFromTrash', { documentId: id });
+
+    res.json({
+      success: true,
+      message: 'Document restored'
+    });
+  } catch (error) {
+    console.error('Restore document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a trashed document right away instead of waiting for the purge
+router.delete('/:id/permanent', authenticateToken, requireDocumentRole('owner', 'id', { trashed: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await purgeDocument(io, id);
+
+    res.json({
+      success: true,
+      message: 'Document deleted permanently'
+    });
+  } catch (error) {
+    console.error('Purge document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List saved versions of a document, newest first
+router.get('/:id/versions', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_VERSIONS_PAGE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const versions = await db.query(`
+      SELECT 
+        dv.version, dv.title, dv.name, dv.created_by, dv.created_at,
+        LENGTH(dv.content) as content_length,
+        u.username as created_by_username
+      FROM document_versions dv
+      LEFT JOIN users u ON dv.created_by = u.id
+      WHERE dv.document_id = $1
+      ORDER BY dv.version DESC
+      LIMIT $2 OFFSET $3
+    `, [id, limit, offset]);
+
+    const totalCount = await db.query('SELECT COUNT(*) FROM document_versions WHERE document_id = $1', [id]);
+    const total = parseInt(totalCount.rows[0].count);
+
+    res.json({
+      success: true,
+      versions: versions.rows.map(version => ({
+        version: version.version,
+        title: version.title,
+        name: version.name,
+        contentLength: parseInt(version.content_length),
+        createdBy: version.created_by,
+        createdByUsername: version.created_by_username,
+        createdAt: version.created_at
+      })),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: (offset + limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Get document versions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single version with its content
+router.get('/:id/versions/:version', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    const versionNumber = parseInt(version, 10);
+    if (!Number.isInteger(versionNumber)) {
+      return res.status(400).json({ error: 'Version must be an integer' });
+    }
+
+    const result = await db.query(`
+      SELECT dv.*, u.username as created_by_username
+      FROM document_versions dv
+      LEFT JOIN users u ON dv.created_by = u.id
+      WHERE dv.document_id = $1 AND dv.version = $2
+    `, [id, versionNumber]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const row = result.rows[0];
+    res.json({
+      success: true,
+      version: {
+        version: row.version,
+        title: row.title,
+        name: row.name,
+        content: row.content,
+        richContent: row.rich_content,
+        createdBy: row.created_by,
+        createdByUsername: row.created_by_username,
+        createdAt: row.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Get document version error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Name (or unname) a version so it stands out in the history
+router.put('/:id/versions/:version', authenticateToken, requireDocumentRole('editor'), async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const { name } = req.body;
+
+    const versionNumber = parseInt(version, 10);
+    if (!Number.isInteger(versionNumber)) {
+      return res.status(400).json({ error: 'Version must be an integer' });
+    }
+
+    // A missing or empty name clears it
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+      return res.status(400).json({ error: 'Version name must be a string' });
+    }
+
+    if (name && name.length > 100) {
+      return res.status(400).json({ error: 'Version name must be 100 characters or less' });
+    }
+
+    const result = await db.query(
+      'UPDATE document_versions SET name = $1 WHERE document_id = $2 AND version = $3 RETURNING version, name',
+      [name?.trim() || null, id, versionNumber]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    io.to(id).emit('versionNamed', { documentId: id, version: result.rows[0].version, name: result.rows[0].name });
+
+    res.json({
+      success: true,
+      version: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Name document version error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore the content of an old version for everyone in the room
+router.post('/:id/versions/:version/restore', authenticateToken, requireDocumentRole('editor'), async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const { userId, username } = req.user;
+
+    const versionNumber = parseInt(version, 10);
+    if (!Number.isInteger(versionNumber)) {
+      return res.status(400).json({ error: 'Version must be an integer' });
+    }
+
+    const result = await db.query(
+      'SELECT version, content, rich_content FROM document_versions WHERE document_id = $1 AND version = $2',
+      [id, versionNumber]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    // Goes through the normal edit pipeline, so the restore itself becomes a new version
+    // Versions saved before rich text have no formatting to restore
+    const entry = await replaceDocumentContent(id, result.rows[0].content, req.user, result.rows[0].rich_content);
+
+    io.to(id).emit('documentRestored', {
+      documentId: id,
+      restoredVersion: result.rows[0].version,
+      version: entry.version,
+      userId,
+      username
+    });
+
+    res.json({
+      success: true,
+      document: {
+        id,
+        version: entry.version,
+        restoredVersion: result.rows[0].version
+      }
+    });
+  } catch (error) {
+    console.error('Restore document version error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resolve a diff endpoint: "current" (or nothing) for the live content, otherwise
+// the latest saved version at or before the given number
+const loadDiffSide = async (documentId, value) => {
+  if (value === undefined || value === '' || value === 'current') {
+    const snapshot = await getDocumentSnapshot(documentId);
+    return snapshot && { version: snapshot.version, content: snapshot.content, current: true };
+  }
+
+  const version = parseInt(value);
+  if (isNaN(version)) {
+    return null;
+  }
+
+  const result = await db.query(`
+    SELECT version, name, content, created_at FROM document_versions
+    WHERE document_id = $1 AND version <= $2
+    ORDER BY version DESC
+    LIMIT 1
+  `, [documentId, version]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return { version: row.version, name: row.name, content: row.content, createdAt: row.created_at, current: false };
+};
+
+// Line- and word-level diff between two versions, or a version and the current content
+router.get('/:id/diff', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { since } = req.query;
+    const { from, to } = req.query;
+
+    if (from === undefined) {
+      return res.status(400).json({ error: 'from is required' });
+    }
+
+    const [fromSide, toSide] = await Promise.all([loadDiffSide(id, from), loadDiffSide(id, to)]);
+    if (!fromSide || !toSide) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const lines = diffLines(fromSide.content || '', toSide.content || '');
+    const { content: fromContent, ...fromInfo } = fromSide;
+    const { content: toContent, ...toInfo } = toSide;
 
-    let query = `
-      SELECT * FROM document_operations 
-      WHERE document_id = $1
+    res.json({
+      success: true,
+      from: fromInfo,
+      to: toInfo,
+      stats: diffStats(lines),
+      lines
+    });
+  } catch (error) {
+    console.error('Get document diff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Whether changing `userId`'s role would leave the document without an owner
+const isLastOwner = async (documentId, userId) => {
+  const owners = await db.query(
+    "SELECT user_id FROM document_permissions WHERE document_id = $1 AND role = 'owner'",
+    [documentId]
+  );
+  return owners.rows.length === 1 && owners.rows[0].user_id === userId;
+};
+
+// List everyone with access to a document
+router.get('/:id/permissions', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const permissions = await db.query(`
+      SELECT p.user_id, p.role, p.created_at, u.username
+      FROM document_permissions p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.document_id = $1
+      ORDER BY array_position(ARRAY['owner', 'editor', 'commenter', 'viewer'], p.role::text), u.username
+    `, [id]);
+
+    res.json({
+      success: true,
+      role: req.documentRole,
+      permissions: permissions.rows.map(permission => ({
+        userId: permission.user_id,
+        username: permission.username,
+        role: permission.role,
+        createdAt: permission.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get document permissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Give a user a role on a document, or change it
+router.put('/:id/permissions/:userId', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id, userId: targetUserId } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const targetUser = await db.query('SELECT id, username FROM users WHERE id = $1', [targetUserId]);
+    if (targetUser.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (role !== 'owner' && await isLastOwner(id, targetUserId)) {
+      return res.status(400).json({ error: 'A document must keep at least one owner' });
+    }
+
+    await grantDocumentRole(id, targetUserId, role, req.user.userId);
+
+    io.to(userRoom(targetUserId)).emit('documentRoleChanged', { documentId: id, role });
+
+    res.json({
+      success: true,
+      permission: {
+        userId: targetUserId,
+        username: targetUser.rows[0].username,
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Update document permission error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a user's access; owners can remove anyone, others only themselves
+router.delete('/:id/permissions/:userId', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id, userId: targetUserId } = req.params;
+
+    if (targetUserId !== req.user.userId && req.documentRole !== 'owner') {
+      return res.status(403).json({ error: 'This action requires owner access' });
+    }
+
+    if (await isLastOwner(id, targetUserId)) {
+      return res.status(400).json({ error: 'A document must keep at least one owner' });
+    }
+
+    const removed = await db.query(
+      'DELETE FROM document_permissions WHERE document_id = $1 AND user_id = $2 RETURNING user_id',
+      [id, targetUserId]
+    );
+    if (removed.rows.length === 0) {
+      return res.status(404).json({ error: 'User does not have access to this document' });
+    }
+    invalidateDocumentAccess(id, targetUserId);
+
+    // Workspace members keep their access to the workspace's documents
+    const remaining = await getDocumentAccess(id, targetUserId);
+    if (remaining?.role) {
+      io.to(userRoom(targetUserId)).emit('documentRoleChanged', { documentId: id, role: remaining.role });
+    } else {
+      // Take the user out of the document room wherever they have it open
+      io.in(userRoom(targetUserId)).socketsLeave(id);
+      io.to(userRoom(targetUserId)).emit('documentAccessRevoked', { documentId: id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Access removed'
+    });
+  } catch (error) {
+    console.error('Remove document permission error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get document operations history (for conflict resolution), `limit` versions at a time
+// after `sinceVersion`. Operations up to `compactedThrough` may have been pruned.
+router.get('/:id/operations', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { since, sinceVersion = 0, limit = 100 } = req.query;
+
+    const afterVersion = parseInt(sinceVersion);
+    if (!Number.isInteger(afterVersion) || afterVersion < 0) {
+      return res.status(400).json({ error: 'sinceVersion must be a non-negative integer' });
+    }
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_OPERATION_VERSIONS);
+
+    let versions = `
+      SELECT DISTINCT version FROM document_operations
+      WHERE document_id = $1 AND version > $2
     `;
-    const params = [id];
+    const params = [id, afterVersion];
 
     if (since) {
-      query += ' AND created_at > $2';
       params.push(since);
+      versions += ` AND created_at > $${params.length}`;
     }
 
-    query += ' ORDER BY created_at ASC';
+    // One version more than asked for tells whether there is another page
+    params.push(pageSize + 1);
+    versions += ` ORDER BY version ASC LIMIT $${params.length}`;
+
+    const operations = await db.query(`
+      SELECT * FROM document_operations
+      WHERE document_id = $1 AND version IN (${versions})
+      ORDER BY version ASC, component_index ASC NULLS LAST, position ASC
+    `, params);
 
-    const operations = await db.query(query, params);
+    const pageVersions = [...new Set(operations.rows.map(row => row.version))];
+    const hasMore = pageVersions.length > pageSize;
 
     res.json({
       success: true,
-      operations: operations.rows
+      operations: hasMore
+        ? operations.rows.filter(row => row.version !== pageVersions[pageSize])
+        : operations.rows,
+      compactedThrough: await latestSnapshotVersion(id),
+      hasMore
     });
   } catch (error) {
     console.error('Get document operations error:', error);
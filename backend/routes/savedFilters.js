@@ -0,0 +1,99 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('./auth');
+const { SAVED_FILTER_KEYS, parseDocumentFilters } = require('../utils/documentFilters');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SAVED_FILTERS = 50;
+
+const formatSavedFilter = (row) => ({
+  id: row.id,
+  name: row.name,
+  filters: row.filters,
+  createdAt: row.created_at
+});
+
+// The user's saved document list filters
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filters = await db.query(
+      'SELECT * FROM saved_filters WHERE user_id = $1 ORDER BY name',
+      [req.user.userId]
+    );
+
+    res.json({
+      success: true,
+      savedFilters: filters.rows.map(formatSavedFilter)
+    });
+  } catch (error) {
+    console.error('Get saved filters error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Save a combination of filters under a name; they are checked like GET /api/documents parameters
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { name, filters: input } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: `Name is required and must be ${MAX_NAME_LENGTH} characters or less` });
+    }
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return res.status(400).json({ error: 'Filters are required' });
+    }
+
+    const { filters, error } = parseDocumentFilters(input);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const count = await db.query('SELECT COUNT(*) FROM saved_filters WHERE user_id = $1', [userId]);
+    if (parseInt(count.rows[0].count) >= MAX_SAVED_FILTERS) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_FILTERS} filters` });
+    }
+
+    const saved = Object.fromEntries(SAVED_FILTER_KEYS.map(key => [key, filters[key]]));
+    const result = await db.query(
+      'INSERT INTO saved_filters (user_id, name, filters) VALUES ($1, $2, $3) RETURNING *',
+      [userId, name.trim(), saved]
+    );
+
+    res.status(201).json({
+      success: true,
+      savedFilter: formatSavedFilter(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Save filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete one of the user's saved filters
+router.delete('/:filterId', authenticateToken, async (req, res) => {
+  try {
+    const { filterId } = req.params;
+
+    const removed = await db.query(
+      'DELETE FROM saved_filters WHERE id::text = $1 AND user_id = $2 RETURNING id',
+      [filterId, req.user.userId]
+    );
+    if (removed.rows.length === 0) {
+      return res.status(404).json({ error: 'Saved filter not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved filter deleted'
+    });
+  } catch (error) {
+    console.error('Delete saved filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
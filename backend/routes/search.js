@@ -0,0 +1,138 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('./auth');
+const { accessibleDocumentsSql } = require('../utils/permissions');
+
+const router = express.Router();
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Private-use characters mark matches in ts_headline output; unlike HTML tags
+// they can't be confused with anything a document contains
+const MATCH_START = '\ue000';
+const MATCH_END = '\ue001';
+const HEADLINE_OPTIONS = `StartSel="${MATCH_START}", StopSel="${MATCH_END}", MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+const TITLE_OPTIONS = `StartSel="${MATCH_START}", StopSel="${MATCH_END}", HighlightAll=true`;
+
+/**
+ * tsquery text matching every word of the search as a prefix, so results
+ * show up while the last word is still being typed. Only letters and
+ * digits are kept, so the result is always valid tsquery syntax.
+ */
+function toPrefixQuery(search) {
+  const words = search.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.slice(0, 10).map(word => `${word}:*`).join(' & ');
+}
+
+// Split a highlighted headline into [{ text, match }] segments
+function toSegments(headline) {
+  const segments = [];
+  for (const part of (headline || '').split(MATCH_END)) {
+    const [before, matched] = part.split(MATCH_START);
+    if (before) segments.push({ text: before, match: false });
+    if (matched) segments.push({ text: matched, match: true });
+  }
+  return segments;
+}
+
+// Search titles, content and chat of every document the user can open
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { q = '' } = req.query;
+    const { userId } = req.user;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    if (typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Search query must be ${MAX_QUERY_LENGTH} characters or less` });
+    }
+
+    const tsquery = toPrefixQuery(q);
+    if (!tsquery) {
+      return res.json({ success: true, query: q, results: [] });
+    }
+
+    // Headlines are costly, so they are only built for the best matches
+    const documents = await db.query(`
+      SELECT
+        hits.*,
+        ts_headline('english', hits.title, hits.query, $4) as title_headline,
+        ts_headline('english', hits.content, hits.query, $5) as headline
+      FROM (
+        SELECT
+          d.id, d.title, d.content, d.content_type, d.updated_at, a.role, query,
+          ts_rank_cd(d.search_vector, query) as rank
+        FROM documents d
+        JOIN (${accessibleDocumentsSql('$1')}) a ON a.document_id = d.id,
+          to_tsquery('english', $2) query
+        WHERE d.search_vector @@ query AND d.deleted_at IS NULL
+        ORDER BY rank DESC, d.updated_at DESC
+        LIMIT $3
+      ) hits
+      ORDER BY hits.rank DESC, hits.updated_at DESC
+    `, [userId, tsquery, limit, TITLE_OPTIONS, HEADLINE_OPTIONS]);
+
+    const messages = await db.query(`
+      SELECT
+        hits.*,
+        ts_headline('english', hits.message, hits.query, $4) as headline
+      FROM (
+        SELECT
+          cm.id, cm.document_id, cm.message, cm.created_at, d.title as document_title,
+          COALESCE(u.username, cm.username) as username, query,
+          ts_rank_cd(cm.search_vector, query) as rank
+        FROM chat_messages cm
+        JOIN (${accessibleDocumentsSql('$1')}) a ON a.document_id = cm.document_id
+        JOIN documents d ON d.id = cm.document_id
+        LEFT JOIN users u ON cm.user_id = u.id,
+          to_tsquery('english', $2) query
+        WHERE cm.search_vector @@ query AND d.deleted_at IS NULL
+        ORDER BY rank DESC, cm.created_at DESC
+        LIMIT $3
+      ) hits
+      ORDER BY hits.rank DESC, hits.created_at DESC
+    `, [userId, tsquery, limit, HEADLINE_OPTIONS]);
+
+    const results = [
+      ...documents.rows.map(row => ({
+        type: 'document',
+        documentId: row.id,
+        title: row.title,
+        titleHighlight: toSegments(row.title_headline),
+        snippet: toSegments(row.headline),
+        contentType: row.content_type,
+        role: row.role,
+        updatedAt: row.updated_at,
+        rank: parseFloat(row.rank)
+      })),
+      ...messages.rows.map(row => ({
+        type: 'chat',
+        documentId: row.document_id,
+        messageId: row.id,
+        title: row.document_title,
+        username: row.username,
+        snippet: toSegments(row.headline),
+        createdAt: new Date(row.created_at).toISOString(),
+        rank: parseFloat(row.rank)
+      }))
+    ]
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      query: q,
+      results
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const crypto = require('crypto');
+const db = require('../config/database');
+const { authenticateToken } = require('./auth');
+const {
+  ROLES,
+  UUID_PATTERN,
+  hasRole,
+  userRoom,
+  getDocumentAccess,
+  grantDocumentRole,
+  requireDocumentRole
+} = require('../utils/permissions');
+
+// Link tokens can hand out any role except ownership
+const LINK_ROLES = ['viewer', 'commenter', 'editor'];
+const MAX_LINK_DAYS = 365;
+
+const formatLink = (link) => ({
+  id: link.id,
+  token: link.token,
+  role: link.role,
+  createdBy: link.created_by,
+  createdByUsername: link.created_by_username,
+  expiresAt: link.expires_at,
+  createdAt: link.created_at
+});
+
+// Mounted at /api/documents/:id/shares
+module.exports = (io) => {
+  const router = express.Router({ mergeParams: true });
+
+// Who has access, plus the active share links for owners
+router.get('/', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const permissions = await db.query(`
+      SELECT p.user_id, p.role, p.created_at, u.username
+      FROM document_permissions p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.document_id = $1
+      ORDER BY array_position(ARRAY['owner', 'editor', 'commenter', 'viewer'], p.role::text), u.username
+    `, [id]);
+
+    let links = [];
+    if (req.documentRole === 'owner') {
+      const result = await db.query(`
+        SELECT l.*, u.username as created_by_username
+        FROM document_share_links l
+        LEFT JOIN users u ON l.created_by = u.id
+        WHERE l.document_id = $1 AND l.revoked_at IS NULL
+          AND (l.expires_at IS NULL OR l.expires_at > NOW())
+        ORDER BY l.created_at DESC
+      `, [id]);
+      links = result.rows.map(formatLink);
+    }
+
+    res.json({
+      success: true,
+      role: req.documentRole,
+      permissions: permissions.rows.map(permission => ({
+        userId: permission.user_id,
+        username: permission.username,
+        role: permission.role,
+        createdAt: permission.created_at
+      })),
+      links
+    });
+  } catch (error) {
+    console.error('Get document shares error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Invite an existing user by username
+router.post('/users', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, role = 'editor' } = req.body;
+
+    if (typeof username !== 'string' || username.trim().length === 0) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await db.query('SELECT id, username FROM users WHERE username = $1', [username.trim()]);
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const invitedUser = user.rows[0];
+    if (invitedUser.id === req.user.userId) {
+      return res.status(400).json({ error: 'You already own this document' });
+    }
+
+    // Inviting can only add or raise access; lowering it (e.g. of another owner) goes
+    // through PUT /api/documents/:id/permissions/:userId, which keeps a last owner
+    const existing = await db.query(
+      'SELECT role FROM document_permissions WHERE document_id = $1 AND user_id = $2',
+      [id, invitedUser.id]
+    );
+    const currentRole = existing.rows[0]?.role;
+    if (currentRole && !hasRole(role, currentRole)) {
+      return res.status(409).json({ error: `${invitedUser.username} already has ${currentRole} access; change their role instead` });
+    }
+
+    await grantDocumentRole(id, invitedUser.id, role, req.user.userId);
+
+    io.to(userRoom(invitedUser.id)).emit('documentRoleChanged', { documentId: id, role });
+
+    res.status(201).json({
+      success: true,
+      permission: {
+        userId: invitedUser.id,
+        username: invitedUser.username,
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Invite user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a share link, optionally expiring after a number of days
+router.post('/links', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role = 'viewer', expiresInDays } = req.body;
+
+    if (!LINK_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${LINK_ROLES.join(', ')}` });
+    }
+
+    const days = expiresInDays === undefined || expiresInDays === null ? null : Number(expiresInDays);
+    if (days !== null && (!Number.isFinite(days) || days <= 0 || days > MAX_LINK_DAYS)) {
+      return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_LINK_DAYS} days` });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = days === null ? null : new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const link = await db.query(`
+      INSERT INTO document_share_links (document_id, token, role, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [id, token, role, req.user.userId, expiresAt]);
+
+    res.status(201).json({
+      success: true,
+      link: formatLink({ ...link.rows[0], created_by_username: req.user.username })
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a share link; access already granted through it is kept
+router.delete('/links/:linkId', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+
+    if (!UUID_PATTERN.test(linkId)) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const result = await db.query(
+      'UPDATE document_share_links SET revoked_at = NOW() WHERE id = $1 AND document_id = $2 AND revoked_at IS NULL RETURNING id',
+      [linkId, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked'
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Redeem a share link token for the current user
+router.post('/redeem', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { token } = req.body;
+    const { userId } = req.user;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Share token is required' });
+    }
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(404).json({ error: 'This share link is invalid, expired or revoked' });
+    }
+
+    const result = await db.query(`
+      SELECT role FROM document_share_links
+      WHERE document_id = $1 AND token = $2 AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+    `, [id, token]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'This share link is invalid, expired or revoked' });
+    }
+
+    // Links only ever add access; they never downgrade an existing role
+    const linkRole = result.rows[0].role;
+    const access = await getDocumentAccess(id, userId);
+    if (access?.deleted) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (access?.role && hasRole(access.role, linkRole)) {
+      return res.json({ success: true, role: access.role });
+    }
+
+    await grantDocumentRole(id, userId, linkRole, null);
+
+    io.to(userRoom(userId)).emit('documentRoleChanged', { documentId: id, role: linkRole });
+
+    res.json({
+      success: true,
+      role: linkRole
+    });
+  } catch (error) {
+    console.error('Redeem share link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+  return router;
+};
@@ -0,0 +1,190 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('./auth');
+const { requireDocumentRole } = require('../utils/permissions');
+const { getAnchors, acceptSuggestion, forgetAnchor } = require('../socket/documentState');
+const { SUGGESTION_COLUMNS, formatSuggestion, getSuggestion } = require('../utils/suggestions');
+
+// Mounted at /api/documents/:id/suggestions
+module.exports = (io) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Apply a pending suggestion to the document (broadcast as a documentEdit) and tell everyone editing it
+  const accept = async (documentId, suggestion, user) => {
+    const entry = await acceptSuggestion(documentId, suggestion.id, suggestion.text, user);
+    if (!entry) {
+      return false;
+    }
+
+    await db.query(`
+      UPDATE suggestions SET status = 'accepted', resolved_by = $1, resolved_at = NOW(), updated_at = NOW()
+      WHERE id = $2
+    `, [user.userId, suggestion.id]);
+
+    io.to(documentId).emit('suggestionRemoved', {
+      documentId,
+      suggestionId: suggestion.id,
+      status: 'accepted',
+      userId: user.userId
+    });
+    return true;
+  };
+
+  const reject = async (documentId, suggestion, user) => {
+    const result = await db.query(`
+      UPDATE suggestions SET status = 'rejected', resolved_by = $1, resolved_at = NOW(), updated_at = NOW()
+      WHERE id = $2 AND status = 'pending'
+      RETURNING id
+    `, [user.userId, suggestion.id]);
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await forgetAnchor(documentId, suggestion.id);
+    io.to(documentId).emit('suggestionRemoved', {
+      documentId,
+      suggestionId: suggestion.id,
+      status: 'rejected',
+      userId: user.userId
+    });
+    return true;
+  };
+
+  const getPending = async (documentId) => {
+    const result = await db.query(`
+      SELECT ${SUGGESTION_COLUMNS}
+      FROM suggestions s
+      LEFT JOIN users u ON s.user_id = u.id
+      WHERE s.document_id = $1 AND s.status = 'pending'
+      ORDER BY s.created_at ASC
+    `, [documentId]);
+    return result.rows;
+  };
+
+// Pending suggestions of a document, oldest first, with anchors as of `version`
+router.get('/', authenticateToken, requireDocumentRole('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const current = await getAnchors(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Anchors in the database lag behind edits that haven't been flushed yet
+    const suggestions = (await getPending(id)).map(row => {
+      const anchor = current.anchors.get(row.id);
+      return {
+        ...formatSuggestion(row),
+        anchorStart: anchor ? anchor.start : row.anchor_start,
+        anchorEnd: anchor ? anchor.end : row.anchor_end
+      };
+    });
+
+    res.json({
+      success: true,
+      version: current.version,
+      suggestions
+    });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept every pending suggestion, oldest first
+router.post('/accept-all', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let accepted = 0;
+    for (const suggestion of await getPending(id)) {
+      if (await accept(id, suggestion, req.user)) {
+        accepted += 1;
+      }
+    }
+
+    res.json({
+      success: true,
+      accepted
+    });
+  } catch (error) {
+    console.error('Accept all suggestions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reject every pending suggestion
+router.post('/reject-all', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let rejected = 0;
+    for (const suggestion of await getPending(id)) {
+      if (await reject(id, suggestion, req.user)) {
+        rejected += 1;
+      }
+    }
+
+    res.json({
+      success: true,
+      rejected
+    });
+  } catch (error) {
+    console.error('Reject all suggestions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Apply one suggestion to the document
+router.post('/:suggestionId/accept', authenticateToken, requireDocumentRole('owner'), async (req, res) => {
+  try {
+    const { id, suggestionId } = req.params;
+
+    const suggestion = await getSuggestion(id, suggestionId);
+    if (!suggestion || suggestion.status !== 'pending') {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    if (!await accept(id, suggestion, req.user)) {
+      return res.status(409).json({ error: 'This suggestion has already been settled' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Suggestion accepted'
+    });
+  } catch (error) {
+    console.error('Accept suggestion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Discard one suggestion (by a document owner, or its author withdrawing it)
+router.post('/:suggestionId/reject', authenticateToken, requireDocumentRole('commenter'), async (req, res) => {
+  try {
+    const { id, suggestionId } = req.params;
+    const { userId } = req.user;
+
+    const suggestion = await getSuggestion(id, suggestionId);
+    if (!suggestion || suggestion.status !== 'pending' ||
+        (suggestion.user_id !== userId && req.documentRole !== 'owner')) {
+      return res.status(404).json({ error: 'Suggestion not found or not authorized to reject' });
+    }
+
+    if (!await reject(id, suggestion, req.user)) {
+      return res.status(409).json({ error: 'This suggestion has already been settled' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Suggestion rejected'
+    });
+  } catch (error) {
+    console.error('Reject suggestion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+  return router;
+};
@@ -0,0 +1,444 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('./auth');
+const {
+  WORKSPACE_ROLES,
+  UUID_PATTERN,
+  userRoom,
+  invalidateUserAccess,
+  emitToWorkspaceMembers,
+  requireWorkspaceRole
+} = require('../utils/permissions');
+
+const MAX_NAME_LENGTH = 100;
+
+const formatWorkspace = (workspace) => ({
+  id: workspace.id,
+  name: workspace.name,
+  role: workspace.role,
+  memberCount: parseInt(workspace.member_count || 0),
+  documentCount: parseInt(workspace.document_count || 0),
+  createdBy: workspace.created_by,
+  createdAt: workspace.created_at,
+  updatedAt: workspace.updated_at
+});
+
+const formatFolder = (folder) => ({
+  id: folder.id,
+  workspaceId: folder.workspace_id,
+  parentId: folder.parent_id,
+  name: folder.name,
+  createdBy: folder.created_by,
+  createdAt: folder.created_at,
+  updatedAt: folder.updated_at
+});
+
+// A trimmed name, or null when it is missing or too long
+const validName = (name) => {
+  if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > MAX_NAME_LENGTH) {
+    return null;
+  }
+  return name.trim();
+};
+
+// A workspace the user belongs to, with their role and counts
+const getWorkspace = async (workspaceId, userId) => {
+  const result = await db.query(`
+    SELECT
+      w.*,
+      m.role,
+      (SELECT COUNT(*) FROM workspace_members WHERE workspace_id = w.id) as member_count,
+      (SELECT COUNT(*) FROM documents WHERE workspace_id = w.id AND deleted_at IS NULL) as document_count
+    FROM workspaces w
+    JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = $2
+    WHERE w.id = $1
+  `, [workspaceId, userId]);
+  return result.rows[0] || null;
+};
+
+const getFolder = async (workspaceId, folderId) => {
+  if (!UUID_PATTERN.test(folderId || '')) return null;
+  const result = await db.query('SELECT * FROM folders WHERE id = $1 AND workspace_id = $2', [folderId, workspaceId]);
+  return result.rows[0] || null;
+};
+
+// Whether `ancestorId` is `folderId` or one of the folders it is nested in
+const isSelfOrAncestor = async (ancestorId, folderId) => {
+  const result = await db.query(`
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id FROM folders WHERE id = $1
+      UNION
+      SELECT f.id, f.parent_id FROM folders f JOIN ancestors a ON f.id = a.parent_id
+    )
+    SELECT 1 FROM ancestors WHERE id = $2
+  `, [folderId, ancestorId]);
+  return result.rows.length > 0;
+};
+
+// Whether changing `userId`'s role would leave the workspace without an owner
+const isLastOwner = async (workspaceId, userId) => {
+  const owners = await db.query(
+    "SELECT user_id FROM workspace_members WHERE workspace_id = $1 AND role = 'owner'",
+    [workspaceId]
+  );
+  return owners.rows.length === 1 && owners.rows[0].user_id === userId;
+};
+
+// Mounted at /api/workspaces
+module.exports = (io) => {
+  const router = express.Router();
+
+  // After a user leaves a workspace, close the documents they could only open through it
+  const revokeWorkspaceDocuments = async (workspaceId, userId) => {
+    invalidateUserAccess(userId);
+    const documents = await db.query(`
+      SELECT d.id
+      FROM documents d
+      LEFT JOIN document_permissions p ON p.document_id = d.id AND p.user_id = $2
+      WHERE d.workspace_id = $1 AND p.user_id IS NULL
+    `, [workspaceId, userId]);
+
+    for (const { id } of documents.rows) {
+      io.in(userRoom(userId)).socketsLeave(id);
+      io.to(userRoom(userId)).emit('documentAccessRevoked', { documentId: id });
+    }
+  };
+
+// Workspaces the user belongs to
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const workspaces = await db.query(`
+      SELECT
+        w.*,
+        m.role,
+        (SELECT COUNT(*) FROM workspace_members WHERE workspace_id = w.id) as member_count,
+        (SELECT COUNT(*) FROM documents WHERE workspace_id = w.id AND deleted_at IS NULL) as document_count
+      FROM workspaces w
+      JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = $1
+      ORDER BY w.name
+    `, [userId]);
+
+    res.json({
+      success: true,
+      workspaces: workspaces.rows.map(formatWorkspace)
+    });
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a workspace owned by its creator
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const name = validName(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: `Workspace name is required and must be ${MAX_NAME_LENGTH} characters or less` });
+    }
+
+    const result = await db.query(
+      'INSERT INTO workspaces (name, created_by) VALUES ($1, $2) RETURNING *',
+      [name, userId]
+    );
+    const workspace = result.rows[0];
+    await db.query(
+      "INSERT INTO workspace_members (workspace_id, user_id, role, added_by) VALUES ($1, $2, 'owner', $2)",
+      [workspace.id, userId]
+    );
+
+    res.status(201).json({
+      success: true,
+      workspace: formatWorkspace({ ...workspace, role: 'owner', member_count: 1, document_count: 0 })
+    });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a workspace
+router.put('/:workspaceId', authenticateToken, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const name = validName(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: `Workspace name is required and must be ${MAX_NAME_LENGTH} characters or less` });
+    }
+
+    await db.query('UPDATE workspaces SET name = $1, updated_at = NOW() WHERE id = $2', [name, workspaceId]);
+    await emitToWorkspaceMembers(io, workspaceId, 'workspaceUpdated', { workspaceId, name });
+
+    res.json({
+      success: true,
+      workspace: formatWorkspace(await getWorkspace(workspaceId, req.user.userId))
+    });
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a workspace; its documents become personal documents of whoever has a direct role on them
+router.delete('/:workspaceId', authenticateToken, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const members = await db.query('SELECT user_id FROM workspace_members WHERE workspace_id = $1', [workspaceId]);
+    for (const member of members.rows) {
+      await revokeWorkspaceDocuments(workspaceId, member.user_id);
+    }
+
+    await emitToWorkspaceMembers(io, workspaceId, 'workspaceRemoved', { workspaceId });
+    await db.query('DELETE FROM workspaces WHERE id = $1', [workspaceId]);
+    for (const member of members.rows) {
+      invalidateUserAccess(member.user_id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted'
+    });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Members of a workspace
+router.get('/:workspaceId/members', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const members = await db.query(`
+      SELECT m.user_id, m.role, m.created_at, u.username
+      FROM workspace_members m
+      JOIN users u ON m.user_id = u.id
+      WHERE m.workspace_id = $1
+      ORDER BY array_position(ARRAY['owner', 'member'], m.role::text), u.username
+    `, [workspaceId]);
+
+    res.json({
+      success: true,
+      role: req.workspaceRole,
+      members: members.rows.map(member => ({
+        userId: member.user_id,
+        username: member.username,
+        role: member.role,
+        createdAt: member.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get workspace members error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an existing user by username, or change their role
+router.post('/:workspaceId/members', authenticateToken, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { username, role = 'member' } = req.body;
+
+    if (typeof username !== 'string' || username.trim().length === 0) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+    }
+
+    const user = await db.query('SELECT id, username FROM users WHERE username = $1', [username.trim()]);
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const member = user.rows[0];
+
+    if (role !== 'owner' && await isLastOwner(workspaceId, member.id)) {
+      return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+    }
+
+    await db.query(`
+      INSERT INTO workspace_members (workspace_id, user_id, role, added_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = EXCLUDED.role
+    `, [workspaceId, member.id, role, req.user.userId]);
+    invalidateUserAccess(member.id);
+
+    const workspace = await getWorkspace(workspaceId, member.id);
+    io.to(userRoom(member.id)).emit('workspaceAdded', formatWorkspace(workspace));
+
+    res.status(201).json({
+      success: true,
+      member: {
+        userId: member.id,
+        username: member.username,
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Add workspace member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a member; owners can remove anyone, members only themselves
+router.delete('/:workspaceId/members/:userId', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { workspaceId, userId: targetUserId } = req.params;
+
+    if (targetUserId !== req.user.userId && req.workspaceRole !== 'owner') {
+      return res.status(403).json({ error: 'This action requires workspace owner access' });
+    }
+
+    if (await isLastOwner(workspaceId, targetUserId)) {
+      return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+    }
+
+    const removed = await db.query(
+      'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2 RETURNING user_id',
+      [workspaceId, targetUserId]
+    );
+    if (removed.rows.length === 0) {
+      return res.status(404).json({ error: 'User is not a member of this workspace' });
+    }
+
+    await revokeWorkspaceDocuments(workspaceId, targetUserId);
+    io.to(userRoom(targetUserId)).emit('workspaceRemoved', { workspaceId });
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    console.error('Remove workspace member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Every folder of a workspace, as a flat list linked by parentId
+router.get('/:workspaceId/folders', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const folders = await db.query(
+      'SELECT * FROM folders WHERE workspace_id = $1 ORDER BY name',
+      [workspaceId]
+    );
+
+    res.json({
+      success: true,
+      folders: folders.rows.map(formatFolder)
+    });
+  } catch (error) {
+    console.error('Get folders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a folder at the workspace root or inside another folder
+router.post('/:workspaceId/folders', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { parentId = null } = req.body;
+    const name = validName(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: `Folder name is required and must be ${MAX_NAME_LENGTH} characters or less` });
+    }
+
+    if (parentId && !await getFolder(workspaceId, parentId)) {
+      return res.status(404).json({ error: 'Parent folder not found' });
+    }
+
+    const result = await db.query(
+      'INSERT INTO folders (workspace_id, parent_id, name, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+      [workspaceId, parentId, name, req.user.userId]
+    );
+    const folder = formatFolder(result.rows[0]);
+
+    await emitToWorkspaceMembers(io, workspaceId, 'folderUpdated', folder);
+
+    res.status(201).json({
+      success: true,
+      folder
+    });
+  } catch (error) {
+    console.error('Create folder error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a folder or move it under another one (`parentId: null` for the root)
+router.put('/:workspaceId/folders/:folderId', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { workspaceId, folderId } = req.params;
+    const { name, parentId } = req.body;
+
+    const folder = await getFolder(workspaceId, folderId);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const newName = name === undefined ? folder.name : validName(name);
+    if (!newName) {
+      return res.status(400).json({ error: `Folder name is required and must be ${MAX_NAME_LENGTH} characters or less` });
+    }
+
+    const newParentId = parentId === undefined ? folder.parent_id : parentId;
+    if (newParentId) {
+      if (!await getFolder(workspaceId, newParentId)) {
+        return res.status(404).json({ error: 'Parent folder not found' });
+      }
+      if (await isSelfOrAncestor(folderId, newParentId)) {
+        return res.status(400).json({ error: 'A folder cannot be moved into itself' });
+      }
+    }
+
+    const result = await db.query(
+      'UPDATE folders SET name = $1, parent_id = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
+      [newName, newParentId, folderId]
+    );
+    const updated = formatFolder(result.rows[0]);
+
+    await emitToWorkspaceMembers(io, workspaceId, 'folderUpdated', updated);
+
+    res.json({
+      success: true,
+      folder: updated
+    });
+  } catch (error) {
+    console.error('Update folder error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a folder and its subfolders; their documents move to the workspace root
+router.delete('/:workspaceId/folders/:folderId', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { workspaceId, folderId } = req.params;
+
+    const folder = await getFolder(workspaceId, folderId);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    await db.query('DELETE FROM folders WHERE id = $1', [folderId]);
+    await emitToWorkspaceMembers(io, workspaceId, 'folderRemoved', { workspaceId, folderId });
+
+    res.json({
+      success: true,
+      message: 'Folder deleted'
+    });
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+  return router;
+};
@@ -0,0 +1,27 @@
+// Issue a one-time claim token for an account created before passwords
+// existed, to be passed to its owner out of band. Usage:
+//   node scripts/issue-claim-token.js <username>
+const { issueClaimToken } = require('../utils/accountClaims');
+
+async function main() {
+  const username = process.argv[2];
+  if (!username) {
+    console.error('Usage: node scripts/issue-claim-token.js <username>');
+    process.exit(1);
+  }
+
+  try {
+    const token = await issueClaimToken(username.trim());
+    if (!token) {
+      console.error(`❌ ${username} does not exist or already has a password or single sign-on`);
+      process.exit(1);
+    }
+    console.log(`🔑 Claim token for ${username}: ${token}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Could not issue a claim token:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -87,6 +87,385 @@ const migrations = [
         FOR EACH ROW
         EXECUTE FUNCTION update_updated_at_column();
     `
+  },
+  {
+    name: 'add_document_operations_version',
+    sql: `
+      -- Each transformed operation gets the document version it produced
+      ALTER TABLE document_operations ADD COLUMN IF NOT EXISTS version INTEGER;
+      ALTER TABLE document_operations ADD COLUMN IF NOT EXISTS client_id VARCHAR(64);
+      CREATE INDEX IF NOT EXISTS idx_document_operations_document_version ON document_operations(document_id, version);
+    `
+  },
+  {
+    name: 'add_document_sync_mode',
+    sql: `
+      -- 'ot' (server transforms operations) or 'crdt' (replicas merge character ids)
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS sync_mode VARCHAR(10) NOT NULL DEFAULT 'ot';
+      -- Serialized sequence CRDT for documents in 'crdt' mode; content holds the rendered text
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS crdt_state JSONB;
+    `
+  },
+  {
+    name: 'create_document_versions_table',
+    sql: `
+      -- Snapshot of the document after every flushed batch of edits
+      CREATE TABLE IF NOT EXISTS document_versions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        title VARCHAR(255),
+        content TEXT NOT NULL DEFAULT '',
+        name VARCHAR(100),
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (document_id, version)
+      );
+      CREATE INDEX IF NOT EXISTS idx_document_versions_document_id ON document_versions(document_id, version DESC);
+    `
+  },
+  {
+    name: 'create_document_permissions_table',
+    sql: `
+      -- One role per user and document: 'owner', 'editor', 'commenter' or 'viewer'
+      CREATE TABLE IF NOT EXISTS document_permissions (
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'commenter', 'viewer')),
+        granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (document_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_document_permissions_user_id ON document_permissions(user_id);
+
+      -- Creators own their documents
+      INSERT INTO document_permissions (document_id, user_id, role)
+      SELECT id, created_by, 'owner' FROM documents WHERE created_by IS NOT NULL
+      ON CONFLICT DO NOTHING;
+
+      -- Everyone who already edited or chatted in a document keeps editing it
+      INSERT INTO document_permissions (document_id, user_id, role)
+      SELECT DISTINCT document_id, user_id, 'editor' FROM (
+        SELECT document_id, user_id FROM document_operations
+        UNION
+        SELECT document_id, user_id FROM chat_messages
+      ) participants
+      WHERE document_id IS NOT NULL AND user_id IS NOT NULL
+      ON CONFLICT DO NOTHING;
+    `
+  },
+  {
+    name: 'create_document_share_links_table',
+    sql: `
+      -- Links that grant a role on a document to whoever opens them
+      CREATE TABLE IF NOT EXISTS document_share_links (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        token VARCHAR(64) UNIQUE NOT NULL,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('editor', 'commenter', 'viewer')),
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_document_share_links_document_id ON document_share_links(document_id);
+    `
+  },
+  {
+    name: 'create_user_sessions_table',
+    sql: `
+      -- bcrypt hash; NULL for accounts created before passwords were required
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+
+      -- One row per login; the refresh token rotates on every use
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL,
+        -- The token replaced by the last rotation, still tolerated for a few seconds
+        previous_token_hash VARCHAR(64),
+        rotated_at TIMESTAMP WITH TIME ZONE,
+        user_agent VARCHAR(255),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+    `
+  },
+  {
+    name: 'add_oidc_identity_to_users',
+    sql: `
+      -- Accounts signed in through an OpenID Connect provider are keyed by issuer and subject
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_issuer VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name VARCHAR(255);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_identity ON users(oidc_issuer, oidc_subject)
+        WHERE oidc_subject IS NOT NULL;
+    `
+  },
+  {
+    name: 'add_rich_text_model',
+    sql: `
+      -- Structured document ({ blocks: [{ type, runs: [{ text, marks }] }] }); content keeps the plain text
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS rich_content JSONB;
+      ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS rich_content JSONB;
+
+      -- Formatting carried by operations, and the order of rows within one operation
+      ALTER TABLE document_operations ADD COLUMN IF NOT EXISTS attributes JSONB;
+      ALTER TABLE document_operations ADD COLUMN IF NOT EXISTS component_index INTEGER;
+
+      -- Every line of an existing plain-text document becomes a paragraph
+      UPDATE documents d SET rich_content = jsonb_build_object('blocks', (
+        SELECT jsonb_agg(
+          jsonb_build_object(
+            'type', 'paragraph',
+            'runs', CASE WHEN line = '' THEN '[]'::jsonb ELSE jsonb_build_array(jsonb_build_object('text', line)) END
+          ) ORDER BY position
+        )
+        FROM regexp_split_to_table(COALESCE(d.content, ''), E'\\n') WITH ORDINALITY AS lines(line, position)
+      ))
+      WHERE d.rich_content IS NULL AND d.sync_mode = 'ot';
+    `
+  },
+  {
+    name: 'add_document_content_type',
+    sql: `
+      -- 'rich' (formatted with the block model) or 'markdown' (raw Markdown source in content)
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_type VARCHAR(20) NOT NULL DEFAULT 'rich';
+    `
+  },
+  {
+    name: 'create_comments_table',
+    sql: `
+      -- Comments on a range of text; replies point at the comment that started the thread
+      CREATE TABLE IF NOT EXISTS comments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        body TEXT NOT NULL,
+        -- Offsets into documents.content, moved as edits are applied; only set on thread starters
+        anchor_start INTEGER,
+        anchor_end INTEGER,
+        -- The text as it was when the thread was started
+        quoted_text TEXT,
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_comments_document_id ON comments(document_id);
+      CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id);
+    `
+  },
+  {
+    name: 'create_suggestions_table',
+    sql: `
+      -- Proposed edits: replace the text between the anchors with \`text\`
+      CREATE TABLE IF NOT EXISTS suggestions (
+        -- Chosen by the client so it can keep extending a suggestion while typing
+        id UUID PRIMARY KEY,
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        -- Offsets into documents.content, moved as edits are applied; equal for a pure insertion
+        anchor_start INTEGER NOT NULL,
+        anchor_end INTEGER NOT NULL,
+        text TEXT NOT NULL DEFAULT '',
+        -- The text the suggestion replaces, as it was when last changed
+        original_text TEXT NOT NULL DEFAULT '',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+        resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_suggestions_document_id ON suggestions(document_id);
+    `
+  },
+  {
+    name: 'add_full_text_search',
+    sql: `
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+      ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+      -- Titles rank above content. Only the first 500,000 characters are indexed,
+      -- which keeps the vector under Postgres' 1 MB limit
+      CREATE OR REPLACE FUNCTION documents_search_vector_update()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.search_vector :=
+          setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+          setweight(to_tsvector('english', LEFT(COALESCE(NEW.content, ''), 500000)), 'B');
+        RETURN NEW;
+      END;
+      $$ language 'plpgsql';
+
+      CREATE OR REPLACE FUNCTION chat_messages_search_vector_update()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.search_vector := setweight(to_tsvector('english', COALESCE(NEW.message, '')), 'B');
+        RETURN NEW;
+      END;
+      $$ language 'plpgsql';
+
+      DROP TRIGGER IF EXISTS update_documents_search_vector ON documents;
+      CREATE TRIGGER update_documents_search_vector
+        BEFORE INSERT OR UPDATE OF title, content ON documents
+        FOR EACH ROW
+        EXECUTE FUNCTION documents_search_vector_update();
+
+      DROP TRIGGER IF EXISTS update_chat_messages_search_vector ON chat_messages;
+      CREATE TRIGGER update_chat_messages_search_vector
+        BEFORE INSERT OR UPDATE OF message ON chat_messages
+        FOR EACH ROW
+        EXECUTE FUNCTION chat_messages_search_vector_update();
+
+      -- Fill in existing rows
+      UPDATE documents SET search_vector =
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', LEFT(COALESCE(content, ''), 500000)), 'B');
+      UPDATE chat_messages SET search_vector = setweight(to_tsvector('english', COALESCE(message, '')), 'B');
+
+      CREATE INDEX IF NOT EXISTS idx_documents_search_vector ON documents USING GIN(search_vector);
+      CREATE INDEX IF NOT EXISTS idx_chat_messages_search_vector ON chat_messages USING GIN(search_vector);
+    `
+  },
+  {
+    name: 'create_workspaces_and_folders',
+    sql: `
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(100) NOT NULL,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Members can edit every document in the workspace; owners also manage members
+      CREATE TABLE IF NOT EXISTS workspace_members (
+        workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+        added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (workspace_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+
+      -- Folders nest through parent_id; deleting one deletes its subfolders
+      CREATE TABLE IF NOT EXISTS folders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        parent_id UUID REFERENCES folders(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_folders_workspace_id ON folders(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(parent_id);
+
+      -- Documents without a workspace are personal and only reachable through document_permissions.
+      -- Documents in a deleted folder move to the workspace root; in a deleted workspace, they become personal
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL;
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES folders(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_documents_workspace_id ON documents(workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_documents_folder_id ON documents(folder_id);
+    `
+  },
+  {
+    name: 'create_tags_favorites_and_saved_filters',
+    sql: `
+      -- Tags belong to the document, so everyone who can open it sees the same ones
+      CREATE TABLE IF NOT EXISTS document_tags (
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        tag VARCHAR(30) NOT NULL,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (document_id, tag)
+      );
+      CREATE INDEX IF NOT EXISTS idx_document_tags_tag ON document_tags(tag);
+
+      -- Favorites and saved filters are personal
+      CREATE TABLE IF NOT EXISTS user_favorites (
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (user_id, document_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_user_favorites_document_id ON user_favorites(document_id);
+
+      CREATE TABLE IF NOT EXISTS saved_filters (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        filters JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_saved_filters_user_id ON saved_filters(user_id);
+    `
+  },
+  {
+    name: 'add_document_soft_delete',
+    sql: `
+      -- Deleted documents stay in the trash, with their chat and history, until purged
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_documents_deleted_at ON documents(deleted_at) WHERE deleted_at IS NOT NULL;
+    `
+  },
+  {
+    name: 'add_document_templates',
+    sql: `
+      -- Templates are ordinary documents offered as a starting point for new ones
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS is_template BOOLEAN NOT NULL DEFAULT FALSE;
+      CREATE INDEX IF NOT EXISTS idx_documents_is_template ON documents(id) WHERE is_template;
+    `
+  },
+  {
+    name: 'create_document_edit_log_table',
+    sql: `
+      -- Edits applied in memory but not flushed to the document yet, replayed after a crash
+      CREATE TABLE IF NOT EXISTS document_edit_log (
+        id BIGSERIAL PRIMARY KEY,
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        operation JSONB, -- OT operation
+        crdt_update JSONB, -- CRDT ops the edit applied
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        client_id VARCHAR(64),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_document_edit_log_document_version ON document_edit_log(document_id, version);
+    `
+  },
+  {
+    name: 'create_document_snapshots_table',
+    sql: `
+      -- Saved state of a document at a version, taken by the compaction job; operations
+      -- up to the latest snapshot can be pruned, and state is rebuilt from it plus the tail
+      CREATE TABLE IF NOT EXISTS document_snapshots (
+        document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        content TEXT NOT NULL DEFAULT '',
+        rich_content JSONB,
+        crdt_state JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (document_id, version)
+      );
+    `
+  },
+  {
+    name: 'add_account_claim_tokens',
+    sql: `
+      -- Accounts from before passwords existed set one with a token an administrator issues
+      -- (scripts/issue-claim-token.js); only its hash is stored
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS claim_token_hash VARCHAR(64);
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS claim_token_expires_at TIMESTAMP WITH TIME ZONE;
+    `
   }
 ];
 
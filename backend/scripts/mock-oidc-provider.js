@@ -0,0 +1,154 @@
+// Minimal OpenID Connect provider for trying out and testing single sign-on locally.
+// It signs in whoever types a username; never expose it outside development.
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '4000', 10);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'collaborative-editor';
+// Skip the login form and sign this user in straight away, e.g. for scripted tests
+const AUTO_LOGIN = process.env.MOCK_OIDC_AUTO_LOGIN || '';
+const CODE_TTL = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const authorizationCodes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'profile', 'email']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Check an authorization request and return an error message, if any
+function validateAuthorizationRequest(params) {
+  if (params.response_type !== 'code') return 'response_type must be code';
+  if (params.client_id !== CLIENT_ID) return `Unknown client_id ${params.client_id}`;
+  if (!params.redirect_uri) return 'redirect_uri is required';
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'PKCE with S256 is required';
+  return null;
+}
+
+function issueCode(params, username) {
+  const code = crypto.randomBytes(24).toString('hex');
+  authorizationCodes.set(code, {
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    username,
+    expiresAt: Date.now() + CODE_TTL
+  });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (params.state) redirect.searchParams.set('state', params.state);
+  return redirect.toString();
+}
+
+const AUTHORIZATION_FIELDS = ['response_type', 'client_id', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method'];
+
+app.get('/authorize', (req, res) => {
+  const error = validateAuthorizationRequest(req.query);
+  if (error) {
+    return res.status(400).send(escapeHtml(error));
+  }
+
+  if (AUTO_LOGIN) {
+    return res.redirect(issueCode(req.query, AUTO_LOGIN));
+  }
+
+  const hiddenFields = AUTHORIZATION_FIELDS
+    .filter(field => req.query[field] !== undefined)
+    .map(field => `<input type="hidden" name="${field}" value="${escapeHtml(req.query[field])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<form method="post" action="/authorize" style="font-family: sans-serif; max-width: 320px; margin: 80px auto;">
+  <h2>Mock identity provider</h2>
+  <p>Sign in as any user. For local development only.</p>
+  ${hiddenFields}
+  <input name="username" placeholder="Username" autofocus required style="width: 100%; padding: 8px;">
+  <button type="submit" style="margin-top: 12px; padding: 8px 16px;">Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const error = validateAuthorizationRequest(req.body);
+  const username = (req.body.username || '').trim();
+  if (error || !username) {
+    return res.status(400).send(escapeHtml(error || 'Username is required'));
+  }
+
+  res.redirect(issueCode(req.body, username));
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const basicClientId = req.headers.authorization?.startsWith('Basic ')
+    ? decodeURIComponent(Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':')[0])
+    : null;
+  const clientId = req.body.client_id || basicClientId;
+
+  const grant = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+  if (clientId !== CLIENT_ID || redirectUri !== grant.redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Client or redirect_uri mismatch' });
+  }
+
+  const challenge = codeVerifier && crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({
+    sub: `mock|${grant.username}`,
+    preferred_username: grant.username,
+    name: grant.username,
+    email: `${grant.username}@example.com`,
+    email_verified: true,
+    nonce: grant.nonce
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider running at ${ISSUER} for client ${CLIENT_ID}`);
+});
@@ -53,10 +53,13 @@ async function testAPI() {
     const healthResponse = await axios.get(`${API_BASE}/health`);
     console.log('✅ Health endpoint working');
     
-    // Test login
-    const loginResponse = await axios.post(`${API_BASE}/auth/login`, {
-      username: 'testuser'
-    });
+    // Test registration, falling back to login once the test user exists
+    const credentials = { username: 'testuser', password: 'testpassword' };
+    const loginResponse = await axios.post(`${API_BASE}/auth/register`, credentials)
+      .catch((error) => {
+        if (error.response?.status !== 409) throw error;
+        return axios.post(`${API_BASE}/auth/login`, credentials);
+      });
     console.log('✅ Authentication working');
     
     // Test document creation
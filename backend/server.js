@@ -1,6 +1,7 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -11,7 +12,16 @@ const redis = require('./config/redis');
 const { router: authRoutes } = require('./routes/auth');
 const documentRoutes = require('./routes/documents');
 const chatRoutes = require('./routes/chat');
+const shareRoutes = require('./routes/shares');
+const commentRoutes = require('./routes/comments');
+const suggestionRoutes = require('./routes/suggestions');
+const searchRoutes = require('./routes/search');
+const workspaceRoutes = require('./routes/workspaces');
+const savedFilterRoutes = require('./routes/savedFilters');
 const socketHandler = require('./socket/socketHandler');
+const { recoverLoggedEdits, drainDocumentStates } = require('./socket/documentState');
+const { startTrashPurge } = require('./utils/trash');
+const { startCompaction } = require('./utils/compaction');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,7 +33,9 @@ app.set('trust proxy', 1);
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL,
-  credentials: true
+  credentials: true,
+  // Lets the frontend name export downloads after the document
+  exposedHeaders: ['Content-Disposition']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -45,10 +57,19 @@ const io = socketIo(server, {
   transports: ['websocket', 'polling']
 });
 
+// Rooms and broadcasts span every instance connected to the same Redis
+io.adapter(createAdapter(redis.redis.duplicate(), redis.redis.duplicate()));
+
 // Routes (after io initialization)
 app.use('/api/auth', authRoutes);
+app.use('/api/documents/:id/shares', shareRoutes(io));
+app.use('/api/documents/:id/comments', commentRoutes(io));
+app.use('/api/documents/:id/suggestions', suggestionRoutes(io));
 app.use('/api/documents', documentRoutes(io));
 app.use('/api/chat', chatRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/workspaces', workspaceRoutes(io));
+app.use('/api/saved-filters', savedFilterRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -99,6 +120,14 @@ server.listen(PORT, async () => {
         // Continue starting the server even if Redis isn't ready
     }
     
+    // Save edits a crashed or killed instance had acknowledged but not saved yet
+    const recovered = await recoverLoggedEdits();
+    if (recovered > 0) {
+      console.log(`♻️ Recovered unsaved edits of ${recovered} document(s)`);
+    }
+
+    startTrashPurge(io);
+    startCompaction();
     console.log(`🚀 Server running on port ${PORT}`);
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -106,21 +135,30 @@ server.listen(PORT, async () => {
   }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
-});
+// Graceful shutdown: stop taking edits, save every batched one, then hand our documents over
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10);
+let shuttingDown = false;
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
-});
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down gracefully`);
+
+  // Whatever is still unsaved by then is in the edit log and replayed on the next start
+  setTimeout(() => {
+    console.error('❌ Shutdown timed out, exiting with unsaved edits left in the edit log');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+
+  server.close();
+  io.local.disconnectSockets(true);
+
+  await drainDocumentStates();
+  console.log('Process terminated');
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = { app, server, io };
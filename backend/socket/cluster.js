@@ -0,0 +1,289 @@
+// Coordination between backend instances sharing one Redis.
+//
+// Each document being edited is owned by one node at a time: the node
+// holding its lease (`lease:doc:<id>`). Only the owner keeps the
+// document's state in memory, sequences its edits and flushes its batches;
+// other nodes forward those calls to it over Redis pub/sub. Leases expire
+// unless renewed, so documents of a node that dies move to whichever node
+// asks for them next.
+
+const { v4: uuidv4 } = require('uuid');
+const { redis } = require('../config/redis');
+
+const NODE_ID = uuidv4();
+const LEASE_TTL = parseInt(process.env.DOCUMENT_LEASE_TTL_MS || '15000', 10);
+const RENEW_INTERVAL = Math.floor(LEASE_TTL / 3);
+const REQUEST_TIMEOUT = parseInt(process.env.CLUSTER_REQUEST_TIMEOUT_MS || '5000', 10);
+
+const nodeChannel = (nodeId) => `cluster:node:${nodeId}`;
+const leaseKey = (documentId) => `lease:doc:${documentId}`;
+
+// Only touch a lease while it still holds our node id
+const RENEW_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+  end
+  return 0
+`;
+const RELEASE_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+// Documents this node holds the lease of
+const leases = new Set();
+
+// Calls other nodes may forward to us, by name
+const handlers = new Map();
+
+// Forwarded calls waiting for an answer, by request id
+const pendingRequests = new Map();
+
+// Called with the id of every document whose lease this node lost
+let onLeaseLost = () => {};
+
+class NotOwnerError extends Error {
+  constructor(documentId) {
+    super(`This node does not own document ${documentId}`);
+    this.code = 'NOT_OWNER';
+  }
+}
+
+/**
+ * Take the lease of a document unless another node holds it. Resolves with
+ * the id of the owning node, ours included. If Redis can't be reached the
+ * node carries on as if it were the only one.
+ */
+async function claimLease(documentId) {
+  if (leases.has(documentId)) {
+    return NODE_ID;
+  }
+
+  try {
+    for (;;) {
+      if (await redis.set(leaseKey(documentId), NODE_ID, 'PX', LEASE_TTL, 'NX') === 'OK') {
+        leases.add(documentId);
+        return NODE_ID;
+      }
+
+      // The lease may expire between the two commands; try to take it again then
+      const owner = await redis.get(leaseKey(documentId));
+      if (owner === NODE_ID) {
+        leases.add(documentId);
+        return NODE_ID;
+      }
+      if (owner) {
+        return owner;
+      }
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not claim the lease of document ${documentId}, editing it locally:`, error.message);
+    return NODE_ID;
+  }
+}
+
+// The node holding a document's lease, or null if nobody does
+async function leaseOwner(documentId) {
+  if (leases.has(documentId)) {
+    return NODE_ID;
+  }
+
+  try {
+    return await redis.get(leaseKey(documentId));
+  } catch (error) {
+    console.warn(`⚠️ Could not look up the owner of document ${documentId}:`, error.message);
+    return null;
+  }
+}
+
+async function releaseLease(documentId) {
+  if (!leases.delete(documentId)) {
+    return;
+  }
+
+  try {
+    await redis.eval(RELEASE_SCRIPT, 1, leaseKey(documentId), NODE_ID);
+  } catch (error) {
+    console.warn(`⚠️ Could not release the lease of document ${documentId}:`, error.message);
+  }
+}
+
+// Extend every lease we hold; a lease that already went to another node is given up
+async function renewLeases() {
+  for (const documentId of [...leases]) {
+    try {
+      const renewed = await redis.eval(RENEW_SCRIPT, 1, leaseKey(documentId), NODE_ID, LEASE_TTL);
+      if (renewed === 0 && leases.delete(documentId)) {
+        console.warn(`⚠️ Lost the lease of document ${documentId} to another node`);
+        await onLeaseLost(documentId);
+      }
+    } catch (error) {
+      // Keep the document while Redis is unreachable; nobody else can take it meanwhile
+      console.warn(`⚠️ Could not renew the lease of document ${documentId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Make `handler` callable from other nodes as `name`. Handlers take the
+ * document id first and must resolve with something JSON can carry.
+ */
+function registerHandler(name, handler) {
+  handlers.set(name, handler);
+}
+
+function callNode(nodeId, name, args) {
+  const id = uuidv4();
+
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(new Error(`Node ${nodeId} did not answer ${name} in time`));
+    }, REQUEST_TIMEOUT);
+    pendingRequests.set(id, { resolve, reject, timeoutId });
+
+    redis.publish(nodeChannel(nodeId), JSON.stringify({ type: 'request', id, from: NODE_ID, name, args }))
+      .catch((error) => {
+        clearTimeout(timeoutId);
+        pendingRequests.delete(id);
+        reject(error);
+      });
+  });
+}
+
+/**
+ * Run a registered call on the node that owns the document, claiming the
+ * document for this node if nobody does. Retries when the lease moved
+ * while the request was on its way.
+ */
+async function callOwner(documentId, name, args) {
+  for (let attempt = 0; ; attempt++) {
+    const owner = await claimLease(documentId);
+    if (owner === NODE_ID) {
+      return handlers.get(name)(documentId, ...args);
+    }
+
+    try {
+      return await callNode(owner, name, [documentId, ...args]);
+    } catch (error) {
+      if (error.code !== 'NOT_OWNER' || attempt >= 2) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Like callOwner, but only if some node owns the document; resolves with
+ * undefined otherwise. For calls such as saving and unloading a document
+ * that mean nothing where it isn't loaded.
+ */
+async function callCurrentOwner(documentId, name, args) {
+  const owner = await leaseOwner(documentId);
+  if (!owner) {
+    return undefined;
+  }
+  if (owner === NODE_ID) {
+    return handlers.get(name)(documentId, ...args);
+  }
+
+  try {
+    return await callNode(owner, name, [documentId, ...args]);
+  } catch (error) {
+    if (error.code === 'NOT_OWNER') {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+async function handleRequest({ id, from, name, args }) {
+  const [documentId] = args;
+  let response;
+  try {
+    // Serve only documents we own (or can take over), so there is never a second copy
+    if (!handlers.has(name)) {
+      throw new Error(`Unknown cluster call ${name}`);
+    }
+    if (await claimLease(documentId) !== NODE_ID) {
+      throw new NotOwnerError(documentId);
+    }
+    const result = await handlers.get(name)(...args);
+    response = { type: 'response', id, result: result === undefined ? null : result };
+  } catch (error) {
+    response = { type: 'response', id, error: { message: error.message, code: error.code } };
+  }
+
+  await redis.publish(nodeChannel(from), JSON.stringify(response));
+}
+
+function handleResponse({ id, result, error }) {
+  const pending = pendingRequests.get(id);
+  if (!pending) return;
+
+  clearTimeout(pending.timeoutId);
+  pendingRequests.delete(id);
+  if (error) {
+    pending.reject(Object.assign(new Error(error.message), { code: error.code }));
+  } else {
+    pending.resolve(result);
+  }
+}
+
+// Messages for this node arrive on its own channel
+const subscriber = redis.duplicate();
+subscriber.on('error', (error) => {
+  console.error('❌ Redis cluster subscriber: Error:', error.message);
+});
+subscriber.subscribe(nodeChannel(NODE_ID)).catch((error) => {
+  console.error('❌ Could not subscribe to the cluster channel:', error.message);
+});
+subscriber.on('message', (channel, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    console.error('Invalid cluster message:', error.message);
+    return;
+  }
+
+  if (message.type === 'request') {
+    handleRequest(message).catch((error) => {
+      console.error('Cluster request error:', error);
+    });
+  } else if (message.type === 'response') {
+    handleResponse(message);
+  }
+});
+
+const renewTimer = setInterval(() => {
+  renewLeases().catch((error) => {
+    console.error('Lease renewal error:', error);
+  });
+}, RENEW_INTERVAL);
+renewTimer.unref();
+
+// Set what happens to a document's state when another node took over its lease
+function setLeaseLostHandler(handler) {
+  onLeaseLost = handler;
+}
+
+// Give up every lease, e.g. on shutdown once all documents are saved
+async function releaseAllLeases() {
+  for (const documentId of [...leases]) {
+    await releaseLease(documentId);
+  }
+}
+
+module.exports = {
+  NODE_ID,
+  claimLease,
+  releaseLease,
+  releaseAllLeases,
+  registerHandler,
+  callOwner,
+  callCurrentOwner,
+  setLeaseLostHandler
+};
@@ -0,0 +1,860 @@
+const db = require('../config/database');
+const { invalidateDocumentCache } = require('../config/redis');
+const cluster = require('./cluster');
+const editLog = require('./editLog');
+const ot = require('../utils/ot');
+const crdt = require('../utils/crdt');
+const richText = require('../utils/richText');
+
+// Site id used for CRDT characters created by the server itself
+const SERVER_SITE = 'server';
+
+// Authoritative content and version of every document currently being edited
+const documentStates = new Map();
+
+// Per-document promise chains so operations are sequenced one at a time
+const documentLocks = new Map();
+
+// Document operation batching
+const operationBatches = new Map();
+const BATCH_DELAY = 1000; // 1 second
+
+// Flushed operations kept in memory for transforming late edits
+const HISTORY_LIMIT = 200;
+
+// Ranges anchored to the text, by kind: comment threads and pending suggestions
+const ANCHORED = {
+  comment: { table: 'comments', where: 'parent_id IS NULL' },
+  suggestion: { table: 'suggestions', where: "status = 'pending'" }
+};
+
+// How a new anchored row of each kind is stored (see anchorRange)
+const anchorSavers = new Map();
+
+// Sends applied edits to the document's room (see setEditBroadcaster)
+let broadcastEdit = () => {};
+
+// An edit that can't be applied as sent; retrying it won't help, the client has to resync
+class EditRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.code = 'EDIT_REJECTED';
+  }
+}
+
+function withDocumentLock(documentId, task) {
+  const previous = documentLocks.get(documentId) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  documentLocks.set(documentId, tail);
+
+  tail.then(() => {
+    if (documentLocks.get(documentId) === tail) {
+      documentLocks.delete(documentId);
+    }
+  });
+
+  return run;
+}
+
+async function loadDocumentState(documentId) {
+  if (documentStates.has(documentId)) {
+    return documentStates.get(documentId);
+  }
+
+  const result = await db.query(
+    'SELECT content, rich_content, content_type, version, sync_mode, crdt_state FROM documents WHERE id = $1',
+    [documentId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  const state = {
+    syncMode: row.sync_mode,
+    contentType: row.content_type,
+    content: row.content || '',
+    version: row.version,
+    flushedVersion: row.version,
+    history: [],
+    crdt: null,
+    rich: null,
+    // Anchored ranges by id ({ kind, start, end }), and those moved since the last flush
+    anchors: new Map(),
+    movedAnchors: new Set()
+  };
+
+  // Rich OT documents keep the formatted delta; Markdown and CRDT documents are plain text
+  if (state.syncMode === 'ot' && state.contentType === 'rich') {
+    state.rich = row.rich_content ? richText.fromModel(row.rich_content) : null;
+    if (!state.rich || richText.toPlainText(state.rich) !== state.content) {
+      state.rich = await rebuildFromSnapshot(documentId, state);
+    }
+    if (!state.rich) {
+      console.warn(`Rich content of document ${documentId} is out of date; rebuilding it from the plain text`);
+      state.rich = richText.fromPlainText(state.content);
+    }
+  }
+
+  // Documents switched to CRDT mode start from their current text
+  if (state.syncMode === 'crdt') {
+    state.crdt = row.crdt_state ? crdt.fromState(row.crdt_state) : crdt.fromText(state.content, SERVER_SITE);
+    state.content = crdt.toText(state.crdt);
+  }
+
+  for (const row of await loadStoredAnchors(documentId)) {
+    state.anchors.set(row.id, { kind: row.kind, start: row.anchor_start, end: row.anchor_end });
+  }
+
+  // Edits that were acknowledged but never flushed, e.g. because the server crashed
+  const logged = await editLog.loggedEditsSince(documentId, state.version);
+  for (const entry of logged) {
+    if (entry.version !== state.version + 1 || !(state.crdt ? entry.update : entry.operation)) {
+      console.error(`Edit log of document ${documentId} does not follow version ${state.version}; ignoring the rest of it`);
+      break;
+    }
+    replayEdit(state, entry);
+    batchDocumentOperation(documentId, entry);
+  }
+  if (operationBatches.has(documentId)) {
+    console.log(`♻️ Replayed ${operationBatches.get(documentId).length} logged edits of document ${documentId}`);
+  }
+
+  documentStates.set(documentId, state);
+  return state;
+}
+
+/**
+ * The formatted text of a rich document at its saved version, rebuilt from
+ * the latest snapshot (see utils/compaction.js) and the operations saved
+ * since. Resolves with null if those don't add up to the saved content,
+ * e.g. because a conversion rewrote the document without operations.
+ */
+async function rebuildFromSnapshot(documentId, state) {
+  const result = await db.query(`
+    SELECT version, content, rich_content FROM document_snapshots
+    WHERE document_id = $1 AND version <= $2
+    ORDER BY version DESC
+    LIMIT 1
+  `, [documentId, state.version]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const snapshot = result.rows[0];
+  const tail = await loadOperations(documentId, snapshot.version, state.version);
+  if (!tail) {
+    return null;
+  }
+
+  try {
+    let rich = snapshot.rich_content ? richText.fromModel(snapshot.rich_content) : richText.fromPlainText(snapshot.content);
+    for (const entry of tail) {
+      rich = richText.apply(rich, entry.operation);
+    }
+    return richText.toPlainText(rich) === state.content ? rich : null;
+  } catch (error) {
+    console.warn(`Could not rebuild document ${documentId} from its snapshot:`, error.message);
+    return null;
+  }
+}
+
+// Re-apply a logged edit to a state being loaded
+function replayEdit(state, entry) {
+  if (state.crdt) {
+    const previousContent = state.content;
+    crdt.applyUpdate(state.crdt, entry.update);
+    state.content = crdt.toText(state.crdt);
+    moveAnchors(state, ot.diff(previousContent, state.content));
+  } else {
+    Object.assign(state, textAfter(state, entry.operation));
+    moveAnchors(state, entry.operation);
+    state.history.push(entry);
+  }
+  state.version = entry.version;
+}
+
+// Rich and plain text after an OT operation, leaving the state as it is
+function textAfter(state, operation) {
+  if (state.rich) {
+    const rich = richText.apply(state.rich, operation);
+    return { rich, content: richText.toPlainText(rich) };
+  }
+  return { rich: null, content: ot.apply(state.content, operation) };
+}
+
+async function loadStoredAnchors(documentId) {
+  const rows = [];
+  for (const [kind, { table, where }] of Object.entries(ANCHORED)) {
+    const result = await db.query(
+      `SELECT id, anchor_start, anchor_end FROM ${table} WHERE document_id = $1 AND ${where}`,
+      [documentId]
+    );
+    rows.push(...result.rows.map(row => ({ ...row, kind })));
+  }
+  return rows;
+}
+
+async function saveAnchors(anchors, client = db) {
+  for (const [kind, { table }] of Object.entries(ANCHORED)) {
+    const moved = anchors.filter(anchor => anchor.kind === kind);
+    if (moved.length === 0) continue;
+
+    await client.query(`
+      UPDATE ${table} t
+      SET anchor_start = a.anchor_start, anchor_end = a.anchor_end
+      FROM unnest($1::uuid[], $2::int[], $3::int[]) AS a(id, anchor_start, anchor_end)
+      WHERE t.id = a.id
+    `, [
+      moved.map(anchor => anchor.id),
+      moved.map(anchor => anchor.start),
+      moved.map(anchor => anchor.end)
+    ]);
+  }
+}
+
+// Keep anchored ranges on the same text as an edit is applied
+function moveAnchors(state, operation) {
+  for (const [id, anchor] of state.anchors) {
+    const moved = ot.transformRange(anchor, operation);
+    if (moved.start !== anchor.start || moved.end !== anchor.end) {
+      state.anchors.set(id, { ...anchor, ...moved });
+      state.movedAnchors.add(id);
+    }
+  }
+}
+
+// Drop old history entries, but never ones that are not in the database yet
+function trimHistory(state) {
+  while (state.history.length > HISTORY_LIMIT && state.history[0].version <= state.flushedVersion) {
+    state.history.shift();
+  }
+}
+
+// Operations applied after `version`, oldest first, or null if they are no longer available
+async function getOperationsSince(documentId, state, version) {
+  if (version >= state.version) {
+    return [];
+  }
+
+  const oldest = state.history[0];
+  if (oldest && oldest.version <= version + 1) {
+    return state.history.filter(entry => entry.version > version);
+  }
+
+  const entries = await loadOperations(documentId, version, state.flushedVersion);
+  if (!entries) {
+    return null;
+  }
+
+  return [...entries, ...state.history.filter(entry => entry.version > state.flushedVersion)];
+}
+
+// Saved operations after `from` up to `to`, oldest first, or null if any were pruned
+async function loadOperations(documentId, from, to) {
+  const result = await db.query(`
+    SELECT version, user_id, client_id, operation_type, position, content, length, attributes
+    FROM document_operations
+    WHERE document_id = $1 AND version > $2 AND version <= $3
+    ORDER BY version ASC, component_index ASC NULLS LAST, position ASC
+  `, [documentId, from, to]);
+
+  const rowsByVersion = new Map();
+  for (const row of result.rows) {
+    if (!rowsByVersion.has(row.version)) {
+      rowsByVersion.set(row.version, []);
+    }
+    rowsByVersion.get(row.version).push(row);
+  }
+
+  const entries = [];
+  for (let v = from + 1; v <= to; v++) {
+    const rows = rowsByVersion.get(v);
+    if (!rows) {
+      return null;
+    }
+    entries.push({
+      version: v,
+      operation: ot.fromRows(rows),
+      userId: rows[0].user_id,
+      clientId: rows[0].client_id
+    });
+  }
+  return entries;
+}
+
+// Batch document operations to avoid database overload
+function batchDocumentOperation(documentId, entry) {
+  if (!operationBatches.has(documentId)) {
+    operationBatches.set(documentId, []);
+  }
+
+  const batch = operationBatches.get(documentId);
+  batch.push(entry);
+
+  // Clear existing timeout and set new one
+  if (batch.timeoutId) {
+    clearTimeout(batch.timeoutId);
+  }
+
+  batch.timeoutId = setTimeout(() => {
+    withDocumentLock(documentId, () => flushDocumentOperations(documentId));
+  }, BATCH_DELAY);
+}
+
+/**
+ * Save the batched edits of a document along with its current content,
+ * then drop them from the edit log. Resolves with false if they could not
+ * be saved; they stay batched for the next flush then. Callers other than
+ * the batch timer should hold the document lock, so a flush never races
+ * another one.
+ */
+async function flushDocumentOperations(documentId) {
+  const batch = operationBatches.get(documentId);
+  const state = documentStates.get(documentId);
+  if (!batch || batch.length === 0 || !state) return true;
+
+  // Every batched operation is already applied to the in-memory state, so this
+  // snapshot matches the last entry of the batch
+  clearTimeout(batch.timeoutId);
+  operationBatches.delete(documentId);
+  const snapshot = {
+    content: state.content,
+    richContent: state.rich ? richText.toModel(state.rich) : null,
+    version: state.version,
+    crdtState: state.crdt ? crdt.toState(state.crdt) : null,
+    anchors: [...state.movedAnchors]
+      .filter(id => state.anchors.has(id))
+      .map(id => ({ id, ...state.anchors.get(id) }))
+  };
+  state.movedAnchors.clear();
+
+  // All or nothing, so a crash halfway never leaves operations that a replay would save twice
+  let client;
+  try {
+    client = await db.getClient();
+    await client.query('BEGIN');
+
+    // Save operations to database (CRDT updates are captured by the state itself)
+    for (const entry of batch) {
+      if (!entry.operation) continue;
+
+      const rows = ot.toRows(entry.operation);
+      for (const [index, row] of rows.entries()) {
+        await client.query(`
+          INSERT INTO document_operations (document_id, user_id, operation_type, position, content, length, version, client_id, attributes, component_index)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `, [
+          documentId,
+          entry.userId,
+          row.type,
+          row.position,
+          row.content,
+          row.length,
+          entry.version,
+          entry.clientId,
+          row.attributes ? JSON.stringify(row.attributes) : null,
+          index
+        ]);
+      }
+    }
+
+    // Update document content and version
+    await client.query(`
+      UPDATE documents
+      SET content = $1, version = $2, crdt_state = COALESCE($3, crdt_state), rich_content = $5, updated_at = NOW()
+      WHERE id = $4 AND version <= $2
+    `, [snapshot.content, snapshot.version, snapshot.crdtState, documentId, snapshot.richContent]);
+
+    await saveAnchors(snapshot.anchors, client);
+
+    // Keep the flushed state as a version that can be viewed and restored later
+    await client.query(`
+      INSERT INTO document_versions (document_id, version, title, content, rich_content, created_by)
+      SELECT id, version, title, content, rich_content, $2 FROM documents WHERE id = $1
+      ON CONFLICT (document_id, version) DO NOTHING
+    `, [documentId, batch[batch.length - 1].userId]);
+
+    await editLog.truncateEditLog(documentId, snapshot.version, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    console.error('Error flushing document operations:', error);
+    await client?.query('ROLLBACK').catch(() => {});
+
+    // Put the edits back in front of any made meanwhile; the edit log still has them
+    const pending = operationBatches.get(documentId) || [];
+    clearTimeout(pending.timeoutId);
+    operationBatches.delete(documentId);
+    for (const entry of [...batch, ...pending]) {
+      batchDocumentOperation(documentId, entry);
+    }
+    snapshot.anchors.forEach(anchor => state.movedAnchors.add(anchor.id));
+    return false;
+  } finally {
+    client?.release();
+  }
+
+  state.flushedVersion = Math.max(state.flushedVersion, snapshot.version);
+  trimHistory(state);
+
+  // Invalidate cache
+  await invalidateDocumentCache(documentId);
+  return true;
+}
+
+// Flush a document once the edit being applied to it, if any, is done
+function flushDocument(documentId) {
+  return withDocumentLock(documentId, () => flushDocumentOperations(documentId));
+}
+
+// Current content and version, plus the operations a client at `sinceVersion` is missing
+function getDocumentSnapshot(documentId, sinceVersion) {
+  return withDocumentLock(documentId, async () => {
+    const state = await loadDocumentState(documentId);
+    if (!state) {
+      return null;
+    }
+
+    let operations = null;
+    if (state.syncMode === 'ot' && Number.isInteger(sinceVersion) && sinceVersion <= state.version) {
+      operations = await getOperationsSince(documentId, state, sinceVersion);
+    }
+
+    return {
+      syncMode: state.syncMode,
+      contentType: state.contentType,
+      content: state.content,
+      richContent: state.rich ? richText.toModel(state.rich) : null,
+      version: state.version,
+      operations,
+      crdtState: state.crdt ? crdt.toState(state.crdt) : null
+    };
+  });
+}
+
+/**
+ * Set `broadcast(documentId, entry, username)`, called for every applied
+ * edit while the document is still locked. Edits are broadcast by the node
+ * that sequenced them, so clients receive versions in order.
+ */
+function setEditBroadcaster(broadcast) {
+  broadcastEdit = broadcast;
+}
+
+/**
+ * Transform an operation made against `version` over everything applied
+ * since, apply it, assign it the next version and broadcast it. Resolves
+ * with the entry, or with the earlier one if the operation was already
+ * applied; rejects with an EditRejectedError if the operation cannot be.
+ */
+function submitOperation(documentId, { version, operation, userId, username, clientId }) {
+  return withDocumentLock(documentId, async () => {
+    const state = await loadDocumentState(documentId);
+    if (!state) {
+      throw new EditRejectedError('Document not found');
+    }
+
+    if (state.syncMode !== 'ot') {
+      throw new EditRejectedError('Document does not use operational transformation');
+    }
+
+    // Formatting only applies to rich text documents
+    const isValid = state.rich
+      ? richText.isValidOperation(operation)
+      : ot.isValidOperation(operation) && operation.every(component => !component.attributes);
+    if (!isValid) {
+      throw new EditRejectedError('Invalid operation');
+    }
+
+    if (!Number.isInteger(version) || version > state.version) {
+      throw new EditRejectedError(`Unknown base version ${version}`);
+    }
+
+    const concurrent = await getOperationsSince(documentId, state, version);
+    if (!concurrent) {
+      throw new EditRejectedError(`Operations since version ${version} are no longer available`);
+    }
+
+    // A client has one operation in flight at a time, so one of its own that it hasn't
+    // seen yet is this one, sent again because its answer got lost
+    const duplicate = clientId && concurrent.find(entry => entry.clientId === clientId);
+    if (duplicate) {
+      return duplicate;
+    }
+
+    let transformed = ot.normalize(operation);
+    for (const entry of concurrent) {
+      transformed = ot.transform(transformed, entry.operation, 'right');
+    }
+
+    return applyOperation(documentId, state, transformed, { userId, username }, clientId);
+  });
+}
+
+// Apply an operation made against the current version; the document lock must be held.
+// It is logged before the state changes, so an operation that can't be logged is rejected.
+async function applyOperation(documentId, state, operation, { userId, username }, clientId) {
+  const text = textAfter(state, operation);
+  const entry = {
+    version: state.version + 1,
+    operation,
+    userId,
+    clientId: clientId || null
+  };
+  await editLog.appendEdit(documentId, entry);
+
+  Object.assign(state, text);
+  moveAnchors(state, operation);
+  state.version = entry.version;
+  state.history.push(entry);
+  trimHistory(state);
+  batchDocumentOperation(documentId, entry);
+  broadcastEdit(documentId, entry, username);
+
+  return entry;
+}
+
+// Apply a text change made by `user` through the server in either sync mode; the document lock must be held
+async function applyServerOperation(documentId, state, operation, user) {
+  if (state.syncMode === 'ot') {
+    return operation.length > 0
+      ? applyOperation(documentId, state, operation, user, null)
+      : { version: state.version, operation, userId: user.userId, clientId: null };
+  }
+
+  const update = crdt.applyTextOperation(state.crdt, SERVER_SITE, operation);
+  const entry = { version: state.version, update, userId: user.userId, clientId: null };
+  if (update.length > 0) {
+    entry.version = state.version + 1;
+    await logCrdtEdit(documentId, entry);
+    state.content = crdt.toText(state.crdt);
+    moveAnchors(state, operation);
+    state.version = entry.version;
+    batchDocumentOperation(documentId, { version: state.version, userId: user.userId, clientId: null });
+    broadcastEdit(documentId, entry, user.username);
+  }
+  return entry;
+}
+
+// CRDT ops are merged before they can be logged. If logging fails, unload the document
+// so the unlogged ops are gone from the next load too, and reject the edit.
+async function logCrdtEdit(documentId, entry) {
+  try {
+    await editLog.appendEdit(documentId, entry);
+  } catch (error) {
+    dropDocumentState(documentId);
+    throw error;
+  }
+}
+
+/**
+ * Merge a CRDT update into a CRDT-mode document and broadcast it. Ops the
+ * server already has are skipped, so clients can safely resend everything
+ * they are unsure about.
+ */
+function submitCrdtUpdate(documentId, { update, userId, username, clientId }) {
+  return withDocumentLock(documentId, async () => {
+    const state = await loadDocumentState(documentId);
+    if (!state) {
+      throw new EditRejectedError('Document not found');
+    }
+
+    if (state.syncMode !== 'crdt') {
+      throw new EditRejectedError('Document does not use CRDT sync');
+    }
+
+    if (!crdt.isValidUpdate(update)) {
+      throw new EditRejectedError('Invalid update');
+    }
+
+    const previousContent = state.content;
+    let applied;
+    try {
+      applied = crdt.applyUpdate(state.crdt, update);
+    } catch (error) {
+      // Ops before the one that failed are merged already; unload so they are gone too
+      dropDocumentState(documentId);
+      throw new EditRejectedError(error.message);
+    }
+    if (applied.length > 0) {
+      await logCrdtEdit(documentId, { version: state.version + 1, update: applied, userId, clientId });
+      state.content = crdt.toText(state.crdt);
+      // CRDT updates carry no offsets, so anchors follow the change in the text
+      moveAnchors(state, ot.diff(previousContent, state.content));
+      state.version += 1;
+      batchDocumentOperation(documentId, { version: state.version, userId, clientId: clientId || null });
+    }
+
+    // Sent back to the author as well, even if nothing was new, so it can stop tracking these ops
+    const entry = {
+      version: state.version,
+      update,
+      userId,
+      clientId: clientId || null
+    };
+    broadcastEdit(documentId, entry, username);
+    return entry;
+  });
+}
+
+// Replace the whole content for `user`, expressed as an operation so concurrent edits
+// survive. `richContent` (a block model) also replaces the formatting; without it,
+// the formatting of unchanged text is kept.
+async function replaceDocumentContent(documentId, content, user, richContent = null) {
+  const snapshot = await getDocumentSnapshot(documentId);
+  if (!snapshot) {
+    throw new Error('Document not found');
+  }
+
+  if (snapshot.syncMode === 'crdt') {
+    return withDocumentLock(documentId, async () => {
+      const state = await loadDocumentState(documentId);
+      return applyServerOperation(documentId, state, ot.diff(state.content, content), user);
+    });
+  }
+
+  const operation = richContent && snapshot.richContent
+    ? richText.diff(richText.fromModel(snapshot.richContent), richText.fromModel(richContent))
+    : ot.diff(snapshot.content, content);
+  if (operation.length === 0) {
+    return { version: snapshot.version, operation, userId: user.userId, clientId: null };
+  }
+
+  return submitOperation(documentId, { version: snapshot.version, operation, ...user });
+}
+
+/**
+ * Set how rows of an anchored `kind` are stored: `save(range, text, data)`
+ * inserts the row for a range and resolves with it. Savers are registered
+ * by name because anchorRange may run on another node.
+ */
+function defineAnchorSaver(kind, save) {
+  anchorSavers.set(kind, save);
+}
+
+/**
+ * Anchor a new comment thread or suggestion (`kind`) to a range a client
+ * selected at `version`. The range is moved through every edit applied
+ * since, then the kind's saver stores the row with `data` while no edit can
+ * slip in between; it gets the text the range covers now. Resolves with
+ * `{ row, version }`, where row is what the saver returned and version the
+ * one its anchor belongs to, or with null if the selected text is gone or
+ * the saver returned nothing.
+ */
+function anchorRange(documentId, kind, { start, end, version }, data) {
+  return withDocumentLock(documentId, async () => {
+    const state = await loadDocumentState(documentId);
+    if (!state) {
+      return null;
+    }
+
+    let range = { start, end };
+    // CRDT clients keep no shared history, so their offsets are taken as they are
+    if (state.syncMode === 'ot') {
+      if (!Number.isInteger(version) || version > state.version) {
+        return null;
+      }
+      const concurrent = await getOperationsSince(documentId, state, version);
+      if (!concurrent) {
+        return null;
+      }
+      for (const entry of concurrent) {
+        range = ot.transformRange(range, entry.operation);
+      }
+    }
+
+    const collapsed = range.start === range.end && start !== end;
+    if (collapsed || range.start > range.end || range.end > state.content.length) {
+      return null;
+    }
+
+    // Stored anchors must match the saved content, which edits replayed from the log start from
+    if (!(await flushDocumentOperations(documentId))) {
+      throw new Error('Could not save pending edits');
+    }
+
+    const row = await anchorSavers.get(kind)(range, state.content.slice(range.start, range.end), data);
+    if (!row) {
+      return null;
+    }
+    state.anchors.set(row.id, { kind, ...range });
+    return { row, version: state.version };
+  });
+}
+
+// Current anchors of a document as [id, anchor] pairs, and the version they belong to
+function getAnchors(documentId) {
+  return withDocumentLock(documentId, async () => {
+    const state = await loadDocumentState(documentId);
+    if (!state) {
+      return null;
+    }
+    return { version: state.version, anchors: [...state.anchors] };
+  });
+}
+
+// Stop moving the anchor of a deleted comment thread or a settled suggestion
+function forgetAnchor(documentId, id) {
+  return withDocumentLock(documentId, async () => {
+    const state = documentStates.get(documentId);
+    if (state) {
+      state.anchors.delete(id);
+      state.movedAnchors.delete(id);
+    }
+  });
+}
+
+/**
+ * Accept a suggestion for `user`: replace the text its anchor covers now
+ * with `text` and broadcast the edit. Resolves with the entry, or null if
+ * the suggestion is not pending in this document.
+ */
+function acceptSuggestion(documentId, suggestionId, text, user) {
+  return withDocumentLock(documentId, async () => {
+    const state = await loadDocumentState(documentId);
+    const anchor = state?.anchors.get(suggestionId);
+    if (!anchor || anchor.kind !== 'suggestion') {
+      return null;
+    }
+
+    state.anchors.delete(suggestionId);
+    state.movedAnchors.delete(suggestionId);
+    const operation = ot.normalize([
+      { retain: anchor.start },
+      { delete: anchor.end - anchor.start },
+      { insert: text }
+    ]);
+    return applyServerOperation(documentId, state, operation, user);
+  });
+}
+
+// Move the stored anchors of a document that is not loaded, e.g. one rewritten by a conversion
+async function moveStoredAnchors(documentId, operation) {
+  const moved = [];
+  for (const row of await loadStoredAnchors(documentId)) {
+    const range = ot.transformRange({ start: row.anchor_start, end: row.anchor_end }, operation);
+    moved.push({ id: row.id, kind: row.kind, ...range });
+  }
+  await saveAnchors(moved);
+}
+
+// Persist and forget a document nobody is editing any more, letting another node take it.
+// A document whose edits could not be saved stays loaded.
+function releaseDocumentState(documentId) {
+  return withDocumentLock(documentId, async () => {
+    if (!(await flushDocumentOperations(documentId))) {
+      throw new Error(`Could not save document ${documentId}`);
+    }
+    documentStates.delete(documentId);
+    await cluster.releaseLease(documentId);
+  });
+}
+
+// Save logged edits of a document nobody had loaded since, e.g. after a crash
+function recoverDocument(documentId) {
+  return withDocumentLock(documentId, async () => {
+    const loaded = documentStates.has(documentId);
+    if (!(await loadDocumentState(documentId)) || !(await flushDocumentOperations(documentId))) {
+      return false;
+    }
+    if (!loaded) {
+      documentStates.delete(documentId);
+      await cluster.releaseLease(documentId);
+    }
+    return true;
+  });
+}
+
+/**
+ * Replay and save every document with edits left in the log, each on the
+ * node that owns it or on this one if nobody does. Run at startup; resolves
+ * with the number of documents recovered.
+ */
+async function recoverLoggedEdits() {
+  let recovered = 0;
+  for (const documentId of await editLog.documentsWithLoggedEdits()) {
+    try {
+      if (await recoverDocumentOnOwner(documentId)) {
+        recovered++;
+      }
+    } catch (error) {
+      console.error(`Error recovering logged edits of document ${documentId}:`, error);
+    }
+  }
+  return recovered;
+}
+
+// Save and unload every document this node has loaded, e.g. before shutting down.
+// Edits that still can't be saved stay in the log for whoever loads the document next.
+async function drainDocumentStates() {
+  for (const documentId of [...documentStates.keys()]) {
+    try {
+      await releaseDocumentState(documentId);
+    } catch (error) {
+      console.error('Error draining document state:', error);
+    }
+  }
+  await cluster.releaseAllLeases();
+}
+
+function dropDocumentState(documentId) {
+  const batch = operationBatches.get(documentId);
+  if (batch) {
+    clearTimeout(batch.timeoutId);
+    operationBatches.delete(documentId);
+  }
+  documentStates.delete(documentId);
+}
+
+// Forget a document without saving, e.g. after it was deleted
+function discardDocumentState(documentId) {
+  return withDocumentLock(documentId, async () => {
+    dropDocumentState(documentId);
+    await cluster.releaseLease(documentId);
+  });
+}
+
+// Another node owns the document now and sequences its edits from what is in the
+// database; it replays whatever this node hadn't flushed yet from the edit log
+cluster.setLeaseLostHandler((documentId) => withDocumentLock(documentId, async () => {
+  dropDocumentState(documentId);
+}));
+
+// Calls that need the document's state run on the node that owns it (see cluster.js)
+const onOwner = (name, handler) => {
+  cluster.registerHandler(name, handler);
+  return (documentId, ...args) => cluster.callOwner(documentId, name, args);
+};
+
+// Saving and unloading only concern the node that has the document loaded, if any
+const onCurrentOwner = (name, handler) => {
+  cluster.registerHandler(name, handler);
+  return (documentId, ...args) => cluster.callCurrentOwner(documentId, name, args);
+};
+
+const getAnchorsOnOwner = onOwner('getAnchors', getAnchors);
+const recoverDocumentOnOwner = onOwner('recoverDocument', recoverDocument);
+
+module.exports = {
+  getDocumentSnapshot: onOwner('getDocumentSnapshot', getDocumentSnapshot),
+  submitOperation: onOwner('submitOperation', submitOperation),
+  submitCrdtUpdate: onOwner('submitCrdtUpdate', submitCrdtUpdate),
+  replaceDocumentContent: onOwner('replaceDocumentContent', replaceDocumentContent),
+  anchorRange: onOwner('anchorRange', anchorRange),
+  getAnchors: async (documentId) => {
+    const current = await getAnchorsOnOwner(documentId);
+    return current && { version: current.version, anchors: new Map(current.anchors) };
+  },
+  forgetAnchor: onCurrentOwner('forgetAnchor', forgetAnchor),
+  acceptSuggestion: onOwner('acceptSuggestion', acceptSuggestion),
+  defineAnchorSaver,
+  setEditBroadcaster,
+  moveStoredAnchors,
+  flushDocumentOperations: onCurrentOwner('flushDocumentOperations', flushDocument),
+  recoverLoggedEdits,
+  drainDocumentStates,
+  releaseDocumentState: onCurrentOwner('releaseDocumentState', releaseDocumentState),
+  discardDocumentState: onCurrentOwner('discardDocumentState', discardDocumentState)
+};
@@ -0,0 +1,64 @@
+// Write-ahead log of document edits.
+//
+// Edits are applied to the in-memory document state right away but only
+// written to the document itself in batches (see flushDocumentOperations).
+// To survive a crash in between, every edit is appended here before it is
+// broadcast, which is what acknowledges it to its author. Whoever loads the
+// document next replays the entries newer than its saved version, and a
+// flush removes the entries it saved.
+
+const db = require('../config/database');
+
+// Append an applied edit: an OT `operation` or the CRDT ops it `update`d
+async function appendEdit(documentId, { version, operation, update, userId, clientId }) {
+  await db.query(`
+    INSERT INTO document_edit_log (document_id, version, operation, crdt_update, user_id, client_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    documentId,
+    version,
+    operation ? JSON.stringify(operation) : null,
+    update ? JSON.stringify(update) : null,
+    userId || null,
+    clientId || null
+  ]);
+}
+
+// Logged edits newer than `version`, oldest first
+async function loggedEditsSince(documentId, version) {
+  const result = await db.query(`
+    SELECT version, operation, crdt_update, user_id, client_id
+    FROM document_edit_log
+    WHERE document_id = $1 AND version > $2
+    ORDER BY version ASC, id ASC
+  `, [documentId, version]);
+
+  return result.rows.map(row => ({
+    version: row.version,
+    operation: row.operation,
+    update: row.crdt_update,
+    userId: row.user_id,
+    clientId: row.client_id
+  }));
+}
+
+// Drop the entries a flush has saved, i.e. those up to `version`, in its transaction
+async function truncateEditLog(documentId, version, client = db) {
+  await client.query(
+    'DELETE FROM document_edit_log WHERE document_id = $1 AND version <= $2',
+    [documentId, version]
+  );
+}
+
+// Documents with logged edits that may not have been saved yet
+async function documentsWithLoggedEdits() {
+  const result = await db.query('SELECT DISTINCT document_id FROM document_edit_log');
+  return result.rows.map(row => row.document_id);
+}
+
+module.exports = {
+  appendEdit,
+  loggedEditsSince,
+  truncateEditLog,
+  documentsWithLoggedEdits
+};
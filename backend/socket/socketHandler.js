@@ -1,4 +1,3 @@
-const jwt = require('jsonwebtoken');
 const db = require('../config/database');
 const { 
   addUserToDocument, 
@@ -11,11 +10,25 @@ const {
   removeActiveUser,
   getActiveUsers,
   setTypingIndicator,
-  getTypingIndicators,
-  invalidateDocumentCache
+  getTypingIndicators
 } = require('../config/redis');
-
-// Store active connections
+const {
+  getDocumentSnapshot,
+  submitOperation,
+  submitCrdtUpdate,
+  releaseDocumentState,
+  setEditBroadcaster
+} = require('./documentState');
+const { hasRole, userRoom, getDocumentAccess, emitToDocumentMembers } = require('../utils/permissions');
+const { verifyAccessToken, sessionRoom, setRevocationHandler } = require('../utils/sessions');
+const {
+  formatSuggestion,
+  validateChange,
+  saveSuggestion,
+  withdrawSuggestion
+} = require('../utils/suggestions');
+
+// Sockets connected to this node; other nodes keep their own
 const activeConnections = new Map();
 
 // Function to broadcast document updates to all users
@@ -29,7 +42,7 @@ async function broadcastDocumentUpdate(documentId, io) {
     
     // Get document basic info
     const docResult = await db.query(`
-      SELECT d.id, d.title, d.content, d.created_at, d.updated_at, d.version, d.created_by,
+      SELECT d.id, d.title, d.content, d.created_at, d.updated_at, d.version, d.sync_mode, d.created_by,
              u.username as created_by_username,
              COUNT(cm.id) as chat_message_count
       FROM documents d
@@ -48,6 +61,7 @@ async function broadcastDocumentUpdate(documentId, io) {
         createdAt: doc.created_at,
         updatedAt: doc.updated_at,
         version: doc.version,
+        syncMode: doc.sync_mode,
         createdBy: doc.created_by,
         createdByUsername: doc.created_by_username,
         chatMessageCount: parseInt(doc.chat_message_count),
@@ -55,8 +69,8 @@ async function broadcastDocumentUpdate(documentId, io) {
       };
 
       console.log(`📤 Broadcasting documentUpdated event:`, updatedDocument);
-      // Broadcast to all connected users
-      io.emit('documentUpdated', updatedDocument);
+      // Broadcast to everyone who has access to the document
+      await emitToDocumentMembers(io, documentId, 'documentUpdated', updatedDocument);
     } else {
       console.log(`❌ Document ${documentId} not found in database`);
     }
@@ -65,63 +79,58 @@ async function broadcastDocumentUpdate(documentId, io) {
   }
 }
 
-// Document operation batching
-const operationBatches = new Map();
-const BATCH_DELAY = 1000; // 1 second
+// Send the authoritative document state to a single socket, with the operations
+// it missed if it says which version it has. `missedOperations` is null when they
+// have been compacted away, and the client starts over from the state sent.
+async function sendDocumentSync(socket, documentId, sinceVersion) {
+  const document = await db.query('SELECT * FROM documents WHERE id = $1', [documentId]);
+  const snapshot = await getDocumentSnapshot(documentId, sinceVersion);
 
-// Batch document operations to avoid database overload
-function batchDocumentOperation(documentId, operation) {
-  if (!operationBatches.has(documentId)) {
-    operationBatches.set(documentId, []);
+  if (document.rows.length === 0 || !snapshot) {
+    socket.emit('error', { message: 'Document not found' });
+    return;
   }
-  
-  operationBatches.get(documentId).push(operation);
-  
-  // Clear existing timeout and set new one
-  if (operationBatches.get(documentId).timeoutId) {
-    clearTimeout(operationBatches.get(documentId).timeoutId);
+
+  // Get current presence and cursors
+  const presence = await getDocumentPresence(documentId);
+  const cursors = await getAllCursors(documentId);
+
+  socket.emit('documentSync', {
+    document: {
+      ...document.rows[0],
+      content: snapshot.content,
+      rich_content: snapshot.richContent,
+      version: snapshot.version,
+      crdt_state: snapshot.crdtState
+    },
+    missedOperations: snapshot.operations,
+    presence,
+    cursors
+  });
+}
+
+// Save and unload a document once the last editor on any node has left its room
+async function releaseDocumentIfIdle(io, documentId) {
+  const sockets = await io.in(documentId).allSockets();
+  if (sockets.size === 0) {
+    await releaseDocumentState(documentId);
   }
-  
-  operationBatches.get(documentId).timeoutId = setTimeout(async () => {
-    await flushDocumentOperations(documentId);
-  }, BATCH_DELAY);
 }
 
-async function flushDocumentOperations(documentId) {
-  const operations = operationBatches.get(documentId);
-  if (!operations || operations.length === 0) return;
-  
-  try {
-    // Save operations to database
-    for (const operation of operations) {
-      await db.query(`
-        INSERT INTO document_operations (document_id, user_id, operation_type, position, content, length)
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [
-        operation.documentId,
-        operation.userId,
-        operation.type,
-        operation.position,
-        operation.content,
-        operation.length
-      ]);
-    }
-    
-    // Update document content and version
-    await db.query(`
-      UPDATE documents 
-      SET content = $1, version = version + 1, updated_at = NOW() 
-      WHERE id = $2
-    `, [operations[operations.length - 1].finalContent, documentId]);
-    
-    // Clear the batch
-    operationBatches.delete(documentId);
-    
-    // Invalidate cache
-    await invalidateDocumentCache(documentId);
-  } catch (error) {
-    console.error('Error flushing document operations:', error);
+// Check the socket's role on a document, telling the client when it falls short
+async function ensureDocumentRole(socket, documentId, required, action) {
+  const access = await getDocumentAccess(documentId, socket.userId);
+  if (access && !access.deleted && hasRole(access.role, required)) {
+    return true;
   }
+
+  socket.emit('permissionDenied', {
+    documentId,
+    action,
+    role: access?.role || null,
+    message: `You need ${required} access to ${action}`
+  });
+  return false;
 }
 
 // Middleware to authenticate socket connections
@@ -133,9 +142,11 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication token required'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Rejects expired tokens and sessions revoked by logout
+    const decoded = await verifyAccessToken(token);
     socket.userId = decoded.userId;
     socket.username = decoded.username;
+    socket.sessionId = decoded.sid;
     next();
   } catch (error) {
     next(new Error('Invalid authentication token'));
@@ -146,8 +157,31 @@ module.exports = (io) => {
   // Apply authentication middleware
   io.use(authenticateSocket);
 
+  // Everyone in the room gets each applied edit, the author included, who treats it as confirmation.
+  // Edits are sent from the node that owns the document, wherever they were made
+  setEditBroadcaster((documentId, entry, username) => {
+    io.to(documentId).emit('documentEdit', {
+      documentId,
+      userId: entry.userId,
+      username,
+      clientId: entry.clientId,
+      version: entry.version,
+      operation: entry.operation,
+      update: entry.update
+    });
+  });
+
+  // A revoked session, e.g. after logout, loses its open connections on every node
+  setRevocationHandler((sessionId) => {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  });
+
   io.on('connection', async (socket) => {
     console.log(`👤 User ${socket.username} connected (${socket.id})`);
+
+    // Lets routes reach all of a user's connections, e.g. when their role changes
+    socket.join(userRoom(socket.userId));
+    socket.join(sessionRoom(socket.sessionId));
     
     // Add to active users
     await addActiveUser(socket.userId, socket.username);
@@ -164,11 +198,23 @@ module.exports = (io) => {
     // Join document room
     socket.on('joinDocument', async (data) => {
       try {
-        const { documentId } = data;
+        const { documentId, version } = data;
+
+        const access = await getDocumentAccess(documentId, socket.userId);
+        if (!access || access.deleted) {
+          socket.emit('error', { message: 'Document not found' });
+          return;
+        }
+        if (!access.role) {
+          socket.emit('error', { message: 'You do not have access to this document' });
+          return;
+        }
         
         // Leave previous document room if any
-        if (activeConnections.get(socket.id)?.currentDocument) {
-          await socket.leave(activeConnections.get(socket.id).currentDocument);
+        const previousDocument = activeConnections.get(socket.id)?.currentDocument;
+        if (previousDocument && previousDocument !== documentId) {
+          await socket.leave(previousDocument);
+          await releaseDocumentIfIdle(io, previousDocument);
         }
 
         // Join new document room
@@ -187,11 +233,26 @@ module.exports = (io) => {
         const presence = await getDocumentPresence(documentId);
         const cursors = await getAllCursors(documentId);
 
+        // Authoritative content, plus anything a rejoining client missed since its version
+        const snapshot = await getDocumentSnapshot(documentId, version);
+        if (!snapshot) {
+          socket.emit('error', { message: 'Document not found' });
+          return;
+        }
+
         // Send current state to the joining user
         socket.emit('documentJoined', {
           documentId,
+          role: access.role,
           presence,
-          cursors
+          cursors,
+          syncMode: snapshot.syncMode,
+          contentType: snapshot.contentType,
+          content: snapshot.content,
+          richContent: snapshot.richContent,
+          version: snapshot.version,
+          operations: snapshot.operations,
+          crdtState: snapshot.crdtState
         });
 
         // Notify others in the document
@@ -232,6 +293,8 @@ module.exports = (io) => {
           username: socket.username
         });
 
+        await releaseDocumentIfIdle(io, documentId);
+
         // Broadcast document update to all users
         await broadcastDocumentUpdate(documentId, io);
 
@@ -243,56 +306,156 @@ module.exports = (io) => {
 
     // Handle document editing
     socket.on('documentEdit', async (data) => {
+      const { documentId, operation, update, version, clientId, seq, title } = data;
+      const connection = activeConnections.get(socket.id);
+
+      if (!connection || connection.currentDocument !== documentId) {
+        return;
+      }
+
+      // Content edits are answered with the version they got, or why they didn't get one
+      const nack = (reason, retryable) => {
+        if (operation?.type !== 'title') {
+          socket.emit('editNack', { documentId, seq, reason, retryable });
+        }
+      };
+
       try {
-        const { documentId, operation, content, title } = data;
-        const connection = activeConnections.get(socket.id);
-        
-        if (!connection || connection.currentDocument !== documentId) {
+        if (!await ensureDocumentRole(socket, documentId, 'editor', 'edit this document')) {
+          // The client drops whatever it has queued and resyncs
+          nack('You can no longer edit this document', false);
           return;
         }
+      } catch (error) {
+        console.error('Document edit error:', error);
+        nack('The edit could not be saved', true);
+        return;
+      }
 
-        // Handle title changes
-        if (operation.type === 'title' && title) {
-          await db.query('UPDATE documents SET title = $1, updated_at = NOW() WHERE id = $2', [title, documentId]);
-          console.log(`📝 Title changed by ${socket.username} in document ${documentId}: "${title}"`);
-        } else {
-          // Batch the operation for content changes
-          batchDocumentOperation(documentId, {
-            documentId,
+      // Handle title changes
+      if (operation?.type === 'title') {
+        try {
+          if (title) {
+            await db.query('UPDATE documents SET title = $1, updated_at = NOW() WHERE id = $2', [title, documentId]);
+            console.log(`📝 Title changed by ${socket.username} in document ${documentId}: "${title}"`);
+          }
+
+          socket.to(documentId).emit('documentEdit', {
             userId: socket.userId,
-            type: operation.type,
-            position: operation.position,
-            content: operation.content,
-            length: operation.length,
-            finalContent: content
+            username: socket.username,
+            operation,
+            title
           });
+        } catch (error) {
+          console.error('Document edit error:', error);
+          socket.emit('error', { message: 'Failed to process document edit' });
         }
+        return;
+      }
 
-        // Broadcast to other users in the document
-        socket.to(documentId).emit('documentEdit', {
-          userId: socket.userId,
-          username: socket.username,
-          operation,
-          content,
-          title
-        });
+      try {
+        // CRDT documents merge updates without transforming them; OT operations are
+        // transformed against concurrent edits and get the next version. Either is
+        // logged and broadcast by the node that applied it, see setEditBroadcaster above.
+        const entry = update
+          ? await submitCrdtUpdate(documentId, {
+            update,
+            userId: socket.userId,
+            username: socket.username,
+            clientId
+          })
+          : await submitOperation(documentId, {
+            version,
+            operation,
+            userId: socket.userId,
+            username: socket.username,
+            clientId
+          });
 
+        socket.emit('editAck', { documentId, seq, version: entry.version });
       } catch (error) {
         console.error('Document edit error:', error);
-        socket.emit('error', { message: 'Failed to process document edit' });
+        // Rejected edits can't be reconciled with the document, so the client resyncs;
+        // anything else (a database or another node failing) is worth retrying
+        if (error.code === 'EDIT_REJECTED') {
+          nack(error.message, false);
+        } else {
+          nack('The edit could not be saved', true);
+        }
       }
     });
 
-    // Handle cursor movement
+    // Record or extend a suggested edit instead of applying it
+    socket.on('suggestChange', async (data) => {
+      const { documentId, suggestionId, start, end, text, version } = data || {};
+      const connection = activeConnections.get(socket.id);
+
+      if (!connection || connection.currentDocument !== documentId) {
+        return;
+      }
+
+      try {
+        if (!await ensureDocumentRole(socket, documentId, 'commenter', 'suggest changes')) {
+          return;
+        }
+
+        const changeError = validateChange({ suggestionId, start, end, text });
+        if (changeError) {
+          socket.emit('suggestionError', { documentId, suggestionId, message: changeError });
+          return;
+        }
+
+        // A suggestion typed and then erased again is withdrawn
+        if (start === end && text === '') {
+          if (await withdrawSuggestion(documentId, socket.userId, suggestionId)) {
+            io.to(documentId).emit('suggestionRemoved', {
+              documentId,
+              suggestionId,
+              status: 'withdrawn',
+              userId: socket.userId
+            });
+          }
+          return;
+        }
+
+        const saved = await saveSuggestion(documentId, socket.userId, { suggestionId, start, end, text, version });
+        if (!saved) {
+          socket.emit('suggestionError', {
+            documentId,
+            suggestionId,
+            message: 'The text you were changing has been edited; your suggestion was not saved'
+          });
+          return;
+        }
+
+        // Sent back to the author as well: anchors only mean something with their version
+        io.to(documentId).emit('suggestionUpdated', {
+          documentId,
+          suggestion: formatSuggestion({ ...saved.row, username: socket.username }),
+          version: saved.version
+        });
+      } catch (error) {
+        console.error('Suggest change error:', error);
+        socket.emit('suggestionError', { documentId, suggestionId, message: 'Failed to save suggestion' });
+      }
+    });
+
+    // Handle cursor movement: a selection as text offsets at the sender's document version
     socket.on('cursorMove', async (data) => {
       try {
-        const { documentId, cursor } = data;
+        const { documentId } = data;
         const connection = activeConnections.get(socket.id);
-        
+
         if (!connection || connection.currentDocument !== documentId) {
           return;
         }
 
+        const { start, end, version } = data.cursor || {};
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+          return;
+        }
+        const cursor = { start, end, version: Number.isInteger(version) ? version : null };
+
         // Store cursor in Redis
         await setUserCursor(documentId, socket.userId, {
           ...cursor,
@@ -326,6 +489,10 @@ module.exports = (io) => {
           return;
         }
 
+        if (!await ensureDocumentRole(socket, documentId, 'commenter', 'send chat messages')) {
+          return;
+        }
+
         // Save message to database
         const newMessage = await db.query(`
           INSERT INTO chat_messages (document_id, user_id, username, message)
@@ -389,6 +556,10 @@ module.exports = (io) => {
           return;
         }
 
+        if (!await ensureDocumentRole(socket, documentId, 'editor', 'rename this document')) {
+          return;
+        }
+
         // Update document title in database
         await db.query('UPDATE documents SET title = $1, updated_at = NOW() WHERE id = $2', [title, documentId]);
 
@@ -410,39 +581,14 @@ module.exports = (io) => {
     // Handle document sync request
     socket.on('syncDocument', async (data) => {
       try {
-        const { documentId } = data;
+        const { documentId, version } = data;
         const connection = activeConnections.get(socket.id);
         
         if (!connection || connection.currentDocument !== documentId) {
           return;
         }
 
-        // Get latest document content
-        const document = await db.query('SELECT * FROM documents WHERE id = $1', [documentId]);
-        
-        if (document.rows.length === 0) {
-          socket.emit('error', { message: 'Document not found' });
-          return;
-        }
-
-        // Get recent operations
-        const operations = await db.query(`
-          SELECT * FROM document_operations 
-          WHERE document_id = $1 
-          ORDER BY created_at DESC 
-          LIMIT 100
-        `, [documentId]);
-
-        // Get current presence and cursors
-        const presence = await getDocumentPresence(documentId);
-        const cursors = await getAllCursors(documentId);
-
-        socket.emit('documentSync', {
-          document: document.rows[0],
-          operations: operations.rows.reverse(), // Oldest first
-          presence,
-          cursors
-        });
+        await sendDocumentSync(socket, documentId, version);
 
       } catch (error) {
         console.error('Document sync error:', error);
@@ -470,6 +616,8 @@ module.exports = (io) => {
               username: socket.username
             });
 
+            await releaseDocumentIfIdle(io, connection.currentDocument);
+
             // Broadcast document update to all users
             await broadcastDocumentUpdate(connection.currentDocument, io);
           }
@@ -487,23 +635,4 @@ module.exports = (io) => {
       }
     });
   });
-
-  // Graceful shutdown - flush all pending operations
-  process.on('SIGTERM', async () => {
-    console.log('Flushing pending document operations...');
-    for (const [documentId, operations] of operationBatches) {
-      if (operations.length > 0) {
-        await flushDocumentOperations(documentId);
-      }
-    }
-  });
-
-  process.on('SIGINT', async () => {
-    console.log('Flushing pending document operations...');
-    for (const [documentId, operations] of operationBatches) {
-      if (operations.length > 0) {
-        await flushDocumentOperations(documentId);
-      }
-    }
-  });
 };
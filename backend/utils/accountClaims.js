@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// Accounts created by the old username-only login have no password. Their
+// owners set one with a one-time claim token that an administrator issues
+// out of band (scripts/issue-claim-token.js); registering with the same
+// username is refused, so nobody can take such an account over.
+const CLAIM_TOKEN_TTL_HOURS = parseInt(process.env.CLAIM_TOKEN_TTL_HOURS || '72', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a claim token for a legacy account, replacing any earlier one.
+ * Resolves with the token, or null when the user doesn't exist or already
+ * has a password or a single sign-on identity.
+ */
+async function issueClaimToken(username) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const result = await db.query(`
+    UPDATE users
+    SET claim_token_hash = $1, claim_token_expires_at = NOW() + make_interval(hours => $2)
+    WHERE username = $3 AND password_hash IS NULL AND oidc_subject IS NULL
+    RETURNING id
+  `, [hashToken(token), CLAIM_TOKEN_TTL_HOURS, username]);
+
+  return result.rows.length > 0 ? token : null;
+}
+
+/**
+ * Set the password of a legacy account with its claim token, which is used
+ * up. Resolves with the user, or null when the token doesn't match or has
+ * expired.
+ */
+async function claimAccount(username, token, passwordHash) {
+  if (typeof token !== 'string' || token.length === 0) {
+    return null;
+  }
+
+  const result = await db.query(`
+    UPDATE users
+    SET password_hash = $1, claim_token_hash = NULL, claim_token_expires_at = NULL
+    WHERE username = $2 AND claim_token_hash = $3 AND claim_token_expires_at > NOW()
+      AND password_hash IS NULL AND oidc_subject IS NULL
+    RETURNING *
+  `, [passwordHash, username, hashToken(token)]);
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  issueClaimToken,
+  claimAccount
+};
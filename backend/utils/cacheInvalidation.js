@@ -0,0 +1,68 @@
+// Per-process caches (sessions, document roles) are only kept for a few
+// seconds, but a revoked session or a removed member must not keep access
+// on the other instances for that long. Invalidations are applied here right
+// away and published over Redis so every instance drops the same entries.
+
+const { redis } = require('../config/redis');
+
+const CHANNEL = 'cache:invalidate';
+
+// What each cache does with an invalidation, by cache name
+const handlers = new Map();
+
+function onInvalidate(cache, handler) {
+  handlers.set(cache, handler);
+}
+
+function apply(cache, args) {
+  const handler = handlers.get(cache);
+  if (handler) {
+    handler(...args);
+  }
+}
+
+// Drop entries of a cache on this instance and on every other one
+function invalidate(cache, ...args) {
+  apply(cache, args);
+  redis.publish(CHANNEL, JSON.stringify({ cache, args })).catch((error) => {
+    console.error('Could not publish cache invalidation:', error.message);
+  });
+}
+
+const subscriber = redis.duplicate();
+subscriber.on('error', (error) => {
+  console.error('❌ Redis cache subscriber: Error:', error.message);
+});
+subscriber.subscribe(CHANNEL).catch((error) => {
+  console.error('❌ Could not subscribe to cache invalidations:', error.message);
+});
+subscriber.on('message', (channel, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    console.error('Invalid cache invalidation:', error.message);
+    return;
+  }
+  apply(message.cache, message.args || []);
+});
+
+// Remove entries past their `expiresAt` every `interval` ms; entries read only
+// once would otherwise stay for the life of the process
+function sweepExpired(cache, interval) {
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of cache) {
+      if (entry.expiresAt <= now) {
+        cache.delete(key);
+      }
+    }
+  }, interval);
+  timer.unref();
+}
+
+module.exports = {
+  onInvalidate,
+  invalidate,
+  sweepExpired
+};
@@ -0,0 +1,127 @@
+// Snapshots and operation log compaction.
+//
+// Every saved edit leaves rows in document_operations. A background job
+// snapshots each document once COMPACTION_SNAPSHOT_OPS versions have
+// accumulated since its last snapshot, or COMPACTION_SNAPSHOT_MINUTES after
+// it if anything changed. Operations up to the latest snapshot are pruned
+// once they are older than OPERATION_RETENTION_DAYS, so clients that were
+// offline for less than that can still have their edits rebased; older
+// ones start over from the current state.
+
+const db = require('../config/database');
+
+const COMPACTION_INTERVAL_MINUTES = parseInt(process.env.COMPACTION_INTERVAL_MINUTES || '10', 10);
+const COMPACTION_SNAPSHOT_OPS = parseInt(process.env.COMPACTION_SNAPSHOT_OPS || '500', 10);
+const COMPACTION_SNAPSHOT_MINUTES = parseInt(process.env.COMPACTION_SNAPSHOT_MINUTES || '60', 10);
+const OPERATION_RETENTION_DAYS = parseInt(process.env.OPERATION_RETENTION_DAYS || '7', 10);
+// Rows are handled in batches so one run never holds a long transaction
+const SNAPSHOT_BATCH_SIZE = 100;
+const PRUNE_BATCH_SIZE = 5000;
+
+/**
+ * Snapshot the saved state of every document that is due. Snapshots are
+ * taken from the documents table, which a flush updates in the same
+ * transaction as the operations, so a snapshot always matches them.
+ * Returns how many were taken.
+ */
+async function snapshotDocuments() {
+  let taken = 0;
+  while (true) {
+    const snapshots = await db.query(`
+      INSERT INTO document_snapshots (document_id, version, content, rich_content, crdt_state)
+      SELECT d.id, d.version, COALESCE(d.content, ''), d.rich_content, d.crdt_state
+      FROM documents d
+      LEFT JOIN LATERAL (
+        SELECT version, created_at FROM document_snapshots s
+        WHERE s.document_id = d.id
+        ORDER BY version DESC
+        LIMIT 1
+      ) latest ON TRUE
+      WHERE d.deleted_at IS NULL
+        AND d.version > COALESCE(latest.version, 0)
+        AND (
+          d.version - COALESCE(latest.version, 0) >= $1
+          OR COALESCE(latest.created_at, d.created_at) < NOW() - make_interval(mins => $2)
+        )
+      LIMIT $3
+      ON CONFLICT (document_id, version) DO NOTHING
+      RETURNING document_id
+    `, [COMPACTION_SNAPSHOT_OPS, COMPACTION_SNAPSHOT_MINUTES, SNAPSHOT_BATCH_SIZE]);
+
+    taken += snapshots.rows.length;
+    if (snapshots.rows.length < SNAPSHOT_BATCH_SIZE) return taken;
+  }
+}
+
+/**
+ * Delete operations covered by their document's latest snapshot and older
+ * than the retention period, then snapshots superseded by a newer one.
+ * Returns how many operation rows were deleted.
+ */
+async function pruneOperations() {
+  let pruned = 0;
+  while (true) {
+    const deleted = await db.query(`
+      DELETE FROM document_operations
+      WHERE id IN (
+        SELECT o.id
+        FROM document_operations o
+        JOIN (
+          SELECT document_id, MAX(version) AS version FROM document_snapshots GROUP BY document_id
+        ) latest ON latest.document_id = o.document_id
+        WHERE (o.version IS NULL OR o.version <= latest.version)
+          AND o.created_at < NOW() - make_interval(days => $1)
+        LIMIT $2
+      )
+    `, [OPERATION_RETENTION_DAYS, PRUNE_BATCH_SIZE]);
+
+    pruned += deleted.rowCount;
+    if (deleted.rowCount < PRUNE_BATCH_SIZE) break;
+  }
+
+  await db.query(`
+    DELETE FROM document_snapshots s
+    WHERE EXISTS (
+      SELECT 1 FROM document_snapshots newer
+      WHERE newer.document_id = s.document_id AND newer.version > s.version
+    )
+  `);
+
+  return pruned;
+}
+
+// The version of a document's latest snapshot, or null if it has none
+async function latestSnapshotVersion(documentId) {
+  const result = await db.query(
+    'SELECT MAX(version) AS version FROM document_snapshots WHERE document_id = $1',
+    [documentId]
+  );
+  return result.rows[0].version;
+}
+
+// Compact now and then every COMPACTION_INTERVAL_MINUTES; returns the timer
+function startCompaction() {
+  const run = async () => {
+    try {
+      const taken = await snapshotDocuments();
+      const pruned = await pruneOperations();
+      if (taken > 0 || pruned > 0) {
+        console.log(`🗜️ Took ${taken} document snapshot(s) and pruned ${pruned} operation(s)`);
+      }
+    } catch (error) {
+      console.error('Compaction error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, COMPACTION_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  snapshotDocuments,
+  pruneOperations,
+  latestSnapshotVersion,
+  startCompaction
+};
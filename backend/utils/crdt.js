@@ -0,0 +1,193 @@
+// Sequence CRDT (RGA) for plain-text documents.
+//
+// Every character ever inserted keeps a unique id `${clock}@${site}` and stays
+// in the sequence as a tombstone once deleted, so replicas that apply the same
+// set of updates in any causal order end up with the same text. An update is
+// an array of ops:
+//   { type: 'insert', id, after, value }  place `value` (one character) right after
+//                                          the character `after` (null = start)
+//   { type: 'delete', id }                 hide the character `id`
+// Applying an op twice has no effect, which makes resending after a reconnect safe.
+
+function parseId(id) {
+  const separator = id.indexOf('@');
+  return { clock: parseInt(id.slice(0, separator), 10), site: id.slice(separator + 1) };
+}
+
+// Later inserts sort first among siblings; ties are broken by site
+function compareIds(a, b) {
+  const left = parseId(a);
+  const right = parseId(b);
+  if (left.clock !== right.clock) return left.clock - right.clock;
+  if (left.site === right.site) return 0;
+  return left.site > right.site ? 1 : -1;
+}
+
+function createDocument() {
+  return { clock: 0, items: [], byId: new Map() };
+}
+
+function fromState(state) {
+  const doc = createDocument();
+  if (!state) return doc;
+
+  doc.clock = state.clock || 0;
+  for (const [id, value, deleted] of state.items || []) {
+    const item = { id, value, deleted: Boolean(deleted) };
+    doc.items.push(item);
+    doc.byId.set(id, item);
+  }
+  return doc;
+}
+
+function toState(doc) {
+  return {
+    clock: doc.clock,
+    items: doc.items.map(item => [item.id, item.value, item.deleted ? 1 : 0])
+  };
+}
+
+function toText(doc) {
+  let text = '';
+  for (const item of doc.items) {
+    if (!item.deleted) text += item.value;
+  }
+  return text;
+}
+
+function isValidUpdate(update) {
+  if (!Array.isArray(update)) return false;
+
+  return update.every((op) => {
+    if (!op || typeof op.id !== 'string' || !/^\d+@.+$/.test(op.id)) return false;
+    if (op.type === 'delete') return true;
+    return op.type === 'insert' &&
+      typeof op.value === 'string' && op.value.length === 1 &&
+      (op.after === null || typeof op.after === 'string');
+  });
+}
+
+// Whether an op is already reflected in the document
+function hasOp(doc, op) {
+  const item = doc.byId.get(op.id);
+  if (op.type === 'insert') return Boolean(item);
+  return Boolean(item && item.deleted);
+}
+
+function integrateInsert(doc, op) {
+  let index = 0;
+  if (op.after !== null) {
+    const origin = doc.byId.get(op.after);
+    if (!origin) {
+      throw new Error(`Unknown character ${op.after}`);
+    }
+    index = doc.items.indexOf(origin) + 1;
+  }
+
+  // Skip concurrent inserts at the same spot that sort before this one, along with their descendants
+  while (index < doc.items.length && compareIds(doc.items[index].id, op.id) > 0) {
+    index += 1;
+  }
+
+  const item = { id: op.id, value: op.value, deleted: false };
+  doc.items.splice(index, 0, item);
+  doc.byId.set(op.id, item);
+  doc.clock = Math.max(doc.clock, parseId(op.id).clock);
+}
+
+// Apply an update and return the ops that actually changed something
+function applyUpdate(doc, update) {
+  const applied = [];
+
+  for (const op of update) {
+    if (hasOp(doc, op)) continue;
+
+    if (op.type === 'insert') {
+      integrateInsert(doc, op);
+    } else {
+      const item = doc.byId.get(op.id);
+      if (!item) {
+        throw new Error(`Unknown character ${op.id}`);
+      }
+      item.deleted = true;
+    }
+    applied.push(op);
+  }
+
+  return applied;
+}
+
+// Id of the visible character just before `index`, or null at the start
+function idBefore(doc, index) {
+  if (index === 0) return null;
+
+  let visible = 0;
+  for (const item of doc.items) {
+    if (item.deleted) continue;
+    visible += 1;
+    if (visible === index) return item.id;
+  }
+  throw new Error(`Index ${index} is out of range`);
+}
+
+function visibleIdsFrom(doc, index, length) {
+  const ids = [];
+  let visible = 0;
+  for (const item of doc.items) {
+    if (item.deleted) continue;
+    if (visible >= index && ids.length < length) ids.push(item.id);
+    visible += 1;
+  }
+  return ids;
+}
+
+/**
+ * Turn a text operation (see utils/ot.js) made by `site` into CRDT ops,
+ * apply them and return them as an update to send to other replicas.
+ */
+function applyTextOperation(doc, site, operation) {
+  const update = [];
+  let index = 0;
+
+  for (const component of operation) {
+    if (typeof component.retain === 'number') {
+      index += component.retain;
+    } else if (typeof component.insert === 'string') {
+      let after = idBefore(doc, index);
+      for (const value of component.insert.split('')) {
+        doc.clock += 1;
+        const op = { type: 'insert', id: `${doc.clock}@${site}`, after, value };
+        integrateInsert(doc, op);
+        update.push(op);
+        after = op.id;
+      }
+      index += component.insert.length;
+    } else {
+      for (const id of visibleIdsFrom(doc, index, component.delete)) {
+        const op = { type: 'delete', id };
+        doc.byId.get(id).deleted = true;
+        update.push(op);
+      }
+    }
+  }
+
+  return update;
+}
+
+function fromText(text, site) {
+  const doc = createDocument();
+  applyTextOperation(doc, site, text.length > 0 ? [{ insert: text }] : []);
+  return doc;
+}
+
+module.exports = {
+  createDocument,
+  fromState,
+  toState,
+  toText,
+  fromText,
+  isValidUpdate,
+  hasOp,
+  applyUpdate,
+  applyTextOperation
+};
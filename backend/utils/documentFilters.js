@@ -0,0 +1,187 @@
+// Filters for the document list. The same parser checks query parameters of
+// GET /api/documents and the filter combinations users save, so a saved
+// filter always replays as the request it was made from.
+
+const { UUID_PATTERN } = require('./permissions');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.-]*$/u;
+const RELATIVE_DATE_PATTERN = /^(\d{1,4})d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// ORDER BY clauses; `favorite` is a column of the list query
+const DOCUMENT_SORTS = {
+  updated: 'd.updated_at DESC',
+  created: 'd.created_at DESC',
+  title: 'LOWER(d.title) ASC, d.updated_at DESC',
+  favorites: 'favorite DESC, d.updated_at DESC'
+};
+
+// Filters that can be saved; the workspace, folder and trash come from the sidebar instead
+const SAVED_FILTER_KEYS = ['tags', 'author', 'updatedSince', 'shared', 'favorites', 'sort'];
+
+// Lowercase, single-spaced form of a tag, or null if it isn't a valid tag
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const normalized = tag.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (normalized.length === 0 || normalized.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(normalized)) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Normalize a list of tags (or a comma-separated string of them),
+ * dropping duplicates. Returns { tags } or { error }.
+ */
+function normalizeTags(input) {
+  const list = typeof input === 'string' ? input.split(',') : input;
+  if (!Array.isArray(list)) {
+    return { error: 'Tags must be a list' };
+  }
+
+  const tags = [];
+  for (const tag of list) {
+    if (typeof tag === 'string' && tag.trim() === '') continue;
+    const normalized = normalizeTag(tag);
+    if (!normalized) {
+      return { error: `Tags must be up to ${MAX_TAG_LENGTH} letters, digits, spaces, dots, dashes or underscores` };
+    }
+    if (!tags.includes(normalized)) tags.push(normalized);
+  }
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `A document can have at most ${MAX_TAGS} tags` };
+  }
+  return { tags };
+}
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * Check list filters given as query parameters or a saved filter object.
+ * `tag` or `tags` is a list or comma-separated string (documents must have
+ * all of them), `author` a user id, `updatedSince` a date or a number of
+ * days such as "7d", `shared`, `favorites` and `trash` booleans, `sort`
+ * one of DOCUMENT_SORTS, `workspaceId` an id or "personal" and `folderId`
+ * an id or "root". Returns { filters } or { error }.
+ */
+function parseDocumentFilters(input = {}) {
+  const filters = {
+    tags: [],
+    author: null,
+    updatedSince: null,
+    shared: isTrue(input.shared),
+    favorites: isTrue(input.favorites),
+    trash: isTrue(input.trash),
+    sort: input.sort || 'updated',
+    workspaceId: input.workspaceId || null,
+    folderId: input.folderId || null
+  };
+
+  const tagInput = input.tags !== undefined ? input.tags : input.tag;
+  if (tagInput !== undefined && tagInput !== null) {
+    const { tags, error } = normalizeTags(tagInput);
+    if (error) return { error };
+    filters.tags = tags;
+  }
+
+  if (input.author) {
+    if (!UUID_PATTERN.test(input.author)) {
+      return { error: 'author must be a user id' };
+    }
+    filters.author = input.author;
+  }
+
+  if (input.updatedSince) {
+    const since = String(input.updatedSince);
+    if (!RELATIVE_DATE_PATTERN.test(since) && !(DATE_PATTERN.test(since) && !Number.isNaN(Date.parse(since)))) {
+      return { error: 'updatedSince must be a date or a number of days such as "7d"' };
+    }
+    filters.updatedSince = since;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(DOCUMENT_SORTS, filters.sort)) {
+    return { error: `sort must be one of: ${Object.keys(DOCUMENT_SORTS).join(', ')}` };
+  }
+
+  if (filters.workspaceId && filters.workspaceId !== 'personal' && !UUID_PATTERN.test(filters.workspaceId)) {
+    return { error: 'workspaceId must be a workspace id or "personal"' };
+  }
+
+  if (filters.folderId && filters.folderId !== 'root' && !UUID_PATTERN.test(filters.folderId)) {
+    return { error: 'folderId must be a folder id or "root"' };
+  }
+
+  return { filters };
+}
+
+/**
+ * WHERE conditions and ORDER BY clause for parsed filters. Values are
+ * appended to `params`, whose $1 must be the user listing documents; the
+ * query must alias documents as `d`, the user's accessible documents as `a`
+ * and LEFT JOIN the user's favorites as `f`.
+ */
+function documentFilterSql(filters, params) {
+  // The trash holds the documents the user could restore, most recently deleted first
+  const where = filters.trash ? ['d.deleted_at IS NOT NULL', "a.role = 'owner'"] : ['d.deleted_at IS NULL'];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.workspaceId === 'personal') {
+    where.push('d.workspace_id IS NULL');
+  } else if (filters.workspaceId) {
+    where.push(`d.workspace_id = ${param(filters.workspaceId)}`);
+  }
+
+  if (filters.folderId === 'root') {
+    where.push('d.folder_id IS NULL');
+  } else if (filters.folderId) {
+    where.push(`d.folder_id = ${param(filters.folderId)}`);
+  }
+
+  if (filters.tags.length > 0) {
+    where.push(`d.id IN (
+      SELECT document_id FROM document_tags
+      WHERE tag = ANY(${param(filters.tags)})
+      GROUP BY document_id
+      HAVING COUNT(*) = ${param(filters.tags.length)}
+    )`);
+  }
+
+  if (filters.author) {
+    where.push(`d.created_by = ${param(filters.author)}`);
+  }
+
+  if (filters.updatedSince) {
+    const relative = RELATIVE_DATE_PATTERN.exec(filters.updatedSince);
+    where.push(relative
+      ? `d.updated_at >= NOW() - make_interval(days => ${param(parseInt(relative[1], 10))})`
+      : `d.updated_at >= ${param(filters.updatedSince)}`);
+  }
+
+  // Shared with me: anything the user didn't create themselves
+  if (filters.shared) {
+    where.push('d.created_by IS DISTINCT FROM $1');
+  }
+
+  if (filters.favorites) {
+    where.push('f.user_id IS NOT NULL');
+  }
+
+  return {
+    where: `WHERE ${where.join(' AND ')}`,
+    orderBy: filters.trash ? 'd.deleted_at DESC' : DOCUMENT_SORTS[filters.sort]
+  };
+}
+
+module.exports = {
+  DOCUMENT_SORTS,
+  SAVED_FILTER_KEYS,
+  normalizeTags,
+  parseDocumentFilters,
+  documentFilterSql
+};
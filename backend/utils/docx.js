@@ -0,0 +1,191 @@
+// DOCX (Office Open XML) export of the rich text block model (richText.js).
+// Blocks map onto built-in Word styles, inline marks onto run properties
+// and links onto external hyperlink relationships.
+
+const { createZip } = require('./zip');
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const BLOCK_STYLES = {
+  h1: 'Heading1',
+  h2: 'Heading2',
+  h3: 'Heading3',
+  quote: 'Quote',
+  code: 'Code',
+  bullet: 'ListParagraph',
+  ordered: 'ListParagraph'
+};
+
+const BULLET_NUMBERING = 1;
+
+// Escape text for XML, dropping control characters XML doesn't allow
+const escapeXml = (text) => String(text)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+function runXml(text, marks = {}) {
+  const properties = [];
+  if (marks.link) properties.push('<w:rStyle w:val="Hyperlink"/>');
+  if (marks.code) properties.push('<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>');
+  if (marks.bold) properties.push('<w:b/>');
+  if (marks.italic) properties.push('<w:i/>');
+  if (marks.strike) properties.push('<w:strike/>');
+  if (marks.underline) properties.push('<w:u w:val="single"/>');
+
+  // Tabs are elements of their own in WordprocessingML
+  const content = text.split('\t')
+    .map(part => part ? `<w:t xml:space="preserve">${escapeXml(part)}</w:t>` : '')
+    .join('<w:tab/>');
+  const rPr = properties.length > 0 ? `<w:rPr>${properties.join('')}</w:rPr>` : '';
+  return `<w:r>${rPr}${content}</w:r>`;
+}
+
+function paragraphXml(runs, { style, numId } = {}) {
+  const properties = [];
+  if (style) properties.push(`<w:pStyle w:val="${style}"/>`);
+  if (numId) properties.push(`<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>`);
+  const pPr = properties.length > 0 ? `<w:pPr>${properties.join('')}</w:pPr>` : '';
+  return `<w:p>${pPr}${runs.join('')}</w:p>`;
+}
+
+/**
+ * Build a .docx file for a document.
+ *   title: shown as the document title and stored in its properties
+ *   model: rich text block model
+ *   chat:  optional [{ username, message, createdAt }] appended as a transcript
+ */
+function toDocx({ title, model, chat }) {
+  const links = [];
+  // Every numbered list starts counting from 1 again, so each gets its own numbering instance
+  const orderedLists = [];
+  const paragraphs = [paragraphXml([runXml(title)], { style: 'Title' })];
+
+  const linkId = (href) => {
+    links.push(href);
+    return `rIdLink${links.length}`;
+  };
+
+  let previousType = null;
+  for (const block of (model && model.blocks) || []) {
+    const runs = (block.runs || []).map(({ text, marks = {} }) => (marks.link
+      ? `<w:hyperlink r:id="${linkId(marks.link)}">${runXml(text, marks)}</w:hyperlink>`
+      : runXml(text, marks)
+    ));
+
+    let numId;
+    if (block.type === 'bullet') {
+      numId = BULLET_NUMBERING;
+    } else if (block.type === 'ordered') {
+      if (previousType !== 'ordered') orderedLists.push(BULLET_NUMBERING + orderedLists.length + 1);
+      numId = orderedLists[orderedLists.length - 1];
+    }
+    paragraphs.push(paragraphXml(runs, { style: BLOCK_STYLES[block.type], numId }));
+    previousType = block.type;
+  }
+
+  if (chat && chat.length > 0) {
+    paragraphs.push(paragraphXml([runXml('Chat')], { style: 'Heading1' }));
+    for (const message of chat) {
+      const sent = new Date(message.createdAt).toISOString().replace('T', ' ').slice(0, 16);
+      paragraphs.push(paragraphXml([
+        runXml(message.username || 'Unknown', { bold: true }),
+        runXml(` · ${sent} UTC`, { italic: true })
+      ], { style: 'ChatMeta' }));
+      paragraphs.push(paragraphXml(message.message.split('\n').map((line, index) =>
+        (index > 0 ? '<w:r><w:br/></w:r>' : '') + runXml(line)
+      )));
+    }
+  }
+
+  const document = `${XML_HEADER}<w:document xmlns:w="${W_NS}" xmlns:r="${R_NS}"><w:body>${paragraphs.join('')}` +
+    '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>' +
+    '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/>' +
+    '</w:sectPr></w:body></w:document>';
+
+  const numbering = `${XML_HEADER}<w:numbering xmlns:w="${W_NS}">` +
+    '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/>' +
+    '<w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>' +
+    '<w:abstractNum w:abstractNumId="1"><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/>' +
+    '<w:lvlText w:val="%1."/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>' +
+    `<w:num w:numId="${BULLET_NUMBERING}"><w:abstractNumId w:val="0"/></w:num>` +
+    orderedLists.map(numId =>
+      `<w:num w:numId="${numId}"><w:abstractNumId w:val="1"/>` +
+      '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>'
+    ).join('') +
+    '</w:numbering>';
+
+  const documentRels = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    `<Relationship Id="rIdStyles" Type="${R_NS}/styles" Target="styles.xml"/>` +
+    `<Relationship Id="rIdNumbering" Type="${R_NS}/numbering" Target="numbering.xml"/>` +
+    links.map((href, index) =>
+      `<Relationship Id="rIdLink${index + 1}" Type="${R_NS}/hyperlink" Target="${escapeXml(href)}" TargetMode="External"/>`
+    ).join('') +
+    '</Relationships>';
+
+  const core = `${XML_HEADER}<cp:coreProperties ` +
+    'xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<dc:title>${escapeXml(title)}</dc:title>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>` +
+    '</cp:coreProperties>';
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: PACKAGE_RELS },
+    { name: 'docProps/core.xml', data: core },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/styles.xml', data: STYLES },
+    { name: 'word/numbering.xml', data: numbering },
+    { name: 'word/_rels/document.xml.rels', data: documentRels }
+  ]);
+}
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+  '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+  '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+  '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+  '</Types>';
+
+const PACKAGE_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  `<Relationship Id="rId1" Type="${R_NS}/officeDocument" Target="word/document.xml"/>` +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+  '</Relationships>';
+
+const paragraphStyle = (id, name, { basedOn = 'Normal', next = 'Normal', pPr = '', rPr = '' } = {}) =>
+  `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/>` +
+  `<w:basedOn w:val="${basedOn}"/><w:next w:val="${next}"/><w:qFormat/>` +
+  `<w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`;
+
+const STYLES = `${XML_HEADER}<w:styles xmlns:w="${W_NS}">` +
+  '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/>' +
+  '<w:sz w:val="22"/></w:rPr></w:rPrDefault>' +
+  '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+  '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+  paragraphStyle('Title', 'Title', { pPr: '<w:spacing w:after="240"/>', rPr: '<w:b/><w:sz w:val="48"/>' }) +
+  paragraphStyle('Heading1', 'heading 1', { pPr: '<w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="0"/>', rPr: '<w:b/><w:sz w:val="36"/>' }) +
+  paragraphStyle('Heading2', 'heading 2', { pPr: '<w:keepNext/><w:spacing w:before="200"/><w:outlineLvl w:val="1"/>', rPr: '<w:b/><w:sz w:val="30"/>' }) +
+  paragraphStyle('Heading3', 'heading 3', { pPr: '<w:keepNext/><w:spacing w:before="160"/><w:outlineLvl w:val="2"/>', rPr: '<w:b/><w:sz w:val="26"/>' }) +
+  paragraphStyle('Quote', 'Quote', {
+    pPr: '<w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="C5CAE9"/></w:pBdr><w:ind w:left="360"/>',
+    rPr: '<w:color w:val="555555"/>'
+  }) +
+  paragraphStyle('Code', 'Code', {
+    next: 'Code',
+    pPr: '<w:shd w:val="clear" w:color="auto" w:fill="F6F8FA"/><w:spacing w:after="0"/>',
+    rPr: '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="20"/>'
+  }) +
+  paragraphStyle('ListParagraph', 'List Paragraph', { next: 'ListParagraph', pPr: '<w:spacing w:after="60"/>' }) +
+  paragraphStyle('ChatMeta', 'Chat Sender', { pPr: '<w:keepNext/><w:spacing w:before="120" w:after="0"/>', rPr: '<w:color w:val="6C757D"/>' }) +
+  '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/>' +
+  '<w:rPr><w:color w:val="667EEA"/><w:u w:val="single"/></w:rPr></w:style>' +
+  '</w:styles>';
+
+module.exports = {
+  toDocx
+};
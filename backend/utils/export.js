@@ -0,0 +1,141 @@
+// Document export. Every format is generated here in-process from the
+// document's current content, so exporting needs no external service.
+
+const richText = require('./richText');
+const markdown = require('./markdown');
+const { toPdf } = require('./pdf');
+const { toDocx } = require('./docx');
+
+const EXPORT_FORMATS = {
+  md: { mimeType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { mimeType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  txt: { mimeType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const HTML_STYLE = `
+body { max-width: 760px; margin: 40px auto; padding: 0 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #2c3e50; }
+h1, h2, h3 { line-height: 1.25; }
+blockquote { margin: 0 0 16px; padding-left: 14px; border-left: 3px solid #c5cae9; color: #555; }
+pre, code { font-family: 'SF Mono', Consolas, monospace; background: #f6f8fa; border-radius: 4px; }
+pre { padding: 12px; overflow-x: auto; }
+code { padding: 1px 4px; }
+pre code { padding: 0; }
+a { color: #667eea; }
+.chat { margin-top: 48px; border-top: 1px solid #e9ecef; }
+.chat .meta { font-size: 12px; color: #6c757d; margin-bottom: 2px; }
+.chat p { margin: 0 0 12px; white-space: pre-wrap; }
+`;
+
+const sentAt = (message) => new Date(message.createdAt).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+
+// Block model of any document; CRDT documents have no formatting, so every line is a paragraph
+function modelOf(document) {
+  if (document.contentType === 'markdown') {
+    return markdown.toRichModel(document.content);
+  }
+  return document.richContent || richText.toModel(richText.fromPlainText(document.content));
+}
+
+function toMarkdown(document, chat) {
+  const body = document.contentType === 'markdown'
+    ? document.content
+    : markdown.fromRichModel(modelOf(document));
+  const parts = [`# ${document.title}`, body];
+
+  if (chat.length > 0) {
+    const transcript = chat.map(message =>
+      `**${message.username || 'Unknown'}** · ${sentAt(message)}\n\n${message.message}`
+    );
+    parts.push('---', '## Chat', ...transcript);
+  }
+  return parts.join('\n\n') + '\n';
+}
+
+function toHtml(document, chat) {
+  const title = markdown.escapeHtml(document.title);
+  const body = document.contentType === 'markdown'
+    ? markdown.renderHtml(document.content)
+    : richText.toHtml(modelOf(document));
+
+  let transcript = '';
+  if (chat.length > 0) {
+    const messages = chat.map(message =>
+      `<div class="meta"><strong>${markdown.escapeHtml(message.username || 'Unknown')}</strong> · ${sentAt(message)}</div>\n` +
+      `<p>${markdown.escapeHtml(message.message)}</p>`
+    );
+    transcript = `\n<section class="chat">\n<h2>Chat</h2>\n${messages.join('\n')}\n</section>`;
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${title}</h1>
+${body}${transcript}
+</body>
+</html>
+`;
+}
+
+function toText(document, chat) {
+  const parts = [document.title, '='.repeat(Math.max(document.title.length, 3)), '', document.content];
+
+  if (chat.length > 0) {
+    parts.push('', '', 'Chat', '----');
+    for (const message of chat) {
+      parts.push(`[${sentAt(message)}] ${message.username || 'Unknown'}: ${message.message}`);
+    }
+  }
+  return parts.join('\n') + '\n';
+}
+
+/**
+ * Render a document in one of EXPORT_FORMATS.
+ *   document: { title, contentType, content, richContent } as in a snapshot
+ *   chat:     [{ username, message, createdAt }] to append, oldest first
+ * Returns { body, mimeType, extension }, where body is a string or Buffer.
+ */
+function exportDocument(document, format, chat = []) {
+  const { mimeType, extension } = EXPORT_FORMATS[format];
+
+  let body;
+  switch (format) {
+    case 'md':
+      body = toMarkdown(document, chat);
+      break;
+    case 'html':
+      body = toHtml(document, chat);
+      break;
+    case 'pdf':
+      body = toPdf({ title: document.title, model: modelOf(document), chat });
+      break;
+    case 'docx':
+      body = toDocx({ title: document.title, model: modelOf(document), chat });
+      break;
+    default:
+      body = toText(document, chat);
+  }
+
+  return { body, mimeType, extension };
+}
+
+// A file name safe for Content-Disposition; the full title goes in filename*
+function exportFileName(title, extension) {
+  const base = title.replace(/[^\w\- .]+/g, '').replace(/\s+/g, ' ').trim().slice(0, 100) || 'document';
+  return {
+    ascii: `${base}.${extension}`,
+    encoded: `${encodeURIComponent(title.trim() || 'document')}.${extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportDocument,
+  exportFileName
+};
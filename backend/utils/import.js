@@ -0,0 +1,453 @@
+// Document import. Uploaded files are converted in-process into the
+// content of a new document: Markdown stays Markdown, and HTML, DOCX and
+// plain text become rich text through the block model (richText.js).
+// Formatting the model can't hold (tables, images, colours, nesting) is
+// flattened or dropped.
+
+const path = require('path');
+const richText = require('./richText');
+const { readZip } = require('./zip');
+
+const IMPORT_FORMATS = {
+  '.md': 'md',
+  '.markdown': 'md',
+  '.txt': 'txt',
+  '.text': 'txt',
+  '.html': 'html',
+  '.htm': 'html',
+  '.docx': 'docx'
+};
+
+const MIME_FORMATS = {
+  'text/markdown': 'md',
+  'text/x-markdown': 'md',
+  'text/plain': 'txt',
+  'text/html': 'html',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+// Text of an uploaded file, honouring a byte order mark
+function decodeText(data) {
+  if (data[0] === 0xff && data[1] === 0xfe) return data.toString('utf16le', 2);
+  if (data[0] === 0xfe && data[1] === 0xff) return Buffer.from(data.subarray(2)).swap16().toString('utf16le');
+  const text = data.toString('utf8');
+  return (text.charCodeAt(0) === 0xfeff ? text.slice(1) : text).replace(/\r\n?/g, '\n');
+}
+
+// Builds a block model one piece of text at a time
+class ModelBuilder {
+  constructor() {
+    this.blocks = [];
+    this.current = null;
+  }
+
+  // Add text to the current block, starting one of `type` if there is none
+  text(text, type, marks = {}) {
+    if (!this.current) {
+      this.current = { type, runs: [] };
+    }
+    const runs = this.current.runs;
+    const last = runs[runs.length - 1];
+    const hasMarks = Object.keys(marks).length > 0;
+    if (last && JSON.stringify(last.marks || {}) === JSON.stringify(marks)) {
+      last.text += text;
+    } else if (text) {
+      runs.push(hasMarks ? { text, marks: { ...marks } } : { text });
+    }
+  }
+
+  get atBlockStart() {
+    return !this.current || this.current.runs.every(run => !run.text);
+  }
+
+  get endsWithSpace() {
+    const runs = this.current ? this.current.runs : [];
+    return runs.length > 0 && /\s$/.test(runs[runs.length - 1].text);
+  }
+
+  // Finish the current block; empty blocks are dropped unless `keepEmpty`
+  end(keepEmpty = false) {
+    if (this.current) {
+      const runs = this.current.runs;
+      if (this.current.type !== 'code' && runs.length > 0) {
+        runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/\s+$/, '');
+      }
+      this.current.runs = runs.filter(run => run.text);
+      if (this.current.runs.length > 0 || keepEmpty) {
+        this.blocks.push(this.current);
+      }
+    } else if (keepEmpty) {
+      this.blocks.push({ type: 'paragraph', runs: [] });
+    }
+    this.current = null;
+  }
+
+  model() {
+    this.end();
+    return { blocks: this.blocks.length > 0 ? this.blocks : [{ type: 'paragraph', runs: [] }] };
+  }
+}
+
+const HTML_SKIPPED = ['head', 'script', 'style', 'template', 'noscript', 'svg', 'math', 'iframe', 'object'];
+const HTML_BLOCKS = [
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'nav', 'aside', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'li', 'ul', 'ol', 'blockquote', 'pre', 'table', 'tr', 'td', 'th', 'hr', 'figure', 'figcaption', 'dl', 'dt', 'dd',
+  'address', 'body', 'html'
+];
+const HTML_MARKS = {
+  b: { bold: true }, strong: { bold: true }, i: { italic: true }, em: { italic: true }, u: { underline: true },
+  ins: { underline: true }, s: { strike: true }, strike: { strike: true }, del: { strike: true },
+  code: { code: true }, kbd: { code: true }, samp: { code: true }, tt: { code: true }
+};
+const HTML_VOID = ['br', 'hr', 'img', 'input', 'meta', 'link', 'col', 'area', 'base', 'embed', 'source', 'wbr'];
+
+const htmlAttribute = (attributes, name) => {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+};
+
+/**
+ * Block model of an HTML page: headings, paragraphs, lists, quotes,
+ * preformatted code and inline marks and links; everything else is read
+ * as paragraphs of text. Returns { title, model }, title coming from
+ * <title> (null without one).
+ */
+function htmlToModel(html) {
+  const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() || null : null;
+
+  const builder = new ModelBuilder();
+  const lists = [];
+  const marks = [];
+  let heading = null;
+  let quoteDepth = 0;
+  let preDepth = 0;
+  let skipping = null;
+  let preStart = false;
+
+  const blockType = () => {
+    if (preDepth > 0) return 'code';
+    if (heading) return heading;
+    if (quoteDepth > 0) return 'quote';
+    if (lists.length > 0) return lists[lists.length - 1] === 'ol' ? 'ordered' : 'bullet';
+    return 'paragraph';
+  };
+  const currentMarks = () => Object.assign({}, ...marks.map(entry => entry.marks));
+
+  const token = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+|<)/g;
+  let match;
+  while ((match = token.exec(html)) !== null) {
+    const [, closing, rawTag, attributes = '', rawText] = match;
+    const tag = rawTag ? rawTag.toLowerCase() : null;
+
+    if (skipping) {
+      if (closing && tag === skipping) skipping = null;
+      continue;
+    }
+
+    if (rawText !== undefined) {
+      let text = decodeEntities(rawText);
+      if (preDepth > 0) {
+        // A line break straight after <pre> is not part of its content
+        if (preStart && text[0] === '\n') text = text.slice(1);
+        preStart = false;
+        text.split('\n').forEach((line, index) => {
+          if (index > 0) builder.end(true);
+          builder.text(line, 'code', {});
+        });
+        continue;
+      }
+      text = text.replace(/\s+/g, ' ');
+      if (builder.atBlockStart || builder.endsWithSpace) text = text.replace(/^ /, '');
+      if (text) builder.text(text, blockType(), currentMarks());
+      continue;
+    }
+    if (!tag) continue;
+
+    if (!closing && HTML_SKIPPED.includes(tag) && !attributes.trim().endsWith('/')) {
+      skipping = tag;
+      continue;
+    }
+
+    if (tag === 'br') {
+      if (preDepth > 0) {
+        builder.text('', 'code');
+        builder.end(true);
+      } else {
+        builder.end();
+      }
+      continue;
+    }
+
+    if (HTML_BLOCKS.includes(tag)) {
+      if (preDepth > 0 && tag !== 'pre') continue;
+      builder.end();
+
+      if (closing) {
+        if (tag === 'ul' || tag === 'ol') lists.pop();
+        else if (tag === 'blockquote') quoteDepth = Math.max(0, quoteDepth - 1);
+        else if (tag === 'pre') preDepth = Math.max(0, preDepth - 1);
+        else if (/^h[1-6]$/.test(tag)) heading = null;
+      } else if (!HTML_VOID.includes(tag)) {
+        if (tag === 'ul' || tag === 'ol') lists.push(tag);
+        else if (tag === 'blockquote') quoteDepth += 1;
+        else if (tag === 'pre') {
+          preDepth += 1;
+          preStart = true;
+        } else if (/^h[1-6]$/.test(tag)) heading = `h${Math.min(Number(tag[1]), 3)}`;
+      }
+      continue;
+    }
+
+    let tagMarks = HTML_MARKS[tag];
+    if (tag === 'a') {
+      const href = htmlAttribute(attributes, 'href');
+      tagMarks = href ? { link: href.trim() } : {};
+    }
+    if (!tagMarks || HTML_VOID.includes(tag)) continue;
+    if (closing) {
+      const index = marks.map(entry => entry.tag).lastIndexOf(tag);
+      if (index !== -1) marks.splice(index, 1);
+    } else if (!(preDepth > 0 && tagMarks.code)) {
+      marks.push({ tag, marks: tagMarks });
+    }
+  }
+
+  return { title, model: builder.model() };
+}
+
+// Attribute of the first element matching `tag` in some WordprocessingML
+const xmlValue = (xml, tag, attribute = 'w:val') => {
+  const match = new RegExp(`<${tag}\\b[^>]*?\\s${attribute}="([^"]*)"`).exec(xml);
+  return match ? decodeEntities(match[1]) : null;
+};
+
+// Whether an on/off run property such as <w:b/> is switched on
+const isOn = (rPr, tag) => {
+  const match = new RegExp(`<w:${tag}(\\s[^>]*)?/>`).exec(rPr);
+  if (!match) return false;
+  const value = xmlValue(match[0], `w:${tag}`);
+  return value === null || !['0', 'false', 'off', 'none'].includes(value);
+};
+
+// Block type of a paragraph style, from its id or name
+function styleBlockType(style) {
+  const name = style.toLowerCase().replace(/\s+/g, '');
+  if (name === 'title') return 'title';
+  const heading = /^heading(\d)$/.exec(name);
+  if (heading) return `h${Math.min(Number(heading[1]), 3)}`;
+  if (name.includes('quote')) return 'quote';
+  if (/code|source|preformatted|htmlpre/.test(name)) return 'code';
+  if (name.startsWith('listbullet')) return 'bullet';
+  if (name.startsWith('listnumber')) return 'ordered';
+  return null;
+}
+
+/**
+ * Block model of a .docx file: paragraph styles become block types,
+ * numbering becomes lists, and bold, italic, underline, strikethrough,
+ * monospace fonts and hyperlinks become marks. Returns { title, model },
+ * title being a leading Title paragraph or the document properties' title.
+ */
+function docxToModel(data) {
+  const entries = readZip(data);
+  const documentXml = entries.get('word/document.xml');
+  if (!documentXml) {
+    throw new Error('Not a Word document');
+  }
+  const read = (name) => (entries.has(name) ? entries.get(name).toString('utf8') : '');
+
+  const links = new Map();
+  for (const [relationship] of read('word/_rels/document.xml.rels').matchAll(/<Relationship\b[^>]*>/g)) {
+    if (xmlValue(relationship, 'Relationship', 'TargetMode') === 'External') {
+      links.set(xmlValue(relationship, 'Relationship', 'Id'), xmlValue(relationship, 'Relationship', 'Target'));
+    }
+  }
+
+  const styles = new Map();
+  for (const [, attributes, body] of read('word/styles.xml').matchAll(/<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g)) {
+    const id = xmlValue(`<w:style${attributes}>`, 'w:style', 'w:styleId');
+    styles.set(id, styleBlockType(id) || styleBlockType(xmlValue(body, 'w:name') || ''));
+  }
+
+  // numId → abstract numbering → whether level 0 is bulleted
+  const numbering = read('word/numbering.xml');
+  const abstractFormats = new Map();
+  for (const [, id, body] of numbering.matchAll(/<w:abstractNum\b[^>]*?w:abstractNumId="([^"]*)"[^>]*>([\s\S]*?)<\/w:abstractNum>/g)) {
+    abstractFormats.set(id, xmlValue(body, 'w:numFmt') === 'bullet' ? 'bullet' : 'ordered');
+  }
+  const listTypes = new Map();
+  for (const [, id, body] of numbering.matchAll(/<w:num\b[^>]*?w:numId="([^"]*)"[^>]*>([\s\S]*?)<\/w:num>/g)) {
+    listTypes.set(id, abstractFormats.get(xmlValue(body, 'w:abstractNumId')) || 'bullet');
+  }
+
+  const builder = new ModelBuilder();
+  let title = null;
+  let first = true;
+
+  const xml = documentXml.toString('utf8');
+  for (const [, , body = ''] of xml.matchAll(/<w:p\b[^>]*?(\/>|>([\s\S]*?)<\/w:p>)/g)) {
+    const pPr = (/<w:pPr>([\s\S]*?)<\/w:pPr>/.exec(body) || [])[1] || '';
+    const style = xmlValue(pPr, 'w:pStyle');
+    const numId = xmlValue(pPr, 'w:numId');
+    let type = (style && styles.get(style)) || (style && styleBlockType(style)) || 'paragraph';
+    if (numId && numId !== '0') type = listTypes.get(numId) || 'bullet';
+
+    const isTitle = type === 'title';
+    if (isTitle) type = 'h1';
+
+    // Started up front so empty paragraphs keep their type
+    builder.text('', type);
+
+    // Runs, inside or outside hyperlinks, in document order
+    let link = null;
+    const parts = body.matchAll(/<w:hyperlink\b([^>]*)>|<\/w:hyperlink>|<w:r\b[^>]*>([\s\S]*?)<\/w:r>/g);
+    for (const [part, hyperlink, run] of parts) {
+      if (hyperlink !== undefined) {
+        const id = xmlValue(`<w:hyperlink${hyperlink}>`, 'w:hyperlink', 'r:id');
+        const anchor = xmlValue(`<w:hyperlink${hyperlink}>`, 'w:hyperlink', 'w:anchor');
+        link = (id && links.get(id)) || (anchor ? `#${anchor}` : null);
+        continue;
+      }
+      if (part === '</w:hyperlink>') {
+        link = null;
+        continue;
+      }
+
+      const rPr = (/<w:rPr>([\s\S]*?)<\/w:rPr>/.exec(run) || [])[1] || '';
+      const marks = {};
+      if (isOn(rPr, 'b')) marks.bold = true;
+      if (isOn(rPr, 'i')) marks.italic = true;
+      if (isOn(rPr, 'u')) marks.underline = true;
+      if (isOn(rPr, 'strike') || isOn(rPr, 'dstrike')) marks.strike = true;
+      const font = xmlValue(rPr, 'w:rFonts', 'w:ascii') || '';
+      if (type !== 'code' && /courier|consolas|mono|menlo/i.test(font)) marks.code = true;
+      if (link) marks.link = link;
+
+      for (const [element, text] of run.matchAll(/<w:t\b[^>]*>([\s\S]*?)<\/w:t>|<w:(tab|br|cr|noBreakHyphen)\b[^>]*\/>/g)) {
+        if (element.startsWith('<w:tab')) {
+          builder.text('\t', type, marks);
+        } else if (text !== undefined) {
+          builder.text(decodeEntities(text), type, marks);
+        } else if (element.startsWith('<w:noBreakHyphen')) {
+          builder.text('-', type, marks);
+        } else {
+          // Line breaks within a paragraph become separate blocks of the same type
+          builder.end(true);
+        }
+      }
+    }
+
+    if (isTitle && first && title === null) {
+      title = builder.current ? builder.current.runs.map(run => run.text).join('').trim() : '';
+      builder.current = null;
+      first = false;
+      continue;
+    }
+    // Empty paragraphs are kept as blank lines
+    builder.end(true);
+    first = false;
+  }
+
+  if (!title) {
+    const core = /<dc:title>([\s\S]*?)<\/dc:title>/.exec(read('docProps/core.xml'));
+    title = core ? decodeEntities(core[1]).trim() || null : null;
+  }
+  return { title, model: builder.model() };
+}
+
+// Format of an upload from its name, or its type when the name says nothing
+function importFormat(filename, mimeType) {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (IMPORT_FORMATS[extension]) return IMPORT_FORMATS[extension];
+  return MIME_FORMATS[(mimeType || '').split(';')[0].trim().toLowerCase()] || null;
+}
+
+const titleFromFileName = (filename) => path.basename(filename || '', path.extname(filename || '')).trim();
+
+/**
+ * Convert an uploaded file ({ filename, contentType, data }) into the
+ * fields of a new document: { title, contentType, content, richContent }.
+ * Returns null for formats that can't be imported; throws when a file
+ * can't be read as the format its name claims.
+ *
+ * A title heading the file starts with (as export writes one) becomes the
+ * document title; otherwise the file name does.
+ */
+function importDocument(file) {
+  const format = importFormat(file.filename, file.contentType);
+  if (!format) {
+    return null;
+  }
+  const fallbackTitle = titleFromFileName(file.filename) || 'Imported document';
+
+  if (format === 'md') {
+    let source = decodeText(file.data);
+    let title = fallbackTitle;
+    const heading = /^\s*# +(.+?)(?: +#+)? *(?:\n|$)/.exec(source);
+    if (heading) {
+      title = heading[1].trim();
+      source = source.slice(heading[0].length).replace(/^\n+/, '');
+    }
+    return { title: title.slice(0, 255), contentType: 'markdown', content: source.replace(/\n+$/, ''), richContent: null };
+  }
+
+  let title = fallbackTitle;
+  let model;
+  if (format === 'txt') {
+    let text = decodeText(file.data);
+    const underlined = /^([^\n]+)\n=+[ \t]*\n\n?/.exec(text);
+    if (underlined) {
+      title = underlined[1].trim();
+      text = text.slice(underlined[0].length);
+    }
+    model = richText.toModel(richText.fromPlainText(text.replace(/\n+$/, '')));
+  } else if (format === 'html') {
+    const parsed = htmlToModel(decodeText(file.data));
+    model = parsed.model;
+    const [firstBlock] = model.blocks;
+    const firstText = firstBlock ? firstBlock.runs.map(run => run.text).join('') : '';
+    if (firstBlock && firstBlock.type === 'h1' && (!parsed.title || parsed.title === firstText.trim())) {
+      title = firstText.trim() || title;
+      model.blocks.shift();
+    } else if (parsed.title) {
+      title = parsed.title;
+    }
+  } else {
+    const parsed = docxToModel(file.data);
+    model = parsed.model;
+    title = parsed.title || title;
+  }
+
+  // Through the delta, so unsafe links and unknown formatting are dropped
+  const delta = richText.fromModel(model);
+  return {
+    title: (title.trim() || fallbackTitle).slice(0, 255),
+    contentType: 'rich',
+    content: richText.toPlainText(delta),
+    richContent: richText.toModel(delta)
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  htmlToModel,
+  docxToModel,
+  importFormat,
+  importDocument
+};
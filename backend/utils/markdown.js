@@ -0,0 +1,396 @@
+// Markdown documents.
+//
+// A small CommonMark subset: ATX headings, paragraphs, bullet and numbered
+// lists, block quotes, fenced code blocks and horizontal rules, with bold,
+// italic, strikethrough, inline code and links inside. Raw HTML is not
+// supported; it is escaped like any other text, so rendered output only
+// contains the tags produced here and links with safe schemes.
+//
+// Also converts between Markdown and the rich text block model (richText.js)
+// so documents can change content type without losing their structure.
+
+const isSafeLink = (href) => /^(https?:\/\/|mailto:|\/|#)/i.test(href);
+
+const LIST_ITEM = /^ {0,3}([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>/;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const startsBlock = (line) =>
+  FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+// Split Markdown source into blocks; inline content is left as raw text
+function parseBlocks(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      blocks.push({ type: 'code', language: fence[2], text: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] || '' });
+      i += 1;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        body.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        i += 1;
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(body.join('\n')) });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const ordered = /\d/.test(item[1]);
+      const items = [];
+      while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM);
+        if (match && /\d/.test(match[1]) === ordered) {
+          items.push(match[2]);
+        } else if (items.length > 0 && /^\s+\S/.test(lines[i]) && !match) {
+          // Indented continuation of the previous item
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      blocks.push({ type: ordered ? 'ordered' : 'bullet', start: ordered ? parseInt(item[1], 10) : 1, items });
+      continue;
+    }
+
+    const body = [];
+    while (i < lines.length && lines[i].trim() && (body.length === 0 || !startsBlock(lines[i]))) {
+      body.push(lines[i].trim());
+      i += 1;
+    }
+    blocks.push({ type: 'paragraph', text: body.join('\n') });
+  }
+
+  return blocks;
+}
+
+function pushRun(runs, text, marks) {
+  if (!text) return;
+  const last = runs[runs.length - 1];
+  const sameMarks = last && JSON.stringify(last.marks) === JSON.stringify(marks);
+  if (sameMarks) {
+    last.text += text;
+  } else {
+    runs.push({ text, marks });
+  }
+}
+
+// Where a delimited span starting at `start` closes, or -1
+function findClosing(text, delimiter, start) {
+  const from = start + delimiter.length;
+  const end = text.indexOf(delimiter, from);
+  if (end <= from) return -1;
+  const inner = text.slice(from, end);
+  return /^\s|\s$/.test(inner) ? -1 : end;
+}
+
+const EMPHASIS = [
+  ['**', 'bold'],
+  ['__', 'bold'],
+  ['~~', 'strike'],
+  ['*', 'italic'],
+  ['_', 'italic']
+];
+
+/**
+ * Parse inline Markdown into runs of { text, marks }, the same shape the rich
+ * text model uses. Unmatched delimiters are kept as literal text.
+ */
+function parseInline(text, marks = {}, runs = []) {
+  let literal = '';
+  const flush = () => {
+    pushRun(runs, literal, marks);
+    literal = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && /[!-/:-@[-`{-~]/.test(text[i + 1] || '')) {
+      literal += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '`') {
+      const ticks = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(ticks, i + ticks.length);
+      if (end > i) {
+        flush();
+        pushRun(runs, text.slice(i + ticks.length, end).replace(/^ (.+) $/, '$1'), { ...marks, code: true });
+        i = end + ticks.length;
+        continue;
+      }
+      literal += ticks;
+      i += ticks.length;
+      continue;
+    }
+
+    if (char === '[') {
+      const link = text.slice(i).match(/^\[([^\]]*)\]\(\s*<?([^\s)>]+)>?\s*\)/);
+      if (link && isSafeLink(link[2])) {
+        flush();
+        parseInline(link[1], { ...marks, link: link[2] }, runs);
+        i += link[0].length;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const autolink = text.slice(i).match(/^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i);
+      if (autolink) {
+        flush();
+        pushRun(runs, autolink[1].replace(/^mailto:/i, ''), { ...marks, link: autolink[1] });
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    const emphasis = EMPHASIS.find(([delimiter]) => text.startsWith(delimiter, i));
+    if (emphasis) {
+      const [delimiter, mark] = emphasis;
+      // Underscores inside words are literal (snake_case)
+      const intraword = delimiter[0] === '_' && /\w/.test(text[i - 1] || '');
+      const end = intraword ? -1 : findClosing(text, delimiter, i);
+      if (end !== -1) {
+        flush();
+        parseInline(text.slice(i + delimiter.length, end), { ...marks, [mark]: true }, runs);
+        i = end + delimiter.length;
+        continue;
+      }
+      literal += delimiter;
+      i += delimiter.length;
+      continue;
+    }
+
+    literal += char;
+    i += 1;
+  }
+
+  flush();
+  return runs;
+}
+
+// Innermost first, matching how the editor nests formatting
+const MARK_TAGS = [
+  ['code', 'code'],
+  ['bold', 'strong'],
+  ['italic', 'em'],
+  ['underline', 'u'],
+  ['strike', 's']
+];
+
+// HTML for runs of text; shared with the rich text renderer
+function renderRuns(runs) {
+  return runs.map(({ text, marks = {} }) => {
+    let html = escapeHtml(text);
+    for (const [mark, tag] of MARK_TAGS) {
+      if (marks[mark]) html = `<${tag}>${html}</${tag}>`;
+    }
+    if (marks.link && isSafeLink(marks.link)) {
+      html = `<a href="${escapeHtml(marks.link)}" rel="noopener noreferrer">${html}</a>`;
+    }
+    return html;
+  }).join('');
+}
+
+function renderBlocks(blocks) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${renderRuns(parseInline(block.text))}</h${block.level}>`;
+      case 'code': {
+        const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+        return `<pre><code${language}>${escapeHtml(block.text)}</code></pre>`;
+      }
+      case 'rule':
+        return '<hr>';
+      case 'quote':
+        return `<blockquote>\n${renderBlocks(block.blocks)}\n</blockquote>`;
+      case 'bullet':
+      case 'ordered': {
+        const tag = block.type === 'bullet' ? 'ul' : 'ol';
+        const start = block.type === 'ordered' && block.start !== 1 ? ` start="${block.start}"` : '';
+        const items = block.items.map(item => `<li>${renderRuns(parseInline(item))}</li>`).join('\n');
+        return `<${tag}${start}>\n${items}\n</${tag}>`;
+      }
+      default:
+        return `<p>${renderRuns(parseInline(block.text))}</p>`;
+    }
+  }).join('\n');
+}
+
+/**
+ * Render Markdown to HTML. Everything is escaped and only the tags above are
+ * produced, so the result is safe to insert into a page as is.
+ */
+function renderHtml(source) {
+  return renderBlocks(parseBlocks(source));
+}
+
+// Rich text block model for Markdown; nesting and rules have no equivalent and are flattened or dropped
+function toRichModel(source) {
+  const blocks = [];
+  const inlineRuns = (text) => parseInline(text.replace(/\n/g, ' ')).map(({ text: runText, marks }) =>
+    Object.keys(marks).length > 0 ? { text: runText, marks } : { text: runText }
+  );
+
+  const addBlocks = (parsed, quoted) => {
+    for (const block of parsed) {
+      if (block.type === 'heading') {
+        blocks.push({ type: quoted ? 'quote' : `h${Math.min(block.level, 3)}`, runs: inlineRuns(block.text) });
+      } else if (block.type === 'code') {
+        for (const line of block.text.split('\n')) {
+          blocks.push({ type: quoted ? 'quote' : 'code', runs: line ? [{ text: line }] : [] });
+        }
+      } else if (block.type === 'quote') {
+        addBlocks(block.blocks, true);
+      } else if (block.type === 'bullet' || block.type === 'ordered') {
+        for (const item of block.items) {
+          blocks.push({ type: quoted ? 'quote' : block.type, runs: inlineRuns(item) });
+        }
+      } else if (block.type === 'paragraph') {
+        blocks.push({ type: quoted ? 'quote' : 'paragraph', runs: inlineRuns(block.text) });
+      }
+    }
+  };
+
+  addBlocks(parseBlocks(source), false);
+  return { blocks: blocks.length > 0 ? blocks : [{ type: 'paragraph', runs: [] }] };
+}
+
+// Escape text so it reads back literally
+const escapeMarkdown = (text) => text.replace(/[\\`*_~[\]<]/g, '\\$&');
+
+// Markdown for runs; underline has no Markdown syntax and is dropped
+function serializeRuns(runs) {
+  return (runs || []).map(({ text, marks = {} }) => {
+    if (marks.code) {
+      const longestTicks = Math.max(0, ...(text.match(/`+/g) || []).map(ticks => ticks.length));
+      const fence = '`'.repeat(longestTicks + 1);
+      const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+      let markdown = `${fence}${padding}${text}${padding}${fence}`;
+      if (marks.link) markdown = `[${markdown}](${marks.link})`;
+      return markdown;
+    }
+
+    // Delimiters must hug the text, so surrounding spaces stay outside
+    const [, leading, inner, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!inner) return text;
+
+    let markdown = escapeMarkdown(inner);
+    if (marks.strike) markdown = `~~${markdown}~~`;
+    if (marks.italic) markdown = `*${markdown}*`;
+    if (marks.bold) markdown = `**${markdown}**`;
+    if (marks.link) markdown = `[${markdown}](${marks.link})`;
+    return `${leading}${markdown}${trailing}`;
+  }).join('');
+}
+
+// Keep a paragraph that happens to look like Markdown syntax from turning into it
+const escapeLineStart = (line) => line
+  .replace(/^(\s*)([#>+-])/, '$1\\$2')
+  .replace(/^(\s*\d+)([.)])/, '$1\\$2');
+
+/**
+ * Markdown for a rich text block model. Consecutive list items, quote lines and
+ * code lines stay together; other blocks are separated by a blank line.
+ */
+function fromRichModel(model) {
+  const chunks = [];
+  let previousType = null;
+  let number = 0;
+
+  for (const block of (model && model.blocks) || []) {
+    const type = block.type || 'paragraph';
+    const continues = type === previousType && ['bullet', 'ordered', 'quote', 'code'].includes(type);
+    number = type === 'ordered' && continues ? number + 1 : 1;
+
+    let markdown;
+    if (type === 'code') {
+      markdown = (block.runs || []).map(run => run.text).join('');
+    } else {
+      const text = serializeRuns(block.runs);
+      if (type === 'h1' || type === 'h2' || type === 'h3') {
+        markdown = `${'#'.repeat(Number(type[1]))} ${text}`;
+      } else if (type === 'bullet') {
+        markdown = `- ${text}`;
+      } else if (type === 'ordered') {
+        markdown = `${number}. ${text}`;
+      } else if (type === 'quote') {
+        markdown = `> ${text}`;
+      } else {
+        markdown = escapeLineStart(text);
+      }
+    }
+
+    if (type === 'code' && !continues) {
+      chunks.push({ type, lines: [markdown] });
+    } else if (continues) {
+      chunks[chunks.length - 1].lines.push(markdown);
+    } else if (type !== 'paragraph' || markdown.trim()) {
+      chunks.push({ type, lines: [markdown] });
+    }
+    previousType = type;
+  }
+
+  return chunks.map(({ type, lines }) => {
+    // Each quote line is its own paragraph inside the quote
+    if (type === 'quote') return lines.join('\n>\n');
+    if (type !== 'code') return lines.join('\n');
+    const longestFence = Math.max(2, ...lines.join('\n').match(/`{3,}/g)?.map(ticks => ticks.length) || []);
+    const fence = '`'.repeat(longestFence + 1);
+    return `${fence}\n${lines.join('\n')}\n${fence}`;
+  }).join('\n\n');
+}
+
+module.exports = {
+  escapeHtml,
+  parseInline,
+  renderRuns,
+  renderHtml,
+  toRichModel,
+  fromRichModel
+};
@@ -0,0 +1,117 @@
+// multipart/form-data parsing for upload routes. The request body is read
+// into memory by express.raw (so its size limit applies), then split into
+// its parts; files land on req.files and text fields on req.body.
+
+const express = require('express');
+
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// Value of a header parameter such as name="x" or filename*=UTF-8''x
+function headerParameter(header, key) {
+  const encoded = new RegExp(`;\\s*${key}\\*=(?:UTF-8)?''([^;]+)`, 'i').exec(header);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim());
+    } catch (error) {
+      // Fall back to the plain parameter
+    }
+  }
+  const quoted = new RegExp(`;\\s*${key}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(header);
+  if (quoted) return quoted[1].replace(/\\(.)/g, '$1');
+  const plain = new RegExp(`;\\s*${key}=([^;\\s]+)`, 'i').exec(header);
+  return plain ? plain[1] : null;
+}
+
+/**
+ * Split a multipart/form-data body into its parts:
+ * [{ name, filename, contentType, data }], filename being null for plain fields.
+ * Throws if the body doesn't match the boundary in `contentType`.
+ */
+function parseMultipart(body, contentType) {
+  const boundary = headerParameter(`;${(contentType || '').replace(/^[^;]*;/, '')}`, 'boundary');
+  if (!boundary || !Buffer.isBuffer(body)) {
+    throw new Error('Missing multipart boundary');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw new Error('Malformed multipart body');
+  }
+
+  while (true) {
+    position += delimiter.length;
+    // The final delimiter is followed by "--"
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+
+    const headerEnd = body.indexOf(HEADER_END, position);
+    const next = body.indexOf(Buffer.from(`\r\n--${boundary}`), position);
+    if (headerEnd === -1 || next === -1 || headerEnd > next) {
+      throw new Error('Malformed multipart body');
+    }
+
+    const headers = {};
+    for (const line of body.toString('utf8', position, headerEnd).split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+
+    const disposition = headers['content-disposition'] || '';
+    parts.push({
+      name: headerParameter(disposition, 'name'),
+      filename: headerParameter(disposition, 'filename'),
+      contentType: headers['content-type'] || null,
+      data: body.subarray(headerEnd + HEADER_END.length, next)
+    });
+    position = next + 2;
+  }
+
+  return parts;
+}
+
+/**
+ * Middleware reading a multipart/form-data request. Fails with 400 for
+ * other content types, malformed bodies or more than `maxFiles` files,
+ * and with 413 for bodies over `limit`.
+ */
+function multipart({ limit = '10mb', maxFiles = 1 } = {}) {
+  const readBody = express.raw({ type: 'multipart/form-data', limit });
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return res.status(400).json({ error: 'Expected a multipart/form-data upload' });
+    }
+
+    readBody(req, res, (error) => {
+      if (error) {
+        return res.status(error.status === 413 ? 413 : 400).json({
+          error: error.status === 413 ? `Uploads are limited to ${limit}` : 'Malformed upload'
+        });
+      }
+
+      let parts;
+      try {
+        parts = parseMultipart(req.body, req.headers['content-type']);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Malformed upload' });
+      }
+
+      req.files = parts.filter(part => part.filename !== null);
+      req.body = {};
+      for (const part of parts) {
+        if (part.filename === null && part.name) req.body[part.name] = part.data.toString('utf8');
+      }
+
+      if (req.files.length > maxFiles) {
+        return res.status(400).json({ error: `Upload at most ${maxFiles} files at a time` });
+      }
+      next();
+    });
+  };
+}
+
+module.exports = {
+  parseMultipart,
+  multipart
+};
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { redis } = require('../config/redis');
+
+// Pending authorization requests and one-time login codes live in Redis
+const STATE_TTL_SECONDS = 10 * 60;
+const LOGIN_CODE_TTL_SECONDS = 60;
+const METADATA_CACHE_TTL = 60 * 60 * 1000;
+// An unknown key id triggers a key set refetch at most this often
+const JWKS_REFETCH_INTERVAL = 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const MAX_USERNAME_LENGTH = 50;
+
+let metadataCache = null;
+let jwksCache = { uri: null, keys: new Map(), fetchedAt: 0 };
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Provider settings from the environment, or null when single sign-on is off
+function getOidcConfig() {
+  const {
+    OIDC_ISSUER,
+    OIDC_CLIENT_ID,
+    OIDC_CLIENT_SECRET,
+    OIDC_REDIRECT_URI,
+    OIDC_SCOPES,
+    OIDC_USERNAME_CLAIM,
+    OIDC_PROVIDER_NAME
+  } = process.env;
+
+  if (!OIDC_ISSUER || !OIDC_CLIENT_ID || !OIDC_REDIRECT_URI) {
+    return null;
+  }
+
+  return {
+    issuer: OIDC_ISSUER,
+    clientId: OIDC_CLIENT_ID,
+    clientSecret: OIDC_CLIENT_SECRET || null,
+    redirectUri: OIDC_REDIRECT_URI,
+    scopes: OIDC_SCOPES || 'openid profile email',
+    usernameClaim: OIDC_USERNAME_CLAIM || 'preferred_username',
+    providerName: OIDC_PROVIDER_NAME || 'Single sign-on'
+  };
+}
+
+function requireOidcConfig() {
+  const config = getOidcConfig();
+  if (!config) {
+    throw new Error('OIDC is not configured');
+  }
+  return config;
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`OIDC request to ${url} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return body;
+}
+
+async function getProviderMetadata(config) {
+  if (metadataCache && metadataCache.issuer === config.issuer && metadataCache.expiresAt > Date.now()) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${config.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  if (metadata.issuer !== config.issuer) {
+    throw new Error(`OIDC discovery returned issuer ${metadata.issuer}, expected ${config.issuer}`);
+  }
+
+  metadataCache = { issuer: config.issuer, metadata, expiresAt: Date.now() + METADATA_CACHE_TTL };
+  return metadata;
+}
+
+async function getSigningKey(metadata, kid) {
+  const keySetChanged = jwksCache.uri !== metadata.jwks_uri;
+  const unknownKey = !jwksCache.keys.has(kid || '') && Date.now() - jwksCache.fetchedAt > JWKS_REFETCH_INTERVAL;
+
+  if (keySetChanged || unknownKey) {
+    const { keys = [] } = await fetchJson(metadata.jwks_uri);
+    const signingKeys = new Map();
+    for (const jwk of keys) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      try {
+        signingKeys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        console.warn(`Skipping unsupported OIDC signing key ${jwk.kid}:`, error.message);
+      }
+    }
+    jwksCache = { uri: metadata.jwks_uri, keys: signingKeys, fetchedAt: Date.now() };
+  }
+
+  // Providers with a single key may leave the key id out
+  const key = jwksCache.keys.get(kid || '') ||
+    (!kid && jwksCache.keys.size === 1 ? jwksCache.keys.values().next().value : null);
+  if (!key) {
+    throw new Error(`No OIDC signing key found for key id ${kid}`);
+  }
+  return key;
+}
+
+// Read a Redis key and delete it in one step so it can only be used once
+async function takeValue(key) {
+  const [[, value]] = await redis.multi().get(key).del(key).exec();
+  return value;
+}
+
+/**
+ * Start an authorization code + PKCE flow. Resolves with the provider URL
+ * to send the browser to; `returnTo` comes back from completeAuthorization.
+ */
+async function createAuthorizationUrl(returnTo) {
+  const config = requireOidcConfig();
+  const metadata = await getProviderMetadata(config);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await redis.set(`oidc:state:${state}`, JSON.stringify({ codeVerifier, nonce, returnTo }), 'EX', STATE_TTL_SECONDS);
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', config.redirectUri);
+  url.searchParams.set('scope', config.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+async function verifyIdToken(idToken, config, metadata, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('OIDC provider returned a malformed ID token');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: config.issuer,
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('OIDC ID token nonce does not match the login request');
+  }
+  if (!claims.sub) {
+    throw new Error('OIDC ID token has no subject');
+  }
+  return claims;
+}
+
+/**
+ * Finish the flow started by createAuthorizationUrl: exchange the code and
+ * verify the ID token. Resolves with `{ claims, returnTo }`.
+ */
+async function completeAuthorization(code, state) {
+  const config = requireOidcConfig();
+
+  const pending = code && state ? await takeValue(`oidc:state:${state}`) : null;
+  if (!pending) {
+    throw new Error('OIDC login request is unknown or has expired');
+  }
+  const { codeVerifier, nonce, returnTo } = JSON.parse(pending);
+
+  const metadata = await getProviderMetadata(config);
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+  if (config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      code_verifier: codeVerifier
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('OIDC provider did not return an ID token');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, config, metadata, nonce);
+  return { claims, returnTo };
+}
+
+function usernameFromClaims(claims, usernameClaim) {
+  const emailName = typeof claims.email === 'string' ? claims.email.split('@')[0] : null;
+  const candidate = [claims[usernameClaim], emailName, claims.name]
+    .find(value => typeof value === 'string' && value.trim().length > 0);
+  return (candidate || `user-${claims.sub}`).trim().slice(0, MAX_USERNAME_LENGTH);
+}
+
+/**
+ * The user for a verified set of ID token claims, created on first login.
+ * Never links to an existing password account; a taken username gets a suffix.
+ */
+async function findOrCreateOidcUser(claims) {
+  const config = requireOidcConfig();
+  const email = typeof claims.email === 'string' ? claims.email.slice(0, 255) : null;
+  const displayName = typeof claims.name === 'string' ? claims.name.slice(0, 255) : null;
+
+  const findExisting = () => db.query(
+    'SELECT * FROM users WHERE oidc_issuer = $1 AND oidc_subject = $2',
+    [config.issuer, claims.sub]
+  );
+
+  const existing = await findExisting();
+  if (existing.rows.length > 0) {
+    const updated = await db.query(`
+      UPDATE users SET email = COALESCE($2, email), display_name = COALESCE($3, display_name)
+      WHERE id = $1
+      RETURNING *
+    `, [existing.rows[0].id, email, displayName]);
+    return updated.rows[0];
+  }
+
+  const baseUsername = usernameFromClaims(claims, config.usernameClaim);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const username = attempt === 0
+      ? baseUsername
+      : `${baseUsername.slice(0, MAX_USERNAME_LENGTH - 5)}-${crypto.randomBytes(2).toString('hex')}`;
+
+    const inserted = await db.query(`
+      INSERT INTO users (username, oidc_issuer, oidc_subject, email, display_name)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT DO NOTHING
+      RETURNING *
+    `, [username, config.issuer, claims.sub, email, displayName]);
+
+    if (inserted.rows.length > 0) {
+      return inserted.rows[0];
+    }
+
+    // A concurrent first login for the same subject may have created the user
+    const created = await findExisting();
+    if (created.rows.length > 0) {
+      return created.rows[0];
+    }
+  }
+
+  throw new Error(`Could not find a free username for OIDC subject ${claims.sub}`);
+}
+
+// Short-lived code the frontend exchanges for tokens, so they never appear in a URL
+async function issueLoginCode(userId) {
+  const code = randomToken();
+  await redis.set(`oidc:login:${code}`, userId, 'EX', LOGIN_CODE_TTL_SECONDS);
+  return code;
+}
+
+async function redeemLoginCode(code) {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+  return takeValue(`oidc:login:${code}`);
+}
+
+module.exports = {
+  getOidcConfig,
+  createAuthorizationUrl,
+  completeAuthorization,
+  findOrCreateOidcUser,
+  issueLoginCode,
+  redeemLoginCode
+};
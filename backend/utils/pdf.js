@@ -0,0 +1,345 @@
+// PDF export of the rich text block model (richText.js), written directly
+// in PDF syntax. Text is set in the standard 14 fonts every PDF reader
+// has (Helvetica and Courier), so nothing needs embedding; characters
+// outside their WinAnsi encoding are shown as '?'.
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28; // A4, in points
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+const FONTS = {
+  regular: { name: 'F1', base: 'Helvetica' },
+  bold: { name: 'F2', base: 'Helvetica-Bold' },
+  italic: { name: 'F3', base: 'Helvetica-Oblique' },
+  boldItalic: { name: 'F4', base: 'Helvetica-BoldOblique' },
+  mono: { name: 'F5', base: 'Courier' }
+};
+
+// Advance widths (per 1000 units of font size) of ASCII 32-126, from the fonts' AFM metrics;
+// the oblique faces share them with their upright ones
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi codes of the characters it places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+const BLOCK_STYLES = {
+  paragraph: { size: 11, after: 8 },
+  h1: { size: 20, bold: true, before: 10, after: 8 },
+  h2: { size: 16, bold: true, before: 8, after: 6 },
+  h3: { size: 13, bold: true, before: 6, after: 4 },
+  bullet: { size: 11, indent: 20, after: 3 },
+  ordered: { size: 11, indent: 20, after: 3 },
+  quote: { size: 11, indent: 16, after: 3, color: '0.33 0.33 0.33' },
+  code: { size: 9.5, mono: true, indent: 8, after: 0 }
+};
+
+const LINK_COLOR = '0.4 0.49 0.92';
+
+// A character as a WinAnsi byte, kept in a latin1 string
+function encodeCharacter(char) {
+  const code = char.codePointAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) return char;
+  if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+  if (char === '\t') return '    ';
+  return '?';
+}
+
+const encodeText = (text) => Array.from(text).map(encodeCharacter).join('');
+
+function fontFor(marks = {}, block = {}) {
+  if (marks.code || block.mono) return FONTS.mono;
+  const bold = marks.bold || block.bold;
+  if (bold && marks.italic) return FONTS.boldItalic;
+  if (bold) return FONTS.bold;
+  return marks.italic ? FONTS.italic : FONTS.regular;
+}
+
+// Width in points of encoded text
+function textWidth(encoded, font, size) {
+  if (font === FONTS.mono) return encoded.length * 0.6 * size;
+  const widths = font === FONTS.bold || font === FONTS.boldItalic ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (let i = 0; i < encoded.length; i += 1) {
+    const code = encoded.charCodeAt(i);
+    units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+const escapeString = (encoded) => encoded.replace(/[\\()]/g, '\\$&');
+
+// A UTF-16 text string, for metadata that isn't drawn with the WinAnsi fonts
+const utf16String = (text) => `<FEFF${Buffer.from(text, 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+
+const format = (number) => Number(number.toFixed(2)).toString();
+
+/**
+ * Lays out styled text into pages of PDF drawing operators, top to bottom.
+ */
+class PageWriter {
+  constructor() {
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.page = { operators: [], links: [] };
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  // Make room for a line, moving to the next page if it doesn't fit
+  reserve(height) {
+    if (this.y - height < MARGIN) {
+      this.newPage();
+    }
+    this.y -= height;
+  }
+
+  space(points) {
+    this.y = Math.max(this.y - points, MARGIN);
+  }
+
+  /**
+   * Write a paragraph of runs ({ text, marks }) wrapped to the content width.
+   * `style` is one of BLOCK_STYLES; `prefix` is drawn in the indent of the first line.
+   */
+  paragraph(runs, style, prefix = null) {
+    const size = style.size;
+    const lineHeight = size * 1.45;
+    const left = MARGIN + (style.indent || 0);
+    const width = CONTENT_WIDTH - (style.indent || 0);
+
+    // Pieces of text in one font, split so lines can break between words
+    const pieces = [];
+    for (const { text, marks = {} } of runs) {
+      const font = fontFor(marks, style);
+      for (const part of encodeText(text).split(/( +)/)) {
+        if (part) pieces.push({ text: part, font, marks, width: textWidth(part, font, size) });
+      }
+    }
+
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+    const breakLine = () => {
+      // Spaces at the end of a wrapped line take no room
+      while (line.length > 0 && !line[line.length - 1].text.trim() && !style.mono) line.pop();
+      // Neighbouring pieces in the same style are drawn as one
+      lines.push(line.reduce((merged, piece) => {
+        const last = merged[merged.length - 1];
+        if (last && last.font === piece.font && last.marks === piece.marks) {
+          merged[merged.length - 1] = { ...last, text: last.text + piece.text, width: last.width + piece.width };
+        } else {
+          merged.push(piece);
+        }
+        return merged;
+      }, []));
+      line = [];
+      lineWidth = 0;
+    };
+
+    for (const piece of pieces) {
+      if (lineWidth + piece.width <= width || (line.length === 0 && piece.width <= width)) {
+        if (line.length === 0 && lines.length > 0 && !piece.text.trim() && !style.mono) continue;
+        line.push(piece);
+        lineWidth += piece.width;
+        continue;
+      }
+      if (piece.width <= width) {
+        breakLine();
+        if (!piece.text.trim() && !style.mono) continue;
+        line.push(piece);
+        lineWidth = piece.width;
+        continue;
+      }
+      // A word longer than a whole line is split wherever it runs out of room
+      for (const char of piece.text) {
+        const charWidth = textWidth(char, piece.font, size);
+        if (lineWidth + charWidth > width && line.length > 0) breakLine();
+        const last = line[line.length - 1];
+        if (last && last.font === piece.font && last.marks === piece.marks) {
+          last.text += char;
+          last.width += charWidth;
+        } else {
+          line.push({ ...piece, text: char, width: charWidth });
+        }
+        lineWidth += charWidth;
+      }
+    }
+    breakLine();
+
+    lines.forEach((pieces, index) => {
+      this.reserve(lineHeight);
+      const baseline = this.y + (lineHeight - size) / 2 + size * 0.22;
+
+      if (index === 0 && prefix) {
+        const encoded = encodeText(prefix);
+        const prefixX = left - textWidth(encoded, FONTS.regular, size) - 6;
+        this.page.operators.push(`BT /${FONTS.regular.name} ${format(size)} Tf ${format(prefixX)} ${format(baseline)} Td (${escapeString(encoded)}) Tj ET`);
+      }
+      if (style === BLOCK_STYLES.quote) {
+        this.page.operators.push(`0.77 0.79 0.91 rg ${format(left - 12)} ${format(this.y)} 3 ${format(lineHeight)} re f`);
+      }
+
+      let x = left;
+      for (const piece of pieces) {
+        const color = piece.marks.link ? LINK_COLOR : style.color || '0.17 0.24 0.31';
+        this.page.operators.push(
+          `${color} rg BT /${piece.font.name} ${format(size)} Tf ${format(x)} ${format(baseline)} Td (${escapeString(piece.text)}) Tj ET`
+        );
+        if (piece.marks.underline || piece.marks.link) {
+          this.page.operators.push(`${color} rg ${format(x)} ${format(baseline - size * 0.12)} ${format(piece.width)} ${format(size * 0.05)} re f`);
+        }
+        if (piece.marks.strike) {
+          this.page.operators.push(`${color} rg ${format(x)} ${format(baseline + size * 0.28)} ${format(piece.width)} ${format(size * 0.05)} re f`);
+        }
+        if (piece.marks.link) {
+          this.page.links.push({ href: piece.marks.link, rect: [x, this.y, x + piece.width, this.y + lineHeight] });
+        }
+        x += piece.width;
+      }
+    });
+  }
+}
+
+/**
+ * Build a PDF file for a document.
+ *   title: drawn at the top and stored in the document information
+ *   model: rich text block model
+ *   chat:  optional [{ username, message, createdAt }] appended as a transcript
+ */
+function toPdf({ title, model, chat }) {
+  const writer = new PageWriter();
+  writer.paragraph([{ text: title }], { size: 24, bold: true, after: 12 });
+  writer.space(12);
+
+  let previousType = null;
+  let number = 0;
+  for (const block of (model && model.blocks) || []) {
+    const style = BLOCK_STYLES[block.type] || BLOCK_STYLES.paragraph;
+    number = block.type === 'ordered' ? (previousType === 'ordered' ? number + 1 : 1) : 0;
+    if (style.before) writer.space(style.before);
+
+    const runs = block.runs && block.runs.length > 0 ? block.runs : [{ text: ' ' }];
+    const prefix = block.type === 'bullet' ? '•' : block.type === 'ordered' ? `${number}.` : null;
+    writer.paragraph(runs, style, prefix);
+    writer.space(style.after || 0);
+    previousType = block.type;
+  }
+
+  if (chat && chat.length > 0) {
+    writer.space(BLOCK_STYLES.h1.before);
+    writer.paragraph([{ text: 'Chat' }], BLOCK_STYLES.h1);
+    writer.space(BLOCK_STYLES.h1.after);
+    for (const message of chat) {
+      const sent = new Date(message.createdAt).toISOString().replace('T', ' ').slice(0, 16);
+      writer.paragraph([
+        { text: message.username || 'Unknown', marks: { bold: true } },
+        { text: `  ${sent} UTC`, marks: { italic: true } }
+      ], { size: 9.5, color: '0.42 0.46 0.49' });
+      for (const line of message.message.split('\n')) {
+        writer.paragraph([{ text: line || ' ' }], { size: 10.5 });
+      }
+      writer.space(6);
+    }
+  }
+
+  return serialize(writer.pages, title);
+}
+
+// Write pages out as a PDF file with a cross-reference table
+function serialize(pages, title) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const reference = (id) => `${id} 0 R`;
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontIds = Object.values(FONTS).map(font =>
+    [font.name, addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`)]
+  );
+  const resources = `<< /Font << ${fontIds.map(([name, id]) => `/${name} ${reference(id)}`).join(' ')} >> >>`;
+
+  const pageIds = pages.map((page, index) => {
+    const footer = `${index + 1} / ${pages.length}`;
+    const operators = [
+      ...page.operators,
+      `0.6 0.6 0.6 rg BT /${FONTS.regular.name} 9 Tf ${format(PAGE_WIDTH / 2 - textWidth(footer, FONTS.regular, 9) / 2)} ${format(MARGIN / 2)} Td (${footer}) Tj ET`
+    ];
+    const stream = zlib.deflateSync(Buffer.from(operators.join('\n'), 'latin1'));
+    const contentId = addObject([`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, stream, '\nendstream']);
+
+    const annotationIds = page.links.map(({ href, rect }) => addObject(
+      `<< /Type /Annot /Subtype /Link /Rect [${rect.map(format).join(' ')}] /Border [0 0 0] ` +
+      `/A << /S /URI /URI (${escapeString(encodeText(href))}) >> >>`
+    ));
+    const annotations = annotationIds.length > 0 ? ` /Annots [${annotationIds.map(reference).join(' ')}]` : '';
+
+    return addObject(
+      `<< /Type /Page /Parent ${reference(pagesId)} /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources ${resources} /Contents ${reference(contentId)}${annotations} >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${reference(pagesId)} >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(reference).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = addObject(`<< /Title ${utf16String(title)} /Producer (Collaborative Document Editor) >>`);
+
+  // Byte offsets of every object go into the cross-reference table
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const offset = length;
+    const parts = [`${index + 1} 0 obj\n`, ...(Array.isArray(body) ? body : [body]), '\nendobj\n']
+      .map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1')));
+    chunks.push(...parts);
+    length += parts.reduce((sum, part) => sum + part.length, 0);
+    return offset;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${reference(catalogId)} /Info ${reference(infoId)} >>`,
+    'startxref',
+    String(length),
+    '%%EOF\n'
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  toPdf
+};
@@ -0,0 +1,241 @@
+const db = require('../config/database');
+const { onInvalidate, invalidate, sweepExpired } = require('./cacheInvalidation');
+
+// Roles from least to most privileged; each includes everything before it
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+// Workspace members can edit every document in the workspace; owners also manage its members
+const WORKSPACE_ROLES = ['member', 'owner'];
+const WORKSPACE_DOCUMENT_ROLE = 'editor';
+
+// Roles are checked on every edit, so lookups are cached briefly per process
+const ROLE_CACHE_TTL = 5000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const roleCache = new Map();
+sweepExpired(roleCache, 60 * 1000);
+
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// The stronger of two roles, either of which may be null
+function strongerRole(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return ROLES.indexOf(a) >= ROLES.indexOf(b) ? a : b;
+}
+
+// Socket.IO room holding every connection of a user
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * The user's role on a document: null if the document does not exist,
+ * otherwise `{ role, deleted }` where role is null when the user has no
+ * access and deleted is true while the document is in the trash.
+ */
+async function getDocumentAccess(documentId, userId) {
+  const key = `${documentId}:${userId}`;
+  const cached = roleCache.get(key);
+  if (cached) {
+    if (cached.expiresAt > Date.now()) {
+      return cached.access;
+    }
+    roleCache.delete(key);
+  }
+
+  const result = await db.query(`
+    SELECT p.role, wm.user_id IS NOT NULL as workspace_member, d.deleted_at IS NOT NULL as deleted
+    FROM documents d
+    LEFT JOIN document_permissions p ON p.document_id = d.id AND p.user_id = $2
+    LEFT JOIN workspace_members wm ON wm.workspace_id = d.workspace_id AND wm.user_id = $2
+    WHERE d.id = $1
+  `, [documentId, userId]);
+
+  if (result.rows.length === 0) {
+    roleCache.delete(key);
+    return null;
+  }
+
+  const { role, workspace_member: workspaceMember, deleted } = result.rows[0];
+  const access = { role: strongerRole(role, workspaceMember ? WORKSPACE_DOCUMENT_ROLE : null), deleted };
+  roleCache.set(key, { access, expiresAt: Date.now() + ROLE_CACHE_TTL });
+  return access;
+}
+
+function dropDocumentAccess(documentId, userId) {
+  if (userId) {
+    roleCache.delete(`${documentId}:${userId}`);
+    return;
+  }
+  for (const key of roleCache.keys()) {
+    if (key.startsWith(`${documentId}:`)) {
+      roleCache.delete(key);
+    }
+  }
+}
+
+function dropUserAccess(userId) {
+  for (const key of roleCache.keys()) {
+    if (key.endsWith(`:${userId}`)) {
+      roleCache.delete(key);
+    }
+  }
+}
+
+onInvalidate('documentAccess', dropDocumentAccess);
+onInvalidate('userAccess', dropUserAccess);
+
+// Forget cached roles on a document, of one user or of everyone, on every instance
+function invalidateDocumentAccess(documentId, userId) {
+  invalidate('documentAccess', documentId, userId || null);
+}
+
+// Forget every cached role of a user, e.g. after their workspace membership changed
+function invalidateUserAccess(userId) {
+  invalidate('userAccess', userId);
+}
+
+/**
+ * SQL for the documents user `$userParam` can open, as rows of
+ * (document_id, role) with the strongest role they have from a direct
+ * grant or workspace membership. Meant to be joined as a subquery.
+ */
+function accessibleDocumentsSql(userParam) {
+  return `
+    SELECT document_id, (ARRAY['viewer', 'commenter', 'editor', 'owner'])[MAX(rank)] as role
+    FROM (
+      SELECT document_id, array_position(ARRAY['viewer', 'commenter', 'editor', 'owner'], role::text) as rank
+      FROM document_permissions
+      WHERE user_id = ${userParam}
+      UNION ALL
+      SELECT d.id, array_position(ARRAY['viewer', 'commenter', 'editor', 'owner'], '${WORKSPACE_DOCUMENT_ROLE}')
+      FROM documents d
+      JOIN workspace_members wm ON wm.workspace_id = d.workspace_id AND wm.user_id = ${userParam}
+    ) grants
+    GROUP BY document_id
+  `;
+}
+
+async function grantDocumentRole(documentId, userId, role, grantedBy) {
+  await db.query(`
+    INSERT INTO document_permissions (document_id, user_id, role, granted_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (document_id, user_id) DO UPDATE SET role = EXCLUDED.role, granted_by = EXCLUDED.granted_by
+  `, [documentId, userId, role, grantedBy || null]);
+  invalidateDocumentAccess(documentId, userId);
+}
+
+// Express middleware: 404 for unknown documents, 403 below the required role.
+// Documents in the trash count as unknown, except for routes marked `trashed`,
+// which only work on them. The caller's role is left on req.documentRole.
+function requireDocumentRole(required, param = 'id', { trashed = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const documentId = req.params[param];
+      const access = UUID_PATTERN.test(documentId) ? await getDocumentAccess(documentId, req.user.userId) : null;
+      if (!access || (access.deleted && !trashed)) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      if (!access.role) {
+        return res.status(403).json({ error: 'You do not have access to this document' });
+      }
+      if (!hasRole(access.role, required)) {
+        return res.status(403).json({ error: `This action requires ${required} access` });
+      }
+
+      if (trashed && !access.deleted) {
+        return res.status(400).json({ error: 'Document is not in the trash' });
+      }
+
+      req.documentRole = access.role;
+      next();
+    } catch (error) {
+      console.error('Document permission check error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Everyone who can open the document, through a direct grant or its workspace
+async function getDocumentMemberIds(documentId) {
+  const members = await db.query(`
+    SELECT user_id FROM document_permissions WHERE document_id = $1
+    UNION
+    SELECT wm.user_id
+    FROM documents d
+    JOIN workspace_members wm ON wm.workspace_id = d.workspace_id
+    WHERE d.id = $1
+  `, [documentId]);
+  return members.rows.map(member => member.user_id);
+}
+
+// Emit an event to every user who can see the document, wherever they are in the app
+async function emitToDocumentMembers(io, documentId, event, payload) {
+  const memberIds = await getDocumentMemberIds(documentId);
+  if (memberIds.length > 0) {
+    io.to(memberIds.map(userRoom)).emit(event, payload);
+  }
+}
+
+// Emit an event to every member of a workspace
+async function emitToWorkspaceMembers(io, workspaceId, event, payload) {
+  const members = await db.query('SELECT user_id FROM workspace_members WHERE workspace_id = $1', [workspaceId]);
+  if (members.rows.length > 0) {
+    io.to(members.rows.map(member => userRoom(member.user_id))).emit(event, payload);
+  }
+}
+
+// The user's role in a workspace, or null if they don't belong to it
+async function getWorkspaceRole(workspaceId, userId) {
+  const result = await db.query(
+    'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, userId]
+  );
+  return result.rows[0]?.role || null;
+}
+
+// Express middleware: 404 unless the user belongs to the workspace, 403 below the required role.
+// The caller's role is left on req.workspaceRole for the route handler.
+function requireWorkspaceRole(required, param = 'workspaceId') {
+  return async (req, res, next) => {
+    try {
+      const workspaceId = req.params[param];
+      const role = UUID_PATTERN.test(workspaceId) ? await getWorkspaceRole(workspaceId, req.user.userId) : null;
+      // Non-members can't tell a workspace they aren't in from one that doesn't exist
+      if (!role) {
+        return res.status(404).json({ error: 'Workspace not found' });
+      }
+      if (WORKSPACE_ROLES.indexOf(role) < WORKSPACE_ROLES.indexOf(required)) {
+        return res.status(403).json({ error: `This action requires workspace ${required} access` });
+      }
+
+      req.workspaceRole = role;
+      next();
+    } catch (error) {
+      console.error('Workspace permission check error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  WORKSPACE_ROLES,
+  WORKSPACE_DOCUMENT_ROLE,
+  UUID_PATTERN,
+  hasRole,
+  userRoom,
+  getDocumentAccess,
+  invalidateDocumentAccess,
+  invalidateUserAccess,
+  accessibleDocumentsSql,
+  grantDocumentRole,
+  requireDocumentRole,
+  getDocumentMemberIds,
+  emitToDocumentMembers,
+  emitToWorkspaceMembers,
+  getWorkspaceRole,
+  requireWorkspaceRole
+};
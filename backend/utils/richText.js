@@ -0,0 +1,274 @@
+// Rich text documents.
+//
+// Documents are stored as a list of blocks, each with a type and runs of
+// text carrying inline marks:
+//   { blocks: [{ type: 'h1', runs: [{ text: 'Title', marks: { bold: true } }] }] }
+// For collaboration the same document is handled as a delta: a list of
+// inserts where every block ends with a '\n' carrying the block type in its
+// `block` attribute, and text carries its marks as attributes. Operations
+// (see ot.js) apply to the delta. The plain text kept in `documents.content`
+// is the delta's text without the final newline, so offsets match in both.
+
+const ot = require('./ot');
+const { escapeHtml, renderRuns } = require('./markdown');
+
+const BLOCK_TYPES = ['paragraph', 'h1', 'h2', 'h3', 'bullet', 'ordered', 'quote', 'code'];
+const BOOLEAN_MARKS = ['bold', 'italic', 'underline', 'strike', 'code'];
+const MARKS = [...BOOLEAN_MARKS, 'link'];
+const MAX_LINK_LENGTH = 2048;
+
+const isSafeLink = (href) => /^(https?:\/\/|mailto:|\/|#)/i.test(href);
+
+function isValidAttribute(key, value) {
+  if (key === 'block') {
+    return value === null || (BLOCK_TYPES.includes(value) && value !== 'paragraph');
+  }
+  if (key === 'link') {
+    return value === null || (typeof value === 'string' && value.length <= MAX_LINK_LENGTH && isSafeLink(value));
+  }
+  return BOOLEAN_MARKS.includes(key) && (value === null || value === true);
+}
+
+// An OT operation whose attributes are all known marks or block types
+function isValidOperation(operation) {
+  return ot.isValidOperation(operation) && operation.every(component =>
+    !component.attributes ||
+    Object.entries(component.attributes).every(([key, value]) => isValidAttribute(key, value))
+  );
+}
+
+// Marks belong on text and block types on line breaks; anything else is dropped
+function pickAttributes(attributes, isLineBreak) {
+  if (!attributes) return undefined;
+  const picked = {};
+  // Sorted so equal formatting always serializes the same way
+  for (const key of Object.keys(attributes).sort()) {
+    const value = attributes[key];
+    const allowed = isLineBreak ? key === 'block' : MARKS.includes(key);
+    if (allowed && value !== null && value !== undefined && isValidAttribute(key, value)) {
+      picked[key] = value;
+    }
+  }
+  return Object.keys(picked).length > 0 ? picked : undefined;
+}
+
+// Split inserts at line breaks, keep only the attributes each part may have and merge neighbours
+function normalizeDocument(delta) {
+  const parts = [];
+  for (const { insert, attributes } of delta) {
+    for (const part of insert.split(/(\n)/)) {
+      if (!part) continue;
+      const picked = pickAttributes(attributes, part === '\n');
+      parts.push(picked ? { insert: part, attributes: picked } : { insert: part });
+    }
+  }
+  return ot.normalize(parts);
+}
+
+function documentLength(delta) {
+  return delta.reduce((length, { insert }) => length + insert.length, 0);
+}
+
+function fromPlainText(content) {
+  return [{ insert: `${content || ''}\n` }];
+}
+
+function toPlainText(delta) {
+  return delta.map(({ insert }) => insert).join('').slice(0, -1);
+}
+
+// Build a delta from the stored block model; unknown types and marks are dropped
+function fromModel(model) {
+  const delta = [];
+  const blocks = model && Array.isArray(model.blocks) && model.blocks.length > 0
+    ? model.blocks
+    : [{ type: 'paragraph', runs: [] }];
+
+  for (const block of blocks) {
+    for (const run of Array.isArray(block.runs) ? block.runs : []) {
+      if (typeof run.text === 'string' && run.text.length > 0) {
+        // Runs never contain line breaks; treat any that slipped in as spaces
+        delta.push({ insert: run.text.replace(/\n/g, ' '), attributes: run.marks });
+      }
+    }
+    const type = BLOCK_TYPES.includes(block.type) && block.type !== 'paragraph' ? block.type : null;
+    delta.push(type ? { insert: '\n', attributes: { block: type } } : { insert: '\n' });
+  }
+
+  return normalizeDocument(delta);
+}
+
+function toModel(delta) {
+  const blocks = [];
+  let runs = [];
+
+  // Plain text and plain line breaks may share an insert
+  for (const { insert, attributes } of normalizeDocument(delta)) {
+    for (const part of insert.split(/(\n)/)) {
+      if (part === '\n') {
+        blocks.push({ type: attributes?.block || 'paragraph', runs });
+        runs = [];
+      } else if (part) {
+        runs.push(attributes ? { text: part, marks: attributes } : { text: part });
+      }
+    }
+  }
+
+  return { blocks };
+}
+
+/**
+ * Apply an operation to a delta. Throws if it does not fit or would remove
+ * or write past the final line break every document ends with.
+ */
+function apply(delta, operation) {
+  const length = documentLength(delta);
+  if (ot.baseLength(operation) > length) {
+    throw new Error('Operation does not fit the document');
+  }
+
+  let position = 0;
+  for (const component of operation) {
+    if (typeof component.insert === 'string' && position >= length) {
+      throw new Error('Operation writes past the end of the document');
+    }
+    if (typeof component.delete === 'number' && position + component.delete > length - 1) {
+      throw new Error('Operation removes the final line break');
+    }
+    position += component.retain || component.delete || 0;
+  }
+
+  return normalizeDocument(ot.compose(delta, operation));
+}
+
+// Runs of { length, attributes } covering the delta, one per insert
+function attributeRuns(delta) {
+  return delta.map(({ insert, attributes }) => ({ length: insert.length, attributes }));
+}
+
+// Attribute changes turning `from` into `to`, with null for removed keys
+function attributeChanges(from, to) {
+  const changes = {};
+  for (const key of Object.keys(from || {})) {
+    if (!to || !(key in to)) changes[key] = null;
+  }
+  for (const [key, value] of Object.entries(to || {})) {
+    if (!from || from[key] !== value) changes[key] = value;
+  }
+  return Object.keys(changes).length > 0 ? changes : undefined;
+}
+
+// The part of a delta between two offsets
+function sliceDocument(delta, start, end) {
+  const slice = [];
+  let position = 0;
+  for (const { insert, attributes } of delta) {
+    const from = Math.max(start - position, 0);
+    const to = Math.min(end - position, insert.length);
+    if (from < to) {
+      slice.push(attributes ? { insert: insert.slice(from, to), attributes } : { insert: insert.slice(from, to) });
+    }
+    position += insert.length;
+    if (position >= end) break;
+  }
+  return slice;
+}
+
+/**
+ * Operation turning one delta into another: the text change first, then
+ * retains that fix up the formatting of text both have in common.
+ */
+function diff(oldDelta, newDelta) {
+  const textOperation = ot.diff(toPlainText(oldDelta), toPlainText(newDelta));
+
+  // Give inserted text the formatting it has in the new document
+  const withFormatting = [];
+  let position = 0;
+  for (const component of textOperation) {
+    if (typeof component.insert === 'string') {
+      withFormatting.push(...sliceDocument(newDelta, position, position + component.insert.length));
+      position += component.insert.length;
+    } else {
+      withFormatting.push(component);
+      position += component.retain || 0;
+    }
+  }
+  const textChange = ot.normalize(withFormatting);
+
+  // Same text now; compare formatting run by run
+  const current = attributeRuns(apply(oldDelta, textChange));
+  const target = attributeRuns(newDelta);
+  const formatting = [];
+  let i = 0;
+  let j = 0;
+  let currentOffset = 0;
+  let targetOffset = 0;
+  while (i < current.length && j < target.length) {
+    const size = Math.min(current[i].length - currentOffset, target[j].length - targetOffset);
+    const changes = attributeChanges(current[i].attributes, target[j].attributes);
+    formatting.push(changes ? { retain: size, attributes: changes } : { retain: size });
+
+    currentOffset += size;
+    targetOffset += size;
+    if (currentOffset === current[i].length) {
+      i += 1;
+      currentOffset = 0;
+    }
+    if (targetOffset === target[j].length) {
+      j += 1;
+      targetOffset = 0;
+    }
+  }
+
+  return ot.compose(textChange, ot.normalize(formatting));
+}
+
+const HTML_BLOCKS = { paragraph: 'p', h1: 'h1', h2: 'h2', h3: 'h3' };
+const GROUPED_BLOCKS = { bullet: 'ul', ordered: 'ol', quote: 'blockquote' };
+
+// HTML for a block model; consecutive list items, quote lines and code lines are grouped
+function toHtml(model) {
+  const html = [];
+  const blocks = (model && model.blocks) || [];
+
+  let i = 0;
+  while (i < blocks.length) {
+    const type = BLOCK_TYPES.includes(blocks[i].type) ? blocks[i].type : 'paragraph';
+    const grouped = type in GROUPED_BLOCKS || type === 'code';
+    const group = [blocks[i]];
+    i += 1;
+    while (grouped && i < blocks.length && blocks[i].type === type) {
+      group.push(blocks[i]);
+      i += 1;
+    }
+
+    if (type === 'code') {
+      const text = group.map(block => (block.runs || []).map(run => run.text).join('')).join('\n');
+      html.push(`<pre><code>${escapeHtml(text)}</code></pre>`);
+    } else if (type in GROUPED_BLOCKS) {
+      const itemTag = type === 'quote' ? 'p' : 'li';
+      const items = group.map(block => `<${itemTag}>${renderRuns(block.runs || [])}</${itemTag}>`).join('\n');
+      html.push(`<${GROUPED_BLOCKS[type]}>\n${items}\n</${GROUPED_BLOCKS[type]}>`);
+    } else {
+      const tag = HTML_BLOCKS[type];
+      // Empty paragraphs are kept as spacing
+      html.push(`<${tag}>${renderRuns(group[0].runs || []) || '<br>'}</${tag}>`);
+    }
+  }
+
+  return html.join('\n');
+}
+
+module.exports = {
+  BLOCK_TYPES,
+  isValidOperation,
+  normalizeDocument,
+  documentLength,
+  fromPlainText,
+  toPlainText,
+  fromModel,
+  toModel,
+  apply,
+  diff,
+  toHtml
+};
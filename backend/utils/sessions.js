@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { onInvalidate, invalidate, sweepExpired } = require('./cacheInvalidation');
+
+// Access tokens are short-lived; refresh tokens keep a session going
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Another tab may still send the previous refresh token right after a rotation
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Revocation is checked on every request, so results are cached briefly per process
+const SESSION_CACHE_TTL = 5000;
+const sessionCache = new Map();
+onInvalidate('session', (sessionId) => sessionCache.delete(sessionId));
+sweepExpired(sessionCache, 60 * 1000);
+
+// Called with every session revoked on this instance, e.g. to disconnect its sockets
+let onRevoke = () => {};
+
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are `<session id>.<secret>`; only the secret's hash is stored
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Start a session and return the first pair of tokens
+async function createSession(user, userAgent) {
+  const secret = newRefreshSecret();
+  const session = await db.query(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, expires_at)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id
+  `, [user.id, hashToken(secret), userAgent ? userAgent.slice(0, 255) : null, refreshExpiry()]);
+
+  const sessionId = session.rows[0].id;
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`
+  };
+}
+
+/**
+ * Exchange a refresh token for new tokens. The old refresh token stops
+ * working; presenting it again (outside a short grace period for concurrent
+ * tabs) means it leaked, so the session is revoked.
+ * Resolves with null when the token is not valid.
+ */
+async function rotateSession(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+    return null;
+  }
+
+  const result = await db.query(`
+    SELECT s.id, s.refresh_token_hash, s.previous_token_hash, s.rotated_at, s.expires_at, s.revoked_at,
+           u.id as user_id, u.username
+    FROM user_sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.id = $1
+  `, [sessionId]);
+
+  const session = result.rows[0];
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const presentedHash = hashToken(secret);
+  if (session.refresh_token_hash !== presentedHash) {
+    const recentlyRotated = session.rotated_at && Date.now() - new Date(session.rotated_at).getTime() < ROTATION_GRACE_MS;
+    if (presentedHash === session.previous_token_hash && recentlyRotated) {
+      return null;
+    }
+    console.warn(`Refresh token reuse detected for session ${sessionId}; revoking it`);
+    await revokeSession(sessionId);
+    return null;
+  }
+
+  const nextSecret = newRefreshSecret();
+  const rotated = await db.query(`
+    UPDATE user_sessions
+    SET refresh_token_hash = $1, previous_token_hash = refresh_token_hash, rotated_at = NOW(),
+        expires_at = $2, last_used_at = NOW()
+    WHERE id = $3 AND refresh_token_hash = $4 AND revoked_at IS NULL
+    RETURNING id
+  `, [hashToken(nextSecret), refreshExpiry(), sessionId, session.refresh_token_hash]);
+
+  // Lost a race with a concurrent refresh using the same token
+  if (rotated.rows.length === 0) {
+    return null;
+  }
+
+  const user = { id: session.user_id, username: session.username };
+  return {
+    user,
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${nextSecret}`
+  };
+}
+
+async function revokeSession(sessionId) {
+  await db.query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [sessionId]);
+  invalidate('session', sessionId);
+  onRevoke(sessionId);
+}
+
+// Set what else happens when a session is revoked
+function setRevocationHandler(handler) {
+  onRevoke = handler;
+}
+
+async function isSessionActive(sessionId) {
+  const cached = sessionCache.get(sessionId);
+  if (cached) {
+    if (cached.expiresAt > Date.now()) {
+      return cached.active;
+    }
+    sessionCache.delete(sessionId);
+  }
+
+  const result = await db.query(
+    'SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId]
+  );
+  const active = result.rows.length > 0;
+  sessionCache.set(sessionId, { active, expiresAt: Date.now() + SESSION_CACHE_TTL });
+  return active;
+}
+
+/**
+ * Verify an access token and check that its session is still active.
+ * Throws if either check fails; resolves with the decoded payload.
+ */
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens from before sessions existed carry no session id
+  if (!decoded.sid || !await isSessionActive(decoded.sid)) {
+    throw new Error('Session has been revoked');
+  }
+
+  return decoded;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  setRevocationHandler,
+  sessionRoom,
+  verifyAccessToken
+};
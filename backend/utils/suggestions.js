@@ -0,0 +1,112 @@
+// Suggested edits (track changes).
+//
+// A suggestion proposes replacing the text between its anchors with `text`:
+// an insertion has an empty range, a deletion empty text. Anchors move with
+// the document like comment anchors do (see socket/documentState.js) until
+// the suggestion is accepted, rejected or withdrawn.
+
+const db = require('../config/database');
+const { anchorRange, forgetAnchor, defineAnchorSaver } = require('../socket/documentState');
+
+const MAX_SUGGESTION_LENGTH = 10000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SUGGESTION_COLUMNS = `
+  s.*,
+  u.username
+`;
+
+const formatSuggestion = (suggestion) => ({
+  id: suggestion.id,
+  documentId: suggestion.document_id,
+  userId: suggestion.user_id,
+  username: suggestion.username,
+  anchorStart: suggestion.anchor_start,
+  anchorEnd: suggestion.anchor_end,
+  text: suggestion.text,
+  originalText: suggestion.original_text,
+  status: suggestion.status,
+  resolvedBy: suggestion.resolved_by,
+  resolvedAt: suggestion.resolved_at,
+  createdAt: suggestion.created_at,
+  updatedAt: suggestion.updated_at
+});
+
+// Why a change sent by a client can't be stored, or null if it can
+function validateChange({ suggestionId, start, end, text }) {
+  if (typeof suggestionId !== 'string' || !UUID_PATTERN.test(suggestionId)) {
+    return 'Invalid suggestion id';
+  }
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+    return 'Invalid suggestion range';
+  }
+  if (typeof text !== 'string') {
+    return 'Suggested text is required';
+  }
+  if (text.length > MAX_SUGGESTION_LENGTH) {
+    return `Suggestions must be ${MAX_SUGGESTION_LENGTH} characters or less`;
+  }
+  return null;
+}
+
+async function getSuggestion(documentId, suggestionId) {
+  const result = await db.query(`
+    SELECT ${SUGGESTION_COLUMNS}
+    FROM suggestions s
+    LEFT JOIN users u ON s.user_id = u.id
+    WHERE s.id = $1 AND s.document_id = $2
+  `, [suggestionId, documentId]);
+  return result.rows[0] || null;
+}
+
+// Suggestions are upserted so that the author's later changes replace the earlier ones
+defineAnchorSaver('suggestion', async (range, originalText, { documentId, userId, suggestionId, text }) => {
+  const result = await db.query(`
+    INSERT INTO suggestions (id, document_id, user_id, anchor_start, anchor_end, text, original_text)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (id) DO UPDATE SET
+      anchor_start = EXCLUDED.anchor_start,
+      anchor_end = EXCLUDED.anchor_end,
+      text = EXCLUDED.text,
+      original_text = EXCLUDED.original_text,
+      updated_at = NOW()
+    WHERE suggestions.document_id = EXCLUDED.document_id
+      AND suggestions.user_id = EXCLUDED.user_id
+      AND suggestions.status = 'pending'
+    RETURNING *
+  `, [suggestionId, documentId, userId, range.start, range.end, text, originalText]);
+  return result.rows[0];
+});
+
+/**
+ * Create a suggestion or replace one of the author's own pending ones, with
+ * the range as seen at `version`. Resolves with `{ row, version }` like
+ * anchorRange, or null if the range is gone or the id belongs to someone
+ * else's or a settled suggestion.
+ */
+function saveSuggestion(documentId, userId, { suggestionId, start, end, text, version }) {
+  return anchorRange(documentId, 'suggestion', { start, end, version }, { documentId, userId, suggestionId, text });
+}
+
+// Delete one of the author's own pending suggestions; resolves with whether there was one
+async function withdrawSuggestion(documentId, userId, suggestionId) {
+  const result = await db.query(`
+    DELETE FROM suggestions
+    WHERE id = $1 AND document_id = $2 AND user_id = $3 AND status = 'pending'
+    RETURNING id
+  `, [suggestionId, documentId, userId]);
+  if (result.rows.length === 0) {
+    return false;
+  }
+  await forgetAnchor(documentId, suggestionId);
+  return true;
+}
+
+module.exports = {
+  SUGGESTION_COLUMNS,
+  formatSuggestion,
+  validateChange,
+  getSuggestion,
+  saveSuggestion,
+  withdrawSuggestion
+};
@@ -0,0 +1,71 @@
+// Document templates.
+//
+// Any document can be flagged as a template. Creating a document from one
+// copies its content with placeholders such as {{date}} and {{author}}
+// filled in; placeholders we don't know are left as they are, so templates
+// can contain literal double braces.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholders filled in when a document is created from a template
+const PLACEHOLDERS = ['date', 'time', 'datetime', 'author'];
+
+// Whether `timeZone` is an IANA time zone this runtime knows
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Values for the placeholders, as of `now` in the creator's time zone
+ * (UTC if they didn't send one). Dates are YYYY-MM-DD so titles made from
+ * them sort by date.
+ */
+function placeholderValues({ author, timeZone = 'UTC', now = new Date() }) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(({ type, value }) => [type, value])
+  );
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const time = `${parts.hour}:${parts.minute}`;
+  return { date, time, datetime: `${date} ${time}`, author };
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const key = name.toLowerCase();
+    return PLACEHOLDERS.includes(key) && values[key] !== undefined ? values[key] : placeholder;
+  });
+}
+
+// Fill placeholders in the runs of a block model. A placeholder must sit in
+// a single run, i.e. have the same formatting throughout, to be replaced.
+function fillRichContent(model, values) {
+  return {
+    ...model,
+    blocks: model.blocks.map(block => ({
+      ...block,
+      runs: block.runs.map(run => ({ ...run, text: fillPlaceholders(run.text, values) }))
+    }))
+  };
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  isValidTimeZone,
+  placeholderValues,
+  fillPlaceholders,
+  fillRichContent
+};
@@ -0,0 +1,222 @@
+// Line- and word-level diffs between two versions of a document's text.
+//
+// Sequences are compared with Myers' O(ND) algorithm after trimming the
+// common prefix and suffix. Very different inputs fall back to a plain
+// "delete everything, insert everything" result instead of using unbounded
+// time and memory.
+
+const MAX_EDIT_DISTANCE = 2000;
+
+// Shortest edit script between a and b as [{ type, items }] runs
+function diffSequences(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const runs = [];
+  const push = (type, item) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.items.push(item);
+    } else {
+      runs.push({ type, items: [item] });
+    }
+  };
+
+  a.slice(0, start).forEach(item => push('equal', item));
+  for (const [type, item] of middleEdits(a.slice(start, endA), b.slice(start, endB))) {
+    push(type, item);
+  }
+  a.slice(endA).forEach(item => push('equal', item));
+
+  return runs;
+}
+
+function middleEdits(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  if (max === 0) return [];
+
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    // Only diagonals -d..d can be read in this round
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, d);
+      }
+    }
+  }
+
+  return [
+    ...a.map(item => ['delete', item]),
+    ...b.map(item => ['insert', item])
+  ];
+}
+
+function backtrack(a, b, trace, distance) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = distance; d > 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d];
+    const k = x - y;
+    const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      edits.push(['equal', a[x - 1]]);
+      x -= 1;
+      y -= 1;
+    }
+    if (x === previousX) {
+      edits.push(['insert', b[y - 1]]);
+    } else {
+      edits.push(['delete', a[x - 1]]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  while (x > 0 && y > 0) {
+    edits.push(['equal', a[x - 1]]);
+    x -= 1;
+    y -= 1;
+  }
+
+  return edits.reverse();
+}
+
+// Words, whitespace runs and single punctuation characters
+function tokenize(text) {
+  return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+/**
+ * Word-level diff of two strings as [{ type, value }] segments, where type
+ * is 'equal', 'insert' or 'delete'.
+ */
+function diffWords(oldText, newText) {
+  return diffSequences(tokenize(oldText), tokenize(newText))
+    .map(run => ({ type: run.type, value: run.items.join('') }));
+}
+
+// One side of a word diff, with neighbouring segments of the same type merged
+function sideOf(segments, hiddenType) {
+  const side = [];
+  for (const segment of segments) {
+    if (segment.type === hiddenType) continue;
+    const last = side[side.length - 1];
+    if (last && last.type === segment.type) {
+      last.value += segment.value;
+    } else {
+      side.push({ ...segment });
+    }
+  }
+  return side;
+}
+
+/**
+ * Line-level diff of two texts. Every line carries its line numbers; lines
+ * that were changed rather than purely added or removed are paired up and
+ * get `words` segments showing what changed inside them.
+ */
+function diffLines(oldText, newText) {
+  const lines = [];
+  let oldNumber = 1;
+  let newNumber = 1;
+
+  const runs = diffSequences(oldText.split('\n'), newText.split('\n'));
+  for (let i = 0; i < runs.length; i++) {
+    const run = runs[i];
+
+    if (run.type === 'equal') {
+      for (const text of run.items) {
+        lines.push({ type: 'equal', oldNumber: oldNumber++, newNumber: newNumber++, text });
+      }
+      continue;
+    }
+
+    if (run.type === 'insert') {
+      for (const text of run.items) {
+        lines.push({ type: 'insert', newNumber: newNumber++, text });
+      }
+      continue;
+    }
+
+    // Deletions directly followed by insertions are edits of the same lines
+    const inserted = runs[i + 1]?.type === 'insert' ? runs[i + 1].items : [];
+    const deletedLines = run.items.map((text, index) => {
+      const line = { type: 'delete', oldNumber: oldNumber++, text };
+      if (index < inserted.length) {
+        line.words = sideOf(diffWords(text, inserted[index]), 'insert');
+      }
+      return line;
+    });
+    const insertedLines = inserted.map((text, index) => {
+      const line = { type: 'insert', newNumber: newNumber++, text };
+      if (index < run.items.length) {
+        line.words = sideOf(diffWords(run.items[index], text), 'delete');
+      }
+      return line;
+    });
+
+    lines.push(...deletedLines, ...insertedLines);
+    if (inserted.length > 0) {
+      i += 1;
+    }
+  }
+
+  return lines;
+}
+
+// Count added and removed lines and words
+function diffStats(lines) {
+  const stats = { linesAdded: 0, linesRemoved: 0, wordsAdded: 0, wordsRemoved: 0 };
+  const countWords = (text) => tokenize(text).filter(token => /[\p{L}\p{N}_]/u.test(token)).length;
+
+  for (const line of lines) {
+    if (line.type === 'equal') continue;
+
+    const added = line.type === 'insert';
+    stats[added ? 'linesAdded' : 'linesRemoved'] += 1;
+    const changedText = line.words
+      ? line.words.filter(segment => segment.type !== 'equal').map(segment => segment.value).join(' ')
+      : line.text;
+    stats[added ? 'wordsAdded' : 'wordsRemoved'] += countWords(changedText);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  diffWords,
+  diffLines,
+  diffStats
+};
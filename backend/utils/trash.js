@@ -0,0 +1,86 @@
+// Deleted documents wait in the trash for TRASH_RETENTION_DAYS before a
+// background job removes them for good, along with their chat, history,
+// comments and everything else that cascades from the document row.
+
+const db = require('../config/database');
+const { invalidateDocumentCache } = require('../config/redis');
+const { discardDocumentState } = require('../socket/documentState');
+const { invalidateDocumentAccess, getDocumentMemberIds, userRoom } = require('./permissions');
+
+// A malformed setting would purge nothing or run the purge in a tight loop, so it falls back to the default
+const positiveIntFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const TRASH_RETENTION_DAYS = positiveIntFromEnv('TRASH_RETENTION_DAYS', 30);
+const TRASH_PURGE_INTERVAL_MINUTES = positiveIntFromEnv('TRASH_PURGE_INTERVAL_MINUTES', 60);
+// Expired documents are looked up in batches and deleted one at a time, so no transaction runs long
+const PURGE_BATCH_SIZE = 100;
+
+// When a document deleted at `deletedAt` will be purged
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Hard-delete a document, forget everything held about it in memory and Redis
+// and take it out of the open document lists of everyone who could see it
+async function purgeDocument(io, documentId) {
+  const memberIds = await getDocumentMemberIds(documentId);
+  await db.query('DELETE FROM documents WHERE id = $1', [documentId]);
+  await discardDocumentState(documentId);
+  invalidateDocumentAccess(documentId);
+  await invalidateDocumentCache(documentId);
+  if (memberIds.length > 0) {
+    io.to(memberIds.map(userRoom)).emit('documentPurged', { documentId });
+  }
+}
+
+/**
+ * Purge every document that has been in the trash longer than the
+ * retention period. Returns how many were removed.
+ */
+async function purgeTrash(io) {
+  let purged = 0;
+  while (true) {
+    const expired = await db.query(`
+      SELECT id FROM documents
+      WHERE deleted_at < NOW() - make_interval(days => $1)
+      LIMIT $2
+    `, [TRASH_RETENTION_DAYS, PURGE_BATCH_SIZE]);
+
+    for (const { id } of expired.rows) {
+      await purgeDocument(io, id);
+    }
+    purged += expired.rows.length;
+
+    if (expired.rows.length < PURGE_BATCH_SIZE) return purged;
+  }
+}
+
+// Run the purge now and then every TRASH_PURGE_INTERVAL_MINUTES; returns the timer
+function startTrashPurge(io) {
+  const run = async () => {
+    try {
+      const purged = await purgeTrash(io);
+      if (purged > 0) {
+        console.log(`🗑️ Purged ${purged} document(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  purgeDocument,
+  purgeTrash,
+  startTrashPurge
+};
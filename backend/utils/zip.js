@@ -0,0 +1,150 @@
+// Minimal ZIP reader and writer, enough for the Office Open XML packages
+// DOCX import and export use: stored or deflated entries, no ZIP64.
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time in the MS-DOS format ZIP headers use
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a ZIP archive from `{ name, data }` entries, where data is a string
+ * (written as UTF-8) or a Buffer. Entries are stored in the order given.
+ */
+function createZip(entries, date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const fileName = Buffer.from(name, 'utf8');
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed to extract
+    local.writeUInt16LE(0x0800, 6); // names are UTF-8
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    // Extra field, comment, disk number and attributes stay zero
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, compressed);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Read the entries of a ZIP archive into a Map of name → Buffer. Only files
+ * that are stored or deflated are returned. Throws on anything that isn't a
+ * readable archive.
+ */
+function readZip(buffer, { maxSize = 50 * 1024 * 1024 } = {}) {
+  // The end of central directory record sits in the last 22 bytes plus up to 64K of comment
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i -= 1) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+  let total = 0;
+
+  for (let n = 0; n < count; n += 1) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || (method !== 0 && method !== 8)) continue;
+
+    // Sizes in the local header may be zero when a data descriptor follows, so use the central ones
+    if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== 0x04034b50) {
+      throw new Error('Corrupt ZIP entry');
+    }
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+
+    // Guard against archives that inflate far beyond their size
+    total += size;
+    if (total > maxSize) {
+      throw new Error('ZIP archive is too large');
+    }
+    entries.set(name, method === 8 ? zlib.inflateRawSync(data, { maxOutputLength: size || 1 }) : data);
+  }
+
+  return entries;
+}
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip
+};
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Login from './components/Login';
 import DocumentList from './components/DocumentList';
-import DocumentEditor from './components/DocumentEditor';
+import DocumentRoute from './components/DocumentRoute';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { SocketProvider } from './contexts/SocketContext';
 import './index.css';
@@ -27,7 +27,8 @@ function AppContent() {
       <div className="container">
         <Routes>
           <Route path="/" element={<DocumentList />} />
-          <Route path="/documents/:id" element={<DocumentEditor />} />
+          <Route path="/documents/:id" element={<DocumentRoute />} />
+          <Route path="/document/:id" element={<DocumentRoute />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </div>
@@ -4,7 +4,7 @@ import { useSocket } from '../contexts/SocketContext';
 import { getUserColor, getUserColorUnique } from '../utils/userColors';
 import axios from 'axios';
 
-const Chat = ({ documentId, presence = [], allUserIds = [] }) => {
+const Chat = ({ documentId, presence = [], allUserIds = [], canSend = true }) => {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(true);
@@ -463,86 +463,92 @@ const Chat = ({ documentId, presence = [], allUserIds = [] }) => {
         borderTop: '1px solid #f0f0f0',
         background: 'white'
       }}>
-        <form onSubmit={handleSendMessage} style={{
-          display: 'flex',
-          gap: '12px',
-          alignItems: 'flex-end'
-        }}>
-          <div style={{ flex: 1, position: 'relative' }}>
-            <input
-              type="text"
-              value={newMessage}
-              onChange={handleMessageChange}
-              placeholder="Type a message..."
-              maxLength={1000}
+        {canSend ? (
+          <form onSubmit={handleSendMessage} style={{
+            display: 'flex',
+            gap: '12px',
+            alignItems: 'flex-end'
+          }}>
+            <div style={{ flex: 1, position: 'relative' }}>
+              <input
+                type="text"
+                value={newMessage}
+                onChange={handleMessageChange}
+                placeholder="Type a message..."
+                maxLength={1000}
+                style={{
+                  width: '100%',
+                  padding: '12px 16px',
+                  border: '2px solid #f0f0f0',
+                  borderRadius: '25px',
+                  fontSize: '14px',
+                  outline: 'none',
+                  background: '#fafbfc',
+                  transition: 'all 0.3s ease',
+                  fontFamily: 'inherit'
+                }}
+                onFocus={(e) => {
+                  e.target.style.borderColor = '#667eea';
+                  e.target.style.background = 'white';
+                  e.target.style.boxShadow = '0 0 0 3px rgba(102, 126, 234, 0.1)';
+                }}
+                onBlur={(e) => {
+                  e.target.style.borderColor = '#f0f0f0';
+                  e.target.style.background = '#fafbfc';
+                  e.target.style.boxShadow = 'none';
+                }}
+              />
+              <div style={{
+                position: 'absolute',
+                right: '12px',
+                top: '50%',
+                transform: 'translateY(-50%)',
+                fontSize: '12px',
+                color: '#6c757d'
+              }}>
+                {/* {newMessage.length}/1000 */}
+              </div>
+            </div>
+            <button
+              type="submit"
+              disabled={!newMessage.trim()}
               style={{
-                width: '100%',
-                padding: '12px 16px',
-                border: '2px solid #f0f0f0',
+                padding: '12px 20px',
+                background: newMessage.trim() ? 'linear-gradient(135deg, #667eea, #764ba2)' : '#e9ecef',
+                color: newMessage.trim() ? 'white' : '#6c757d',
+                border: 'none',
                 borderRadius: '25px',
                 fontSize: '14px',
-                outline: 'none',
-                background: '#fafbfc',
+                fontWeight: '600',
+                cursor: newMessage.trim() ? 'pointer' : 'not-allowed',
                 transition: 'all 0.3s ease',
-                fontFamily: 'inherit'
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                boxShadow: newMessage.trim() ? '0 4px 12px rgba(102, 126, 234, 0.3)' : 'none'
               }}
-              onFocus={(e) => {
-                e.target.style.borderColor = '#667eea';
-                e.target.style.background = 'white';
-                e.target.style.boxShadow = '0 0 0 3px rgba(102, 126, 234, 0.1)';
+              onMouseOver={(e) => {
+                if (newMessage.trim()) {
+                  e.target.style.transform = 'translateY(-1px)';
+                  e.target.style.boxShadow = '0 6px 16px rgba(102, 126, 234, 0.4)';
+                }
               }}
-              onBlur={(e) => {
-                e.target.style.borderColor = '#f0f0f0';
-                e.target.style.background = '#fafbfc';
-                e.target.style.boxShadow = 'none';
+              onMouseOut={(e) => {
+                if (newMessage.trim()) {
+                  e.target.style.transform = 'translateY(0)';
+                  e.target.style.boxShadow = '0 4px 12px rgba(102, 126, 234, 0.3)';
+                }
               }}
-            />
-            <div style={{
-              position: 'absolute',
-              right: '12px',
-              top: '50%',
-              transform: 'translateY(-50%)',
-              fontSize: '12px',
-              color: '#6c757d'
-            }}>
-              {/* {newMessage.length}/1000 */}
-            </div>
+            >
+              <span>Send</span>
+              <span style={{ fontSize: '12px' }}>📤</span>
+            </button>
+          </form>
+        ) : (
+          <div style={{ fontSize: '13px', color: '#6c757d', textAlign: 'center' }}>
+            👁 You can read this chat but not post in it
           </div>
-          <button
-            type="submit"
-            disabled={!newMessage.trim()}
-            style={{
-              padding: '12px 20px',
-              background: newMessage.trim() ? 'linear-gradient(135deg, #667eea, #764ba2)' : '#e9ecef',
-              color: newMessage.trim() ? 'white' : '#6c757d',
-              border: 'none',
-              borderRadius: '25px',
-              fontSize: '14px',
-              fontWeight: '600',
-              cursor: newMessage.trim() ? 'pointer' : 'not-allowed',
-              transition: 'all 0.3s ease',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '6px',
-              boxShadow: newMessage.trim() ? '0 4px 12px rgba(102, 126, 234, 0.3)' : 'none'
-            }}
-            onMouseOver={(e) => {
-              if (newMessage.trim()) {
-                e.target.style.transform = 'translateY(-1px)';
-                e.target.style.boxShadow = '0 6px 16px rgba(102, 126, 234, 0.4)';
-              }
-            }}
-            onMouseOut={(e) => {
-              if (newMessage.trim()) {
-                e.target.style.transform = 'translateY(0)';
-                e.target.style.boxShadow = '0 4px 12px rgba(102, 126, 234, 0.3)';
-              }
-            }}
-          >
-            <span>Send</span>
-            <span style={{ fontSize: '12px' }}>📤</span>
-          </button>
-        </form>
+        )}
       </div>
 
       {/* CSS Animations */}
@@ -0,0 +1,345 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  color: '#667eea',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+const textareaStyle = {
+  width: '100%',
+  padding: '8px 10px',
+  border: '1px solid #dee2e6',
+  borderRadius: '8px',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  resize: 'vertical',
+  outline: 'none',
+  boxSizing: 'border-box'
+};
+
+const primaryButtonStyle = (disabled) => ({
+  padding: '6px 14px',
+  background: 'linear-gradient(135deg, #667eea, #764ba2)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1
+});
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  return date.toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Comment threads anchored to the text, shown in the editor margin.
+// The editor owns the threads and keeps their anchors in step with edits;
+// this panel sends changes and hands the saved comments back.
+const CommentsPanel = ({
+  documentId,
+  comments,
+  content,
+  activeId,
+  onActivate,
+  draft,
+  onSubmitDraft,
+  onCancelDraft,
+  onSaved,
+  onDeleted,
+  canComment,
+  isOwner
+}) => {
+  const [showResolved, setShowResolved] = useState(false);
+  const [draftText, setDraftText] = useState('');
+  const [replies, setReplies] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const activeRef = useRef(null);
+
+  const { user } = useAuth();
+
+  useEffect(() => {
+    setDraftText('');
+  }, [draft?.quotedText]);
+
+  // Bring the thread picked in the editor into view
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [activeId]);
+
+  const run = async (action, failure) => {
+    try {
+      setBusy(true);
+      setError('');
+      await action();
+    } catch (error) {
+      setError(error.response?.data?.error || failure);
+      console.error(`${failure}:`, error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitDraft = () => run(async () => {
+    await onSubmitDraft(draftText.trim());
+    setDraftText('');
+  }, 'Failed to add comment');
+
+  const submitReply = (threadId) => run(async () => {
+    const response = await axios.post(`/documents/${documentId}/comments/${threadId}/replies`, {
+      body: replies[threadId].trim()
+    });
+    onSaved(response.data.comment);
+    setReplies(prev => ({ ...prev, [threadId]: '' }));
+  }, 'Failed to reply');
+
+  const setResolved = (threadId, resolved) => run(async () => {
+    const response = await axios.post(`/documents/${documentId}/comments/${threadId}/${resolved ? 'resolve' : 'reopen'}`);
+    onSaved(response.data.comment);
+  }, resolved ? 'Failed to resolve thread' : 'Failed to reopen thread');
+
+  const deleteComment = (comment) => {
+    const message = comment.parentId ? 'Delete this reply?' : 'Delete this thread and all its replies?';
+    if (!window.confirm(message)) return;
+
+    run(async () => {
+      await axios.delete(`/documents/${documentId}/comments/${comment.id}`);
+      onDeleted({ commentId: comment.id, parentId: comment.parentId });
+    }, 'Failed to delete comment');
+  };
+
+  const canDelete = (comment) => canComment && (comment.userId === user.id || isOwner);
+
+  const open = comments.filter(thread => !thread.resolvedAt);
+  const visible = (showResolved ? comments : open)
+    .slice()
+    .sort((a, b) => a.anchorStart - b.anchorStart || new Date(a.createdAt) - new Date(b.createdAt));
+
+  const renderComment = (comment) => (
+    <div key={comment.id} style={{ marginTop: comment.parentId ? '10px' : 0 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', fontSize: '12px', color: '#6c757d' }}>
+        <span>
+          <strong style={{ color: '#2c3e50' }}>{comment.username || 'Unknown'}</strong> • {formatDate(comment.createdAt)}
+        </span>
+        {canDelete(comment) && (
+          <button onClick={(e) => { e.stopPropagation(); deleteComment(comment); }} disabled={busy} style={{ ...linkButtonStyle, color: '#adb5bd' }} title="Delete">
+            🗑
+          </button>
+        )}
+      </div>
+      <div style={{ marginTop: '4px', fontSize: '13px', color: '#2c3e50', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+        {comment.body}
+      </div>
+    </div>
+  );
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '16px',
+      boxShadow: '0 10px 40px rgba(0, 0, 0, 0.1)',
+      overflow: 'hidden',
+      maxHeight: '600px',
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      {/* Comments Header */}
+      <div style={{
+        padding: '20px',
+        borderBottom: '1px solid #f0f0f0',
+        background: 'linear-gradient(135deg, #f8f9ff 0%, #ffffff 100%)'
+      }}>
+        <h3 style={{
+          margin: 0,
+          fontSize: '18px',
+          fontWeight: '700',
+          color: '#2c3e50',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px'
+        }}>
+          🗨 Comments
+        </h3>
+        <div style={{
+          marginTop: '8px',
+          fontSize: '12px',
+          color: '#6c757d',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px'
+        }}>
+          <span>{open.length} open</span>
+          <span>•</span>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={showResolved}
+              onChange={(e) => setShowResolved(e.target.checked)}
+            />
+            Show resolved ({comments.length - open.length})
+          </label>
+        </div>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: '8px 16px',
+          background: '#ffeaea',
+          color: '#dc3545',
+          fontSize: '12px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      <div style={{ flex: 1, overflowY: 'auto', padding: '8px', background: '#fafbfc' }}>
+        {draft && (
+          <div style={{
+            padding: '12px',
+            marginBottom: '8px',
+            background: 'white',
+            borderRadius: '10px',
+            border: '1px solid #667eea'
+          }}>
+            <div style={{
+              padding: '4px 8px',
+              borderLeft: '3px solid #fcc419',
+              fontSize: '12px',
+              color: '#6c757d',
+              whiteSpace: 'pre-wrap',
+              maxHeight: '60px',
+              overflow: 'hidden'
+            }}>
+              {draft.quotedText}
+            </div>
+            <textarea
+              autoFocus
+              value={draftText}
+              onChange={(e) => setDraftText(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && draftText.trim()) submitDraft();
+              }}
+              placeholder="Add a comment..."
+              rows={3}
+              maxLength={2000}
+              style={{ ...textareaStyle, marginTop: '8px' }}
+            />
+            <div style={{ marginTop: '8px', display: 'flex', justifyContent: 'flex-end', gap: '12px', alignItems: 'center' }}>
+              <button onClick={onCancelDraft} style={{ ...linkButtonStyle, color: '#6c757d' }}>
+                Cancel
+              </button>
+              <button onClick={submitDraft} disabled={busy || !draftText.trim()} style={primaryButtonStyle(busy || !draftText.trim())}>
+                Comment
+              </button>
+            </div>
+          </div>
+        )}
+
+        {visible.length === 0 && !draft ? (
+          <div style={{ padding: '16px', fontSize: '14px', color: '#6c757d', textAlign: 'center' }}>
+            {canComment ? 'No comments yet. Select some text and click 💬 Comment to start a discussion.' : 'No comments yet.'}
+          </div>
+        ) : (
+          visible.map((thread) => {
+            const isActive = thread.id === activeId;
+            // Once the commented text is edited away, the original quote is shown struck through
+            const anchored = thread.anchorEnd > thread.anchorStart;
+            const quote = anchored ? content.slice(thread.anchorStart, thread.anchorEnd) : thread.quotedText;
+
+            return (
+              <div
+                key={thread.id}
+                ref={isActive ? activeRef : null}
+                onClick={() => onActivate(thread.id)}
+                style={{
+                  padding: '12px',
+                  marginBottom: '8px',
+                  background: 'white',
+                  borderRadius: '10px',
+                  border: isActive ? '1px solid #667eea' : '1px solid #f0f0f0',
+                  boxShadow: isActive ? '0 4px 12px rgba(102, 126, 234, 0.15)' : 'none',
+                  opacity: thread.resolvedAt ? 0.7 : 1,
+                  cursor: 'pointer'
+                }}
+              >
+                <div
+                  title={anchored ? undefined : 'The commented text was deleted'}
+                  style={{
+                    padding: '4px 8px',
+                    marginBottom: '8px',
+                    borderLeft: '3px solid ' + (anchored ? '#fcc419' : '#dee2e6'),
+                    fontSize: '12px',
+                    color: '#6c757d',
+                    textDecoration: anchored ? 'none' : 'line-through',
+                    whiteSpace: 'pre-wrap',
+                    maxHeight: '60px',
+                    overflow: 'hidden'
+                  }}
+                >
+                  {quote}
+                </div>
+
+                {renderComment(thread)}
+                {thread.replies.map(renderComment)}
+
+                {thread.resolvedAt && (
+                  <div style={{ marginTop: '8px', fontSize: '12px', color: '#28a745', fontWeight: '600' }}>
+                    ✓ Resolved{thread.resolvedByUsername ? ` by ${thread.resolvedByUsername}` : ''}
+                  </div>
+                )}
+
+                {isActive && canComment && (
+                  <div onClick={(e) => e.stopPropagation()} style={{ marginTop: '10px' }}>
+                    {!thread.resolvedAt && (
+                      <textarea
+                        value={replies[thread.id] || ''}
+                        onChange={(e) => setReplies(prev => ({ ...prev, [thread.id]: e.target.value }))}
+                        placeholder="Reply..."
+                        rows={2}
+                        maxLength={2000}
+                        style={textareaStyle}
+                      />
+                    )}
+                    <div style={{ marginTop: '6px', display: 'flex', justifyContent: 'flex-end', gap: '12px', alignItems: 'center' }}>
+                      <button onClick={() => setResolved(thread.id, !thread.resolvedAt)} disabled={busy} style={linkButtonStyle}>
+                        {thread.resolvedAt ? '↺ Reopen' : '✓ Resolve'}
+                      </button>
+                      {!thread.resolvedAt && (
+                        <button
+                          onClick={() => submitReply(thread.id)}
+                          disabled={busy || !(replies[thread.id] || '').trim()}
+                          style={primaryButtonStyle(busy || !(replies[thread.id] || '').trim())}
+                        >
+                          Reply
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommentsPanel;
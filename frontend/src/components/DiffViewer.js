@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const lineColors = {
+  insert: { background: '#e6ffed', marker: '#28a745', word: '#acf2bd' },
+  delete: { background: '#ffeef0', marker: '#dc3545', word: '#fdb8c0' },
+  equal: { background: 'white', marker: '#adb5bd', word: 'transparent' }
+};
+
+// Line text with the changed words highlighted
+const LineText = ({ line }) => {
+  if (!line) return null;
+  if (!line.words) return line.text || ' ';
+
+  return line.words.map((segment, index) => (
+    <span
+      key={index}
+      style={segment.type === 'equal' ? undefined : {
+        background: lineColors[segment.type].word,
+        borderRadius: '2px'
+      }}
+    >
+      {segment.value}
+    </span>
+  ));
+};
+
+// Pair deleted and inserted lines so they sit next to each other in split view
+const toRows = (lines) => {
+  const rows = [];
+  let deleted = [];
+  let inserted = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(deleted.length, inserted.length); i++) {
+      rows.push({ left: deleted[i] || null, right: inserted[i] || null });
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  for (const line of lines) {
+    if (line.type === 'delete') {
+      if (inserted.length > 0) flush();
+      deleted.push(line);
+    } else if (line.type === 'insert') {
+      inserted.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  }
+  flush();
+
+  return rows;
+};
+
+const cellStyle = (line) => ({
+  padding: '2px 12px',
+  background: line ? lineColors[line.type].background : '#f8f9fa',
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word',
+  verticalAlign: 'top'
+});
+
+const numberStyle = {
+  padding: '2px 8px',
+  color: '#adb5bd',
+  textAlign: 'right',
+  userSelect: 'none',
+  verticalAlign: 'top',
+  width: '1%',
+  whiteSpace: 'nowrap'
+};
+
+const DiffViewer = ({ documentId, initialFrom, onClose }) => {
+  const [versions, setVersions] = useState([]);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('current');
+  const [mode, setMode] = useState('split');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchVersions = async () => {
+      try {
+        const response = await axios.get(`/documents/${documentId}/versions`, { params: { limit: 200 } });
+        const list = response.data.versions;
+        setVersions(list);
+        if (list.length === 0) {
+          setLoading(false);
+          return;
+        }
+        // Start from the last saved version the reader had seen, or the oldest one
+        const seen = initialFrom != null && list.find(version => version.version <= initialFrom);
+        setFrom(String((seen || list[list.length - 1]).version));
+      } catch (error) {
+        setError('Failed to load versions');
+        setLoading(false);
+        console.error('Error fetching versions:', error);
+      }
+    };
+
+    fetchVersions();
+  }, [documentId]);
+
+  useEffect(() => {
+    if (from === '') return;
+
+    const fetchDiff = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/documents/${documentId}/diff`, { params: { from, to } });
+        setDiff(response.data);
+        setError('');
+      } catch (error) {
+        setDiff(null);
+        setError(error.response?.data?.error || 'Failed to load changes');
+        console.error('Error fetching diff:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDiff();
+  }, [documentId, from, to]);
+
+  const versionLabel = (version) => version.name
+    ? `v${version.version} – ${version.name}`
+    : `v${version.version} – ${new Date(version.createdAt).toLocaleString()}`;
+
+  const selectStyle = {
+    padding: '8px 12px',
+    border: '2px solid #e9ecef',
+    borderRadius: '8px',
+    fontSize: '14px',
+    background: 'white',
+    outline: 'none'
+  };
+
+  const modeButtonStyle = (active) => ({
+    padding: '8px 14px',
+    background: active ? 'linear-gradient(135deg, #667eea, #764ba2)' : 'white',
+    color: active ? 'white' : '#6c757d',
+    border: active ? 'none' : '2px solid #dee2e6',
+    borderRadius: '20px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  });
+
+  const unchanged = diff && diff.lines.every(line => line.type === 'equal');
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '30px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: 'white',
+          borderRadius: '16px',
+          boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+          width: '100%',
+          maxWidth: '1200px',
+          maxHeight: '100%',
+          display: 'flex',
+          flexDirection: 'column',
+          overflow: 'hidden'
+        }}
+      >
+        {/* Diff Header */}
+        <div style={{
+          padding: '20px 24px',
+          borderBottom: '1px solid #f0f0f0',
+          background: 'linear-gradient(135deg, #f8f9ff 0%, #ffffff 100%)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+          flexWrap: 'wrap'
+        }}>
+          <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '700', color: '#2c3e50', marginRight: 'auto' }}>
+            🔍 Changes
+          </h3>
+          <select value={from} onChange={(e) => setFrom(e.target.value)} style={selectStyle}>
+            {versions.map(version => (
+              <option key={version.version} value={String(version.version)}>{versionLabel(version)}</option>
+            ))}
+          </select>
+          <span style={{ color: '#6c757d' }}>→</span>
+          <select value={to} onChange={(e) => setTo(e.target.value)} style={selectStyle}>
+            <option value="current">Current</option>
+            {versions.map(version => (
+              <option key={version.version} value={String(version.version)}>{versionLabel(version)}</option>
+            ))}
+          </select>
+          <button onClick={() => setMode('split')} style={modeButtonStyle(mode === 'split')}>Side by side</button>
+          <button onClick={() => setMode('inline')} style={modeButtonStyle(mode === 'inline')}>Inline</button>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '8px 14px',
+              background: 'white',
+              color: '#6c757d',
+              border: '2px solid #dee2e6',
+              borderRadius: '20px',
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            ✕ Close
+          </button>
+        </div>
+
+        {diff && (
+          <div style={{ padding: '10px 24px', fontSize: '13px', color: '#6c757d', borderBottom: '1px solid #f0f0f0' }}>
+            <span style={{ color: '#28a745', fontWeight: '600' }}>+{diff.stats.linesAdded} lines</span>
+            {' '}
+            <span style={{ color: '#dc3545', fontWeight: '600' }}>−{diff.stats.linesRemoved} lines</span>
+            {' • '}
+            {diff.stats.wordsAdded} words added, {diff.stats.wordsRemoved} removed
+          </div>
+        )}
+
+        <div style={{ flex: 1, overflow: 'auto', fontFamily: 'monospace', fontSize: '13px', lineHeight: '1.6' }}>
+          {error ? (
+            <div style={{ padding: '24px', color: '#dc3545' }}>{error}</div>
+          ) : loading ? (
+            <div style={{ padding: '24px', color: '#6c757d' }}>Loading changes...</div>
+          ) : versions.length === 0 ? (
+            <div style={{ padding: '24px', color: '#6c757d' }}>No saved versions to compare yet.</div>
+          ) : unchanged ? (
+            <div style={{ padding: '24px', color: '#6c757d' }}>No changes between these versions.</div>
+          ) : diff && mode === 'split' ? (
+            <table style={{ width: '100%', borderCollapse: 'collapse', tableLayout: 'auto' }}>
+              <tbody>
+                {toRows(diff.lines).map((row, index) => (
+                  <tr key={index}>
+                    <td style={numberStyle}>{row.left?.oldNumber}</td>
+                    <td style={{ ...cellStyle(row.left), width: '50%' }}><LineText line={row.left} /></td>
+                    <td style={{ ...numberStyle, borderLeft: '1px solid #f0f0f0' }}>{row.right?.newNumber}</td>
+                    <td style={{ ...cellStyle(row.right), width: '50%' }}><LineText line={row.right} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : diff && (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <tbody>
+                {diff.lines.map((line, index) => (
+                  <tr key={index}>
+                    <td style={numberStyle}>{line.oldNumber}</td>
+                    <td style={numberStyle}>{line.newNumber}</td>
+                    <td style={{ ...numberStyle, color: lineColors[line.type].marker }}>
+                      {line.type === 'insert' ? '+' : line.type === 'delete' ? '−' : ' '}
+                    </td>
+                    <td style={cellStyle(line)}><LineText line={line} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DiffViewer;
@@ -1,10 +1,39 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
+import { flushSync } from 'react-dom';
 import { useParams, useNavigate } from 'react-router-dom';
+import { v4 as uuidv4 } from 'uuid';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
 import { getUserColor, getUserColorUnique } from '../utils/userColors';
+import { diff, transformIndex, transformRange } from '../utils/ot';
+import { apply as applyRichOperation, fromModel, fromPlainText, toModel, toPlainText } from '../utils/richText';
+import { createCollabClient } from '../utils/collabClient';
+import { createCrdtClient } from '../utils/crdtClient';
+import { loadOfflineQueue, saveOfflineQueue } from '../utils/offlineQueue';
+import { loadLastSeenVersion, saveLastSeenVersion } from '../utils/lastSeenVersion';
 import axios from 'axios';
 import Chat from './Chat';
+import VersionHistory from './VersionHistory';
+import DiffViewer from './DiffViewer';
+import ShareDialog from './ShareDialog';
+import RichTextEditor from './RichTextEditor';
+import { TextareaCursors } from './RemoteCursors';
+import MarkdownPreview from './MarkdownPreview';
+import CommentsPanel from './CommentsPanel';
+import SuggestionsPanel from './SuggestionsPanel';
+import ExportMenu from './ExportMenu';
+import { changeFromOperation, suggestChange, isEmptySuggestion } from '../utils/suggestions';
+
+// Suggestions are sent once typing pauses for this long
+const SUGGESTION_SEND_DELAY = 400;
+// Server operations kept to move cursors sent at an earlier revision
+const RECENT_OPERATIONS = 100;
+
+// Keep a comment thread (or a draft) on the text it was made on as the text changes
+const moveAnchor = (comment, operation) => {
+  const { start, end } = transformRange({ start: comment.anchorStart, end: comment.anchorEnd }, operation);
+  return { ...comment, anchorStart: start, anchorEnd: end };
+};
 
 const DocumentEditor = () => {
   const { id: documentId } = useParams();
@@ -12,55 +41,181 @@ const DocumentEditor = () => {
   const { user } = useAuth();
   const { socket, connected } = useSocket();
   
+  // The document as a rich text delta; `content` is its plain text
+  const [richContent, setRichContent] = useState(() => fromPlainText(''));
   const [content, setContent] = useState('');
   const [title, setTitle] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [presence, setPresence] = useState([]);
+  // Other users' carets and selections as offsets into the local text
   const [cursors, setCursors] = useState({});
   const [typing, setTyping] = useState([]);
   const [isTyping, setIsTyping] = useState(false);
   const [showChat, setShowChat] = useState(true);
+  const [showHistory, setShowHistory] = useState(false);
+  const [notice, setNotice] = useState(null);
+  // Our text with offline edits the server could no longer merge, kept so they can be copied back
+  const [conflict, setConflict] = useState(null);
+  const [role, setRole] = useState(null);
+  const [showDiff, setShowDiff] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [lastSeenVersion, setLastSeenVersion] = useState(null);
   const [connectionRestored, setConnectionRestored] = useState(false);
+  const [syncMode, setSyncMode] = useState('ot');
+  const [contentType, setContentType] = useState('rich');
+  // 'saved', 'saving', 'failed' (the server nacked an edit and we are retrying) or 'offline'
+  const [saveStatus, setSaveStatus] = useState('saved');
+  // Comment threads with their replies; anchors are offsets into the local text
+  const [comments, setComments] = useState([]);
+  const [commentDraft, setCommentDraft] = useState(null);
+  const [activeCommentId, setActiveCommentId] = useState(null);
+  const [showComments, setShowComments] = useState(false);
+  const [hasSelection, setHasSelection] = useState(false);
+  // Pending suggestions, anchored like comment threads; ours may hold keystrokes not sent yet
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeSuggestionId, setActiveSuggestionId] = useState(null);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [suggestMode, setSuggestMode] = useState(false);
   
   const editorRef = useRef(null);
   const typingTimeoutRef = useRef(null);
   const lastContentRef = useRef('');
+  const lastRichRef = useRef(fromPlainText(''));
   const prevConnectedRef = useRef(false);
-  const cursorCleanupRef = useRef(null);
+  // Consecutive server operations up to our revision, and cursors sent at a revision we haven't reached
+  const recentOpsRef = useRef([]);
+  const pendingCursorsRef = useRef({});
+  const sentCursorRef = useRef(null);
+  const collabRef = useRef(null);
+  const joinedRef = useRef(false);
+  const joinPendingRef = useRef(false);
+  const pendingSelectionRef = useRef(null);
+  const suggestionsRef = useRef([]);
+  const suggestionTimersRef = useRef(new Map());
+
+  // Commenters can only suggest changes; editors and owners choose to
+  const canEdit = role === 'editor' || role === 'owner';
+  const suggesting = role === 'commenter' || (canEdit && suggestMode);
+  // Viewers can read the text but not change it
+  const readOnly = !canEdit && !suggesting;
 
   useEffect(() => {
     fetchDocument();
     // Clear any stuck cursors when document changes
     setCursors({});
+    setConflict(null);
+    recentOpsRef.current = [];
+    pendingCursorsRef.current = {};
+    setComments([]);
+    setCommentDraft(null);
+    setActiveCommentId(null);
+    suggestionTimersRef.current.forEach(clearTimeout);
+    suggestionTimersRef.current.clear();
+    updateSuggestions(() => []);
+    setActiveSuggestionId(null);
   }, [documentId]);
 
+  // Ask the server for the document state; a known revision lets it send only what we missed
+  const joinDocument = () => {
+    if (joinPendingRef.current) return;
+    joinPendingRef.current = true;
+    joinedRef.current = false;
+    socket.emit('joinDocument', {
+      documentId,
+      version: collabRef.current?.getRevision() || undefined
+    });
+  };
+
+  // Sync client for the document's engine: server-side OT or a local CRDT replica
+  const createSyncClient = (mode, clientId = uuidv4()) => {
+    // Unsent changes are resent once the document is joined again
+    const canSend = () => socket.connected && joinedRef.current;
+    // With our revision the server also sends what we missed, so local changes can be rebased
+    const requestSync = (version) => socket.emit('syncDocument', { documentId, version: version ?? undefined });
+
+    if (mode === 'crdt') {
+      return createCrdtClient({
+        clientId,
+        sendUpdate: (update, seq) => {
+          if (canSend()) {
+            socket.emit('documentEdit', { documentId, update, clientId, seq });
+          }
+        },
+        applyOperation: applyRemoteOperation,
+        resetText,
+        requestSync,
+        onQueueChange: handleQueueChange
+      });
+    }
+
+    return createCollabClient({
+      clientId,
+      sendOperation: (version, operation, seq) => {
+        if (canSend()) {
+          socket.emit('documentEdit', { documentId, version, operation, clientId, seq });
+        }
+      },
+      applyOperation: applyRemoteOperation,
+      resetText,
+      requestSync,
+      onQueueChange: handleQueueChange,
+      onConflict: () => setConflict({ content: lastContentRef.current })
+    });
+  };
+
+  // Keep unconfirmed edits on disk so a reload or a long outage doesn't lose them
+  const handleQueueChange = (client) => {
+    const queue = client.hasUnconfirmed()
+      ? { ...client.getQueue(), content: lastContentRef.current, richContent: toModel(lastRichRef.current) }
+      : null;
+    saveOfflineQueue(documentId, queue);
+
+    const status = client.getSaveStatus();
+    setSaveStatus(status !== 'saved' && !(socket.connected && joinedRef.current) ? 'offline' : status);
+  };
+
   useEffect(() => {
     if (socket) {
+      joinedRef.current = false;
+      joinPendingRef.current = false;
+
+      // Edits left over from an earlier session are rebased and sent on join
+      const queue = loadOfflineQueue(documentId);
+      if (queue) {
+        resetText(queue.content, queue.richContent);
+        collabRef.current = createSyncClient(queue.mode, queue.clientId);
+        collabRef.current.restore(queue);
+      } else {
+        collabRef.current = createSyncClient('ot');
+        setSaveStatus('saved');
+      }
+
       setupSocketListeners();
       
       // Only join document when socket is connected
       if (socket.connected) {
         console.log('Socket already connected, joining document...');
-        socket.emit('joinDocument', { documentId });
+        joinDocument();
       }
       
       // Handle socket connection
       const handleConnect = () => {
         console.log('Socket connected, joining document...');
-        socket.emit('joinDocument', { documentId });
+        joinDocument();
       };
       
       // Handle socket reconnection
       const handleReconnect = () => {
         console.log('Socket reconnected, rejoining document...');
-        socket.emit('joinDocument', { documentId });
+        joinDocument();
       };
       
       socket.on('connect', handleConnect);
       socket.on('reconnect', handleReconnect);
       
       return () => {
+        saveLastSeenVersion(documentId, collabRef.current?.getRevision());
         if (socket.connected) {
           socket.emit('leaveDocument', { documentId });
         }
@@ -75,7 +230,7 @@ const DocumentEditor = () => {
   useEffect(() => {
     if (socket && connected && documentId) {
       console.log('Socket connected, ensuring document join...');
-      socket.emit('joinDocument', { documentId });
+      joinDocument();
       
       // Only show connection restored notification if we were previously disconnected
       if (!prevConnectedRef.current) {
@@ -89,22 +244,127 @@ const DocumentEditor = () => {
     }
   }, [socket, connected, documentId]);
 
-  // Separate effect to sync content changes after reconnection
-  useEffect(() => {
-    if (socket && connected && documentId && content !== lastContentRef.current) {
-      console.log('Syncing local content changes after reconnection...');
-      socket.emit('documentEdit', {
-        documentId,
-        operation: {
-          type: 'replace',
-          content: content,
-          position: 0
-        },
-        content: content
-      });
-      lastContentRef.current = content;
+  // Keep the local caret in place when remote operations change the text
+  useLayoutEffect(() => {
+    const selection = pendingSelectionRef.current;
+    if (selection && editorRef.current?.setSelectionRange) {
+      editorRef.current.setSelectionRange(selection.start, selection.end);
     }
-  }, [socket, connected, documentId, content]);
+    pendingSelectionRef.current = null;
+  }, [content]);
+
+  // Keep the delta and its plain text together
+  const setDocument = (delta) => {
+    lastRichRef.current = delta;
+    lastContentRef.current = toPlainText(delta);
+    setRichContent(delta);
+    setContent(lastContentRef.current);
+  };
+
+  // Apply an operation from another user to the local text
+  const applyRemoteOperation = (operation) => {
+    const editor = editorRef.current;
+    if (editor?.transformSelection) {
+      editor.transformSelection(operation);
+    } else if (editor && document.activeElement === editor) {
+      pendingSelectionRef.current = {
+        start: transformIndex(editor.selectionStart, operation, true),
+        end: transformIndex(editor.selectionEnd, operation, true)
+      };
+    }
+
+    // Rendered straight away so the next keystroke is made against this text
+    const delta = applyRichOperation(lastRichRef.current, operation);
+    flushSync(() => {
+      setDocument(delta);
+      moveAnchors(operation);
+    });
+  };
+
+  // Keep comment threads, suggestions and other users' cursors on their text
+  const moveAnchors = (operation) => {
+    setComments(prev => prev.map(thread => moveAnchor(thread, operation)));
+    setCommentDraft(prev => prev && moveAnchor(prev, operation));
+    updateSuggestions(prev => prev.map(suggestion => moveAnchor(suggestion, operation)));
+    setCursors(prev => Object.fromEntries(Object.entries(prev).map(([userId, cursor]) =>
+      [userId, { ...cursor, ...transformRange(cursor, operation) }]
+    )));
+  };
+
+  // Show another user's cursor, sent as offsets at their revision. Older ones are
+  // moved through the operations since; newer ones wait for those to arrive.
+  const placeCursor = (userId, cursor) => {
+    delete pendingCursorsRef.current[userId];
+    if (userId === user.id || !Number.isInteger(cursor?.start) || !Number.isInteger(cursor?.end)) return;
+
+    const collab = collabRef.current;
+    let range = { start: cursor.start, end: cursor.end };
+    if (collab.mode === 'ot' && Number.isInteger(cursor.version)) {
+      const revision = collab.getRevision();
+      if (cursor.version > revision) {
+        pendingCursorsRef.current[userId] = cursor;
+        return;
+      }
+
+      const since = recentOpsRef.current.filter(entry => entry.version > cursor.version);
+      // Too far behind to move; it shows up again when they next move it
+      if (since.length !== revision - cursor.version) {
+        removeCursor(userId);
+        return;
+      }
+      range = since.reduce((current, entry) => transformRange(current, entry.operation), range);
+    }
+
+    const { start, end } = collab.fromRevisionRange(range);
+    setCursors(prev => ({ ...prev, [userId]: { username: cursor.username, start, end } }));
+  };
+
+  // Cursors as the server keeps them, e.g. when joining
+  const placeCursors = (saved = {}) => {
+    setCursors({});
+    pendingCursorsRef.current = {};
+    Object.entries(saved).forEach(([userId, cursor]) => placeCursor(userId, cursor));
+  };
+
+  const removeCursor = (userId) => {
+    delete pendingCursorsRef.current[userId];
+    setCursors(prev => {
+      const { [userId]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // Remember an operation the server sent once it is applied, and place cursors that were waiting for it
+  const recordOperation = ({ version, operation }) => {
+    if (collabRef.current.mode !== 'ot' || collabRef.current.getRevision() !== version) return;
+
+    const recent = recentOpsRef.current;
+    recentOpsRef.current = recent.length > 0 && recent[recent.length - 1].version === version - 1
+      ? [...recent.slice(1 - RECENT_OPERATIONS), { version, operation }]
+      : [{ version, operation }];
+
+    const waiting = pendingCursorsRef.current;
+    pendingCursorsRef.current = {};
+    Object.entries(waiting).forEach(([userId, cursor]) => placeCursor(userId, cursor));
+  };
+
+  // The ref lets edits build on suggestions made by keystrokes not rendered yet
+  const updateSuggestions = (update) => {
+    suggestionsRef.current = update(suggestionsRef.current);
+    setSuggestions(suggestionsRef.current);
+  };
+
+  // Transient message in the top right corner
+  const showNotice = (text) => {
+    setNotice(text);
+    setTimeout(() => setNotice((current) => current === text ? null : current), 4000);
+  };
+
+  // Replace the local text wholesale, e.g. with a server snapshot.
+  // Without a rich content model the text is taken as unformatted paragraphs.
+  const resetText = (newContent, richContent = null) => {
+    setDocument(richContent ? fromModel(richContent) : fromPlainText(newContent));
+  };
 
   const setupSocketListeners = () => {
     if (!socket) return;
@@ -120,7 +380,25 @@ const DocumentEditor = () => {
       }, []);
       
       setPresence(uniquePresence);
-      setCursors(data.cursors);
+
+      joinPendingRef.current = false;
+      joinedRef.current = true;
+      setSyncMode(data.syncMode);
+      setContentType(data.contentType);
+      setRole(data.role);
+
+      if (collabRef.current.mode !== data.syncMode) {
+        collabRef.current = createSyncClient(data.syncMode);
+        collabRef.current.reset(data);
+      } else {
+        collabRef.current.join(data);
+      }
+      placeCursors(data.cursors);
+      sentCursorRef.current = null;
+
+      // Anchors are placed relative to the revision we are now at
+      fetchComments();
+      fetchSuggestions();
     });
 
     socket.on('userJoined', (data) => {
@@ -136,36 +414,42 @@ const DocumentEditor = () => {
 
     socket.on('userLeft', (data) => {
       setPresence(prev => prev.filter(user => user.userId !== data.userId));
-      setCursors(prev => {
-        const newCursors = { ...prev };
-        delete newCursors[data.userId];
-        return newCursors;
-      });
+      removeCursor(data.userId);
     });
 
     socket.on('documentEdit', (data) => {
-      if (data.userId !== user.id) {
-        setContent(data.content);
-        lastContentRef.current = data.content;
-        // Also update title if it's included in the edit data
-        if (data.title !== undefined) {
-          setTitle(data.title);
+      if (Array.isArray(data.operation) || Array.isArray(data.update)) {
+        // Content operations arriving before the join snapshot are already part of it
+        if (joinedRef.current) {
+          collabRef.current.applyServer(data);
+          recordOperation(data);
         }
+        return;
+      }
+
+      // Also update title if it's included in the edit data
+      if (data.userId !== user.id && data.title !== undefined) {
+        setTitle(data.title);
       }
     });
 
-    socket.on('cursorMove', (data) => {
-      if (data.userId !== user.id) {
-        setCursors(prev => ({
-          ...prev,
-          [data.userId]: {
-            ...data.cursor,
-            username: data.username
-          }
-        }));
+    // Answers to our own edits, see collabClient
+    socket.on('editAck', (data) => {
+      if (data.documentId === documentId) {
+        collabRef.current.applyAck(data);
+      }
+    });
+
+    socket.on('editNack', (data) => {
+      if (data.documentId === documentId) {
+        collabRef.current.applyNack(data);
       }
     });
 
+    socket.on('cursorMove', (data) => {
+      placeCursor(data.userId, { ...data.cursor, username: data.username });
+    });
+
     socket.on('typing', (data) => {
       if (data.userId !== user.id) {
         setTyping(prev => {
@@ -179,10 +463,18 @@ const DocumentEditor = () => {
     });
 
     socket.on('documentSync', (data) => {
-      setContent(data.document.content);
+      collabRef.current.join({
+        content: data.document.content,
+        richContent: data.document.rich_content,
+        version: data.document.version,
+        crdtState: data.document.crdt_state,
+        operations: data.missedOperations ?? null
+      });
+      fetchComments();
+      fetchSuggestions();
       setTitle(data.document.title);
       setPresence(data.presence);
-      setCursors(data.cursors);
+      placeCursors(data.cursors);
     });
 
     socket.on('titleChange', (data) => {
@@ -191,12 +483,87 @@ const DocumentEditor = () => {
       }
     });
 
+    socket.on('documentRestored', (data) => {
+      showNotice(`⏪ ${data.userId === user.id ? 'You' : data.username} restored version ${data.restoredVersion}`);
+    });
+
+    socket.on('documentRoleChanged', (data) => {
+      if (data.documentId === documentId) {
+        setRole(data.role);
+        showNotice(`🔑 Your access changed to ${data.role}`);
+      }
+    });
+
+    socket.on('documentAccessRevoked', (data) => {
+      if (data.documentId === documentId) {
+        setError('Your access to this document was removed');
+      }
+    });
+
+    // The server has already taken us out of the document room
+    socket.on('documentTrashed', (data) => {
+      if (data.documentId === documentId) {
+        setError(`🗑️ ${data.message}. Its owners can restore it from the trash.`);
+      }
+    });
+
+    socket.on('permissionDenied', (data) => {
+      setRole(data.role);
+      showNotice(`🔒 ${data.message}`);
+    });
+
+    socket.on('commentAdded', (data) => {
+      if (data.documentId === documentId) {
+        receiveComment(data.comment, data.version);
+      }
+    });
+
+    socket.on('commentUpdated', (data) => {
+      if (data.documentId === documentId) {
+        receiveComment(data.comment);
+      }
+    });
+
+    socket.on('commentDeleted', (data) => {
+      if (data.documentId === documentId) {
+        removeComment(data);
+      }
+    });
+
+    socket.on('suggestionUpdated', (data) => {
+      if (data.documentId === documentId) {
+        receiveSuggestion(data.suggestion, data.version);
+      }
+    });
+
+    socket.on('suggestionRemoved', (data) => {
+      if (data.documentId !== documentId) return;
+      const own = suggestionsRef.current.some(suggestion =>
+        suggestion.id === data.suggestionId && suggestion.userId === user.id
+      );
+      removeSuggestion(data.suggestionId);
+      if (own && data.userId !== user.id) {
+        showNotice(data.status === 'accepted' ? '✅ Your suggestion was accepted' : '✕ Your suggestion was rejected');
+      }
+    });
+
+    socket.on('suggestionError', (data) => {
+      if (data.documentId === documentId) {
+        showNotice(`⚠️ ${data.message}`);
+        removeSuggestion(data.suggestionId);
+        fetchSuggestions();
+      }
+    });
+
     socket.on('error', (data) => {
       setError(data.message);
     });
 
     socket.on('disconnect', () => {
       console.log('Socket disconnected');
+      joinedRef.current = false;
+      joinPendingRef.current = false;
+      handleQueueChange(collabRef.current);
     });
   };
 
@@ -207,10 +574,23 @@ const DocumentEditor = () => {
     socket.off('userJoined');
     socket.off('userLeft');
     socket.off('documentEdit');
+    socket.off('editAck');
+    socket.off('editNack');
     socket.off('cursorMove');
     socket.off('typing');
     socket.off('documentSync');
     socket.off('titleChange');
+    socket.off('documentRestored');
+    socket.off('documentRoleChanged');
+    socket.off('documentAccessRevoked');
+    socket.off('documentTrashed');
+    socket.off('permissionDenied');
+    socket.off('commentAdded');
+    socket.off('commentUpdated');
+    socket.off('commentDeleted');
+    socket.off('suggestionUpdated');
+    socket.off('suggestionRemoved');
+    socket.off('suggestionError');
     socket.off('error');
     socket.off('disconnect');
     
@@ -224,9 +604,21 @@ const DocumentEditor = () => {
       const response = await axios.get(`/documents/${documentId}`);
       const doc = response.data.document;
       
-      setContent(doc.content);
       setTitle(doc.title);
-      lastContentRef.current = doc.content;
+      setRole(doc.role);
+      setContentType(doc.contentType);
+      // Changes are shown relative to the version seen on the previous visit
+      setLastSeenVersion(loadLastSeenVersion(documentId));
+      saveLastSeenVersion(documentId, doc.version);
+      // The join snapshot is authoritative; only fill in while it hasn't arrived
+      const collab = collabRef.current;
+      if (!joinedRef.current && !collab?.hasUnconfirmed()) {
+        if (collab?.mode === 'ot') {
+          collab.reset({ content: doc.content, richContent: doc.richContent, version: doc.version });
+        } else {
+          resetText(doc.content, doc.richContent);
+        }
+      }
     } catch (error) {
       console.error('Error fetching document:', error);
       if (error.response?.status === 404) {
@@ -239,10 +631,328 @@ const DocumentEditor = () => {
     }
   };
 
-  const handleContentChange = useCallback((e) => {
-    const newContent = e.target.value;
-    setContent(newContent);
-    
+  // Server anchors belong to a revision; null if ours differs and they can't be placed yet
+  const placeAnchor = (comment, version) => {
+    const collab = collabRef.current;
+    if (collab.mode === 'ot' && version !== collab.getRevision()) {
+      return null;
+    }
+    const { start, end } = collab.fromRevisionRange({ start: comment.anchorStart, end: comment.anchorEnd });
+    return { ...comment, anchorStart: start, anchorEnd: end };
+  };
+
+  const fetchComments = async (attempt = 0) => {
+    try {
+      const response = await axios.get(`/documents/${documentId}/comments`);
+      const { comments: threads, version } = response.data;
+
+      const placed = threads.map(thread => placeAnchor(thread, version));
+      // Edits still on their way would move the anchors again; try again once they've arrived
+      if (placed.includes(null) && attempt < 5) {
+        setTimeout(() => fetchComments(attempt + 1), 500);
+        return;
+      }
+      setComments(threads.map((thread, index) => placed[index] || thread));
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    }
+  };
+
+  // Add or update a thread or reply, whether we made the change or someone else did
+  const receiveComment = (comment, version) => {
+    if (comment.parentId) {
+      setComments(prev => prev.map(thread => {
+        if (thread.id !== comment.parentId) return thread;
+        const exists = thread.replies.some(reply => reply.id === comment.id);
+        return {
+          ...thread,
+          replies: exists
+            ? thread.replies.map(reply => reply.id === comment.id ? comment : reply)
+            : [...thread.replies, comment]
+        };
+      }));
+      return;
+    }
+
+    // Updates leave the anchor alone: ours has followed every edit, the server's copy may be older
+    if (version === undefined) {
+      setComments(prev => prev.map(thread => thread.id === comment.id
+        ? { ...thread, ...comment, anchorStart: thread.anchorStart, anchorEnd: thread.anchorEnd, replies: thread.replies }
+        : thread
+      ));
+      return;
+    }
+
+    const placed = placeAnchor(comment, version);
+    if (!placed) {
+      fetchComments();
+      return;
+    }
+    setComments(prev => prev.some(thread => thread.id === comment.id)
+      ? prev
+      : [...prev, { ...placed, replies: placed.replies || [] }]
+    );
+  };
+
+  const removeComment = ({ commentId, parentId }) => {
+    if (parentId) {
+      setComments(prev => prev.map(thread => thread.id === parentId
+        ? { ...thread, replies: thread.replies.filter(reply => reply.id !== commentId) }
+        : thread
+      ));
+    } else {
+      setComments(prev => prev.filter(thread => thread.id !== commentId));
+    }
+  };
+
+  const fetchSuggestions = async (attempt = 0) => {
+    try {
+      const response = await axios.get(`/documents/${documentId}/suggestions`);
+      const { suggestions: pending, version } = response.data;
+
+      const placed = pending.map(suggestion => placeAnchor(suggestion, version));
+      if (placed.includes(null) && attempt < 5) {
+        setTimeout(() => fetchSuggestions(attempt + 1), 500);
+        return;
+      }
+      // Ours with keystrokes still to be sent are newer than the server's copy
+      const unsent = suggestionsRef.current.filter(suggestion => suggestionTimersRef.current.has(suggestion.id));
+      updateSuggestions(() => [
+        ...pending
+          .map((suggestion, index) => placed[index] || suggestion)
+          .filter(suggestion => !unsent.some(local => local.id === suggestion.id)),
+        ...unsent
+      ]);
+    } catch (error) {
+      console.error('Error fetching suggestions:', error);
+    }
+  };
+
+  const receiveSuggestion = (suggestion, version) => {
+    // Our own copy has followed every edit and may be ahead of what was sent
+    const local = suggestionsRef.current.find(candidate => candidate.id === suggestion.id);
+    if (local && suggestion.userId === user.id) {
+      updateSuggestions(prev => prev.map(candidate => candidate.id === suggestion.id
+        ? { ...suggestion, anchorStart: candidate.anchorStart, anchorEnd: candidate.anchorEnd, text: candidate.text }
+        : candidate
+      ));
+      return;
+    }
+
+    const placed = placeAnchor(suggestion, version);
+    if (!placed) {
+      fetchSuggestions();
+      return;
+    }
+    updateSuggestions(prev => local
+      ? prev.map(candidate => candidate.id === suggestion.id ? placed : candidate)
+      : [...prev, placed]
+    );
+  };
+
+  const removeSuggestion = (suggestionId) => {
+    clearTimeout(suggestionTimersRef.current.get(suggestionId));
+    suggestionTimersRef.current.delete(suggestionId);
+    updateSuggestions(prev => prev.filter(suggestion => suggestion.id !== suggestionId));
+  };
+
+  // Send one of our suggestions with its anchors as of the revision the server knows.
+  // One typed away entirely is withdrawn.
+  const sendSuggestion = (suggestionId) => {
+    suggestionTimersRef.current.delete(suggestionId);
+    const suggestion = suggestionsRef.current.find(candidate => candidate.id === suggestionId);
+    const collab = collabRef.current;
+    const { start, end } = suggestion
+      ? collab.toRevisionRange({ start: suggestion.anchorStart, end: suggestion.anchorEnd })
+      : { start: 0, end: 0 };
+
+    socket.emit('suggestChange', {
+      documentId,
+      suggestionId,
+      start,
+      end,
+      text: suggestion ? suggestion.text : '',
+      version: collab.getRevision()
+    });
+  };
+
+  const scheduleSuggestionSend = (suggestionId) => {
+    clearTimeout(suggestionTimersRef.current.get(suggestionId));
+    suggestionTimersRef.current.set(
+      suggestionId,
+      setTimeout(() => sendSuggestion(suggestionId), SUGGESTION_SEND_DELAY)
+    );
+  };
+
+  // In suggesting mode an edit becomes, or extends, one of our suggestions and the text stays as it is
+  const suggestEdit = (operation) => {
+    const change = changeFromOperation(operation);
+    if (!change) return;
+
+    const mine = suggestionsRef.current.filter(suggestion => suggestion.userId === user.id);
+    const { suggestion, caret } = suggestChange(mine, change);
+    updateSuggestions(prev => {
+      if (isEmptySuggestion(suggestion)) {
+        return prev.filter(candidate => candidate.id !== suggestion.id);
+      }
+      return prev.some(candidate => candidate.id === suggestion.id)
+        ? prev.map(candidate => candidate.id === suggestion.id ? suggestion : candidate)
+        : [...prev, { ...suggestion, userId: user.id, username: user.username }];
+    });
+    scheduleSuggestionSend(suggestion.id);
+    setActiveSuggestionId(suggestion.id);
+
+    const editor = editorRef.current;
+    if (editor?.select) {
+      editor.select({ start: caret, end: caret });
+    } else if (editor) {
+      // Once React has put the unchanged text back
+      setTimeout(() => editor.setSelectionRange(caret, caret), 0);
+    }
+  };
+
+  const currentSelection = () => {
+    const editor = editorRef.current;
+    if (!editor) return null;
+    return editor.getSelection ? editor.getSelection() : { start: editor.selectionStart, end: editor.selectionEnd };
+  };
+
+  // Open a draft thread on the selected text
+  const startComment = () => {
+    const selection = currentSelection();
+    if (!selection || selection.start === selection.end) return;
+
+    setCommentDraft({
+      anchorStart: selection.start,
+      anchorEnd: selection.end,
+      quotedText: lastContentRef.current.slice(selection.start, selection.end)
+    });
+    setActiveCommentId(null);
+    setShowComments(true);
+  };
+
+  // Throws so the panel can show what went wrong
+  const submitCommentDraft = async (body) => {
+    const collab = collabRef.current;
+    const { start, end } = collab.toRevisionRange({ start: commentDraft.anchorStart, end: commentDraft.anchorEnd });
+    const response = await axios.post(`/documents/${documentId}/comments`, {
+      body,
+      start,
+      end,
+      version: collab.getRevision()
+    });
+
+    receiveComment(response.data.comment, response.data.version);
+    setCommentDraft(null);
+    setActiveCommentId(response.data.comment.id);
+  };
+
+  // Select the text a comment thread or suggestion is about
+  const selectAnchoredText = (anchored) => {
+    const editor = editorRef.current;
+    if (!anchored || !editor || anchored.anchorEnd <= anchored.anchorStart) return;
+
+    const range = { start: anchored.anchorStart, end: anchored.anchorEnd };
+    if (editor.select) {
+      editor.select(range);
+    } else {
+      editor.focus();
+      editor.setSelectionRange(range.start, range.end);
+    }
+  };
+
+  // Pick a thread in the margin and select the text it is about
+  const activateComment = (commentId) => {
+    setActiveCommentId(commentId);
+    selectAnchoredText(comments.find(candidate => candidate.id === commentId));
+  };
+
+  const activateSuggestion = (suggestionId) => {
+    setActiveSuggestionId(suggestionId);
+    selectAnchoredText(suggestions.find(candidate => candidate.id === suggestionId));
+  };
+
+  // A click on commented or suggested text opens it in the margin
+  const showHighlight = useCallback((id, kind) => {
+    if (kind === 'suggestion') {
+      setActiveSuggestionId(id);
+      setShowSuggestions(true);
+    } else {
+      setActiveCommentId(id);
+      setShowComments(true);
+    }
+  }, []);
+
+  // Tell the others where our caret and selection are, as offsets at our revision
+  const sendCursor = useCallback(() => {
+    const editor = editorRef.current;
+    const collab = collabRef.current;
+    if (!editor || !collab || !socket?.connected || !joinedRef.current) return;
+
+    const selection = editor.getSelection
+      ? editor.getSelection()
+      : { start: editor.selectionStart, end: editor.selectionEnd };
+    const cursor = { ...collab.toRevisionRange(selection), version: collab.getRevision() };
+    const last = sentCursorRef.current;
+    if (last && last.start === cursor.start && last.end === cursor.end && last.version === cursor.version) return;
+
+    sentCursorRef.current = cursor;
+    socket.emit('cursorMove', { documentId, cursor });
+  }, [socket, documentId]);
+
+  const handleSelectionChange = useCallback((selection) => {
+    setHasSelection(selection.start !== selection.end);
+    sendCursor();
+  }, [sendCursor]);
+
+  // Open threads and suggestions as highlights; a new array only when they change so the editor isn't redrawn needlessly
+  const highlights = useMemo(() => [
+    ...comments
+      .filter(thread => !thread.resolvedAt && thread.anchorEnd > thread.anchorStart)
+      .map(thread => ({
+        id: thread.id,
+        kind: 'comment',
+        start: thread.anchorStart,
+        end: thread.anchorEnd,
+        active: thread.id === activeCommentId
+      })),
+    ...suggestions.map(suggestion => ({
+      id: suggestion.id,
+      kind: 'suggestion',
+      start: suggestion.anchorStart,
+      end: suggestion.anchorEnd,
+      text: suggestion.text,
+      active: suggestion.id === activeSuggestionId
+    }))
+  ], [comments, activeCommentId, suggestions, activeSuggestionId]);
+
+  // Other users' cursors in their colors, for those still in the document
+  const remoteCursors = useMemo(() => Object.entries(cursors)
+    .filter(([userId]) => presence.some(member => String(member.userId) === userId))
+    .map(([userId, cursor]) => ({
+      userId,
+      username: cursor.username,
+      color: getUserColor(userId),
+      start: Math.min(cursor.start, content.length),
+      end: Math.min(cursor.end, content.length)
+    })), [cursors, presence, content]);
+
+  // Record a local edit and hand it to the collaboration client
+  const commitLocalOperation = useCallback((operation) => {
+    if (suggesting) {
+      suggestEdit(operation);
+      return;
+    }
+    setDocument(applyRichOperation(lastRichRef.current, operation));
+    moveAnchors(operation);
+    collabRef.current?.applyLocal(operation);
+  }, [suggesting, socket, documentId]);
+
+  const commitLocalContent = useCallback((newContent) => {
+    commitLocalOperation(diff(lastContentRef.current, newContent));
+  }, [commitLocalOperation]);
+
+  const notifyTyping = useCallback(() => {
     // Only send real-time updates if connected
     if (connected && socket) {
       // Send typing indicator
@@ -261,27 +971,24 @@ const DocumentEditor = () => {
         setIsTyping(false);
         socket.emit('typing', { documentId, isTyping: false, type: 'editor' });
       }, 1000);
-
-      // Send edit to other users
-      if (newContent !== lastContentRef.current) {
-        socket.emit('documentEdit', {
-          documentId,
-          operation: {
-            type: 'replace',
-            content: newContent,
-            position: e.target.selectionStart
-          },
-          content: newContent
-        });
-        lastContentRef.current = newContent;
-      }
     } else {
-      // If not connected, still update local content but warn user
-      console.warn('Not connected to server - changes will be saved locally only');
+      // Edits stay queued in the collaboration client until the document is rejoined
+      console.warn('Not connected to server - changes will be sent when the connection is restored');
     }
   }, [socket, documentId, isTyping, connected]);
 
+  const handleContentChange = useCallback((e) => {
+    commitLocalContent(e.target.value);
+    notifyTyping();
+  }, [commitLocalContent, notifyTyping]);
+
+  const handleRichChange = useCallback((operation) => {
+    commitLocalOperation(operation);
+    notifyTyping();
+  }, [commitLocalOperation, notifyTyping]);
+
   const handleTitleChange = async (e) => {
+    if (!canEdit) return;
     const newTitle = e.target.value;
     setTitle(newTitle);
     
@@ -312,44 +1019,20 @@ const DocumentEditor = () => {
     }, 1000);
   };
 
-  const handleCursorMove = useCallback((e) => {
-    if (connected && socket) {
-      const rect = e.target.getBoundingClientRect();
-      const cursor = {
-        x: e.clientX - rect.left,
-        y: e.clientY - rect.top,
-        position: e.target.selectionStart,
-        timestamp: Date.now()
-      };
-      
-      socket.emit('cursorMove', { documentId, cursor });
-    }
-  }, [socket, documentId, connected]);
-
-  const handleMouseLeave = useCallback(() => {
-    if (connected && socket) {
-      // Clear cursor when mouse leaves textarea
-      socket.emit('cursorMove', { 
-        documentId, 
-        cursor: { x: -1, y: -1, position: 0 } // Invalid coordinates to hide cursor
-      });
-    }
-  }, [socket, documentId, connected]);
-
   const handleKeyDown = useCallback((e) => {
-    if (e.key === 'Tab') {
+    if (e.key === 'Tab' && !readOnly) {
       e.preventDefault();
       const start = e.target.selectionStart;
       const end = e.target.selectionEnd;
       const newContent = content.substring(0, start) + '  ' + content.substring(end);
-      setContent(newContent);
+      commitLocalContent(newContent);
       
       // Update cursor position
       setTimeout(() => {
         e.target.selectionStart = e.target.selectionEnd = start + 2;
       }, 0);
     }
-  }, [content]);
+  }, [content, readOnly, commitLocalContent]);
 
   const titleTimeoutRef = useRef(null);
 
@@ -361,32 +1044,6 @@ const DocumentEditor = () => {
     return allUserIds;
   };
 
-  // Clean up stale cursors periodically
-  useEffect(() => {
-    const cleanupStaleCursors = () => {
-      const now = Date.now();
-      setCursors(prev => {
-        const cleaned = {};
-        Object.entries(prev).forEach(([userId, cursor]) => {
-          // Keep cursors that have been updated within the last 5 seconds
-          if (cursor.timestamp && (now - cursor.timestamp) < 5000) {
-            cleaned[userId] = cursor;
-          }
-        });
-        return cleaned;
-      });
-    };
-
-    // Run cleanup every 2 seconds
-    cursorCleanupRef.current = setInterval(cleanupStaleCursors, 2000);
-
-    return () => {
-      if (cursorCleanupRef.current) {
-        clearInterval(cursorCleanupRef.current);
-      }
-    };
-  }, []);
-
   useEffect(() => {
     return () => {
       if (typingTimeoutRef.current) {
@@ -395,9 +1052,6 @@ const DocumentEditor = () => {
       if (titleTimeoutRef.current) {
         clearTimeout(titleTimeoutRef.current);
       }
-      if (cursorCleanupRef.current) {
-        clearInterval(cursorCleanupRef.current);
-      }
     };
   }, []);
 
@@ -562,48 +1216,162 @@ const DocumentEditor = () => {
             </div>
           </div>
           
-          {/* Chat Toggle Button - Top right */}
-          <button 
-            onClick={() => setShowChat(!showChat)} 
-            style={{
-              padding: '10px 20px',
-              background: showChat ? 'white' : 'linear-gradient(135deg, #667eea, #764ba2)',
-              color: showChat ? '#6c757d' : 'white',
-              border: showChat ? '2px solid #dee2e6' : 'none',
-              borderRadius: '25px',
-              fontSize: '14px',
-              fontWeight: '600',
-              cursor: 'pointer',
-              transition: 'all 0.3s ease',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '8px',
-              boxShadow: showChat ? '0 2px 8px rgba(0,0,0,0.1)' : '0 4px 12px rgba(102, 126, 234, 0.3)'
-            }}
-            onMouseOver={(e) => {
-              if (showChat) {
-                e.target.style.background = '#6c757d';
-                e.target.style.color = 'white';
-                e.target.style.borderColor = '#6c757d';
-              } else {
-                e.target.style.transform = 'translateY(-1px)';
-                e.target.style.boxShadow = '0 6px 16px rgba(102, 126, 234, 0.4)';
-              }
-            }}
-            onMouseOut={(e) => {
-              if (showChat) {
-                e.target.style.background = 'white';
-                e.target.style.color = '#6c757d';
-                e.target.style.borderColor = '#dee2e6';
-              } else {
-                e.target.style.transform = 'translateY(0)';
-                e.target.style.boxShadow = '0 4px 12px rgba(102, 126, 234, 0.3)';
-              }
-            }}
-          >
-            {showChat ? '✕' : '💬'}
-            {showChat ? ' Hide Chat' : ' Show Chat'}
-          </button>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            {/* Share Button */}
+            <button
+              onClick={() => setShowShare(true)}
+              style={{
+                padding: '10px 20px',
+                background: 'linear-gradient(135deg, #667eea, #764ba2)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '25px',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.3s ease',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                boxShadow: '0 4px 12px rgba(102, 126, 234, 0.3)'
+              }}
+            >
+              🔗 Share
+            </button>
+
+            {/* Changes Button */}
+            <button
+              onClick={() => setShowDiff(true)}
+              title={lastSeenVersion !== null ? `Changes since version ${lastSeenVersion}, when you last opened this document` : 'Compare versions'}
+              style={{
+                padding: '10px 20px',
+                background: 'white',
+                color: '#6c757d',
+                border: '2px solid #dee2e6',
+                borderRadius: '25px',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.3s ease',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px'
+              }}
+            >
+              🔍 Changes
+            </button>
+
+            {/* Export Menu */}
+            <ExportMenu documentId={documentId} />
+
+            {/* Version History Toggle Button */}
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              style={{
+                padding: '10px 20px',
+                background: showHistory ? '#6c757d' : 'white',
+                color: showHistory ? 'white' : '#6c757d',
+                border: '2px solid ' + (showHistory ? '#6c757d' : '#dee2e6'),
+                borderRadius: '25px',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.3s ease',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px'
+              }}
+            >
+              🕘 History
+            </button>
+
+            {/* Comments Toggle Button */}
+            <button
+              onClick={() => setShowComments(!showComments)}
+              style={{
+                padding: '10px 20px',
+                background: showComments ? '#6c757d' : 'white',
+                color: showComments ? 'white' : '#6c757d',
+                border: '2px solid ' + (showComments ? '#6c757d' : '#dee2e6'),
+                borderRadius: '25px',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.3s ease',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px'
+              }}
+            >
+              🗨 Comments
+              {comments.some(thread => !thread.resolvedAt) && ` (${comments.filter(thread => !thread.resolvedAt).length})`}
+            </button>
+
+            {/* Suggestions Toggle Button */}
+            <button
+              onClick={() => setShowSuggestions(!showSuggestions)}
+              style={{
+                padding: '10px 20px',
+                background: showSuggestions ? '#6c757d' : 'white',
+                color: showSuggestions ? 'white' : '#6c757d',
+                border: '2px solid ' + (showSuggestions ? '#6c757d' : '#dee2e6'),
+                borderRadius: '25px',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.3s ease',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px'
+              }}
+            >
+              📝 Suggestions
+              {suggestions.length > 0 && ` (${suggestions.length})`}
+            </button>
+
+            {/* Chat Toggle Button - Top right */}
+            <button 
+              onClick={() => setShowChat(!showChat)} 
+              style={{
+                padding: '10px 20px',
+                background: showChat ? 'white' : 'linear-gradient(135deg, #667eea, #764ba2)',
+                color: showChat ? '#6c757d' : 'white',
+                border: showChat ? '2px solid #dee2e6' : 'none',
+                borderRadius: '25px',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.3s ease',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                boxShadow: showChat ? '0 2px 8px rgba(0,0,0,0.1)' : '0 4px 12px rgba(102, 126, 234, 0.3)'
+              }}
+              onMouseOver={(e) => {
+                if (showChat) {
+                  e.target.style.background = '#6c757d';
+                  e.target.style.color = 'white';
+                  e.target.style.borderColor = '#6c757d';
+                } else {
+                  e.target.style.transform = 'translateY(-1px)';
+                  e.target.style.boxShadow = '0 6px 16px rgba(102, 126, 234, 0.4)';
+                }
+              }}
+              onMouseOut={(e) => {
+                if (showChat) {
+                  e.target.style.background = 'white';
+                  e.target.style.color = '#6c757d';
+                  e.target.style.borderColor = '#dee2e6';
+                } else {
+                  e.target.style.transform = 'translateY(0)';
+                  e.target.style.boxShadow = '0 4px 12px rgba(102, 126, 234, 0.3)';
+                }
+              }}
+            >
+              {showChat ? '✕' : '💬'}
+              {showChat ? ' Hide Chat' : ' Show Chat'}
+            </button>
+          </div>
         </div>
       </div>
 
@@ -635,6 +1403,7 @@ const DocumentEditor = () => {
                 type="text"
                 value={title}
                 onChange={handleTitleChange}
+                readOnly={!canEdit}
                 style={{ 
                   width: '100%',
                   border: 'none', 
@@ -673,6 +1442,121 @@ const DocumentEditor = () => {
                   }} />
                   {connected ? 'Live editing' : 'Offline'}
                 </div>
+                {!readOnly && (
+                  <span
+                    title={{
+                      saved: 'All your edits are saved on the server',
+                      saving: 'Waiting for the server to confirm your latest edits',
+                      failed: 'The server could not save your latest edits; retrying',
+                      offline: 'These edits are stored on this device and will be sent when the connection is restored'
+                    }[saveStatus]}
+                    style={{
+                      padding: '4px 8px',
+                      background: saveStatus === 'saved' ? '#e8f5e8' : saveStatus === 'saving' ? '#f1f3f5' : '#fff3cd',
+                      color: saveStatus === 'saved' ? '#2b8a3e' : saveStatus === 'saving' ? '#495057' : '#856404',
+                      borderRadius: '12px',
+                      fontWeight: '600'
+                    }}
+                  >
+                    {saveStatus === 'saved' ? '✓ Saved' : saveStatus === 'saving' ? 'Saving…' : '⚠️ Unsaved'}
+                  </span>
+                )}
+                {readOnly && (
+                  <span
+                    title="Ask the document owner for edit access to make changes"
+                    style={{
+                      padding: '4px 8px',
+                      background: '#f1f3f5',
+                      color: '#495057',
+                      borderRadius: '12px',
+                      fontWeight: '600'
+                    }}
+                  >
+                    👁 View only
+                  </span>
+                )}
+                {role === 'commenter' && (
+                  <span
+                    title="Your edits are suggestions for the document owner to accept or reject"
+                    style={{
+                      padding: '4px 8px',
+                      background: '#ebfbee',
+                      color: '#2b8a3e',
+                      borderRadius: '12px',
+                      fontWeight: '600'
+                    }}
+                  >
+                    📝 Suggesting
+                  </span>
+                )}
+                {canEdit && (
+                  <button
+                    onClick={() => setSuggestMode(!suggestMode)}
+                    title={suggestMode
+                      ? 'Your edits are suggestions; click to edit the document directly'
+                      : 'Click to suggest changes instead of making them'}
+                    style={{
+                      padding: '4px 10px',
+                      background: suggestMode ? '#ebfbee' : '#f1f3f5',
+                      color: suggestMode ? '#2b8a3e' : '#495057',
+                      border: 'none',
+                      borderRadius: '12px',
+                      fontSize: '13px',
+                      fontWeight: '600',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {suggestMode ? '📝 Suggesting' : '✏️ Editing'}
+                  </button>
+                )}
+                {syncMode === 'crdt' && (
+                  <span
+                    title="Edits merge locally and are reconciled after reconnecting"
+                    style={{
+                      padding: '4px 8px',
+                      background: '#f0f0ff',
+                      color: '#667eea',
+                      borderRadius: '12px',
+                      fontWeight: '600'
+                    }}
+                  >
+                    CRDT sync
+                  </span>
+                )}
+                {contentType === 'markdown' && (
+                  <span
+                    title="Written in Markdown, with a live preview next to the source"
+                    style={{
+                      padding: '4px 8px',
+                      background: '#f0f0ff',
+                      color: '#667eea',
+                      borderRadius: '12px',
+                      fontWeight: '600'
+                    }}
+                  >
+                    Markdown
+                  </span>
+                )}
+                {role && role !== 'viewer' && (
+                  <button
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={startComment}
+                    disabled={!hasSelection}
+                    title={hasSelection ? 'Comment on the selected text' : 'Select some text to comment on it'}
+                    style={{
+                      padding: '4px 10px',
+                      background: hasSelection ? '#fff3bf' : '#f1f3f5',
+                      color: hasSelection ? '#856404' : '#adb5bd',
+                      border: 'none',
+                      borderRadius: '12px',
+                      fontSize: '13px',
+                      fontWeight: '600',
+                      cursor: hasSelection ? 'pointer' : 'default'
+                    }}
+                  >
+                    💬 Comment
+                  </button>
+                )}
                 <span>•</span>
                 <span>{content.length} characters</span>
                 <span>•</span>
@@ -680,61 +1564,129 @@ const DocumentEditor = () => {
               </div>
             </div>
 
-            {/* Content Editor */}
-            <div style={{ position: 'relative' }}>
-              <textarea
-                ref={editorRef}
-                value={content}
-                onChange={handleContentChange}
-                onKeyDown={handleKeyDown}
-                onMouseMove={handleCursorMove}
-                onMouseLeave={handleMouseLeave}
-                onKeyUp={handleCursorMove}
-                onFocus={handleCursorMove}
-                style={{ 
-                  width: '100%',
-                  minHeight: '500px', 
-                  border: 'none',
-                  padding: '30px',
-                  fontFamily: '"Inter", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
-                  fontSize: '16px',
-                  lineHeight: '1.7',
-                  resize: 'none',
-                  outline: 'none',
-                  background: 'white',
-                  color: '#2c3e50'
-                }}
-                placeholder="Start writing your document here... 
-
-💡 Tip: This editor supports real-time collaboration. Changes will appear instantly for other users!"
-              />
-              {/* Render cursors - only show other users' cursors */}
-              {Object.entries(cursors)
-                .filter(([userId]) => userId !== user.id) // Don't show own cursor
-                .filter(([userId, cursor]) => cursor.x >= 0 && cursor.y >= 0) // Only show valid coordinates
-                .map(([userId, cursor]) => (
-                  <div
-                    key={userId}
+            {/* Offline edits that could not be merged */}
+            {conflict && (
+              <div style={{
+                margin: '0 30px 15px',
+                padding: '14px 18px',
+                background: '#fff5f5',
+                border: '1px solid #ffc9c9',
+                borderRadius: '12px',
+                color: '#c92a2a',
+                fontSize: '14px'
+              }}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', marginBottom: '10px' }}>
+                  <span style={{ fontWeight: '600' }}>
+                    ⚠️ Your offline edits could not be merged with the changes made meanwhile. Your version is below so you can copy what you need back in.
+                  </span>
+                  <button
+                    onClick={() => setConflict(null)}
                     style={{
-                      position: 'absolute',
-                      left: cursor.x,
-                      top: cursor.y - 30,
-                      background: `linear-gradient(135deg, ${getUserColorUnique(userId, getAllUserIds())}, ${getUserColorUnique(userId, getAllUserIds())}dd)`,
-                      color: 'white',
                       padding: '4px 12px',
-                      borderRadius: '20px',
-                      fontSize: '12px',
+                      background: 'white',
+                      color: '#c92a2a',
+                      border: '1px solid #ffc9c9',
+                      borderRadius: '8px',
+                      fontSize: '13px',
                       fontWeight: '600',
-                      boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
-                      zIndex: 10,
-                      pointerEvents: 'none',
-                      border: '2px solid white',
-                      animation: 'fadeIn 0.3s ease'
+                      cursor: 'pointer'
                     }}
                   >
-                    {cursor.username}
+                    Dismiss
+                  </button>
+                </div>
+                <textarea
+                  readOnly
+                  value={conflict.content}
+                  onFocus={(e) => e.target.select()}
+                  style={{
+                    width: '100%',
+                    height: '120px',
+                    padding: '10px',
+                    border: '1px solid #ffc9c9',
+                    borderRadius: '8px',
+                    fontSize: '13px',
+                    color: '#2c3e50',
+                    resize: 'vertical'
+                  }}
+                />
+              </div>
+            )}
+
+            {/* Content Editor */}
+            <div style={{ position: 'relative' }}>
+              {syncMode === 'crdt' || contentType === 'markdown' ? (
+                <div style={{ display: 'flex' }}>
+                  <div style={{ position: 'relative', flex: 1, minWidth: 0 }}>
+                    <textarea
+                      ref={editorRef}
+                      value={content}
+                      onChange={handleContentChange}
+                      readOnly={readOnly}
+                      onKeyDown={handleKeyDown}
+                      onFocus={sendCursor}
+                      onSelect={(e) => handleSelectionChange({ start: e.target.selectionStart, end: e.target.selectionEnd })}
+                      style={{ 
+                        display: 'block',
+                        width: '100%',
+                        minHeight: '500px', 
+                        border: 'none',
+                        padding: '30px',
+                        fontFamily: contentType === 'markdown'
+                          ? '"SFMono-Regular", Consolas, monospace'
+                          : '"Inter", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+                        fontSize: contentType === 'markdown' ? '15px' : '16px',
+                        lineHeight: '1.7',
+                        resize: 'none',
+                        outline: 'none',
+                        background: 'white',
+                        color: '#2c3e50'
+                      }}
+                      placeholder="Start writing your document here... 
+
+💡 Tip: This editor supports real-time collaboration. Changes will appear instantly for other users!"
+                    />
+                    <TextareaCursors textareaRef={editorRef} content={content} cursors={remoteCursors} />
                   </div>
-                ))}
+                  {contentType === 'markdown' && (
+                    <MarkdownPreview
+                      content={content}
+                      style={{
+                        flex: 1,
+                        minWidth: 0,
+                        maxHeight: '80vh',
+                        padding: '30px',
+                        borderLeft: '1px solid #f0f0f0',
+                        background: '#fcfcff'
+                      }}
+                    />
+                  )}
+                </div>
+              ) : (
+                <RichTextEditor
+                  ref={editorRef}
+                  value={richContent}
+                  onChange={handleRichChange}
+                  onSelectionChange={handleSelectionChange}
+                  highlights={highlights}
+                  onHighlightClick={showHighlight}
+                  remoteCursors={remoteCursors}
+                  readOnly={readOnly}
+                  suggesting={suggesting}
+                  onFocus={sendCursor}
+                  style={{
+                    minHeight: '500px',
+                    padding: '30px',
+                    fontFamily: '"Inter", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+                    fontSize: '16px',
+                    lineHeight: '1.7',
+                    outline: 'none',
+                    background: 'white',
+                    color: '#2c3e50'
+                  }}
+                  placeholder="Start writing your document here... Select text to format it with the toolbar."
+                />
+              )}
             </div>
           </div>
 
@@ -769,6 +1721,26 @@ const DocumentEditor = () => {
             </div>
           )}
 
+          {/* Version restore and permission notifications */}
+          {notice && (
+            <div style={{
+              position: 'fixed',
+              top: connectionRestored ? '100px' : '30px',
+              right: '30px',
+              background: 'linear-gradient(135deg, #667eea, #764ba2)',
+              color: 'white',
+              padding: '16px 24px',
+              borderRadius: '12px',
+              boxShadow: '0 8px 32px rgba(102, 126, 234, 0.3)',
+              zIndex: 1000,
+              animation: 'slideIn 0.4s ease',
+              fontSize: '14px',
+              fontWeight: '600'
+            }}>
+              {notice}
+            </div>
+          )}
+
           {/* Typing indicators */}
           {typing.length > 0 && (
             <div style={{
@@ -825,17 +1797,62 @@ const DocumentEditor = () => {
           )}
         </div>
 
-        {showChat && (
-          <div style={{ width: '300px' }}>
-            <Chat 
-              documentId={documentId} 
-              presence={presence}
-              allUserIds={getAllUserIds()}
-            />
+        {(showChat || showHistory || showComments || showSuggestions) && (
+          <div style={{ width: '300px', display: 'flex', flexDirection: 'column', gap: '20px' }}>
+            {showComments && (
+              <CommentsPanel
+                documentId={documentId}
+                comments={comments}
+                content={content}
+                activeId={activeCommentId}
+                onActivate={activateComment}
+                draft={commentDraft}
+                onSubmitDraft={submitCommentDraft}
+                onCancelDraft={() => setCommentDraft(null)}
+                onSaved={(comment) => receiveComment(comment)}
+                onDeleted={removeComment}
+                canComment={role !== 'viewer'}
+                isOwner={role === 'owner'}
+              />
+            )}
+            {showSuggestions && (
+              <SuggestionsPanel
+                documentId={documentId}
+                suggestions={suggestions}
+                content={content}
+                activeId={activeSuggestionId}
+                onActivate={activateSuggestion}
+                onSettled={removeSuggestion}
+                isOwner={role === 'owner'}
+              />
+            )}
+            {showHistory && (
+              <VersionHistory documentId={documentId} canEdit={canEdit} />
+            )}
+            {showChat && (
+              <Chat 
+                documentId={documentId} 
+                presence={presence}
+                allUserIds={getAllUserIds()}
+                canSend={role !== 'viewer'}
+              />
+            )}
           </div>
         )}
       </div>
 
+      {showShare && (
+        <ShareDialog documentId={documentId} onClose={() => setShowShare(false)} />
+      )}
+
+      {showDiff && (
+        <DiffViewer
+          documentId={documentId}
+          initialFrom={lastSeenVersion}
+          onClose={() => setShowDiff(false)}
+        />
+      )}
+
       {/* CSS Animations */}
       <style jsx>{`
         @keyframes pulse {
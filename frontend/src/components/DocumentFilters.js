@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+import axios from 'axios';
+
+export const DEFAULT_FILTERS = {
+  tags: [],
+  author: '',
+  updatedSince: '',
+  shared: false,
+  favorites: false,
+  sort: 'updated'
+};
+
+const SORT_OPTIONS = [
+  { value: 'updated', label: 'Recently updated' },
+  { value: 'created', label: 'Recently created' },
+  { value: 'title', label: 'Title (A–Z)' },
+  { value: 'favorites', label: 'Favorites first' }
+];
+
+const UPDATED_OPTIONS = [
+  { value: '', label: 'Any time' },
+  { value: '1d', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: '90d', label: 'Last 90 days' }
+];
+
+// Whether any filter differs from the defaults (the sort order doesn't count)
+export const hasActiveFilters = (filters) => filters.tags.length > 0 || !!filters.author
+  || !!filters.updatedSince || filters.shared || filters.favorites;
+
+// Saved filters come back with nulls for unset values
+const fromSaved = (saved) => ({
+  ...DEFAULT_FILTERS,
+  ...Object.fromEntries(Object.entries(saved).filter(([, value]) => value !== null))
+});
+
+// Sort, tag, author, date, favorite and "shared with me" filters for the document
+// list, plus the user's saved combinations of them
+const DocumentFilters = ({ filters, onChange }) => {
+  const [tags, setTags] = useState([]);
+  const [authors, setAuthors] = useState([]);
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [error, setError] = useState('');
+
+  const { socket } = useSocket();
+
+  useEffect(() => {
+    fetchFacets();
+    fetchSavedFilters();
+  }, []);
+
+  // New tags and authors show up as documents change
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    socket.on('documentTagsChanged', fetchFacets);
+    socket.on('documentCreated', fetchFacets);
+
+    return () => {
+      socket.off('documentTagsChanged', fetchFacets);
+      socket.off('documentCreated', fetchFacets);
+    };
+  }, [socket]);
+
+  const fetchFacets = async () => {
+    try {
+      const response = await axios.get('/documents/facets');
+      setTags(response.data.tags);
+      setAuthors(response.data.authors);
+    } catch (error) {
+      console.error('Error fetching document facets:', error);
+    }
+  };
+
+  const fetchSavedFilters = async () => {
+    try {
+      const response = await axios.get('/saved-filters');
+      setSavedFilters(response.data.savedFilters);
+    } catch (error) {
+      console.error('Error fetching saved filters:', error);
+    }
+  };
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const toggleTag = (tag) => update({
+    tags: filters.tags.includes(tag) ? filters.tags.filter(t => t !== tag) : [...filters.tags, tag]
+  });
+
+  const saveFilters = async () => {
+    const name = window.prompt('Name for these filters');
+    if (!name || !name.trim()) return;
+
+    try {
+      setError('');
+      const response = await axios.post('/saved-filters', { name: name.trim(), filters });
+      setSavedFilters(prev => [...prev, response.data.savedFilter].sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to save filters');
+      console.error('Error saving filters:', error);
+    }
+  };
+
+  const deleteSavedFilter = async (savedFilter) => {
+    try {
+      setError('');
+      await axios.delete(`/saved-filters/${savedFilter.id}`);
+      setSavedFilters(prev => prev.filter(f => f.id !== savedFilter.id));
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to delete saved filter');
+      console.error('Error deleting saved filter:', error);
+    }
+  };
+
+  const customDate = /^\d{4}-\d{2}-\d{2}$/.test(filters.updatedSince);
+
+  const headingStyle = {
+    margin: '16px 0 6px',
+    fontSize: '12px',
+    fontWeight: '700',
+    color: '#6c757d',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  };
+
+  const selectStyle = {
+    width: '100%',
+    padding: '6px 10px',
+    border: '2px solid #e9ecef',
+    borderRadius: '8px',
+    fontSize: '13px',
+    background: '#f8f9ff',
+    outline: 'none',
+    marginBottom: '6px'
+  };
+
+  const toggleStyle = (active) => ({
+    display: 'block',
+    width: '100%',
+    textAlign: 'left',
+    padding: '6px 8px',
+    marginBottom: '4px',
+    borderRadius: '8px',
+    border: 'none',
+    fontSize: '14px',
+    cursor: 'pointer',
+    color: active ? '#667eea' : '#333',
+    fontWeight: active ? '700' : '500',
+    background: active ? '#f8f9ff' : 'transparent'
+  });
+
+  return (
+    <div style={{ fontSize: '14px' }}>
+      <div style={{ ...headingStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        Filters
+        {hasActiveFilters(filters) && (
+          <button
+            onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort })}
+            style={{ background: 'none', border: 'none', padding: 0, color: '#667eea', fontSize: '12px', fontWeight: '600', cursor: 'pointer' }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <button onClick={() => update({ favorites: !filters.favorites })} style={toggleStyle(filters.favorites)}>
+        ⭐ Favorites
+      </button>
+      <button onClick={() => update({ shared: !filters.shared })} style={toggleStyle(filters.shared)}>
+        🤝 Shared with me
+      </button>
+
+      <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })} aria-label="Sort documents" style={selectStyle}>
+        {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+
+      <select
+        value={customDate ? 'custom' : filters.updatedSince}
+        onChange={(e) => update({
+          updatedSince: e.target.value === 'custom' ? new Date().toISOString().slice(0, 10) : e.target.value
+        })}
+        aria-label="Updated since"
+        style={selectStyle}
+      >
+        {UPDATED_OPTIONS.map(option => <option key={option.value} value={option.value}>Updated: {option.label}</option>)}
+        <option value="custom">Updated since a date...</option>
+      </select>
+      {customDate && (
+        <input
+          type="date"
+          value={filters.updatedSince}
+          onChange={(e) => update({ updatedSince: e.target.value })}
+          style={selectStyle}
+        />
+      )}
+
+      <select value={filters.author} onChange={(e) => update({ author: e.target.value })} aria-label="Author" style={selectStyle}>
+        <option value="">Any author</option>
+        {authors.map(author => (
+          <option key={author.userId} value={author.userId}>{author.username} ({author.count})</option>
+        ))}
+      </select>
+
+      {tags.length > 0 && (
+        <>
+          <div style={headingStyle}>Tags</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+            {tags.map(({ tag, count }) => {
+              const active = filters.tags.includes(tag);
+              return (
+                <button
+                  key={tag}
+                  onClick={() => toggleTag(tag)}
+                  style={{
+                    padding: '3px 10px',
+                    borderRadius: '12px',
+                    border: active ? '1px solid #667eea' : '1px solid #e9ecef',
+                    background: active ? '#667eea' : 'white',
+                    color: active ? 'white' : '#555',
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    cursor: 'pointer'
+                  }}
+                >
+                  🏷️ {tag} <span style={{ opacity: 0.7 }}>{count}</span>
+                </button>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      <div style={headingStyle}>Saved filters</div>
+      {savedFilters.map(savedFilter => (
+        <div
+          key={savedFilter.id}
+          onClick={() => onChange(fromSaved(savedFilter.filters))}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            padding: '6px 8px',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            color: '#333'
+          }}
+        >
+          <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            🔖 {savedFilter.name}
+          </span>
+          <button
+            title="Delete saved filter"
+            onClick={(e) => { e.stopPropagation(); deleteSavedFilter(savedFilter); }}
+            style={{ background: 'none', border: 'none', padding: '0 2px', fontSize: '12px', color: '#6c757d', cursor: 'pointer' }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={saveFilters}
+        disabled={!hasActiveFilters(filters) && filters.sort === DEFAULT_FILTERS.sort}
+        style={{
+          marginTop: '6px',
+          padding: '6px 10px',
+          background: 'white',
+          color: '#667eea',
+          border: '2px solid #667eea',
+          borderRadius: '8px',
+          fontSize: '13px',
+          fontWeight: '600',
+          cursor: 'pointer'
+        }}
+      >
+        💾 Save current filters
+      </button>
+
+      {error && (
+        <div style={{ marginTop: '10px', fontSize: '13px', color: '#dc3545' }}>⚠️ {error}</div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentFilters;
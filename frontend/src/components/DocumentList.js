@@ -1,27 +1,104 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
 import { getUserColor, getUserColorUnique } from '../utils/userColors';
+import DocumentSearch from './DocumentSearch';
+import WorkspaceSidebar, { ALL_DOCUMENTS, DOCUMENT_DRAG_TYPE } from './WorkspaceSidebar';
+import DocumentFilters, { DEFAULT_FILTERS, hasActiveFilters } from './DocumentFilters';
 import axios from 'axios';
 
+const IMPORT_ACCEPT = '.md,.markdown,.txt,.text,.html,.htm,.docx';
+// Files are uploaded in batches that stay within the server's per-request limits
+const IMPORT_BATCH_FILES = 20;
+const IMPORT_BATCH_BYTES = 15 * 1024 * 1024;
+
+const importBatches = (files) => {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+  for (const file of files) {
+    if (batch.length > 0 && (batch.length === IMPORT_BATCH_FILES || size + file.size > IMPORT_BATCH_BYTES)) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(file);
+    size += file.size;
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+};
+
+// Whether a document belongs in the list for the sidebar selection
+const matchesSelection = (doc, selection) => {
+  if (!!selection.trash !== !!doc.deletedAt) return false;
+  if (selection.workspaceId === 'personal') return !doc.workspaceId;
+  if (selection.workspaceId && doc.workspaceId !== selection.workspaceId) return false;
+  return !selection.folderId || doc.folderId === selection.folderId;
+};
+
+// Whether a document passes the list filters, for documents that arrive over the socket
+const matchesFilters = (doc, filters, userId) => {
+  if (!filters.tags.every(tag => (doc.tags || []).includes(tag))) return false;
+  if (filters.author && doc.createdBy !== filters.author) return false;
+  if (filters.shared && doc.createdBy === userId) return false;
+  return !filters.favorites || !!doc.favorite;
+};
+
+// Query parameters for GET /documents
+const filterParams = (filters) => ({
+  ...(filters.tags.length > 0 && { tag: filters.tags.join(',') }),
+  ...(filters.author && { author: filters.author }),
+  ...(filters.updatedSince && { updatedSince: filters.updatedSince }),
+  ...(filters.shared && { shared: true }),
+  ...(filters.favorites && { favorites: true }),
+  sort: filters.sort
+});
+
+// Where new documents go: the selected workspace and folder, otherwise personal
+const locationOf = (selection) => (selection.workspaceId && selection.workspaceId !== 'personal'
+  ? { workspaceId: selection.workspaceId, folderId: selection.folderId }
+  : { workspaceId: null, folderId: null });
+
 const DocumentList = () => {
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [newDocumentTitle, setNewDocumentTitle] = useState('');
+  const [newDocumentSyncMode, setNewDocumentSyncMode] = useState('ot');
+  const [newDocumentContentType, setNewDocumentContentType] = useState('rich');
+  const [newDocumentTemplateId, setNewDocumentTemplateId] = useState(null);
+  const [templates, setTemplates] = useState([]);
   const [creating, setCreating] = useState(false);
   const [activeUsers, setActiveUsers] = useState([]);
+  const [importProgress, setImportProgress] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [selection, setSelection] = useState(ALL_DOCUMENTS);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const dragDepthRef = useRef(0);
+  const fileInputRef = useRef(null);
+  const selectionRef = useRef(selection);
+  const filtersRef = useRef(filters);
+  const requestRef = useRef(0);
+  selectionRef.current = selection;
+  filtersRef.current = filters;
   
   const { user, logout } = useAuth();
   const { socket, connected } = useSocket();
   const navigate = useNavigate();
 
   useEffect(() => {
-    fetchDocuments();
     fetchActiveUsers();
+    fetchTemplates();
   }, []);
 
+  useEffect(() => {
+    fetchDocuments();
+  }, [selection, filters]);
+
   useEffect(() => {
     if (socket) {
       socket.on('activeUsers', (users) => {
@@ -31,29 +108,124 @@ const DocumentList = () => {
       // Listen for new document creation
       socket.on('documentCreated', (newDocument) => {
         console.log('📥 Received documentCreated event:', newDocument);
-        setDocuments(prev => [newDocument, ...prev]);
+        if (matchesSelection(newDocument, selectionRef.current) && matchesFilters(newDocument, filtersRef.current, user.id)) {
+          setDocuments(prev => [newDocument, ...prev.filter(doc => doc.id !== newDocument.id)]);
+        }
+      });
+
+      // A document changed folder or workspace, possibly into or out of the current view
+      socket.on('documentMoved', (data) => {
+        const moved = { workspaceId: data.workspaceId, folderId: data.folderId };
+        setDocuments(prev => {
+          const known = prev.some(doc => doc.id === data.documentId);
+          if (!matchesSelection(moved, selectionRef.current)) {
+            return prev.filter(doc => doc.id !== data.documentId);
+          }
+          if (!known) {
+            fetchDocuments();
+            return prev;
+          }
+          return prev.map(doc => (doc.id === data.documentId ? { ...doc, ...moved } : doc));
+        });
+      });
+
+      socket.on('documentTagsChanged', (data) => {
+        setDocuments(prev => prev
+          .map(doc => (doc.id === data.documentId ? { ...doc, tags: data.tags } : doc))
+          .filter(doc => doc.id !== data.documentId || matchesFilters(doc, filtersRef.current, user.id)));
+      });
+
+      socket.on('documentFavoriteChanged', (data) => {
+        setDocuments(prev => {
+          if (data.favorite && filtersRef.current.favorites && !prev.some(doc => doc.id === data.documentId)) {
+            fetchDocuments();
+            return prev;
+          }
+          return prev
+            .map(doc => (doc.id === data.documentId ? { ...doc, favorite: data.favorite } : doc))
+            .filter(doc => doc.id !== data.documentId || matchesFilters(doc, filtersRef.current, user.id));
+        });
       });
 
       // Listen for document updates (including participant count changes)
       socket.on('documentUpdated', (updatedDocument) => {
         console.log('📥 Received documentUpdated event:', updatedDocument);
         setDocuments(prev => prev.map(doc => 
-          doc.id === updatedDocument.id ? updatedDocument : doc
+          doc.id === updatedDocument.id ? { ...doc, ...updatedDocument } : doc
         ));
       });
+
+      // A document was shared with us or our role on it changed
+      socket.on('documentRoleChanged', (data) => {
+        setDocuments(prev => {
+          if (!prev.some(doc => doc.id === data.documentId)) {
+            fetchDocuments();
+            return prev;
+          }
+          return prev.map(doc => doc.id === data.documentId ? { ...doc, role: data.role } : doc);
+        });
+      });
+
+      socket.on('documentAccessRevoked', (data) => {
+        setDocuments(prev => prev.filter(doc => doc.id !== data.documentId));
+      });
+
+      // Trashing and restoring move documents between the trash and the other views
+      socket.on('documentTrashed', (data) => {
+        if (selectionRef.current.trash) {
+          fetchDocuments();
+        } else {
+          setDocuments(prev => prev.filter(doc => doc.id !== data.documentId));
+        }
+      });
+
+      socket.on('documentRestoredFromTrash', (data) => {
+        if (selectionRef.current.trash) {
+          setDocuments(prev => prev.filter(doc => doc.id !== data.documentId));
+        } else {
+          fetchDocuments();
+        }
+      });
+
+      socket.on('documentPurged', (data) => {
+        setDocuments(prev => prev.filter(doc => doc.id !== data.documentId));
+      });
+
+      socket.on('documentTemplateChanged', (data) => {
+        setDocuments(prev => prev.map(doc => (
+          doc.id === data.documentId ? { ...doc, isTemplate: data.isTemplate } : doc
+        )));
+        fetchTemplates();
+      });
+
+      // Templates in the trash can't be used
+      socket.on('documentTrashed', fetchTemplates);
+      socket.on('documentRestoredFromTrash', fetchTemplates);
     }
   }, [socket]);
 
   const fetchDocuments = async () => {
+    // Only the latest request may fill the list when the selection changes quickly
+    const request = requestRef.current + 1;
+    requestRef.current = request;
+    const { workspaceId, folderId, trash } = selectionRef.current;
     try {
-      setLoading(true);
-      const response = await axios.get('/documents');
+      const response = await axios.get('/documents', {
+        params: {
+          ...(workspaceId && { workspaceId }),
+          ...(folderId && { folderId }),
+          ...(trash && { trash: true }),
+          ...filterParams(filtersRef.current)
+        }
+      });
+      if (request !== requestRef.current) return;
       setDocuments(response.data.documents);
+      if (response.data.retentionDays) setRetentionDays(response.data.retentionDays);
     } catch (error) {
       console.error('Error fetching documents:', error);
       setError('Failed to load documents');
     } finally {
-      setLoading(false);
+      if (request === requestRef.current) setLoading(false);
     }
   };
 
@@ -66,32 +238,208 @@ const DocumentList = () => {
     }
   };
 
+  const fetchTemplates = async () => {
+    try {
+      const response = await axios.get('/documents/templates');
+      setTemplates(response.data.templates);
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+    }
+  };
+
+  // null while creating a blank document, '' until a template is picked
+  const fromTemplate = newDocumentTemplateId !== null;
+  const canCreate = !creating && (fromTemplate ? !!newDocumentTemplateId : !!newDocumentTitle.trim());
+
   const handleCreateDocument = async (e) => {
     e.preventDefault();
     
-    if (!newDocumentTitle.trim()) {
+    if (!fromTemplate && !newDocumentTitle.trim()) {
       setError('Please enter a document title');
       return;
     }
 
+    if (fromTemplate && !newDocumentTemplateId) {
+      setError('Please choose a template');
+      return;
+    }
+
     try {
       setCreating(true);
       setError('');
       
-      const response = await axios.post('/documents', {
-        title: newDocumentTitle.trim()
-      });
+      // A template brings its own sync engine and format; the title defaults to the template's
+      const response = await axios.post('/documents', fromTemplate
+        ? {
+          title: newDocumentTitle.trim() || undefined,
+          templateId: newDocumentTemplateId,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          ...locationOf(selection)
+        }
+        : {
+          title: newDocumentTitle.trim(),
+          syncMode: newDocumentSyncMode,
+          contentType: newDocumentContentType,
+          ...locationOf(selection)
+        });
       
       const newDocument = response.data.document;
       navigate(`/documents/${newDocument.id}`);
     } catch (error) {
       console.error('Error creating document:', error);
-      setError('Failed to create document');
+      setError(error.response?.data?.error || 'Failed to create document');
     } finally {
       setCreating(false);
     }
   };
 
+  // The copy is created next to the original when possible and opened right away
+  const duplicateDocument = async (doc) => {
+    const title = window.prompt('Title for the copy', `Copy of ${doc.title}`.slice(0, 255));
+    if (title === null || !title.trim()) return;
+
+    try {
+      const response = await axios.post(`/documents/${doc.id}/duplicate`, { title: title.trim() });
+      navigate(`/documents/${response.data.document.id}`);
+    } catch (error) {
+      console.error('Error duplicating document:', error);
+      setError(error.response?.data?.error || 'Failed to duplicate document');
+    }
+  };
+
+  const toggleTemplate = async (doc) => {
+    try {
+      await axios.put(`/documents/${doc.id}/template`, { isTemplate: !doc.isTemplate });
+    } catch (error) {
+      console.error('Error updating template:', error);
+      setError(error.response?.data?.error || 'Failed to update template');
+    }
+  };
+
+  // Upload files as new documents; they arrive in the list through documentCreated
+  const importFiles = async (fileList) => {
+    const files = Array.from(fileList);
+    if (files.length === 0 || importProgress) return;
+
+    setImportResult(null);
+    setImportProgress({ done: 0, total: files.length });
+    let imported = 0;
+    const failures = [];
+
+    for (const batch of importBatches(files)) {
+      const formData = new FormData();
+      const { workspaceId, folderId } = locationOf(selection);
+      if (workspaceId) formData.append('workspaceId', workspaceId);
+      if (folderId) formData.append('folderId', folderId);
+      batch.forEach(file => formData.append('files', file, file.name));
+      try {
+        const response = await axios.post('/documents/import', formData);
+        imported += response.data.documents.length;
+        failures.push(...response.data.errors);
+      } catch (error) {
+        const data = error.response?.data;
+        if (data?.errors) {
+          failures.push(...data.errors);
+        } else {
+          const message = data?.error || 'Upload failed';
+          failures.push(...batch.map(file => ({ filename: file.name, error: message })));
+        }
+        console.error('Error importing documents:', error);
+      }
+      setImportProgress(prev => ({ ...prev, done: prev.done + batch.length }));
+    }
+
+    setImportProgress(null);
+    setImportResult({ imported, failures });
+  };
+
+  const handleDragEnter = (e) => {
+    if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  // Leaving a child element also fires dragleave, so count how deep the pointer is
+  const handleDragLeave = () => {
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setDragging(false);
+    importFiles(e.dataTransfer.files);
+  };
+
+  // Dropping a document on the sidebar; the list catches up through documentMoved
+  const moveDocument = (documentId, location) => axios.put(`/documents/${documentId}/location`, location);
+
+  const toggleFavorite = async (doc) => {
+    try {
+      if (doc.favorite) {
+        await axios.delete(`/documents/${doc.id}/favorite`);
+      } else {
+        await axios.put(`/documents/${doc.id}/favorite`);
+      }
+    } catch (error) {
+      console.error('Error updating favorite:', error);
+      setError('Failed to update favorite');
+    }
+  };
+
+  // Everyone who can open the document sees the new tags through documentTagsChanged
+  const editTags = async (doc) => {
+    const input = window.prompt('Tags, separated by commas', (doc.tags || []).join(', '));
+    if (input === null) return;
+
+    try {
+      await axios.put(`/documents/${doc.id}/tags`, { tags: input.split(',') });
+    } catch (error) {
+      console.error('Error updating tags:', error);
+      setError(error.response?.data?.error || 'Failed to update tags');
+    }
+  };
+
+  // Trashed documents disappear from every list through documentTrashed
+  const trashDocument = async (doc) => {
+    if (!window.confirm(`Move "${doc.title}" to the trash? Anyone editing it will be disconnected.`)) return;
+
+    try {
+      await axios.delete(`/documents/${doc.id}`);
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      setError(error.response?.data?.error || 'Failed to delete document');
+    }
+  };
+
+  const restoreDocument = async (doc) => {
+    try {
+      await axios.post(`/documents/${doc.id}/restore`);
+    } catch (error) {
+      console.error('Error restoring document:', error);
+      setError(error.response?.data?.error || 'Failed to restore document');
+    }
+  };
+
+  const purgeDocument = async (doc) => {
+    if (!window.confirm(`Delete "${doc.title}" forever? Its chat and history will be gone too. This cannot be undone.`)) return;
+
+    try {
+      await axios.delete(`/documents/${doc.id}/permanent`);
+    } catch (error) {
+      console.error('Error deleting document permanently:', error);
+      setError(error.response?.data?.error || 'Failed to delete document');
+    }
+  };
+
   const handleDocumentClick = (documentId) => {
     navigate(`/documents/${documentId}`);
   };
@@ -327,12 +675,37 @@ const DocumentList = () => {
           </div>
           
           <form onSubmit={handleCreateDocument}>
+            <div style={{ marginBottom: '15px', display: 'flex', gap: '8px' }}>
+              {[
+                { key: 'blank', label: '📄 Blank', active: !fromTemplate, onClick: () => setNewDocumentTemplateId(null) },
+                { key: 'template', label: '📋 From template', active: fromTemplate, onClick: () => setNewDocumentTemplateId('') }
+              ].map(option => (
+                <button
+                  key={option.key}
+                  type="button"
+                  onClick={option.onClick}
+                  disabled={creating}
+                  style={{
+                    padding: '8px 16px',
+                    borderRadius: '20px',
+                    border: option.active ? '2px solid #667eea' : '2px solid #e9ecef',
+                    background: option.active ? '#f8f9ff' : 'white',
+                    color: option.active ? '#667eea' : '#6c757d',
+                    fontSize: '14px',
+                    fontWeight: '600',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
             <div style={{ marginBottom: '20px' }}>
               <input
                 type="text"
                 value={newDocumentTitle}
                 onChange={(e) => setNewDocumentTitle(e.target.value)}
-                placeholder="Enter document title..."
+                placeholder={fromTemplate ? "Title (leave empty to use the template's)..." : 'Enter document title...'}
                 disabled={creating}
                 style={{
                   width: '100%',
@@ -357,36 +730,120 @@ const DocumentList = () => {
                 }}
               />
             </div>
+            <div style={{ 
+              marginBottom: '20px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '12px',
+              fontSize: '14px',
+              color: '#6c757d'
+            }}>
+              {fromTemplate ? (
+                <>
+                  <label htmlFor="template" style={{ fontWeight: '600' }}>Template</label>
+                  {templates.length > 0 ? (
+                    <select
+                      id="template"
+                      value={newDocumentTemplateId}
+                      onChange={(e) => setNewDocumentTemplateId(e.target.value)}
+                      disabled={creating}
+                      style={{
+                        padding: '8px 12px',
+                        border: '2px solid #e9ecef',
+                        borderRadius: '8px',
+                        fontSize: '14px',
+                        background: '#f8f9ff',
+                        outline: 'none'
+                      }}
+                    >
+                      <option value="">Choose a template...</option>
+                      {templates.map(template => (
+                        <option key={template.id} value={template.id}>
+                          {template.title}{template.workspaceName ? ` (${template.workspaceName})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span>No templates yet. Use 📋 on a document to make it one.</span>
+                  )}
+                  <span title="Filled in when the document is created">
+                    {'{{date}}'}, {'{{time}}'} and {'{{author}}'} are filled in
+                  </span>
+                </>
+              ) : (
+                <>
+                  <label htmlFor="sync-mode" style={{ fontWeight: '600' }}>Sync engine</label>
+                  <select
+                    id="sync-mode"
+                    value={newDocumentSyncMode}
+                    onChange={(e) => setNewDocumentSyncMode(e.target.value)}
+                    disabled={creating}
+                    style={{
+                      padding: '8px 12px',
+                      border: '2px solid #e9ecef',
+                      borderRadius: '8px',
+                      fontSize: '14px',
+                      background: '#f8f9ff',
+                      outline: 'none'
+                    }}
+                  >
+                    <option value="ot">Standard (server-ordered)</option>
+                    <option value="crdt">CRDT (best for unreliable connections)</option>
+                  </select>
+                  <label htmlFor="content-type" style={{ fontWeight: '600' }}>Format</label>
+                  <select
+                    id="content-type"
+                    value={newDocumentContentType}
+                    onChange={(e) => setNewDocumentContentType(e.target.value)}
+                    disabled={creating}
+                    style={{
+                      padding: '8px 12px',
+                      border: '2px solid #e9ecef',
+                      borderRadius: '8px',
+                      fontSize: '14px',
+                      background: '#f8f9ff',
+                      outline: 'none'
+                    }}
+                  >
+                    <option value="rich">Rich text</option>
+                    <option value="markdown">Markdown (with live preview)</option>
+                  </select>
+                </>
+              )}
+              {locationOf(selection).workspaceId && (
+                <span style={{ fontWeight: '600', color: '#667eea' }}>📁 In {selection.label}</span>
+              )}
+            </div>
             <button
               type="submit"
-              disabled={creating || !newDocumentTitle.trim()}
+              disabled={!canCreate}
               style={{
                 padding: '15px 30px',
-                background: creating || !newDocumentTitle.trim() 
+                background: !canCreate 
                   ? '#e9ecef' 
                   : 'linear-gradient(135deg, #667eea, #764ba2)',
-                color: creating || !newDocumentTitle.trim() ? '#6c757d' : 'white',
+                color: !canCreate ? '#6c757d' : 'white',
                 border: 'none',
                 borderRadius: '12px',
                 fontSize: '16px',
                 fontWeight: '600',
-                cursor: creating || !newDocumentTitle.trim() ? 'not-allowed' : 'pointer',
+                cursor: !canCreate ? 'not-allowed' : 'pointer',
                 transition: 'all 0.3s ease',
                 display: 'flex',
                 alignItems: 'center',
                 gap: '8px',
-                boxShadow: creating || !newDocumentTitle.trim() 
+                boxShadow: !canCreate 
                   ? 'none' 
                   : '0 4px 20px rgba(102, 126, 234, 0.3)'
               }}
               onMouseOver={(e) => {
-                if (!creating && newDocumentTitle.trim()) {
+                if (canCreate) {
                   e.target.style.transform = 'translateY(-2px)';
                   e.target.style.boxShadow = '0 6px 25px rgba(102, 126, 234, 0.4)';
                 }
               }}
               onMouseOut={(e) => {
-                if (!creating && newDocumentTitle.trim()) {
+                if (canCreate) {
                   e.target.style.transform = 'translateY(0)';
                   e.target.style.boxShadow = '0 4px 20px rgba(102, 126, 234, 0.3)';
                 }
@@ -412,15 +869,48 @@ const DocumentList = () => {
           )}
         </div>
 
-        {/* Documents List Card */}
-        <div style={{
-          background: 'rgba(255, 255, 255, 0.95)',
-          backdropFilter: 'blur(10px)',
-          borderRadius: '16px',
-          boxShadow: '0 10px 40px rgba(0, 0, 0, 0.1)',
-          padding: '30px',
-          border: '1px solid rgba(255, 255, 255, 0.2)'
-        }}>
+        {/* Documents List Card - also the drop zone for imports */}
+        <div
+          onDragEnter={handleDragEnter}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+          style={{
+            background: 'rgba(255, 255, 255, 0.95)',
+            backdropFilter: 'blur(10px)',
+            borderRadius: '16px',
+            boxShadow: '0 10px 40px rgba(0, 0, 0, 0.1)',
+            padding: '30px',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            position: 'relative'
+          }}
+        >
+          {dragging && (
+            <div style={{
+              position: 'absolute',
+              inset: 0,
+              zIndex: 10,
+              borderRadius: '16px',
+              border: '3px dashed #667eea',
+              background: 'rgba(248, 249, 255, 0.92)',
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '8px',
+              pointerEvents: 'none',
+              color: '#667eea',
+              fontSize: '18px',
+              fontWeight: '700'
+            }}>
+              <div style={{ fontSize: '48px' }}>📥</div>
+              Drop files to import them as documents
+              <div style={{ fontSize: '13px', fontWeight: '500', color: '#6c757d' }}>
+                Markdown, HTML, Word (.docx) or plain text
+              </div>
+            </div>
+          )}
+
           <div style={{
             display: 'flex',
             justifyContent: 'space-between',
@@ -438,98 +928,334 @@ const DocumentList = () => {
               WebkitTextFillColor: 'transparent',
               backgroundClip: 'text'
             }}>
-              📚 Your Documents
+              📚 {selection.workspaceId ? selection.label : 'Your Documents'}
             </h2>
-            <div style={{
-              display: 'flex',
-              alignItems: 'center',
-              gap: '8px',
-              padding: '6px 12px',
-              background: connected ? '#d4edda' : '#f8d7da',
-              borderRadius: '20px',
-              fontSize: '12px',
-              fontWeight: '500'
-            }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept={IMPORT_ACCEPT}
+                onChange={(e) => {
+                  importFiles(e.target.files);
+                  e.target.value = '';
+                }}
+                style={{ display: 'none' }}
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={!!importProgress}
+                title="Import Markdown, HTML, Word or text files, or drop them on this list"
+                style={{
+                  padding: '8px 16px',
+                  background: 'white',
+                  color: '#667eea',
+                  border: '2px solid #667eea',
+                  borderRadius: '20px',
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  cursor: importProgress ? 'wait' : 'pointer'
+                }}
+              >
+                {importProgress ? `⏳ Importing ${importProgress.done}/${importProgress.total}...` : '📥 Import files'}
+              </button>
               <div style={{
-                width: '8px',
-                height: '8px',
-                borderRadius: '50%',
-                background: connected ? '#28a745' : '#dc3545',
-                animation: connected ? 'pulse 2s infinite' : 'none'
-              }} />
-              {connected ? 'Connected' : 'Disconnected'}
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '6px 12px',
+                background: connected ? '#d4edda' : '#f8d7da',
+                borderRadius: '20px',
+                fontSize: '12px',
+                fontWeight: '500'
+              }}>
+                <div style={{
+                  width: '8px',
+                  height: '8px',
+                  borderRadius: '50%',
+                  background: connected ? '#28a745' : '#dc3545',
+                  animation: connected ? 'pulse 2s infinite' : 'none'
+                }} />
+                {connected ? 'Connected' : 'Disconnected'}
+              </div>
             </div>
           </div>
-          
-          {documents.length === 0 ? (
+
+          <DocumentSearch />
+
+          {importResult && (
             <div style={{
-              textAlign: 'center',
-              padding: '60px 20px',
-              color: '#6c757d',
-              fontSize: '16px',
-              fontWeight: '500'
+              background: importResult.failures.length > 0 ? '#fff3cd' : '#d4edda',
+              color: importResult.failures.length > 0 ? '#856404' : '#155724',
+              padding: '12px 16px',
+              borderRadius: '8px',
+              marginBottom: '20px',
+              fontSize: '14px',
+              fontWeight: '500',
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'flex-start',
+              gap: '12px'
             }}>
-              <div style={{ fontSize: '48px', marginBottom: '20px' }}>📝</div>
-              <div>No documents found. Create your first document above!</div>
+              <div>
+                <div>
+                  📥 Imported {importResult.imported} {importResult.imported === 1 ? 'document' : 'documents'}
+                  {importResult.failures.length > 0 && `, ${importResult.failures.length} failed`}
+                </div>
+                {importResult.failures.map((failure, index) => (
+                  <div key={index} style={{ fontSize: '13px', marginTop: '4px' }}>
+                    ⚠️ {failure.filename}: {failure.error}
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={() => setImportResult(null)}
+                style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', fontSize: '14px' }}
+              >
+                ✕
+              </button>
             </div>
-          ) : (
-            <div style={{
-              display: 'grid',
-              gridTemplateColumns: 'repeat(auto-fill, minmax(350px, 1fr))',
-              gap: '20px'
-            }}>
-              {documents.map((doc) => (
-                <div
-                  key={doc.id}
-                  onClick={() => handleDocumentClick(doc.id)}
-                  className="document-card-hover"
-                  style={{
-                    background: 'white',
-                    borderRadius: '12px',
-                    padding: '25px',
-                    cursor: 'pointer',
-                    transition: 'all 0.3s ease',
-                    border: '1px solid #e9ecef',
-                    boxShadow: '0 2px 8px rgba(0,0,0,0.05)',
-                    position: 'relative',
-                    overflow: 'hidden',
-                    userSelect: 'none'
-                  }}
-                >
-                  <div style={{
-                    fontSize: '20px',
-                    fontWeight: '700',
-                    marginBottom: '12px',
-                    color: '#333',
-                    lineHeight: '1.3'
-                  }}>
-                    {doc.title}
+          )}
+          
+          <div style={{ display: 'flex', gap: '24px', alignItems: 'flex-start' }}>
+            <div style={{ width: '260px', flexShrink: 0 }}>
+              <WorkspaceSidebar selection={selection} onSelect={setSelection} onMoveDocument={moveDocument} />
+              <DocumentFilters filters={filters} onChange={setFilters} />
+            </div>
+
+            <div style={{ flex: 1, minWidth: 0 }}>
+              {selection.trash && retentionDays && (
+                <div style={{
+                  background: '#f8f9ff',
+                  color: '#6c757d',
+                  padding: '12px 16px',
+                  borderRadius: '8px',
+                  marginBottom: '20px',
+                  fontSize: '14px',
+                  fontWeight: '500'
+                }}>
+                  🗑️ Documents you own stay in the trash for {retentionDays} days, then they are deleted forever.
+                </div>
+              )}
+
+              {documents.length === 0 ? (
+                <div style={{
+                  textAlign: 'center',
+                  padding: '60px 20px',
+                  color: '#6c757d',
+                  fontSize: '16px',
+                  fontWeight: '500'
+                }}>
+                  <div style={{ fontSize: '48px', marginBottom: '20px' }}>{selection.trash ? '🗑️' : '📝'}</div>
+                  <div>
+                    {selection.trash
+                      ? 'The trash is empty.'
+                      : hasActiveFilters(filters)
+                      ? 'No documents match these filters.'
+                      : selection.workspaceId
+                      ? `Nothing in ${selection.label} yet. Create a document above or drag one here from All documents.`
+                      : 'No documents found. Create your first document above, or drop files here to import them!'}
                   </div>
+                </div>
+              ) : (
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))',
+                  gap: '20px'
+                }}>
+                  {documents.map((doc) => (
+                    <div
+                      key={doc.id}
+                      draggable={!doc.deletedAt}
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData(DOCUMENT_DRAG_TYPE, doc.id);
+                        e.dataTransfer.effectAllowed = 'move';
+                      }}
+                      onClick={() => !doc.deletedAt && handleDocumentClick(doc.id)}
+                      className={doc.deletedAt ? undefined : 'document-card-hover'}
+                      style={{
+                        background: 'white',
+                        borderRadius: '12px',
+                        padding: '25px',
+                        cursor: doc.deletedAt ? 'default' : 'pointer',
+                        transition: 'all 0.3s ease',
+                        border: '1px solid #e9ecef',
+                        boxShadow: '0 2px 8px rgba(0,0,0,0.05)',
+                        position: 'relative',
+                        overflow: 'hidden',
+                        userSelect: 'none'
+                      }}
+                    >
+                      <div style={{
+                        display: 'flex',
+                        alignItems: 'flex-start',
+                        gap: '8px',
+                        fontSize: '20px',
+                        fontWeight: '700',
+                        marginBottom: '12px',
+                        color: '#333',
+                        lineHeight: '1.3'
+                      }}>
+                        <span style={{ flex: 1 }}>{doc.title}</span>
+                        <button
+                          title={doc.favorite ? 'Remove from favorites' : 'Add to favorites'}
+                          onClick={(e) => { e.stopPropagation(); toggleFavorite(doc); }}
+                          style={{ background: 'none', border: 'none', padding: 0, fontSize: '18px', cursor: 'pointer', opacity: doc.favorite ? 1 : 0.4 }}
+                        >
+                          {doc.favorite ? '⭐' : '☆'}
+                        </button>
+                        {!doc.deletedAt && (
+                          <button
+                            title="Duplicate"
+                            onClick={(e) => { e.stopPropagation(); duplicateDocument(doc); }}
+                            style={{ background: 'none', border: 'none', padding: 0, fontSize: '18px', cursor: 'pointer', opacity: 0.4 }}
+                          >
+                            📑
+                          </button>
+                        )}
+                        {doc.role === 'owner' && !doc.deletedAt && (
+                          <button
+                            title="Move to trash"
+                            onClick={(e) => { e.stopPropagation(); trashDocument(doc); }}
+                            style={{ background: 'none', border: 'none', padding: 0, fontSize: '18px', cursor: 'pointer', opacity: 0.4 }}
+                          >
+                            🗑️
+                          </button>
+                        )}
+                      </div>
                   
-                  <div style={{
-                    fontSize: '13px',
-                    color: '#6c757d',
-                    marginBottom: '15px',
-                    lineHeight: '1.6'
-                  }}>
-                    <div>👤 Created by {doc.createdByUsername || 'Unknown'}</div>
-                    <div>🕒 {formatDate(doc.updatedAt)}</div>
-                    <div>💬 {doc.chatMessageCount} messages</div>
-                  </div>
+                      <div style={{
+                        fontSize: '13px',
+                        color: '#6c757d',
+                        marginBottom: '15px',
+                        lineHeight: '1.6'
+                      }}>
+                        <div>👤 Created by {doc.createdByUsername || 'Unknown'}</div>
+                        <div>🕒 {formatDate(doc.updatedAt)}</div>
+                        <div>💬 {doc.chatMessageCount} messages</div>
+                        {doc.syncMode === 'crdt' && <div>🔀 CRDT sync</div>}
+                        {doc.contentType === 'markdown' && <div>Ⓜ️ Markdown</div>}
+                        {doc.isTemplate && <div>📋 Template</div>}
+                        {doc.role && doc.role !== 'owner' && (
+                          <div>🔑 {doc.role.charAt(0).toUpperCase() + doc.role.slice(1)} access</div>
+                        )}
+                        {doc.deletedAt && (
+                          <>
+                            <div>🗑️ Deleted {formatDate(doc.deletedAt)}</div>
+                            <div>⏳ Deleted forever {formatDate(doc.purgeAt)}</div>
+                          </>
+                        )}
+                      </div>
+
+                      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '15px' }}>
+                        {(doc.tags || []).map(tag => (
+                          <button
+                            key={tag}
+                            title="Show documents with this tag"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              if (!filters.tags.includes(tag)) setFilters({ ...filters, tags: [...filters.tags, tag] });
+                            }}
+                            style={{
+                              padding: '2px 10px',
+                              borderRadius: '12px',
+                              border: '1px solid #e9ecef',
+                              background: '#f8f9ff',
+                              color: '#667eea',
+                              fontSize: '12px',
+                              fontWeight: '600',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            🏷️ {tag}
+                          </button>
+                        ))}
+                        {(doc.role === 'owner' || doc.role === 'editor') && !doc.deletedAt && (
+                          <button
+                            title="Edit tags"
+                            onClick={(e) => { e.stopPropagation(); editTags(doc); }}
+                            style={{
+                              padding: '2px 10px',
+                              borderRadius: '12px',
+                              border: '1px dashed #ced4da',
+                              background: 'white',
+                              color: '#6c757d',
+                              fontSize: '12px',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            {(doc.tags || []).length > 0 ? '✏️ Tags' : '🏷️ Add tags'}
+                          </button>
+                        )}
+                        {(doc.role === 'owner' || doc.role === 'editor') && !doc.deletedAt && (
+                          <button
+                            title={doc.isTemplate ? 'Stop offering this document as a template' : 'Offer this document as a template for new ones'}
+                            onClick={(e) => { e.stopPropagation(); toggleTemplate(doc); }}
+                            style={{
+                              padding: '2px 10px',
+                              borderRadius: '12px',
+                              border: '1px dashed #ced4da',
+                              background: 'white',
+                              color: '#6c757d',
+                              fontSize: '12px',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            {doc.isTemplate ? '📋 Not a template' : '📋 Use as template'}
+                          </button>
+                        )}
+                      </div>
                   
-                  <div style={{
-                    paddingTop: '15px',
-                    borderTop: '1px solid #f0f0f0',
-                    fontSize: '14px',
-                    fontWeight: '600',
-                    color: '#667eea'
-                  }}>
-                    👥 {doc.activeParticipants} active • Click to open →
-                  </div>
+                      <div style={{
+                        paddingTop: '15px',
+                        borderTop: '1px solid #f0f0f0',
+                        fontSize: '14px',
+                        fontWeight: '600',
+                        color: '#667eea'
+                      }}>
+                        {doc.deletedAt ? (
+                          <div style={{ display: 'flex', gap: '10px' }}>
+                            <button
+                              onClick={() => restoreDocument(doc)}
+                              style={{
+                                padding: '6px 14px',
+                                background: '#667eea',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '8px',
+                                fontSize: '13px',
+                                fontWeight: '600',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              ♻️ Restore
+                            </button>
+                            <button
+                              onClick={() => purgeDocument(doc)}
+                              style={{
+                                padding: '6px 14px',
+                                background: 'white',
+                                color: '#dc3545',
+                                border: '2px solid #dc3545',
+                                borderRadius: '8px',
+                                fontSize: '13px',
+                                fontWeight: '600',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              Delete forever
+                            </button>
+                          </div>
+                        ) : (
+                          <>👥 {doc.activeParticipants} active • Click to open →</>
+                        )}
+                      </div>
+                    </div>
+                  ))}
                 </div>
-              ))}
+              )}
             </div>
-          )}
+          </div>
         </div>
       </div>
 
@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import DocumentEditor from './DocumentEditor';
+
+// Opens a document, first redeeming a share link token (`?token=`) if there is one
+const DocumentRoute = () => {
+  const { id: documentId } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const redeemToken = async () => {
+      try {
+        await axios.post(`/documents/${documentId}/shares/redeem`, { token });
+        // Drop the token from the address bar so it isn't shared any further
+        navigate(`/documents/${documentId}`, { replace: true });
+      } catch (error) {
+        console.error('Error redeeming share link:', error);
+        setError(error.response?.data?.error || 'Failed to open share link');
+      }
+    };
+
+    redeemToken();
+  }, [documentId, token]);
+
+  if (!token) {
+    return <DocumentEditor />;
+  }
+
+  if (error) {
+    return (
+      <div className="container">
+        <div className="error">{error}</div>
+        <button onClick={() => navigate('/')} className="btn">
+          Back to Documents
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <div className="loading">Opening shared document...</div>
+    </div>
+  );
+};
+
+export default DocumentRoute;
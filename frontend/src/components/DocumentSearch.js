@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+
+// Searches run once typing pauses for this long
+const SEARCH_DELAY = 250;
+
+const Highlighted = ({ segments }) => segments.map((segment, index) => (segment.match
+  ? <mark key={index} style={{ background: '#fff3bf', color: 'inherit', padding: '0 1px', borderRadius: '2px' }}>{segment.text}</mark>
+  : <span key={index}>{segment.text}</span>
+));
+
+// Full-text search over titles, content and chat of the user's documents.
+// Arrow keys move through the results, Enter opens one, Escape clears.
+const DocumentSearch = () => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+  const requestRef = useRef(0);
+  const activeRef = useRef(null);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const search = query.trim();
+    if (!search) {
+      requestRef.current += 1;
+      setResults(null);
+      setSearching(false);
+      return undefined;
+    }
+
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      // Only the latest search may update the results
+      const request = requestRef.current + 1;
+      requestRef.current = request;
+      try {
+        const response = await axios.get('/search', { params: { q: search } });
+        if (request !== requestRef.current) return;
+        setResults(response.data.results);
+        setActiveIndex(0);
+        setError('');
+      } catch (error) {
+        if (request !== requestRef.current) return;
+        setError(error.response?.data?.error || 'Search failed');
+        console.error('Search error:', error);
+      } finally {
+        if (request === requestRef.current) setSearching(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const open = (result) => {
+    navigate(`/documents/${result.documentId}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setQuery('');
+      return;
+    }
+    if (!results || results.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % results.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (index - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      open(results[activeIndex]);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '25px' }}>
+      <div style={{ position: 'relative' }}>
+        <span style={{
+          position: 'absolute',
+          left: '16px',
+          top: '50%',
+          transform: 'translateY(-50%)',
+          fontSize: '16px',
+          pointerEvents: 'none'
+        }}>
+          🔍
+        </span>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search titles, content and chat..."
+          maxLength={200}
+          aria-label="Search documents"
+          style={{
+            width: '100%',
+            padding: '12px 20px 12px 46px',
+            border: '2px solid #e9ecef',
+            borderRadius: '12px',
+            fontSize: '15px',
+            background: '#f8f9ff',
+            outline: 'none',
+            boxSizing: 'border-box'
+          }}
+          onFocus={(e) => {
+            e.target.style.borderColor = '#667eea';
+            e.target.style.background = 'white';
+          }}
+          onBlur={(e) => {
+            e.target.style.borderColor = '#e9ecef';
+            e.target.style.background = '#f8f9ff';
+          }}
+        />
+      </div>
+
+      {query.trim() && (
+        <div style={{
+          marginTop: '10px',
+          border: '1px solid #e9ecef',
+          borderRadius: '12px',
+          background: 'white',
+          maxHeight: '420px',
+          overflowY: 'auto'
+        }}>
+          {error ? (
+            <div style={{ padding: '14px 16px', fontSize: '14px', color: '#dc3545' }}>⚠️ {error}</div>
+          ) : results === null ? (
+            <div style={{ padding: '14px 16px', fontSize: '14px', color: '#6c757d' }}>Searching...</div>
+          ) : results.length === 0 ? (
+            <div style={{ padding: '14px 16px', fontSize: '14px', color: '#6c757d' }}>
+              {searching ? 'Searching...' : `No results for “${query.trim()}”`}
+            </div>
+          ) : (
+            results.map((result, index) => {
+              const isActive = index === activeIndex;
+              return (
+                <div
+                  key={result.type === 'chat' ? `chat-${result.messageId}` : `document-${result.documentId}`}
+                  ref={isActive ? activeRef : null}
+                  onClick={() => open(result)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  style={{
+                    padding: '12px 16px',
+                    borderBottom: index < results.length - 1 ? '1px solid #f0f0f0' : 'none',
+                    background: isActive ? '#f8f9ff' : 'white',
+                    borderLeft: isActive ? '3px solid #667eea' : '3px solid transparent',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <div style={{ fontSize: '15px', fontWeight: '600', color: '#333' }}>
+                    {result.type === 'chat' ? '💬 ' : '📄 '}
+                    {result.type === 'document' ? <Highlighted segments={result.titleHighlight} /> : result.title}
+                  </div>
+                  {result.type === 'chat' && (
+                    <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '2px' }}>
+                      {result.username || 'Unknown'} in chat • {new Date(result.createdAt).toLocaleString()}
+                    </div>
+                  )}
+                  {result.snippet.length > 0 && (
+                    <div style={{
+                      fontSize: '13px',
+                      color: '#555',
+                      marginTop: '4px',
+                      lineHeight: '1.5',
+                      whiteSpace: 'pre-wrap',
+                      wordBreak: 'break-word',
+                      maxHeight: '60px',
+                      overflow: 'hidden'
+                    }}>
+                      <Highlighted segments={result.snippet} />
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentSearch;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+
+const FORMATS = [
+  { format: 'pdf', label: '📄 PDF' },
+  { format: 'docx', label: '📘 Word (.docx)' },
+  { format: 'md', label: '📝 Markdown' },
+  { format: 'html', label: '🌐 HTML' },
+  { format: 'txt', label: '🔤 Plain text' }
+];
+
+// Name the server chose, from Content-Disposition
+const fileNameFrom = (disposition, fallback) => {
+  const encoded = /filename\*=UTF-8''([^;]+)/i.exec(disposition || '');
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1]);
+    } catch (error) {
+      // Fall through to the plain name
+    }
+  }
+  const plain = /filename="([^"]+)"/i.exec(disposition || '');
+  return plain ? plain[1] : fallback;
+};
+
+// Header dropdown that downloads the document, generated by the server
+const ExportMenu = ({ documentId }) => {
+  const [open, setOpen] = useState(false);
+  const [includeChat, setIncludeChat] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState('');
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const download = async (format) => {
+    try {
+      setExporting(format);
+      setError('');
+      const response = await axios.get(`/documents/${documentId}/export`, {
+        params: { format, includeChat },
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileNameFrom(response.headers['content-disposition'], `document.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      setOpen(false);
+    } catch (error) {
+      setError('Failed to export document');
+      console.error('Failed to export document:', error);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div ref={menuRef} style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          padding: '10px 20px',
+          background: open ? '#6c757d' : 'white',
+          color: open ? 'white' : '#6c757d',
+          border: '2px solid ' + (open ? '#6c757d' : '#dee2e6'),
+          borderRadius: '25px',
+          fontSize: '14px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          transition: 'all 0.3s ease',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px'
+        }}
+      >
+        ⬇ Export
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          top: 'calc(100% + 8px)',
+          right: 0,
+          width: '220px',
+          background: 'white',
+          borderRadius: '12px',
+          boxShadow: '0 10px 40px rgba(0, 0, 0, 0.15)',
+          padding: '8px',
+          zIndex: 20
+        }}>
+          {FORMATS.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => download(format)}
+              disabled={exporting !== null}
+              style={{
+                display: 'block',
+                width: '100%',
+                padding: '10px 12px',
+                background: 'none',
+                border: 'none',
+                borderRadius: '8px',
+                textAlign: 'left',
+                fontSize: '14px',
+                color: '#2c3e50',
+                cursor: exporting !== null ? 'wait' : 'pointer'
+              }}
+              onMouseOver={(e) => { e.currentTarget.style.background = '#f8f9ff'; }}
+              onMouseOut={(e) => { e.currentTarget.style.background = 'none'; }}
+            >
+              {label}
+              {exporting === format && ' …'}
+            </button>
+          ))}
+
+          <label style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            padding: '10px 12px 6px',
+            marginTop: '4px',
+            borderTop: '1px solid #f0f0f0',
+            fontSize: '13px',
+            color: '#6c757d',
+            cursor: 'pointer'
+          }}>
+            <input
+              type="checkbox"
+              checked={includeChat}
+              onChange={(e) => setIncludeChat(e.target.checked)}
+            />
+            Include chat transcript
+          </label>
+
+          {error && (
+            <div style={{ padding: '4px 12px', fontSize: '12px', color: '#dc3545' }}>
+              {error}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
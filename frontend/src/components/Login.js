@@ -1,24 +1,47 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
 
 const Login = () => {
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [claimToken, setClaimToken] = useState('');
+  const [mode, setMode] = useState('login');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const { login } = useAuth();
+  const [sso, setSso] = useState(null);
+  const { login, register, claimAccount, loginWithSso, ssoError } = useAuth();
+
+  const isRegister = mode === 'register';
+  const isClaim = mode === 'claim';
+  // Registering and claiming an account both set a new password
+  const isNewPassword = isRegister || isClaim;
+  const canSubmit = username.trim() && password && (!isClaim || claimToken.trim());
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!username.trim()) {
-      setError('Please enter a username');
+    if (!username.trim() || !password) {
+      setError('Please enter a username and password');
+      return;
+    }
+
+    if (isNewPassword && password.length < 8) {
+      setError('Password must be at least 8 characters');
       return;
     }
 
     setLoading(true);
     setError('');
 
-    const result = await login(username.trim());
+    let result;
+    if (isRegister) {
+      result = await register(username.trim(), password);
+    } else if (isClaim) {
+      result = await claimAccount(username.trim(), password, claimToken.trim());
+    } else {
+      result = await login(username.trim(), password);
+    }
     
     if (!result.success) {
       setError(result.error);
@@ -27,6 +50,29 @@ const Login = () => {
     setLoading(false);
   };
 
+  useEffect(() => {
+    // Offer single sign-on when the backend has an identity provider configured
+    axios.get('/auth/oidc/config')
+      .then((response) => setSso(response.data.enabled ? response.data : null))
+      .catch(() => setSso(null));
+  }, []);
+
+  useEffect(() => {
+    if (ssoError) {
+      setError(ssoError);
+    }
+  }, [ssoError]);
+
+  const toggleMode = () => {
+    setMode(isNewPassword ? 'login' : 'register');
+    setError('');
+  };
+
+  const startClaim = () => {
+    setMode('claim');
+    setError('');
+  };
+
   return (
     <div style={{ 
       minHeight: '100vh', 
@@ -70,6 +116,32 @@ const Login = () => {
           </p>
         </div>
 
+        {sso && (
+          <>
+            <button
+              type="button"
+              onClick={loginWithSso}
+              disabled={loading}
+              style={{
+                width: '100%',
+                padding: '15px 30px',
+                background: 'white',
+                color: '#667eea',
+                border: '2px solid #667eea',
+                borderRadius: '12px',
+                fontSize: '16px',
+                fontWeight: '600',
+                cursor: loading ? 'not-allowed' : 'pointer'
+              }}
+            >
+              🔐 Sign in with {sso.providerName}
+            </button>
+            <div style={{ margin: '20px 0', fontSize: '13px', color: '#6c757d' }}>
+              or use a password
+            </div>
+          </>
+        )}
+
         {/* Login Form */}
         <form onSubmit={handleSubmit}>
           <div style={{ marginBottom: '25px' }}>
@@ -115,6 +187,85 @@ const Login = () => {
               }}
             />
           </div>
+
+          {isClaim && (
+            <div style={{ marginBottom: '25px' }}>
+              <label htmlFor="claimToken" style={{
+                display: 'block',
+                marginBottom: '8px',
+                fontSize: '14px',
+                fontWeight: '600',
+                color: '#333',
+                textAlign: 'left'
+              }}>
+                Claim token
+              </label>
+              <input
+                type="text"
+                id="claimToken"
+                value={claimToken}
+                onChange={(e) => setClaimToken(e.target.value)}
+                placeholder="The token your administrator gave you..."
+                autoComplete="off"
+                disabled={loading}
+                style={{
+                  width: '100%',
+                  padding: '15px 20px',
+                  border: '2px solid #e9ecef',
+                  borderRadius: '12px',
+                  fontSize: '16px',
+                  fontWeight: '500',
+                  background: '#f8f9ff',
+                  outline: 'none',
+                  boxSizing: 'border-box'
+                }}
+              />
+            </div>
+          )}
+
+          <div style={{ marginBottom: '25px' }}>
+            <label htmlFor="password" style={{
+              display: 'block',
+              marginBottom: '8px',
+              fontSize: '14px',
+              fontWeight: '600',
+              color: '#333',
+              textAlign: 'left'
+            }}>
+              Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={isNewPassword ? 'At least 8 characters...' : 'Enter your password...'}
+              autoComplete={isNewPassword ? 'new-password' : 'current-password'}
+              disabled={loading}
+              style={{
+                width: '100%',
+                padding: '15px 20px',
+                border: '2px solid #e9ecef',
+                borderRadius: '12px',
+                fontSize: '16px',
+                fontWeight: '500',
+                background: '#f8f9ff',
+                transition: 'all 0.3s ease',
+                outline: 'none',
+                boxSizing: 'border-box'
+              }}
+              onFocus={(e) => {
+                e.target.style.borderColor = '#667eea';
+                e.target.style.background = 'white';
+                e.target.style.boxShadow = '0 0 0 3px rgba(102, 126, 234, 0.1)';
+              }}
+              onBlur={(e) => {
+                e.target.style.borderColor = '#e9ecef';
+                e.target.style.background = '#f8f9ff';
+                e.target.style.boxShadow = 'none';
+              }}
+            />
+          </div>
           
           {error && (
             <div style={{
@@ -133,37 +284,37 @@ const Login = () => {
           
           <button
             type="submit"
-            disabled={loading || !username.trim()}
+            disabled={loading || !canSubmit}
             style={{
               width: '100%',
               padding: '15px 30px',
-              background: loading || !username.trim() 
+              background: loading || !canSubmit 
                 ? '#e9ecef' 
                 : 'linear-gradient(135deg, #667eea, #764ba2)',
-              color: loading || !username.trim() ? '#6c757d' : 'white',
+              color: loading || !canSubmit ? '#6c757d' : 'white',
               border: 'none',
               borderRadius: '12px',
               fontSize: '16px',
               fontWeight: '600',
-              cursor: loading || !username.trim() ? 'not-allowed' : 'pointer',
+              cursor: loading || !canSubmit ? 'not-allowed' : 'pointer',
               transition: 'all 0.3s ease',
               display: 'flex',
               alignItems: 'center',
               justifyContent: 'center',
               gap: '8px',
-              boxShadow: loading || !username.trim() 
+              boxShadow: loading || !canSubmit 
                 ? 'none' 
                 : '0 4px 20px rgba(102, 126, 234, 0.3)',
-              marginBottom: '30px'
+              marginBottom: '15px'
             }}
             onMouseOver={(e) => {
-              if (!loading && username.trim()) {
+              if (!loading && canSubmit) {
                 e.target.style.transform = 'translateY(-2px)';
                 e.target.style.boxShadow = '0 6px 25px rgba(102, 126, 234, 0.4)';
               }
             }}
             onMouseOut={(e) => {
-              if (!loading && username.trim()) {
+              if (!loading && canSubmit) {
                 e.target.style.transform = 'translateY(0)';
                 e.target.style.boxShadow = '0 4px 20px rgba(102, 126, 234, 0.3)';
               }
@@ -179,14 +330,53 @@ const Login = () => {
                   borderRadius: '50%',
                   animation: 'spin 1s linear infinite'
                 }} />
-                Logging in...
+                {isRegister ? 'Creating account...' : isClaim ? 'Setting password...' : 'Logging in...'}
               </>
             ) : (
               <>
-                🚀 Enter Editor
+                {isRegister ? '✨ Create Account' : isClaim ? '🔑 Set Password' : '🚀 Enter Editor'}
               </>
             )}
           </button>
+
+          <div style={{ marginBottom: '30px', fontSize: '14px', color: '#6c757d' }}>
+            {isNewPassword ? 'Already have a password?' : 'New here?'}{' '}
+            <button
+              type="button"
+              onClick={toggleMode}
+              disabled={loading}
+              style={{
+                background: 'none',
+                border: 'none',
+                padding: 0,
+                color: '#667eea',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              {isNewPassword ? 'Log in' : 'Create an account'}
+            </button>
+            {!isNewPassword && (
+              <div style={{ marginTop: '8px' }}>
+                <button
+                  type="button"
+                  onClick={startClaim}
+                  disabled={loading}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    padding: 0,
+                    color: '#667eea',
+                    fontSize: '13px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Have a claim token for an older account?
+                </button>
+              </div>
+            )}
+          </div>
         </form>
         
         {/* Features Info */}
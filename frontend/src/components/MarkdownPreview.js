@@ -0,0 +1,55 @@
+import React, { useMemo } from 'react';
+import { renderHtml } from '../utils/markdown';
+
+// Live rendering of a Markdown document next to its source
+const MarkdownPreview = ({ content, style }) => {
+  // renderHtml escapes everything it doesn't generate itself, so this is safe to inject
+  const html = useMemo(() => renderHtml(content), [content]);
+
+  // Open links in a new tab instead of navigating away from the editor
+  const handleClick = (e) => {
+    const link = e.target.closest('a');
+    if (link) {
+      e.preventDefault();
+      window.open(link.getAttribute('href'), '_blank', 'noopener,noreferrer');
+    }
+  };
+
+  return (
+    <div style={{ ...style, overflowY: 'auto' }}>
+      <div style={{
+        fontSize: '12px',
+        fontWeight: '600',
+        color: '#adb5bd',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em',
+        marginBottom: '12px'
+      }}>
+        👁 Preview
+      </div>
+      {content.trim() ? (
+        <div
+          className="markdown-preview"
+          onClick={handleClick}
+          dangerouslySetInnerHTML={{ __html: html }}
+        />
+      ) : (
+        <div style={{ color: '#adb5bd' }}>Nothing to preview yet</div>
+      )}
+
+      <style>{`
+        .markdown-preview { color: #2c3e50; line-height: 1.7; word-wrap: break-word; }
+        .markdown-preview h1, .markdown-preview h2, .markdown-preview h3 { margin: 0.6em 0 0.3em; }
+        .markdown-preview p, .markdown-preview ul, .markdown-preview ol, .markdown-preview pre { margin: 0 0 0.8em; }
+        .markdown-preview blockquote { margin: 0 0 0.8em; padding-left: 14px; border-left: 4px solid #c5cae9; color: #555; }
+        .markdown-preview pre { background: #f6f8fa; padding: 12px; border-radius: 8px; overflow-x: auto; }
+        .markdown-preview code { font-family: 'SFMono-Regular', Consolas, monospace; font-size: 0.9em; }
+        .markdown-preview :not(pre) > code { background: #f1f3f5; border-radius: 4px; padding: 1px 4px; }
+        .markdown-preview hr { border: none; border-top: 1px solid #dee2e6; margin: 1em 0; }
+        .markdown-preview a { color: #667eea; }
+      `}</style>
+    </div>
+  );
+};
+
+export default MarkdownPreview;
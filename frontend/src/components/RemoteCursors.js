@@ -0,0 +1,192 @@
+import React, { useCallback, useLayoutEffect, useRef, useState } from 'react';
+
+// Other users' carets and selections, drawn over the text they are in.
+// Positions are measured with DOM ranges over the rendered text, so they
+// follow wrapping and formatting; the overlay never takes pointer events.
+
+// Rects of the text between two DOM points, one per text node and line
+const textRects = (root, from, to) => {
+  const range = document.createRange();
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+
+  const rects = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (!range.intersectsNode(node)) continue;
+    const part = document.createRange();
+    part.selectNodeContents(node);
+    if (node === from.node) part.setStart(node, from.offset);
+    if (node === to.node) part.setEnd(node, to.offset);
+    rects.push(...part.getClientRects());
+  }
+  return rects;
+};
+
+// Rect of a caret at a DOM point; an empty line has no text to measure, so its box is used
+const caretRect = (point) => {
+  const range = document.createRange();
+  range.setStart(point.node, point.offset);
+  range.collapse(true);
+  const rect = range.getClientRects()[0];
+  if (rect) return rect;
+  const element = point.node.nodeType === Node.ELEMENT_NODE ? point.node : point.node.parentElement;
+  return element.getBoundingClientRect();
+};
+
+/**
+ * Where to draw each cursor, relative to `container`. `root` holds the text
+ * and `pointAt` turns a character offset into a DOM point inside it.
+ */
+export const measureCursors = (cursors, container, root, pointAt) => {
+  const origin = container.getBoundingClientRect();
+  const relative = (rect) => ({
+    left: rect.left - origin.left,
+    top: rect.top - origin.top,
+    width: rect.width,
+    height: rect.height
+  });
+
+  return cursors.map((cursor) => {
+    const end = pointAt(cursor.end);
+    const selection = cursor.start < cursor.end
+      ? textRects(root, pointAt(cursor.start), end).map(relative)
+      : [];
+    return { ...cursor, selection, caret: relative(caretRect(end)) };
+  });
+};
+
+// The measured cursors, each with a name label above its caret
+const RemoteCursors = ({ boxes }) => (
+  <div style={{ position: 'absolute', top: 0, left: 0, pointerEvents: 'none', zIndex: 5 }}>
+    {boxes.map(({ userId, username, color, selection, caret }) => (
+      <React.Fragment key={userId}>
+        {selection.map((rect, index) => (
+          <div
+            key={index}
+            style={{ position: 'absolute', ...rect, background: `${color}33` }}
+          />
+        ))}
+        <div style={{
+          position: 'absolute',
+          left: caret.left - 1,
+          top: caret.top,
+          height: caret.height,
+          borderLeft: `2px solid ${color}`
+        }}>
+          <div style={{
+            position: 'absolute',
+            bottom: '100%',
+            left: '-2px',
+            background: color,
+            color: 'white',
+            padding: '1px 6px',
+            borderRadius: '4px 4px 4px 0',
+            fontSize: '11px',
+            fontWeight: '600',
+            lineHeight: '16px',
+            whiteSpace: 'nowrap'
+          }}>
+            {username}
+          </div>
+        </div>
+      </React.Fragment>
+    ))}
+  </div>
+);
+
+/**
+ * Cursors over a plain textarea. The textarea's text is laid out again in
+ * a hidden copy with the same font, padding and width to measure it, and
+ * the overlay is clipped to the textarea and follows its scrolling.
+ */
+export const TextareaCursors = ({ textareaRef, content, cursors }) => {
+  const mirrorRef = useRef(null);
+  const [layout, setLayout] = useState(null);
+  const [boxes, setBoxes] = useState([]);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  // Copy the textarea's size and text styles; a scrollbar appearing changes its width
+  const readLayout = useCallback(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const computed = window.getComputedStyle(textarea);
+    const next = {
+      width: textarea.clientWidth,
+      height: textarea.clientHeight,
+      padding: computed.padding,
+      fontFamily: computed.fontFamily,
+      fontSize: computed.fontSize,
+      lineHeight: computed.lineHeight,
+      letterSpacing: computed.letterSpacing
+    };
+    setLayout(prev => prev && Object.keys(next).every(key => prev[key] === next[key]) ? prev : next);
+  }, [textareaRef]);
+
+  // The text changing can add or remove the scrollbar
+  useLayoutEffect(() => {
+    readLayout();
+  }, [readLayout, content]);
+
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return undefined;
+
+    const handleScroll = () => setScrollTop(textarea.scrollTop);
+    handleScroll();
+    window.addEventListener('resize', readLayout);
+    textarea.addEventListener('scroll', handleScroll);
+    return () => {
+      window.removeEventListener('resize', readLayout);
+      textarea.removeEventListener('scroll', handleScroll);
+    };
+  }, [textareaRef, readLayout]);
+
+  useLayoutEffect(() => {
+    const mirror = mirrorRef.current;
+    if (!mirror || !layout) return;
+    const text = mirror.firstChild;
+    setBoxes(measureCursors(cursors, mirror, mirror, (offset) => ({
+      node: text,
+      offset: Math.min(offset, content.length)
+    })));
+  }, [cursors, content, layout]);
+
+  if (!layout) return null;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      width: layout.width,
+      height: layout.height,
+      overflow: 'hidden',
+      pointerEvents: 'none'
+    }}>
+      <div style={{ position: 'relative', transform: `translateY(${-scrollTop}px)` }}>
+        {/* The zero-width space gives a caret after a final line break a line to sit on */}
+        <div
+          ref={mirrorRef}
+          aria-hidden="true"
+          style={{
+            width: layout.width,
+            padding: layout.padding,
+            fontFamily: layout.fontFamily,
+            fontSize: layout.fontSize,
+            lineHeight: layout.lineHeight,
+            letterSpacing: layout.letterSpacing,
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word',
+            visibility: 'hidden'
+          }}
+        >
+          {content + '\u200b'}
+        </div>
+        <RemoteCursors boxes={boxes} />
+      </div>
+    </div>
+  );
+};
+
+export default RemoteCursors;
@@ -0,0 +1,725 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useImperativeHandle, forwardRef } from 'react';
+import { diff, normalize, transformIndex } from '../utils/ot';
+import {
+  isSafeLink,
+  toModel,
+  toPlainText,
+  documentLength,
+  blockAt,
+  blocksInRange,
+  commonMarks,
+  marksForInsert,
+  deleteRange,
+  insertText,
+  splitBlock,
+  formatText,
+  setBlockType
+} from '../utils/richText';
+import RemoteCursors, { measureCursors } from './RemoteCursors';
+
+// Innermost first, so a bold link renders as <a><strong>text</strong></a>
+const MARK_TAGS = [
+  ['code', 'code'],
+  ['bold', 'strong'],
+  ['italic', 'em'],
+  ['underline', 'u'],
+  ['strike', 's']
+];
+
+const BLOCK_TAGS = {
+  h1: 'h1',
+  h2: 'h2',
+  h3: 'h3',
+  quote: 'blockquote',
+  code: 'pre'
+};
+
+const TOOLBAR_MARKS = [
+  { mark: 'bold', label: 'B', title: 'Bold (Ctrl+B)', style: { fontWeight: '700' } },
+  { mark: 'italic', label: 'I', title: 'Italic (Ctrl+I)', style: { fontStyle: 'italic' } },
+  { mark: 'underline', label: 'U', title: 'Underline (Ctrl+U)', style: { textDecoration: 'underline' } },
+  { mark: 'strike', label: 'S', title: 'Strikethrough', style: { textDecoration: 'line-through' } },
+  { mark: 'code', label: '</>', title: 'Inline code', style: { fontFamily: 'monospace' } }
+];
+
+const TOOLBAR_BLOCKS = [
+  { type: 'h1', label: 'H1', title: 'Heading 1' },
+  { type: 'h2', label: 'H2', title: 'Heading 2' },
+  { type: 'h3', label: 'H3', title: 'Heading 3' },
+  { type: 'bullet', label: '•', title: 'Bulleted list' },
+  { type: 'ordered', label: '1.', title: 'Numbered list' },
+  { type: 'quote', label: '❝', title: 'Quote' },
+  { type: 'code', label: '{ }', title: 'Code block' }
+];
+
+const SHORTCUTS = { b: 'bold', i: 'italic', u: 'underline' };
+
+const CLEARED_MARKS = { bold: null, italic: null, underline: null, strike: null, code: null, link: null };
+
+// A piece of text with its marks, inside a <mark> if comments cover it and
+// a <del> if a suggestion would delete it
+function renderText(text, marks, highlights) {
+  let node = document.createTextNode(text);
+  for (const [mark, tag] of MARK_TAGS) {
+    if (marks[mark]) {
+      const wrapper = document.createElement(tag);
+      wrapper.appendChild(node);
+      node = wrapper;
+    }
+  }
+  if (marks.link) {
+    const link = document.createElement('a');
+    link.href = marks.link;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.title = marks.link;
+    link.appendChild(node);
+    node = link;
+  }
+  const comments = highlights.filter(({ kind }) => kind !== 'suggestion');
+  if (comments.length > 0) {
+    // The innermost (last started) comment is the one a click opens
+    const highlight = document.createElement('mark');
+    const active = comments.some(({ active }) => active);
+    highlight.className = active ? 'rt-comment rt-comment-active' : 'rt-comment';
+    highlight.dataset.commentId = comments[comments.length - 1].id;
+    highlight.appendChild(node);
+    node = highlight;
+  }
+  const deletions = highlights.filter(({ kind }) => kind === 'suggestion');
+  if (deletions.length > 0) {
+    const deletion = document.createElement('del');
+    const active = deletions.some(({ active }) => active);
+    deletion.className = active ? 'rt-suggestion rt-suggestion-active' : 'rt-suggestion';
+    deletion.dataset.suggestionId = deletions[deletions.length - 1].id;
+    deletion.appendChild(node);
+    node = deletion;
+  }
+  return node;
+}
+
+// Suggested text, shown where it would go. It is drawn by CSS from an
+// attribute so it never becomes part of the text offsets are counted in.
+function renderInsertion({ id, text, active }) {
+  const insertion = document.createElement('ins');
+  insertion.className = active ? 'rt-suggestion rt-suggestion-active' : 'rt-suggestion';
+  insertion.contentEditable = 'false';
+  insertion.dataset.suggestionId = id;
+  insertion.dataset.text = text;
+  return insertion;
+}
+
+// The highlights covering the character at `offset`
+const highlightsAt = (highlights, offset) => highlights.filter(({ start, end }) => start <= offset && end > offset);
+
+// The first place after `offset` where a highlight starts or ends, or `limit`
+const nextHighlightEdge = (highlights, offset, limit) => highlights
+  .flatMap(({ start, end }) => [start, end])
+  .filter(edge => edge > offset && edge < limit)
+  .reduce((nearest, edge) => Math.min(nearest, edge), limit);
+
+// Build the DOM for a document. Only text nodes count towards offsets, so
+// list bullets and numbers come from CSS and empty blocks hold a <br>.
+// `highlights` are { id, kind, start, end, active } ranges of commented
+// text (kind 'comment') or suggestions (kind 'suggestion', with the `text`
+// they would put in place of the range).
+function renderDocument(delta, highlights = []) {
+  const fragment = document.createDocumentFragment();
+  const insertions = highlights.filter(({ kind, text }) => kind === 'suggestion' && text);
+  let position = 0;
+
+  for (const block of toModel(delta).blocks) {
+    const element = document.createElement(BLOCK_TAGS[block.type] || 'div');
+    element.className = `rt-block rt-${block.type}`;
+
+    // Suggested text goes after the text it replaces. The empty text node
+    // after it gives the caret somewhere to be once you've typed it.
+    const insertAt = (offset) => {
+      for (const insertion of insertions.filter(({ end }) => end === offset)) {
+        element.appendChild(renderInsertion(insertion));
+        element.appendChild(document.createTextNode(''));
+      }
+    };
+
+    for (const run of block.runs) {
+      const marks = run.marks || {};
+      const runEnd = position + run.text.length;
+
+      // Split the run wherever a highlight starts or ends
+      let from = position;
+      while (from < runEnd) {
+        insertAt(from);
+        const covering = highlightsAt(highlights, from);
+        const to = nextHighlightEdge(highlights, from, runEnd);
+        element.appendChild(renderText(run.text.slice(from - position, to - position), marks, covering));
+        from = to;
+      }
+      position = runEnd;
+    }
+    insertAt(position);
+
+    if (block.runs.length === 0) {
+      element.appendChild(document.createElement('br'));
+    }
+    fragment.appendChild(element);
+    position += 1;
+  }
+
+  return fragment;
+}
+
+// Text of the rendered document, with blocks joined by line breaks
+const renderedText = (root) => Array.from(root.children).map(block => block.textContent).join('\n');
+
+// Character offset of a DOM position inside the editor, or null if it is outside
+function offsetFromPoint(root, node, offset) {
+  const blocks = Array.from(root.children);
+  if (node === root) {
+    return blocks.slice(0, offset).reduce((sum, block) => sum + block.textContent.length + 1, 0);
+  }
+
+  const block = blocks.find(candidate => candidate.contains(node));
+  if (!block) return null;
+
+  let start = 0;
+  for (const candidate of blocks) {
+    if (candidate === block) break;
+    start += candidate.textContent.length + 1;
+  }
+
+  const range = document.createRange();
+  range.setStart(block, 0);
+  range.setEnd(node, offset);
+  return start + range.toString().length;
+}
+
+// DOM position of a character offset. Where text nodes meet, the later one
+// is used, so the caret goes after suggested text rather than before it.
+function pointFromOffset(root, offset) {
+  let remaining = offset;
+  for (const block of root.children) {
+    const length = block.textContent.length;
+    if (remaining <= length) {
+      let point = null;
+      const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (remaining < node.length) {
+          return { node, offset: remaining };
+        }
+        if (remaining === node.length) {
+          point = { node, offset: remaining };
+        }
+        remaining -= node.length;
+      }
+      return point || { node: block, offset: 0 };
+    }
+    remaining -= length + 1;
+  }
+  return { node: root, offset: root.childNodes.length };
+}
+
+const caret = (offset) => ({ start: offset, end: offset });
+
+/**
+ * Editor for rich text documents. The DOM is always rendered from `value`
+ * (a delta, see utils/richText.js): edits are intercepted before the browser
+ * makes them and reported as operations through `onChange`, and the parent
+ * passes back the updated document. `remoteCursors` are other users'
+ * selections ({ userId, username, color, start, end }) drawn over the text.
+ */
+const RichTextEditor = forwardRef(({
+  value,
+  onChange,
+  onSelectionChange,
+  highlights,
+  onHighlightClick,
+  remoteCursors,
+  readOnly,
+  suggesting,
+  placeholder,
+  style,
+  ...handlers
+}, ref) => {
+  const rootRef = useRef(null);
+  const containerRef = useRef(null);
+  const valueRef = useRef(value);
+  const selectionRef = useRef(caret(0));
+  // Marks toggled with a collapsed selection, used for the next text typed
+  const pendingMarksRef = useRef(null);
+  const composingRef = useRef(false);
+  const propsRef = useRef({});
+  const [active, setActive] = useState({ marks: {}, block: 'paragraph' });
+  const [cursorBoxes, setCursorBoxes] = useState([]);
+
+  valueRef.current = value;
+  propsRef.current = { onChange, onSelectionChange, readOnly, suggesting, highlights };
+
+  const maxOffset = () => documentLength(valueRef.current) - 1;
+
+  // Toolbar state for the current selection
+  const refreshActive = () => {
+    const delta = valueRef.current;
+    const { start, end } = selectionRef.current;
+    setActive({
+      marks: start === end && pendingMarksRef.current ? pendingMarksRef.current : commonMarks(delta, start, end),
+      block: blockAt(delta, start)?.type || 'paragraph'
+    });
+  };
+
+  // Selection as offsets; `limit` caps them to the rendered document
+  const readSelection = (limit = maxOffset()) => {
+    const root = rootRef.current;
+    const selection = window.getSelection();
+    if (!root || selection.rangeCount === 0 || !root.contains(selection.anchorNode)) return null;
+
+    const range = selection.getRangeAt(0);
+    const start = offsetFromPoint(root, range.startContainer, range.startOffset);
+    const end = offsetFromPoint(root, range.endContainer, range.endOffset);
+    if (start === null || end === null) return null;
+    return { start: Math.min(start, limit), end: Math.min(end, limit) };
+  };
+
+  const restoreSelection = () => {
+    const root = rootRef.current;
+    const { start, end } = selectionRef.current;
+    const from = pointFromOffset(root, Math.min(start, maxOffset()));
+    const to = pointFromOffset(root, Math.min(end, maxOffset()));
+
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  };
+
+  // Report a local edit; the selection is where it should be once the edit is rendered
+  const commit = (operation, selection) => {
+    selectionRef.current = selection;
+    pendingMarksRef.current = null;
+    if (operation.length > 0) {
+      propsRef.current.onChange(operation);
+    }
+    refreshActive();
+  };
+
+  const currentSelection = () => readSelection() || selectionRef.current;
+
+  // Marks for text replacing the selection
+  const insertMarks = ({ start, end }) => {
+    if (pendingMarksRef.current) return pendingMarksRef.current;
+    return marksForInsert(valueRef.current, start === end ? start : start + 1);
+  };
+
+  const toggleMark = (mark) => {
+    const delta = valueRef.current;
+    const { start, end } = selectionRef.current;
+
+    if (start === end) {
+      const marks = { ...(pendingMarksRef.current || marksForInsert(delta, start) || {}) };
+      if (marks[mark]) {
+        delete marks[mark];
+      } else {
+        marks[mark] = true;
+      }
+      pendingMarksRef.current = marks;
+      refreshActive();
+      return;
+    }
+
+    const isSet = commonMarks(delta, start, end)[mark];
+    commit(formatText(start, end, { [mark]: isSet ? null : true }), { start, end });
+  };
+
+  const toggleBlock = (type) => {
+    const delta = valueRef.current;
+    const { start, end } = selectionRef.current;
+    const isSet = blocksInRange(delta, start, end).every(block => block.type === type);
+    commit(setBlockType(delta, start, end, isSet ? 'paragraph' : type), { start, end });
+  };
+
+  const editLink = () => {
+    const { start, end } = selectionRef.current;
+    if (start === end) {
+      window.alert('Select the text to link first');
+      return;
+    }
+
+    const current = commonMarks(valueRef.current, start, end).link || '';
+    const href = window.prompt('Link address (leave empty to remove the link)', current);
+    if (href === null) return;
+
+    const trimmed = href.trim();
+    if (trimmed && !isSafeLink(trimmed)) {
+      window.alert('Links must start with http://, https://, mailto:, / or #');
+      return;
+    }
+    commit(formatText(start, end, { link: trimmed || null }), { start, end });
+  };
+
+  const clearFormatting = () => {
+    const { start, end } = selectionRef.current;
+    if (start === end) {
+      pendingMarksRef.current = {};
+      refreshActive();
+      return;
+    }
+    commit(formatText(start, end, CLEARED_MARKS), { start, end });
+  };
+
+  // Turn whatever the browser changed on its own (IME composition, unusual
+  // input types) into an operation, then render from the model again
+  const reconcileWithDom = () => {
+    const root = rootRef.current;
+    const delta = valueRef.current;
+    const textChange = diff(toPlainText(delta), renderedText(root));
+    // The DOM already holds the new text, which may be longer than the model
+    const selection = readSelection(Infinity) || selectionRef.current;
+
+    if (textChange.length === 0) {
+      root.replaceChildren(renderDocument(delta, propsRef.current.highlights));
+      restoreSelection();
+      return;
+    }
+
+    // Typed text takes on the formatting around it
+    let position = 0;
+    const operation = textChange.map((component) => {
+      if (typeof component.insert === 'string') {
+        const marks = pendingMarksRef.current || marksForInsert(delta, position);
+        return marks ? { insert: component.insert, attributes: marks } : component;
+      }
+      position += component.retain || component.delete || 0;
+      return component;
+    });
+    commit(normalize(operation), selection);
+  };
+
+  const handleBeforeInput = (e) => {
+    if (propsRef.current.readOnly) {
+      e.preventDefault();
+      return;
+    }
+    // Composition can't be cancelled; it is picked up when it ends
+    if (e.inputType === 'insertCompositionText') return;
+
+    e.preventDefault();
+    const root = rootRef.current;
+    const delta = valueRef.current;
+    const selection = currentSelection();
+    const { start, end } = selection;
+
+    switch (e.inputType) {
+      case 'insertText':
+      case 'insertReplacementText': {
+        const text = e.data ?? e.dataTransfer?.getData('text/plain') ?? '';
+        commit(insertText(delta, start, end, text, insertMarks(selection)), caret(start + text.length));
+        break;
+      }
+      case 'insertFromPaste': {
+        // Pasted content comes in as plain text
+        const text = (e.dataTransfer?.getData('text/plain') || '').replace(/\r\n?/g, '\n');
+        commit(insertText(delta, start, end, text), caret(start + text.length));
+        break;
+      }
+      case 'insertParagraph':
+      case 'insertLineBreak': {
+        const operation = splitBlock(delta, start, end);
+        const split = operation.some(component => typeof component.insert === 'string');
+        commit(operation, caret(split ? start + 1 : start));
+        break;
+      }
+      case 'deleteContentBackward':
+      case 'deleteContentForward':
+      case 'deleteWordBackward':
+      case 'deleteWordForward':
+      case 'deleteSoftLineBackward':
+      case 'deleteHardLineBackward':
+      case 'deleteByCut': {
+        const backward = e.inputType.endsWith('Backward');
+        const block = blockAt(delta, start);
+        // Backspace at the start of a heading, list item etc. turns it into a paragraph first
+        if (backward && start === end && start === block.start && block.type !== 'paragraph') {
+          commit(setBlockType(delta, start, start, 'paragraph'), selection);
+          break;
+        }
+
+        let from = start;
+        let to = end;
+        if (start === end) {
+          const [target] = e.getTargetRanges ? e.getTargetRanges() : [];
+          const targetStart = target && offsetFromPoint(root, target.startContainer, target.startOffset);
+          const targetEnd = target && offsetFromPoint(root, target.endContainer, target.endOffset);
+          if (targetStart !== null && targetEnd !== null && targetStart < targetEnd) {
+            from = targetStart;
+            to = targetEnd;
+          } else if (backward) {
+            from = start - 1;
+          } else {
+            to = end + 1;
+          }
+        }
+
+        from = Math.max(from, 0);
+        to = Math.min(to, maxOffset());
+        if (from < to) {
+          commit(deleteRange(delta, from, to), caret(from));
+        }
+        break;
+      }
+      case 'formatBold':
+        toggleMark('bold');
+        break;
+      case 'formatItalic':
+        toggleMark('italic');
+        break;
+      case 'formatUnderline':
+        toggleMark('underline');
+        break;
+      case 'formatStrikeThrough':
+        toggleMark('strike');
+        break;
+      default:
+        // Undo, drag and drop and the like would change the DOM behind the model's back
+        break;
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (!propsRef.current.readOnly) {
+      const key = e.key.toLowerCase();
+      // Suggestions only change text, so formatting shortcuts are left alone
+      const canFormat = !propsRef.current.suggesting;
+      if (canFormat && (e.ctrlKey || e.metaKey) && !e.altKey && SHORTCUTS[key]) {
+        e.preventDefault();
+        toggleMark(SHORTCUTS[key]);
+      } else if (canFormat && (e.ctrlKey || e.metaKey) && !e.altKey && key === 'k') {
+        e.preventDefault();
+        editLink();
+      } else if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        const selection = currentSelection();
+        commit(
+          insertText(valueRef.current, selection.start, selection.end, '  ', insertMarks(selection)),
+          caret(selection.start + 2)
+        );
+      }
+    }
+    if (handlers.onKeyDown) handlers.onKeyDown(e);
+  };
+
+  const handleClick = (e) => {
+    const highlight = e.target.closest('[data-comment-id], [data-suggestion-id]');
+    if (highlight && onHighlightClick) {
+      const { commentId, suggestionId } = highlight.dataset;
+      onHighlightClick(commentId || suggestionId, commentId ? 'comment' : 'suggestion');
+    }
+    if (handlers.onClick) handlers.onClick(e);
+  };
+
+  // beforeinput needs the native event: React's synthetic one has no inputType
+  useEffect(() => {
+    const root = rootRef.current;
+    const handleCompositionStart = () => {
+      composingRef.current = true;
+    };
+    const handleCompositionEnd = () => {
+      composingRef.current = false;
+      reconcileWithDom();
+    };
+    const handleInput = () => {
+      if (!composingRef.current) {
+        reconcileWithDom();
+      }
+    };
+
+    root.addEventListener('beforeinput', handleBeforeInput);
+    root.addEventListener('compositionstart', handleCompositionStart);
+    root.addEventListener('compositionend', handleCompositionEnd);
+    root.addEventListener('input', handleInput);
+    return () => {
+      root.removeEventListener('beforeinput', handleBeforeInput);
+      root.removeEventListener('compositionstart', handleCompositionStart);
+      root.removeEventListener('compositionend', handleCompositionEnd);
+      root.removeEventListener('input', handleInput);
+    };
+  }, []);
+
+  // Track the selection as offsets so it survives re-rendering
+  useEffect(() => {
+    const handleSelectionChange = () => {
+      if (composingRef.current) return;
+      const selection = readSelection();
+      if (!selection) return;
+
+      const previous = selectionRef.current;
+      if (selection.start === previous.start && selection.end === previous.end) return;
+
+      selectionRef.current = selection;
+      pendingMarksRef.current = null;
+      refreshActive();
+      if (propsRef.current.onSelectionChange) {
+        propsRef.current.onSelectionChange(selection);
+      }
+    };
+
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }, []);
+
+  useLayoutEffect(() => {
+    const root = rootRef.current;
+    root.replaceChildren(renderDocument(value, highlights));
+    if (document.activeElement === root) {
+      restoreSelection();
+    }
+    refreshActive();
+  }, [value, highlights]);
+
+  // Other users' cursors are measured on the rendered text, again when it rewraps
+  useLayoutEffect(() => {
+    const measure = () => {
+      const root = rootRef.current;
+      setCursorBoxes(measureCursors(remoteCursors || [], containerRef.current, root, (offset) =>
+        pointFromOffset(root, Math.min(offset, maxOffset()))
+      ));
+    };
+
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, [value, highlights, remoteCursors]);
+
+  useImperativeHandle(ref, () => ({
+    getSelection: () => selectionRef.current,
+    // Move the local selection through a remote operation before it is rendered
+    transformSelection: (operation) => {
+      const { start, end } = selectionRef.current;
+      selectionRef.current = {
+        start: transformIndex(start, operation, true),
+        end: transformIndex(end, operation, true)
+      };
+    },
+    // Select a range, e.g. the text a comment thread is about
+    select: (range) => {
+      selectionRef.current = range;
+      rootRef.current?.focus();
+      restoreSelection();
+      refreshActive();
+    },
+    focus: () => rootRef.current?.focus()
+  }), []);
+
+  const isEmpty = documentLength(value) === 1 && !value[0].attributes;
+
+  const buttonStyle = (isActive) => ({
+    minWidth: '32px',
+    height: '32px',
+    padding: '0 8px',
+    background: isActive ? '#667eea' : 'white',
+    color: isActive ? 'white' : '#495057',
+    border: '1px solid ' + (isActive ? '#667eea' : '#dee2e6'),
+    borderRadius: '8px',
+    fontSize: '13px',
+    cursor: readOnly || suggesting ? 'default' : 'pointer',
+    opacity: readOnly || suggesting ? 0.5 : 1
+  });
+
+  // mousedown is prevented so the editor keeps its selection
+  const toolbarButton = (key, label, title, isActive, action, extraStyle = {}) => (
+    <button
+      key={key}
+      type="button"
+      title={title}
+      disabled={readOnly || suggesting}
+      onMouseDown={(e) => e.preventDefault()}
+      onClick={action}
+      style={{ ...buttonStyle(isActive), ...extraStyle }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        gap: '6px',
+        padding: '10px 30px',
+        borderBottom: '1px solid #f0f0f0',
+        background: '#fafbff'
+      }}>
+        {TOOLBAR_MARKS.map(({ mark, label, title, style: labelStyle }) =>
+          toolbarButton(mark, label, title, Boolean(active.marks[mark]), () => toggleMark(mark), labelStyle)
+        )}
+        {toolbarButton('link', '🔗', 'Link (Ctrl+K)', Boolean(active.marks.link), editLink)}
+        <span style={{ width: '1px', height: '20px', background: '#dee2e6', margin: '0 4px' }} />
+        {TOOLBAR_BLOCKS.map(({ type, label, title }) =>
+          toolbarButton(type, label, title, active.block === type, () => toggleBlock(type))
+        )}
+        <span style={{ width: '1px', height: '20px', background: '#dee2e6', margin: '0 4px' }} />
+        {toolbarButton('clear', '🧹', 'Clear formatting', false, clearFormatting)}
+      </div>
+
+      <div ref={containerRef} style={{ position: 'relative' }}>
+        {isEmpty && placeholder && (
+          <div style={{
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            right: 0,
+            padding: style?.padding,
+            color: '#adb5bd',
+            pointerEvents: 'none',
+            whiteSpace: 'pre-wrap',
+            fontSize: style?.fontSize,
+            lineHeight: style?.lineHeight
+          }}>
+            {placeholder}
+          </div>
+        )}
+        <div
+          ref={rootRef}
+          className="rt-editor"
+          contentEditable={!readOnly}
+          suppressContentEditableWarning
+          spellCheck
+          role="textbox"
+          aria-multiline="true"
+          {...handlers}
+          onKeyDown={handleKeyDown}
+          onClick={handleClick}
+          style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', ...style }}
+        />
+        <RemoteCursors boxes={cursorBoxes} />
+      </div>
+
+      <style>{`
+        .rt-editor { counter-reset: rt-ordered; }
+        .rt-editor .rt-block { margin: 0; }
+        .rt-editor .rt-block:not(.rt-ordered) { counter-reset: rt-ordered; }
+        .rt-editor h1.rt-block { font-size: 2em; font-weight: 700; margin: 0.4em 0 0.2em; }
+        .rt-editor h2.rt-block { font-size: 1.5em; font-weight: 700; margin: 0.4em 0 0.2em; }
+        .rt-editor h3.rt-block { font-size: 1.25em; font-weight: 600; margin: 0.3em 0 0.2em; }
+        .rt-editor .rt-bullet, .rt-editor .rt-ordered { position: relative; padding-left: 28px; }
+        .rt-editor .rt-bullet::before { content: '•'; position: absolute; left: 10px; }
+        .rt-editor .rt-ordered { counter-increment: rt-ordered; }
+        .rt-editor .rt-ordered::before { content: counter(rt-ordered) '.'; position: absolute; left: 0; min-width: 22px; text-align: right; }
+        .rt-editor .rt-quote { border-left: 4px solid #c5cae9; padding-left: 14px; color: #555; }
+        .rt-editor pre.rt-block { font-family: 'SFMono-Regular', Consolas, monospace; font-size: 0.9em; background: #f6f8fa; padding: 0 12px; white-space: pre-wrap; }
+        .rt-editor code { font-family: 'SFMono-Regular', Consolas, monospace; font-size: 0.9em; background: #f1f3f5; border-radius: 4px; padding: 1px 4px; }
+        .rt-editor a { color: #667eea; }
+        .rt-editor mark.rt-comment { background: #fff3bf; color: inherit; border-bottom: 2px solid #fcc419; cursor: pointer; }
+        .rt-editor mark.rt-comment-active { background: #ffd43b; }
+        .rt-editor del.rt-suggestion { color: #c92a2a; text-decoration: line-through; background: #fff5f5; cursor: pointer; }
+        .rt-editor ins.rt-suggestion { color: #2b8a3e; text-decoration: underline; background: #ebfbee; cursor: pointer; }
+        .rt-editor ins.rt-suggestion::after { content: attr(data-text); }
+        .rt-editor .rt-suggestion-active { outline: 2px solid #74c0fc; }
+      `}</style>
+    </div>
+  );
+});
+
+export default RichTextEditor;
@@ -0,0 +1,322 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Can edit',
+  commenter: 'Can comment',
+  viewer: 'Can view'
+};
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: 'Expires in 1 day' },
+  { value: '7', label: 'Expires in 7 days' },
+  { value: '30', label: 'Expires in 30 days' }
+];
+
+const shareUrl = (documentId, token) => `${window.location.origin}/document/${documentId}?token=${token}`;
+
+const ShareDialog = ({ documentId, onClose }) => {
+  const { user } = useAuth();
+  const [role, setRole] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [inviteUsername, setInviteUsername] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [linkRole, setLinkRole] = useState('viewer');
+  const [linkExpiry, setLinkExpiry] = useState('');
+  const [copiedLinkId, setCopiedLinkId] = useState(null);
+
+  const isOwner = role === 'owner';
+
+  useEffect(() => {
+    fetchShares();
+  }, [documentId]);
+
+  const fetchShares = async () => {
+    try {
+      const response = await axios.get(`/documents/${documentId}/shares`);
+      setRole(response.data.role);
+      setPermissions(response.data.permissions);
+      setLinks(response.data.links);
+    } catch (error) {
+      setError('Failed to load sharing settings');
+      console.error('Error fetching shares:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a request and refresh the lists, showing the server's message on failure
+  const update = async (request, fallbackMessage) => {
+    try {
+      setError('');
+      await request();
+      await fetchShares();
+      return true;
+    } catch (error) {
+      setError(error.response?.data?.error || fallbackMessage);
+      console.error(fallbackMessage, error);
+      return false;
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteUsername.trim()) return;
+
+    const invited = await update(
+      () => axios.post(`/documents/${documentId}/shares/users`, { username: inviteUsername.trim(), role: inviteRole }),
+      'Failed to invite user'
+    );
+    if (invited) {
+      setInviteUsername('');
+    }
+  };
+
+  const changeRole = (userId, newRole) => update(
+    () => axios.put(`/documents/${documentId}/permissions/${userId}`, { role: newRole }),
+    'Failed to change role'
+  );
+
+  const removeUser = (userId) => update(
+    () => axios.delete(`/documents/${documentId}/permissions/${userId}`),
+    'Failed to remove access'
+  );
+
+  const createLink = () => update(
+    () => axios.post(`/documents/${documentId}/shares/links`, {
+      role: linkRole,
+      expiresInDays: linkExpiry ? Number(linkExpiry) : undefined
+    }),
+    'Failed to create link'
+  );
+
+  const revokeLink = (linkId) => update(
+    () => axios.delete(`/documents/${documentId}/shares/links/${linkId}`),
+    'Failed to revoke link'
+  );
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(documentId, link.token));
+      setCopiedLinkId(link.id);
+      setTimeout(() => setCopiedLinkId(null), 2000);
+    } catch (error) {
+      window.prompt('Copy this link', shareUrl(documentId, link.token));
+    }
+  };
+
+  const inputStyle = {
+    padding: '8px 12px',
+    border: '2px solid #e9ecef',
+    borderRadius: '8px',
+    fontSize: '14px',
+    background: 'white',
+    outline: 'none'
+  };
+
+  const primaryButtonStyle = {
+    padding: '8px 16px',
+    background: 'linear-gradient(135deg, #667eea, #764ba2)',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  };
+
+  const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    color: '#667eea',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  };
+
+  const sectionTitleStyle = {
+    margin: '0 0 12px 0',
+    fontSize: '14px',
+    fontWeight: '700',
+    color: '#2c3e50'
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '30px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: 'white',
+          borderRadius: '16px',
+          boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+          width: '100%',
+          maxWidth: '560px',
+          maxHeight: '100%',
+          overflowY: 'auto'
+        }}
+      >
+        {/* Share Header */}
+        <div style={{
+          padding: '20px 24px',
+          borderBottom: '1px solid #f0f0f0',
+          background: 'linear-gradient(135deg, #f8f9ff 0%, #ffffff 100%)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between'
+        }}>
+          <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '700', color: '#2c3e50' }}>
+            🔗 Share document
+          </h3>
+          <button onClick={onClose} style={{ ...linkButtonStyle, color: '#6c757d', fontSize: '14px' }}>
+            ✕ Close
+          </button>
+        </div>
+
+        <div style={{ padding: '20px 24px' }}>
+          {error && (
+            <div className="error" style={{ marginBottom: '16px' }}>{error}</div>
+          )}
+
+          {loading ? (
+            <div style={{ color: '#6c757d', fontSize: '14px' }}>Loading...</div>
+          ) : (
+            <>
+              {isOwner && (
+                <form onSubmit={handleInvite} style={{ display: 'flex', gap: '8px', marginBottom: '24px' }}>
+                  <input
+                    type="text"
+                    value={inviteUsername}
+                    onChange={(e) => setInviteUsername(e.target.value)}
+                    placeholder="Invite by username"
+                    maxLength={50}
+                    style={{ ...inputStyle, flex: 1 }}
+                  />
+                  <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} style={inputStyle}>
+                    <option value="editor">Can edit</option>
+                    <option value="commenter">Can comment</option>
+                    <option value="viewer">Can view</option>
+                  </select>
+                  <button type="submit" disabled={!inviteUsername.trim()} style={primaryButtonStyle}>
+                    Invite
+                  </button>
+                </form>
+              )}
+
+              <h4 style={sectionTitleStyle}>People with access</h4>
+              <div style={{ marginBottom: '24px' }}>
+                {permissions.map((permission) => (
+                  <div
+                    key={permission.userId}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '12px',
+                      padding: '8px 0',
+                      borderBottom: '1px solid #f8f9fa',
+                      fontSize: '14px'
+                    }}
+                  >
+                    <span style={{ flex: 1, fontWeight: '500', color: '#2c3e50' }}>
+                      {permission.username}
+                      {permission.userId === user.id && ' (you)'}
+                    </span>
+                    {isOwner && permission.userId !== user.id ? (
+                      <>
+                        <select
+                          value={permission.role}
+                          onChange={(e) => changeRole(permission.userId, e.target.value)}
+                          style={{ ...inputStyle, padding: '4px 8px', fontSize: '13px' }}
+                        >
+                          {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                        <button onClick={() => removeUser(permission.userId)} style={{ ...linkButtonStyle, color: '#dc3545' }}>
+                          Remove
+                        </button>
+                      </>
+                    ) : (
+                      <span style={{ color: '#6c757d', fontSize: '13px' }}>{ROLE_LABELS[permission.role]}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {isOwner && (
+                <>
+                  <h4 style={sectionTitleStyle}>Share links</h4>
+                  <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                    <select value={linkRole} onChange={(e) => setLinkRole(e.target.value)} style={inputStyle}>
+                      <option value="viewer">Can view</option>
+                      <option value="commenter">Can comment</option>
+                      <option value="editor">Can edit</option>
+                    </select>
+                    <select value={linkExpiry} onChange={(e) => setLinkExpiry(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+                      {EXPIRY_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button onClick={createLink} style={primaryButtonStyle}>
+                      Create link
+                    </button>
+                  </div>
+                  {links.length === 0 ? (
+                    <div style={{ color: '#6c757d', fontSize: '13px' }}>No active links.</div>
+                  ) : (
+                    links.map((link) => (
+                      <div
+                        key={link.id}
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '12px',
+                          padding: '8px 0',
+                          borderBottom: '1px solid #f8f9fa',
+                          fontSize: '13px',
+                          color: '#6c757d'
+                        }}
+                      >
+                        <span style={{ flex: 1 }}>
+                          <strong style={{ color: '#2c3e50' }}>{ROLE_LABELS[link.role]}</strong>
+                          {' • '}
+                          {link.expiresAt ? `expires ${new Date(link.expiresAt).toLocaleString()}` : 'no expiry'}
+                        </span>
+                        <button onClick={() => copyLink(link)} style={linkButtonStyle}>
+                          {copiedLinkId === link.id ? '✓ Copied' : '📋 Copy'}
+                        </button>
+                        <button onClick={() => revokeLink(link.id)} style={{ ...linkButtonStyle, color: '#dc3545' }}>
+                          Revoke
+                        </button>
+                      </div>
+                    ))
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
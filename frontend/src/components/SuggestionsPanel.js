@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  color: '#667eea',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+const actionButtonStyle = (color, disabled) => ({
+  padding: '4px 10px',
+  background: 'white',
+  color,
+  border: `1px solid ${color}`,
+  borderRadius: '8px',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1
+});
+
+const quoteStyle = {
+  padding: '1px 4px',
+  borderRadius: '4px',
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word'
+};
+
+// Pending suggested edits, shown next to the editor. Owners accept or
+// reject them; authors can withdraw their own. The editor keeps the
+// anchors in step with edits and removes suggestions once they're settled.
+const SuggestionsPanel = ({
+  documentId,
+  suggestions,
+  content,
+  activeId,
+  onActivate,
+  onSettled,
+  isOwner
+}) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const activeRef = useRef(null);
+
+  const { user } = useAuth();
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [activeId]);
+
+  const run = async (action, failure) => {
+    try {
+      setBusy(true);
+      setError('');
+      await action();
+    } catch (error) {
+      setError(error.response?.data?.error || failure);
+      console.error(`${failure}:`, error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const settle = (suggestion, action) => run(async () => {
+    await axios.post(`/documents/${documentId}/suggestions/${suggestion.id}/${action}`);
+    onSettled(suggestion.id);
+  }, action === 'accept' ? 'Failed to accept suggestion' : 'Failed to reject suggestion');
+
+  const settleAll = (action) => {
+    const message = action === 'accept'
+      ? `Apply all ${suggestions.length} suggestions to the document?`
+      : `Discard all ${suggestions.length} suggestions?`;
+    if (!window.confirm(message)) return;
+
+    run(async () => {
+      await axios.post(`/documents/${documentId}/suggestions/${action}-all`);
+    }, action === 'accept' ? 'Failed to accept suggestions' : 'Failed to reject suggestions');
+  };
+
+  const sorted = suggestions
+    .slice()
+    .sort((a, b) => a.anchorStart - b.anchorStart || a.anchorEnd - b.anchorEnd);
+
+  const describe = (suggestion) => {
+    const original = suggestion.anchorEnd > suggestion.anchorStart
+      ? content.slice(suggestion.anchorStart, suggestion.anchorEnd)
+      : '';
+    const removed = <span style={{ ...quoteStyle, color: '#c92a2a', background: '#fff5f5', textDecoration: 'line-through' }}>{original}</span>;
+    const added = <span style={{ ...quoteStyle, color: '#2b8a3e', background: '#ebfbee' }}>{suggestion.text}</span>;
+
+    if (original && suggestion.text) {
+      return <>Replace {removed} with {added}</>;
+    }
+    if (original) {
+      return <>Delete {removed}</>;
+    }
+    if (suggestion.text) {
+      return <>Add {added}</>;
+    }
+    // Someone else deleted the text this suggestion would have deleted
+    return <span style={{ color: '#adb5bd' }}>The text this suggestion deletes is already gone</span>;
+  };
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '16px',
+      boxShadow: '0 10px 40px rgba(0, 0, 0, 0.1)',
+      overflow: 'hidden',
+      maxHeight: '600px',
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      {/* Suggestions Header */}
+      <div style={{
+        padding: '20px',
+        borderBottom: '1px solid #f0f0f0',
+        background: 'linear-gradient(135deg, #f8f9ff 0%, #ffffff 100%)'
+      }}>
+        <h3 style={{
+          margin: 0,
+          fontSize: '18px',
+          fontWeight: '700',
+          color: '#2c3e50',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px'
+        }}>
+          📝 Suggestions
+        </h3>
+        <div style={{
+          marginTop: '8px',
+          fontSize: '12px',
+          color: '#6c757d',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px'
+        }}>
+          <span>{suggestions.length} pending</span>
+          {isOwner && suggestions.length > 0 && (
+            <>
+              <span>•</span>
+              <button onClick={() => settleAll('accept')} disabled={busy} style={{ ...linkButtonStyle, color: '#28a745' }}>
+                ✓ Accept all
+              </button>
+              <button onClick={() => settleAll('reject')} disabled={busy} style={{ ...linkButtonStyle, color: '#dc3545' }}>
+                ✕ Reject all
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: '8px 16px',
+          background: '#ffeaea',
+          color: '#dc3545',
+          fontSize: '12px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      <div style={{ flex: 1, overflowY: 'auto', padding: '8px', background: '#fafbfc' }}>
+        {sorted.length === 0 ? (
+          <div style={{ padding: '16px', fontSize: '14px', color: '#6c757d', textAlign: 'center' }}>
+            No suggestions. Edits made while 📝 Suggesting show up here for the owner to review.
+          </div>
+        ) : (
+          sorted.map((suggestion) => {
+            const isActive = suggestion.id === activeId;
+            const isAuthor = suggestion.userId === user.id;
+
+            return (
+              <div
+                key={suggestion.id}
+                ref={isActive ? activeRef : null}
+                onClick={() => onActivate(suggestion.id)}
+                style={{
+                  padding: '12px',
+                  marginBottom: '8px',
+                  background: 'white',
+                  borderRadius: '10px',
+                  border: isActive ? '1px solid #667eea' : '1px solid #f0f0f0',
+                  boxShadow: isActive ? '0 4px 12px rgba(102, 126, 234, 0.15)' : 'none',
+                  cursor: 'pointer'
+                }}
+              >
+                <div style={{ fontSize: '12px', color: '#6c757d' }}>
+                  <strong style={{ color: '#2c3e50' }}>{isAuthor ? 'You' : suggestion.username || 'Unknown'}</strong>
+                </div>
+                <div style={{ marginTop: '6px', fontSize: '13px', color: '#2c3e50', maxHeight: '80px', overflow: 'hidden' }}>
+                  {describe(suggestion)}
+                </div>
+
+                {(isOwner || isAuthor) && (
+                  <div
+                    onClick={(e) => e.stopPropagation()}
+                    style={{ marginTop: '10px', display: 'flex', justifyContent: 'flex-end', gap: '8px' }}
+                  >
+                    {isOwner && (
+                      <button onClick={() => settle(suggestion, 'accept')} disabled={busy} style={actionButtonStyle('#28a745', busy)}>
+                        ✓ Accept
+                      </button>
+                    )}
+                    <button onClick={() => settle(suggestion, 'reject')} disabled={busy} style={actionButtonStyle('#dc3545', busy)}>
+                      {isOwner ? '✕ Reject' : '↩ Withdraw'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SuggestionsPanel;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+import axios from 'axios';
+
+const VersionHistory = ({ documentId, onRestored, canEdit = true }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [restoring, setRestoring] = useState(false);
+
+  const { socket } = useSocket();
+
+  useEffect(() => {
+    fetchVersions();
+    setSelected(null);
+  }, [documentId]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleVersionNamed = (data) => {
+      if (data.documentId !== documentId) return;
+      setVersions(prev => prev.map(v => v.version === data.version ? { ...v, name: data.name } : v));
+      setSelected(prev => prev && prev.version === data.version ? { ...prev, name: data.name } : prev);
+    };
+
+    const handleDocumentRestored = (data) => {
+      if (data.documentId === documentId) {
+        // The restore is saved as a new version once it has been flushed
+        setTimeout(fetchVersions, 1500);
+      }
+    };
+
+    // Remove only our own handlers; the editor listens to the same socket
+    socket.on('versionNamed', handleVersionNamed);
+    socket.on('documentRestored', handleDocumentRestored);
+    return () => {
+      socket.off('versionNamed', handleVersionNamed);
+      socket.off('documentRestored', handleDocumentRestored);
+    };
+  }, [socket, documentId]);
+
+  const fetchVersions = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/documents/${documentId}/versions`);
+      setVersions(response.data.versions);
+      setError('');
+    } catch (error) {
+      setError('Failed to load version history');
+      console.error('Error fetching versions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectVersion = async (version) => {
+    try {
+      const response = await axios.get(`/documents/${documentId}/versions/${version}`);
+      setSelected(response.data.version);
+      setEditingName(response.data.version.name || '');
+    } catch (error) {
+      setError('Failed to load version');
+      console.error('Error fetching version:', error);
+    }
+  };
+
+  const saveName = async () => {
+    if (!selected || editingName.trim() === (selected.name || '')) return;
+
+    try {
+      await axios.put(`/documents/${documentId}/versions/${selected.version}`, {
+        name: editingName.trim()
+      });
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to name version');
+      console.error('Error naming version:', error);
+    }
+  };
+
+  const restoreVersion = async () => {
+    if (!selected) return;
+    if (!window.confirm(`Restore version ${selected.version}? Everyone editing will see the restored content.`)) {
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      await axios.post(`/documents/${documentId}/versions/${selected.version}/restore`);
+      if (onRestored) {
+        onRestored(selected.version);
+      }
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to restore version');
+      console.error('Error restoring version:', error);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) {
+      return '';
+    }
+    return date.toLocaleString([], {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '16px',
+      boxShadow: '0 10px 40px rgba(0, 0, 0, 0.1)',
+      overflow: 'hidden',
+      height: '500px',
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      {/* History Header */}
+      <div style={{
+        padding: '20px',
+        borderBottom: '1px solid #f0f0f0',
+        background: 'linear-gradient(135deg, #f8f9ff 0%, #ffffff 100%)'
+      }}>
+        <h3 style={{
+          margin: 0,
+          fontSize: '18px',
+          fontWeight: '700',
+          color: '#2c3e50',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px'
+        }}>
+          🕘 History
+        </h3>
+        <div style={{
+          marginTop: '8px',
+          fontSize: '12px',
+          color: '#6c757d',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px'
+        }}>
+          <span>{versions.length} versions</span>
+          <span>•</span>
+          <button
+            onClick={fetchVersions}
+            style={{
+              background: 'none',
+              border: 'none',
+              padding: 0,
+              color: '#667eea',
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            ↻ Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: '8px 16px',
+          background: '#ffeaea',
+          color: '#dc3545',
+          fontSize: '12px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {selected ? (
+        <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+          <div style={{ padding: '12px 16px', borderBottom: '1px solid #f0f0f0' }}>
+            <button
+              onClick={() => setSelected(null)}
+              style={{
+                background: 'none',
+                border: 'none',
+                padding: 0,
+                color: '#667eea',
+                fontSize: '13px',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              ← All versions
+            </button>
+            <div style={{ marginTop: '8px', fontSize: '12px', color: '#6c757d' }}>
+              Version {selected.version} • {selected.createdByUsername || 'Unknown'} • {formatDate(selected.createdAt)}
+            </div>
+            <input
+              type="text"
+              value={editingName}
+              onChange={(e) => setEditingName(e.target.value)}
+              onBlur={saveName}
+              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+              readOnly={!canEdit}
+              maxLength={100}
+              placeholder={canEdit ? 'Name this version...' : 'Unnamed version'}
+              style={{
+                marginTop: '8px',
+                width: '100%',
+                padding: '6px 10px',
+                border: '1px solid #dee2e6',
+                borderRadius: '8px',
+                fontSize: '13px',
+                outline: 'none',
+                boxSizing: 'border-box'
+              }}
+            />
+          </div>
+          <pre style={{
+            flex: 1,
+            margin: 0,
+            padding: '16px',
+            overflowY: 'auto',
+            background: '#fafbfc',
+            fontFamily: 'inherit',
+            fontSize: '13px',
+            lineHeight: '1.6',
+            color: '#2c3e50',
+            whiteSpace: 'pre-wrap',
+            wordBreak: 'break-word'
+          }}>
+            {selected.content || 'This version is empty.'}
+          </pre>
+          {canEdit && (
+            <div style={{ padding: '12px 16px', borderTop: '1px solid #f0f0f0' }}>
+              <button
+                onClick={restoreVersion}
+                disabled={restoring}
+                style={{
+                  width: '100%',
+                  padding: '10px',
+                  background: 'linear-gradient(135deg, #667eea, #764ba2)',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '10px',
+                  fontSize: '14px',
+                  fontWeight: '600',
+                  cursor: restoring ? 'not-allowed' : 'pointer',
+                  opacity: restoring ? 0.7 : 1
+                }}
+              >
+                {restoring ? 'Restoring...' : '⏪ Restore this version'}
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div style={{
+          flex: 1,
+          overflowY: 'auto',
+          padding: '8px',
+          background: '#fafbfc'
+        }}>
+          {loading ? (
+            <div style={{ padding: '16px', fontSize: '14px', color: '#6c757d', textAlign: 'center' }}>
+              Loading history...
+            </div>
+          ) : versions.length === 0 ? (
+            <div style={{ padding: '16px', fontSize: '14px', color: '#6c757d', textAlign: 'center' }}>
+              No saved versions yet. Versions are recorded as the document is edited.
+            </div>
+          ) : (
+            versions.map((version) => (
+              <div
+                key={version.version}
+                onClick={() => selectVersion(version.version)}
+                style={{
+                  padding: '10px 12px',
+                  marginBottom: '6px',
+                  background: 'white',
+                  borderRadius: '10px',
+                  border: version.name ? '1px solid #667eea' : '1px solid #f0f0f0',
+                  cursor: 'pointer'
+                }}
+              >
+                <div style={{ fontSize: '14px', fontWeight: '600', color: '#2c3e50' }}>
+                  {version.name || `Version ${version.version}`}
+                </div>
+                <div style={{ marginTop: '4px', fontSize: '12px', color: '#6c757d' }}>
+                  {version.createdByUsername || 'Unknown'} • {formatDate(version.createdAt)} • {version.contentLength} chars
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  member: 'Member'
+};
+
+// Members of a workspace; owners add people by username, change roles and remove them.
+// Every member can edit every document in the workspace.
+const WorkspaceMembersDialog = ({ workspace, onClose }) => {
+  const { user } = useAuth();
+  const [role, setRole] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [inviteUsername, setInviteUsername] = useState('');
+  const [inviteRole, setInviteRole] = useState('member');
+
+  const isOwner = role === 'owner';
+
+  useEffect(() => {
+    fetchMembers();
+  }, [workspace.id]);
+
+  const fetchMembers = async () => {
+    try {
+      const response = await axios.get(`/workspaces/${workspace.id}/members`);
+      setRole(response.data.role);
+      setMembers(response.data.members);
+    } catch (error) {
+      setError('Failed to load members');
+      console.error('Error fetching workspace members:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a request and refresh the list, showing the server's message on failure
+  const update = async (request, fallbackMessage) => {
+    try {
+      setError('');
+      await request();
+      await fetchMembers();
+      return true;
+    } catch (error) {
+      setError(error.response?.data?.error || fallbackMessage);
+      console.error(fallbackMessage, error);
+      return false;
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteUsername.trim()) return;
+
+    const invited = await update(
+      () => axios.post(`/workspaces/${workspace.id}/members`, { username: inviteUsername.trim(), role: inviteRole }),
+      'Failed to add member'
+    );
+    if (invited) {
+      setInviteUsername('');
+    }
+  };
+
+  const changeRole = (member, newRole) => update(
+    () => axios.post(`/workspaces/${workspace.id}/members`, { username: member.username, role: newRole }),
+    'Failed to change role'
+  );
+
+  const removeMember = async (userId) => {
+    const removed = await update(
+      () => axios.delete(`/workspaces/${workspace.id}/members/${userId}`),
+      userId === user.id ? 'Failed to leave workspace' : 'Failed to remove member'
+    );
+    if (removed && userId === user.id) {
+      onClose();
+    }
+  };
+
+  const inputStyle = {
+    padding: '8px 12px',
+    border: '2px solid #e9ecef',
+    borderRadius: '8px',
+    fontSize: '14px',
+    background: 'white',
+    outline: 'none'
+  };
+
+  const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    color: '#667eea',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '30px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: 'white',
+          borderRadius: '16px',
+          boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+          width: '100%',
+          maxWidth: '480px',
+          maxHeight: '100%',
+          overflowY: 'auto'
+        }}
+      >
+        <div style={{
+          padding: '20px 24px',
+          borderBottom: '1px solid #f0f0f0',
+          background: 'linear-gradient(135deg, #f8f9ff 0%, #ffffff 100%)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between'
+        }}>
+          <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '700', color: '#2c3e50' }}>
+            👥 {workspace.name} members
+          </h3>
+          <button onClick={onClose} style={{ ...linkButtonStyle, color: '#6c757d', fontSize: '14px' }}>
+            ✕ Close
+          </button>
+        </div>
+
+        <div style={{ padding: '20px 24px' }}>
+          {error && (
+            <div className="error" style={{ marginBottom: '16px' }}>{error}</div>
+          )}
+
+          {loading ? (
+            <div style={{ color: '#6c757d', fontSize: '14px' }}>Loading...</div>
+          ) : (
+            <>
+              {isOwner && (
+                <form onSubmit={handleInvite} style={{ display: 'flex', gap: '8px', marginBottom: '24px' }}>
+                  <input
+                    type="text"
+                    value={inviteUsername}
+                    onChange={(e) => setInviteUsername(e.target.value)}
+                    placeholder="Add by username"
+                    maxLength={50}
+                    style={{ ...inputStyle, flex: 1 }}
+                  />
+                  <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} style={inputStyle}>
+                    <option value="member">Member</option>
+                    <option value="owner">Owner</option>
+                  </select>
+                  <button
+                    type="submit"
+                    disabled={!inviteUsername.trim()}
+                    style={{
+                      padding: '8px 16px',
+                      background: 'linear-gradient(135deg, #667eea, #764ba2)',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '8px',
+                      fontSize: '14px',
+                      fontWeight: '600',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Add
+                  </button>
+                </form>
+              )}
+
+              {members.map((member) => (
+                <div
+                  key={member.userId}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '12px',
+                    padding: '8px 0',
+                    borderBottom: '1px solid #f8f9fa',
+                    fontSize: '14px'
+                  }}
+                >
+                  <span style={{ flex: 1, fontWeight: '500', color: '#2c3e50' }}>
+                    {member.username}
+                    {member.userId === user.id && ' (you)'}
+                  </span>
+                  {isOwner && member.userId !== user.id ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) => changeRole(member, e.target.value)}
+                      style={{ ...inputStyle, padding: '4px 8px', fontSize: '13px' }}
+                    >
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span style={{ color: '#6c757d', fontSize: '13px' }}>{ROLE_LABELS[member.role]}</span>
+                  )}
+                  {(isOwner || member.userId === user.id) && (
+                    <button onClick={() => removeMember(member.userId)} style={{ ...linkButtonStyle, color: '#dc3545' }}>
+                      {member.userId === user.id ? 'Leave' : 'Remove'}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceMembersDialog;
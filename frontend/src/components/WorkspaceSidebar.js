@@ -0,0 +1,402 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+import WorkspaceMembersDialog from './WorkspaceMembersDialog';
+import axios from 'axios';
+
+// Drag payload types for documents and folders dropped on the tree
+export const DOCUMENT_DRAG_TYPE = 'application/x-document-id';
+const FOLDER_DRAG_TYPE = 'application/x-folder-id';
+
+export const ALL_DOCUMENTS = { workspaceId: null, folderId: null, label: 'All documents' };
+const PERSONAL = { workspaceId: 'personal', folderId: null, label: 'Personal' };
+const TRASH = { workspaceId: null, folderId: null, trash: true, label: 'Trash' };
+
+// Ids of a folder and everything nested in it
+const folderWithDescendants = (folders, folderId) => {
+  const ids = new Set([folderId]);
+  let grown = true;
+  while (grown) {
+    grown = false;
+    for (const folder of folders) {
+      if (folder.parentId && ids.has(folder.parentId) && !ids.has(folder.id)) {
+        ids.add(folder.id);
+        grown = true;
+      }
+    }
+  }
+  return ids;
+};
+
+// Personal documents, workspaces and their folder trees. Selecting an entry filters
+// the document list; documents and folders can be dragged onto entries to move them.
+const WorkspaceSidebar = ({ selection, onSelect, onMoveDocument }) => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [folders, setFolders] = useState({});
+  const [expanded, setExpanded] = useState({});
+  const [dropTarget, setDropTarget] = useState(null);
+  const [membersWorkspace, setMembersWorkspace] = useState(null);
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [error, setError] = useState('');
+  const selectionRef = useRef(selection);
+  selectionRef.current = selection;
+
+  const { socket } = useSocket();
+
+  useEffect(() => {
+    fetchWorkspaces();
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleWorkspaceAdded = (workspace) => {
+      setWorkspaces(prev => [...prev.filter(w => w.id !== workspace.id), workspace]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    };
+
+    const handleWorkspaceUpdated = (data) => {
+      setWorkspaces(prev => prev.map(w => (w.id === data.workspaceId ? { ...w, name: data.name } : w)));
+    };
+
+    const handleWorkspaceRemoved = (data) => {
+      setWorkspaces(prev => prev.filter(w => w.id !== data.workspaceId));
+      if (selectionRef.current.workspaceId === data.workspaceId) {
+        onSelect(ALL_DOCUMENTS);
+      }
+    };
+
+    const handleFolderUpdated = (folder) => {
+      setFolders(prev => prev[folder.workspaceId]
+        ? { ...prev, [folder.workspaceId]: [...prev[folder.workspaceId].filter(f => f.id !== folder.id), folder] }
+        : prev);
+    };
+
+    // Subfolders go with their parent, so reload the whole tree
+    const handleFolderRemoved = (data) => {
+      fetchFolders(data.workspaceId);
+      if (selectionRef.current.folderId && selectionRef.current.workspaceId === data.workspaceId) {
+        onSelect(ALL_DOCUMENTS);
+      }
+    };
+
+    socket.on('workspaceAdded', handleWorkspaceAdded);
+    socket.on('workspaceUpdated', handleWorkspaceUpdated);
+    socket.on('workspaceRemoved', handleWorkspaceRemoved);
+    socket.on('folderUpdated', handleFolderUpdated);
+    socket.on('folderRemoved', handleFolderRemoved);
+
+    return () => {
+      socket.off('workspaceAdded', handleWorkspaceAdded);
+      socket.off('workspaceUpdated', handleWorkspaceUpdated);
+      socket.off('workspaceRemoved', handleWorkspaceRemoved);
+      socket.off('folderUpdated', handleFolderUpdated);
+      socket.off('folderRemoved', handleFolderRemoved);
+    };
+  }, [socket]);
+
+  const fetchWorkspaces = async () => {
+    try {
+      const response = await axios.get('/workspaces');
+      setWorkspaces(response.data.workspaces);
+    } catch (error) {
+      console.error('Error fetching workspaces:', error);
+      setError('Failed to load workspaces');
+    }
+  };
+
+  const fetchFolders = async (workspaceId) => {
+    try {
+      const response = await axios.get(`/workspaces/${workspaceId}/folders`);
+      setFolders(prev => ({ ...prev, [workspaceId]: response.data.folders }));
+    } catch (error) {
+      console.error('Error fetching folders:', error);
+    }
+  };
+
+  // Run a request, showing the server's message on failure
+  const run = async (request, fallbackMessage) => {
+    try {
+      setError('');
+      return await request();
+    } catch (error) {
+      setError(error.response?.data?.error || fallbackMessage);
+      console.error(fallbackMessage, error);
+      return null;
+    }
+  };
+
+  const toggle = (workspaceId) => {
+    if (!expanded[workspaceId] && !folders[workspaceId]) {
+      fetchFolders(workspaceId);
+    }
+    setExpanded(prev => ({ ...prev, [workspaceId]: !prev[workspaceId] }));
+  };
+
+  const selectWorkspace = (workspace) => {
+    if (!expanded[workspace.id]) toggle(workspace.id);
+    onSelect({ workspaceId: workspace.id, folderId: null, label: workspace.name });
+  };
+
+  const handleCreateWorkspace = async (e) => {
+    e.preventDefault();
+    if (!newWorkspaceName.trim()) return;
+
+    const response = await run(
+      () => axios.post('/workspaces', { name: newWorkspaceName.trim() }),
+      'Failed to create workspace'
+    );
+    if (response) {
+      const workspace = response.data.workspace;
+      setWorkspaces(prev => [...prev, workspace].sort((a, b) => a.name.localeCompare(b.name)));
+      setFolders(prev => ({ ...prev, [workspace.id]: [] }));
+      setExpanded(prev => ({ ...prev, [workspace.id]: true }));
+      setNewWorkspaceName('');
+      onSelect({ workspaceId: workspace.id, folderId: null, label: workspace.name });
+    }
+  };
+
+  const renameWorkspace = async (workspace) => {
+    const name = window.prompt('Workspace name', workspace.name);
+    if (!name || !name.trim() || name.trim() === workspace.name) return;
+    await run(() => axios.put(`/workspaces/${workspace.id}`, { name: name.trim() }), 'Failed to rename workspace');
+  };
+
+  const deleteWorkspace = async (workspace) => {
+    if (!window.confirm(`Delete the workspace "${workspace.name}"? Its documents stay with the people they are shared with.`)) return;
+    await run(() => axios.delete(`/workspaces/${workspace.id}`), 'Failed to delete workspace');
+  };
+
+  const createFolder = async (workspaceId, parentId = null) => {
+    const name = window.prompt('Folder name');
+    if (!name || !name.trim()) return;
+    const created = await run(
+      () => axios.post(`/workspaces/${workspaceId}/folders`, { name: name.trim(), parentId }),
+      'Failed to create folder'
+    );
+    // Loaded trees pick the folder up through folderUpdated
+    if (created && !folders[workspaceId]) fetchFolders(workspaceId);
+    setExpanded(prev => ({ ...prev, [workspaceId]: true }));
+  };
+
+  const renameFolder = async (folder) => {
+    const name = window.prompt('Folder name', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) return;
+    await run(
+      () => axios.put(`/workspaces/${folder.workspaceId}/folders/${folder.id}`, { name: name.trim() }),
+      'Failed to rename folder'
+    );
+  };
+
+  const deleteFolder = async (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}" and its subfolders? Their documents move to the workspace root.`)) return;
+    await run(
+      () => axios.delete(`/workspaces/${folder.workspaceId}/folders/${folder.id}`),
+      'Failed to delete folder'
+    );
+  };
+
+  // Drop targets: Personal (workspaceId null), a workspace root or a folder
+  const dropProps = (key, workspaceId, folderId) => {
+    const accepts = (e) => {
+      const types = Array.from(e.dataTransfer.types);
+      return types.includes(DOCUMENT_DRAG_TYPE) || (workspaceId && types.includes(FOLDER_DRAG_TYPE));
+    };
+
+    return {
+      onDragOver: (e) => {
+        if (!accepts(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (dropTarget !== key) setDropTarget(key);
+      },
+      onDragLeave: () => setDropTarget(current => (current === key ? null : current)),
+      onDrop: async (e) => {
+        if (!accepts(e)) return;
+        e.preventDefault();
+        setDropTarget(null);
+
+        const documentId = e.dataTransfer.getData(DOCUMENT_DRAG_TYPE);
+        if (documentId) {
+          return run(() => onMoveDocument(documentId, { workspaceId, folderId }), 'Failed to move document');
+        }
+
+        // Folders only move within their own workspace, and never into themselves
+        const [folderWorkspaceId, draggedFolderId] = e.dataTransfer.getData(FOLDER_DRAG_TYPE).split(':');
+        if (folderWorkspaceId !== workspaceId) return null;
+        if (folderId && folderWithDescendants(folders[workspaceId] || [], draggedFolderId).has(folderId)) return null;
+        return run(
+          () => axios.put(`/workspaces/${workspaceId}/folders/${draggedFolderId}`, { parentId: folderId }),
+          'Failed to move folder'
+        );
+      }
+    };
+  };
+
+  const entryStyle = (selected, key) => ({
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 8px',
+    borderRadius: '8px',
+    fontSize: '14px',
+    cursor: 'pointer',
+    color: selected ? '#667eea' : '#333',
+    fontWeight: selected ? '700' : '500',
+    background: dropTarget === key ? '#e7eaff' : selected ? '#f8f9ff' : 'transparent',
+    outline: dropTarget === key ? '2px dashed #667eea' : 'none'
+  });
+
+  const iconButtonStyle = {
+    background: 'none',
+    border: 'none',
+    padding: '0 2px',
+    fontSize: '12px',
+    color: '#6c757d',
+    cursor: 'pointer'
+  };
+
+  const renderFolders = (workspace, parentId, depth) => (folders[workspace.id] || [])
+    .filter(folder => folder.parentId === parentId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((folder) => {
+      const key = `folder:${folder.id}`;
+      const selected = selection.folderId === folder.id;
+      return (
+        <div key={folder.id}>
+          <div
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData(FOLDER_DRAG_TYPE, `${workspace.id}:${folder.id}`);
+              e.dataTransfer.effectAllowed = 'move';
+            }}
+            onClick={() => onSelect({ workspaceId: workspace.id, folderId: folder.id, label: `${workspace.name} / ${folder.name}` })}
+            {...dropProps(key, workspace.id, folder.id)}
+            style={{ ...entryStyle(selected, key), paddingLeft: `${8 + depth * 16}px` }}
+          >
+            <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {selected ? '📂' : '📁'} {folder.name}
+            </span>
+            <button title="New subfolder" onClick={(e) => { e.stopPropagation(); createFolder(workspace.id, folder.id); }} style={iconButtonStyle}>➕</button>
+            <button title="Rename folder" onClick={(e) => { e.stopPropagation(); renameFolder(folder); }} style={iconButtonStyle}>✏️</button>
+            <button title="Delete folder" onClick={(e) => { e.stopPropagation(); deleteFolder(folder); }} style={iconButtonStyle}>🗑️</button>
+          </div>
+          {renderFolders(workspace, folder.id, depth + 1)}
+        </div>
+      );
+    });
+
+  return (
+    <div style={{ fontSize: '14px' }}>
+      <div
+        onClick={() => onSelect(ALL_DOCUMENTS)}
+        style={entryStyle(selection.workspaceId === null && !selection.trash, 'all')}
+      >
+        📚 All documents
+      </div>
+      <div
+        onClick={() => onSelect(PERSONAL)}
+        {...dropProps('personal', null, null)}
+        style={entryStyle(selection.workspaceId === 'personal', 'personal')}
+      >
+        👤 Personal
+      </div>
+      <div
+        onClick={() => onSelect(TRASH)}
+        style={entryStyle(!!selection.trash, 'trash')}
+      >
+        🗑️ Trash
+      </div>
+
+      <div style={{
+        margin: '16px 0 6px',
+        fontSize: '12px',
+        fontWeight: '700',
+        color: '#6c757d',
+        textTransform: 'uppercase',
+        letterSpacing: '0.5px'
+      }}>
+        Workspaces
+      </div>
+
+      {workspaces.map((workspace) => {
+        const key = `workspace:${workspace.id}`;
+        const selected = selection.workspaceId === workspace.id && !selection.folderId;
+        return (
+          <div key={workspace.id}>
+            <div
+              onClick={() => selectWorkspace(workspace)}
+              {...dropProps(key, workspace.id, null)}
+              style={entryStyle(selected, key)}
+            >
+              <button
+                title={expanded[workspace.id] ? 'Collapse' : 'Expand'}
+                onClick={(e) => { e.stopPropagation(); toggle(workspace.id); }}
+                style={{ ...iconButtonStyle, width: '16px' }}
+              >
+                {expanded[workspace.id] ? '▾' : '▸'}
+              </button>
+              <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                🏢 {workspace.name}
+              </span>
+              <button title="New folder" onClick={(e) => { e.stopPropagation(); createFolder(workspace.id); }} style={iconButtonStyle}>➕</button>
+              <button title="Members" onClick={(e) => { e.stopPropagation(); setMembersWorkspace(workspace); }} style={iconButtonStyle}>👥</button>
+              {workspace.role === 'owner' && (
+                <>
+                  <button title="Rename workspace" onClick={(e) => { e.stopPropagation(); renameWorkspace(workspace); }} style={iconButtonStyle}>✏️</button>
+                  <button title="Delete workspace" onClick={(e) => { e.stopPropagation(); deleteWorkspace(workspace); }} style={iconButtonStyle}>🗑️</button>
+                </>
+              )}
+            </div>
+            {expanded[workspace.id] && renderFolders(workspace, null, 1)}
+          </div>
+        );
+      })}
+
+      <form onSubmit={handleCreateWorkspace} style={{ display: 'flex', gap: '6px', marginTop: '10px' }}>
+        <input
+          type="text"
+          value={newWorkspaceName}
+          onChange={(e) => setNewWorkspaceName(e.target.value)}
+          placeholder="New workspace..."
+          maxLength={100}
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: '6px 10px',
+            border: '2px solid #e9ecef',
+            borderRadius: '8px',
+            fontSize: '13px',
+            background: '#f8f9ff',
+            outline: 'none'
+          }}
+        />
+        <button
+          type="submit"
+          disabled={!newWorkspaceName.trim()}
+          style={{
+            padding: '6px 10px',
+            background: newWorkspaceName.trim() ? 'linear-gradient(135deg, #667eea, #764ba2)' : '#e9ecef',
+            color: newWorkspaceName.trim() ? 'white' : '#6c757d',
+            border: 'none',
+            borderRadius: '8px',
+            fontSize: '13px',
+            fontWeight: '600',
+            cursor: newWorkspaceName.trim() ? 'pointer' : 'not-allowed'
+          }}
+        >
+          Add
+        </button>
+      </form>
+
+      {error && (
+        <div style={{ marginTop: '10px', fontSize: '13px', color: '#dc3545' }}>⚠️ {error}</div>
+      )}
+
+      {membersWorkspace && (
+        <WorkspaceMembersDialog workspace={membersWorkspace} onClose={() => setMembersWorkspace(null)} />
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceSidebar;
@@ -11,65 +11,162 @@ export const useAuth = () => {
   return context;
 };
 
+// Configure axios defaults
+axios.defaults.baseURL = process.env.REACT_APP_API_URL;
+
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// The backend sends the browser here after single sign-on
+const SSO_CALLBACK_PATH = '/auth/callback';
+
+// Only one refresh runs at a time; concurrent callers share its result
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Resolves with the new access token, or null if the session is gone.
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+          .then((response) => {
+            storeTokens(response.data);
+            return response.data.token;
+          })
+          .catch(() => {
+            // Another tab may have rotated the token while we were waiting
+            const latest = localStorage.getItem('refreshToken');
+            return latest && latest !== refreshToken ? localStorage.getItem('token') : null;
+          })
+      : Promise.resolve(null)
+    ).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [ssoError, setSsoError] = useState('');
+
+  // Install interceptors once; ejected again on unmount
+  useEffect(() => {
+    // Add token to requests
+    const requestInterceptor = axios.interceptors.request.use((config) => {
+      const token = localStorage.getItem('token');
+      if (token && !config.headers.Authorization) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+      return config;
+    });
 
-  // Configure axios defaults
-  axios.defaults.baseURL = process.env.REACT_APP_API_URL;
+    // Refresh expired access tokens and retry once; 403s are permission errors
+    const responseInterceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const config = error.config;
+        const status = error.response?.status;
+        const requestUrl = config?.url || '';
+        const isAuthCall = requestUrl.includes('/auth/login') ||
+          requestUrl.includes('/auth/register') ||
+          requestUrl.includes('/auth/claim') ||
+          requestUrl.includes('/auth/oidc/') ||
+          requestUrl.includes('/auth/logout');
 
-  // Add token to requests
-  axios.interceptors.request.use((config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  });
-
-  // Handle token expiration (ignore logout endpoint to avoid loops)
-  axios.interceptors.response.use(
-    (response) => response,
-    (error) => {
-      const status = error.response?.status;
-      const requestUrl = error.config?.url || '';
-      const isLogoutCall = requestUrl.includes('/auth/logout');
-      if (!isLogoutCall && (status === 401 || status === 403)) {
-        logout();
+        if (status !== 401 || !config || config.skipAuthRefresh || config.retried || isAuthCall) {
+          return Promise.reject(error);
+        }
+
+        const token = await refreshAccessToken();
+        if (!token) {
+          clearTokens();
+          setUser(null);
+          return Promise.reject(error);
+        }
+
+        config.retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return axios(config);
       }
-      return Promise.reject(error);
-    }
-  );
+    );
 
-  const login = async (username) => {
+    return () => {
+      axios.interceptors.request.eject(requestInterceptor);
+      axios.interceptors.response.eject(responseInterceptor);
+    };
+  }, []);
+
+  const startSession = async (endpoint, body) => {
     try {
-      const response = await axios.post('/auth/login', { username });
-      const { user, token } = response.data;
-      
-      localStorage.setItem('token', token);
+      const response = await axios.post(endpoint, body);
+      const { user } = response.data;
+
+      storeTokens(response.data);
       setUser(user);
-      
+
       return { success: true };
     } catch (error) {
       console.error('Login error:', error);
-      return { 
-        success: false, 
-        error: error.response?.data?.error || 'Login failed' 
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Login failed'
       };
     }
   };
 
+  const login = (username, password) => startSession('/auth/login', { username, password });
+
+  const register = (username, password) => startSession('/auth/register', { username, password });
+
+  // Accounts from before passwords existed set one with a token from an administrator
+  const claimAccount = (username, password, claimToken) => startSession('/auth/claim', { username, password, claimToken });
+
+  // Full-page redirect to the identity provider; we come back on SSO_CALLBACK_PATH
+  const loginWithSso = () => {
+    const returnTo = window.location.pathname + window.location.search;
+    window.location.assign(`${axios.defaults.baseURL || ''}/auth/oidc/login?returnTo=${encodeURIComponent(returnTo)}`);
+  };
+
+  const completeSsoLogin = async () => {
+    const params = new URLSearchParams(window.location.search);
+    const returnTo = params.get('returnTo') || '/';
+    // Leave the callback URL so the one-time code isn't reused or bookmarked
+    window.history.replaceState(null, '', returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/');
+
+    if (params.get('error')) {
+      setSsoError(params.get('error'));
+    } else {
+      const result = await startSession('/auth/oidc/exchange', { code: params.get('code') });
+      if (!result.success) {
+        setSsoError(result.error);
+      }
+    }
+    setLoading(false);
+  };
+
   const logout = async () => {
     try {
       const token = localStorage.getItem('token');
       if (token) {
-        // Ensure logout request carries token and avoid interceptor recursion
+        // Revokes the session server-side so the refresh token stops working too
         await axios.post('/auth/logout', null, {
           headers: { Authorization: `Bearer ${token}` }
         }).catch(() => {});
       }
     } finally {
-      localStorage.removeItem('token');
+      clearTokens();
       setUser(null);
     }
   };
@@ -77,28 +174,38 @@ export const AuthProvider = ({ children }) => {
   const verifyToken = async () => {
     try {
       const token = localStorage.getItem('token');
-      if (!token) {
+      if (!token && !localStorage.getItem('refreshToken')) {
         setLoading(false);
         return;
       }
 
+      // An expired access token is refreshed by the response interceptor
       const response = await axios.get('/auth/verify');
-      setUser(response.data.user);
+      const { userId, username } = response.data.user;
+      setUser({ id: userId, username });
     } catch (error) {
       console.error('Token verification failed:', error);
-      localStorage.removeItem('token');
+      clearTokens();
     } finally {
       setLoading(false);
     }
   };
 
   useEffect(() => {
-    verifyToken();
+    if (window.location.pathname === SSO_CALLBACK_PATH) {
+      completeSsoLogin();
+    } else {
+      verifyToken();
+    }
   }, []);
 
   const value = {
     user,
     login,
+    register,
+    claimAccount,
+    loginWithSso,
+    ssoError,
     logout,
     loading
   };
@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
-import { useAuth } from './AuthContext';
+import { useAuth, refreshAccessToken } from './AuthContext';
 
 const SocketContext = createContext();
 
@@ -20,11 +20,10 @@ export const SocketProvider = ({ children }) => {
   useEffect(() => {
     // Only create socket when user is available and not loading
     if (user && !loading) {
-      const token = localStorage.getItem('token');
+      let closed = false;
       const newSocket = io(process.env.REACT_APP_SOCKET_URL, {
-        auth: {
-          token
-        },
+        // Read on every (re)connect so refreshed access tokens are picked up
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
         withCredentials: true,
         transports: ['websocket', 'polling'],
         autoConnect: true,
@@ -49,14 +48,23 @@ export const SocketProvider = ({ children }) => {
         setConnected(true);
       });
 
-      newSocket.on('connect_error', (error) => {
+      newSocket.on('connect_error', async (error) => {
         console.error('Socket connection error:', error);
         setConnected(false);
+
+        // The server rejected our access token: refresh it and try again
+        if (error.message === 'Invalid authentication token' || error.message === 'Authentication token required') {
+          const token = await refreshAccessToken();
+          if (token && !closed && !newSocket.connected) {
+            newSocket.connect();
+          }
+        }
       });
 
       setSocket(newSocket);
 
       return () => {
+        closed = true;
         newSocket.close();
         setSocket(null);
         setConnected(false);
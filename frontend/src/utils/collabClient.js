@@ -0,0 +1,307 @@
+import { apply, compose, diff, transform, transformRange } from './ot';
+
+// Client side of the server-authoritative OT protocol.
+//
+// At most one operation is in flight at a time (`pending`); anything typed
+// while waiting for it is composed into `buffer` and sent once the server
+// has confirmed the pending one. Remote operations are transformed over both
+// so they apply cleanly to the local text.
+//
+// `onQueueChange` is called whenever the unconfirmed part changes so it can be
+// persisted with getQueue() and later handed back to restore().
+//
+// Every send carries a sequence number the server answers with an ack (the
+// version the operation got) or a nack. Failed sends are retried with
+// backoff; the server recognises an operation it already applied. An ack
+// whose broadcast never shows up means we missed versions, so we resync
+// from our revision, which keeps local changes. `requestSync(null)` asks
+// for a fresh start instead, dropping them.
+//
+// The text as of `revision` is kept too. When rejoining with unconfirmed
+// edits and the server no longer has the operations we missed (they were
+// compacted), the difference between that text and the snapshot is taken
+// as one remote operation to rebase them on. Without it they can't be kept,
+// and `onConflict` is called before the snapshot replaces them.
+
+// Offset in the text before `operation` for an offset in the text after it.
+// Offsets inside inserted text map to where the insert was made.
+const untransformIndex = (index, operation) => {
+  let before = 0;
+  let after = 0;
+  for (const component of operation) {
+    if (typeof component.retain === 'number') {
+      if (index <= after + component.retain) break;
+      before += component.retain;
+      after += component.retain;
+    } else if (typeof component.insert === 'string') {
+      if (index < after + component.insert.length) return before;
+      after += component.insert.length;
+    } else {
+      before += component.delete;
+    }
+  }
+  return before + (index - after);
+};
+
+// How long the broadcast of an acknowledged operation may trail its ack
+const ECHO_TIMEOUT = 3000;
+const MAX_RETRY_DELAY = 10000;
+
+// `operation` applied to `text`, or null if the text is unknown or doesn't fit
+const applyToText = (text, operation) => {
+  if (text === null) return null;
+  try {
+    return apply(text, operation);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const createCollabClient = ({
+  clientId,
+  sendOperation,
+  applyOperation,
+  resetText,
+  requestSync,
+  onQueueChange,
+  onConflict
+}) => {
+  let revision = 0;
+  // The server's text at `revision`, or null if unknown (e.g. a queue saved by an older version)
+  let confirmed = null;
+  let pending = null;
+  let buffer = null;
+  // Set while replaying missed operations so nothing is sent half-way through
+  let catchingUp = false;
+  // Sequence number of the last send, and the highest one the server acknowledged
+  let seq = 0;
+  let ackedSeq = 0;
+  let retries = 0;
+  let retryTimer = null;
+  let echoTimer = null;
+
+  const send = (operation) => {
+    if (!catchingUp) {
+      seq += 1;
+      sendOperation(revision, operation, seq);
+    }
+  };
+
+  const clearTimers = () => {
+    clearTimeout(retryTimer);
+    clearTimeout(echoTimer);
+    retryTimer = null;
+    echoTimer = null;
+  };
+
+  // Nothing sent is waiting for an answer any more
+  const settle = () => {
+    clearTimers();
+    ackedSeq = seq;
+    retries = 0;
+  };
+
+  const notify = () => {
+    if (onQueueChange) {
+      onQueueChange(client);
+    }
+  };
+
+  const flushBuffer = () => {
+    pending = buffer;
+    buffer = null;
+    if (pending) {
+      send(pending);
+    }
+  };
+
+  const client = {
+    mode: 'ot',
+
+    clientId,
+
+    getRevision: () => revision,
+
+    hasUnconfirmed: () => Boolean(pending || buffer),
+
+    // 'saved' once everything is acknowledged, 'failed' while retrying a nacked send
+    getSaveStatus: () => {
+      if (retries > 0) return 'failed';
+      return pending || buffer || ackedSeq < seq ? 'saving' : 'saved';
+    },
+
+    // A range in the local text as it is in the last confirmed revision
+    toRevisionRange: (range) => {
+      const unconfirmed = [buffer, pending].filter(Boolean);
+      return unconfirmed.reduce((current, operation) => ({
+        start: untransformIndex(current.start, operation),
+        end: untransformIndex(current.end, operation)
+      }), range);
+    },
+
+    // A range in the last confirmed revision as it is in the local text
+    fromRevisionRange: (range) => [pending, buffer]
+      .filter(Boolean)
+      .reduce((current, operation) => transformRange(current, operation), range),
+
+    getQueue: () => ({ mode: 'ot', clientId, revision, confirmed, pending, buffer }),
+
+    // Pick up edits saved by a previous session; they are sent on the next join
+    restore: (queue) => {
+      revision = queue.revision;
+      confirmed = queue.confirmed ?? null;
+      pending = queue.pending;
+      buffer = queue.buffer;
+      notify();
+    },
+
+    // Start over from a server snapshot, dropping anything unconfirmed
+    reset: ({ content, richContent, version }) => {
+      revision = version;
+      confirmed = content;
+      pending = null;
+      buffer = null;
+      settle();
+      resetText(content, richContent);
+      notify();
+    },
+
+    // Reconcile with the snapshot sent when (re)joining the document
+    join: ({ content, richContent, version, operations }) => {
+      if ((pending || buffer) && operations) {
+        // Catch up on what happened while we were away, then send our own changes
+        catchingUp = true;
+        operations.forEach((entry) => client.applyServer(entry));
+        catchingUp = false;
+        client.resend();
+        notify();
+        return;
+      }
+
+      // The missed operations are gone: everything that changed since our revision
+      // is rebased over as one operation. Formatting changed meanwhile is not picked up.
+      const missed = (pending || buffer) && applyToText(confirmed, pending || buffer) !== null && diff(confirmed, content);
+      if (missed) {
+        catchingUp = true;
+        revision = version - 1;
+        client.applyServer({ version, operation: missed });
+        catchingUp = false;
+        client.resend();
+        notify();
+        return;
+      }
+
+      if ((pending || buffer) && onConflict) {
+        onConflict();
+      }
+      client.reset({ content, richContent, version });
+    },
+
+    // The server applied the send numbered `ackSeq` as `version`
+    applyAck: ({ seq: ackSeq, version }) => {
+      ackedSeq = Math.max(ackedSeq, ackSeq);
+      if (ackSeq !== seq) {
+        notify();
+        return;
+      }
+
+      clearTimers();
+      retries = 0;
+      // Its broadcast normally comes first; if it doesn't turn up, versions went missing
+      if (pending && version > revision) {
+        echoTimer = setTimeout(() => {
+          echoTimer = null;
+          if (pending && revision < version) {
+            requestSync(revision);
+          }
+        }, ECHO_TIMEOUT);
+      }
+      notify();
+    },
+
+    // The server did not apply the send numbered `nackSeq`
+    applyNack: ({ seq: nackSeq, reason, retryable }) => {
+      if (nackSeq !== seq || !pending) return;
+
+      if (!retryable) {
+        console.warn(`Edit rejected (${reason}); resyncing with the server`);
+        requestSync(null);
+        return;
+      }
+
+      // Operations keep their base revision, so a resend can be rebased by the server
+      clearTimers();
+      const delay = Math.min(1000 * 2 ** retries, MAX_RETRY_DELAY);
+      retries += 1;
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        client.resend();
+      }, delay);
+      notify();
+    },
+
+    // An edit made locally; the text has already been updated
+    applyLocal: (operation) => {
+      if (operation.length === 0) return;
+
+      if (pending) {
+        buffer = buffer ? compose(buffer, operation) : operation;
+      } else {
+        pending = operation;
+        send(pending);
+      }
+      notify();
+    },
+
+    // An operation broadcast by the server, possibly our own coming back
+    applyServer: ({ version, operation, clientId: authorId }) => {
+      if (version <= revision) return;
+
+      if (version !== revision + 1) {
+        requestSync(revision);
+        return;
+      }
+
+      revision = version;
+
+      if (pending && authorId === clientId) {
+        confirmed = applyToText(confirmed, pending);
+        clearTimers();
+        retries = 0;
+        flushBuffer();
+        notify();
+        return;
+      }
+
+      confirmed = applyToText(confirmed, operation);
+
+      let remote = operation;
+      if (pending) {
+        const transformedPending = transform(pending, remote, 'right');
+        remote = transform(remote, pending, 'left');
+        pending = transformedPending;
+      }
+      if (buffer) {
+        const transformedBuffer = transform(buffer, remote, 'right');
+        remote = transform(remote, buffer, 'left');
+        buffer = transformedBuffer;
+      }
+
+      applyOperation(remote);
+      notify();
+    },
+
+    // Send the in-flight operation again, e.g. after rejoining the document
+    resend: () => {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      if (pending) {
+        send(pending);
+      } else if (buffer) {
+        flushBuffer();
+      }
+    }
+  };
+
+  return client;
+};
@@ -0,0 +1,177 @@
+import { applyTextOperation, applyUpdate, fromState, hasOp, toState, toText } from './crdt';
+import { diff } from './ot';
+
+// Client side of CRDT sync, with the same interface as createCollabClient.
+//
+// Every local op is kept in `unconfirmed` until the server echoes it back.
+// After a reconnect the client merges those ops into the server's state and
+// sends whatever the server is missing, so offline edits are never dropped.
+// Acks and nacks work as in createCollabClient; a nacked update is retried by
+// resending everything unconfirmed, which the server merges idempotently.
+const MAX_RETRY_DELAY = 10000;
+
+export const createCrdtClient = ({
+  clientId,
+  sendUpdate,
+  applyOperation,
+  resetText,
+  requestSync,
+  onQueueChange
+}) => {
+  let doc = fromState(null);
+  let revision = 0;
+  let unconfirmed = [];
+  let seq = 0;
+  let ackedSeq = 0;
+  let retries = 0;
+  let retryTimer = null;
+
+  const send = (update) => {
+    seq += 1;
+    sendUpdate(update, seq);
+  };
+
+  const opKey = (op) => `${op.type}:${op.id}`;
+
+  const notify = () => {
+    if (onQueueChange) {
+      onQueueChange(client);
+    }
+  };
+
+  // Re-render after the replica changed and report the text change to the editor
+  const updateText = (previousText) => {
+    const operation = diff(previousText, toText(doc));
+    if (operation.length > 0) {
+      applyOperation(operation);
+    }
+  };
+
+  const client = {
+    mode: 'crdt',
+
+    clientId,
+
+    getRevision: () => revision,
+
+    hasUnconfirmed: () => unconfirmed.length > 0,
+
+    getSaveStatus: () => {
+      if (retries > 0) return 'failed';
+      return unconfirmed.length > 0 || ackedSeq < seq ? 'saving' : 'saved';
+    },
+
+    // Replicas don't share revisions, so ranges are exchanged as they are in the current text
+    toRevisionRange: (range) => range,
+
+    fromRevisionRange: (range) => range,
+
+    getQueue: () => ({ mode: 'crdt', clientId, revision, crdtState: toState(doc), unconfirmed }),
+
+    // Pick up edits saved by a previous session; they are merged on the next join
+    restore: (queue) => {
+      doc = fromState(queue.crdtState);
+      revision = queue.revision;
+      unconfirmed = queue.unconfirmed;
+      notify();
+    },
+
+    reset: ({ crdtState, version }) => {
+      doc = fromState(crdtState);
+      revision = version;
+      unconfirmed = [];
+      clearTimeout(retryTimer);
+      ackedSeq = seq;
+      retries = 0;
+      resetText(toText(doc));
+      notify();
+    },
+
+    join: ({ crdtState, version }) => {
+      const previousText = toText(doc);
+      const serverDoc = fromState(crdtState);
+
+      // Ops the server never received are replayed on top of its state
+      const missing = unconfirmed.filter((op) => !hasOp(serverDoc, op));
+      applyUpdate(serverDoc, missing);
+
+      doc = serverDoc;
+      revision = version;
+      unconfirmed = missing;
+      updateText(previousText);
+
+      if (missing.length > 0) {
+        send(missing);
+      } else {
+        ackedSeq = seq;
+      }
+      notify();
+    },
+
+    applyLocal: (operation) => {
+      if (operation.length === 0) return;
+
+      const update = applyTextOperation(doc, clientId, operation);
+      unconfirmed = [...unconfirmed, ...update];
+      send(update);
+      notify();
+    },
+
+    applyAck: ({ seq: ackSeq }) => {
+      ackedSeq = Math.max(ackedSeq, ackSeq);
+      if (ackSeq === seq) {
+        clearTimeout(retryTimer);
+        retries = 0;
+      }
+      notify();
+    },
+
+    applyNack: ({ seq: nackSeq, reason, retryable }) => {
+      if (nackSeq !== seq) return;
+
+      // Ops the server can't place would be resent forever, so give them up
+      if (!retryable) {
+        console.warn(`Edit rejected (${reason}); resyncing with the server`);
+        unconfirmed = [];
+        requestSync(null);
+        return;
+      }
+
+      clearTimeout(retryTimer);
+      const delay = Math.min(1000 * 2 ** retries, MAX_RETRY_DELAY);
+      retries += 1;
+      retryTimer = setTimeout(() => client.resend(), delay);
+      notify();
+    },
+
+    applyServer: ({ version, update }) => {
+      if (!update) return;
+
+      revision = Math.max(revision, version);
+
+      const echoed = new Set(update.map(opKey));
+      unconfirmed = unconfirmed.filter((op) => !echoed.has(opKey(op)));
+
+      const previousText = toText(doc);
+      try {
+        applyUpdate(doc, update);
+      } catch (error) {
+        // An op we cannot place means our replica is behind; start from the server's
+        console.error('Failed to apply CRDT update:', error);
+        requestSync(revision);
+        return;
+      }
+      updateText(previousText);
+      notify();
+    },
+
+    resend: () => {
+      clearTimeout(retryTimer);
+      if (unconfirmed.length > 0) {
+        send(unconfirmed);
+      }
+    }
+  };
+
+  return client;
+};
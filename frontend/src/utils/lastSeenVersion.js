@@ -0,0 +1,17 @@
+// Remembers the document version a user last had open, so the editor can
+// show what changed since their previous visit.
+const storageKey = (documentId) => `lastSeenVersion:${documentId}`;
+
+export const loadLastSeenVersion = (documentId) => {
+  const stored = parseInt(localStorage.getItem(storageKey(documentId)), 10);
+  return Number.isInteger(stored) ? stored : null;
+};
+
+export const saveLastSeenVersion = (documentId, version) => {
+  if (!Number.isInteger(version)) return;
+  try {
+    localStorage.setItem(storageKey(documentId), String(version));
+  } catch (error) {
+    console.error('Failed to save last seen version:', error);
+  }
+};
@@ -0,0 +1,27 @@
+// Persists a document's unconfirmed edits in localStorage so they survive
+// disconnects and page reloads, and can be replayed once the server is back.
+const storageKey = (documentId) => `offlineQueue:${documentId}`;
+
+export const loadOfflineQueue = (documentId) => {
+  try {
+    const stored = localStorage.getItem(storageKey(documentId));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Failed to read offline queue:', error);
+    return null;
+  }
+};
+
+// Pass null once everything has been confirmed by the server
+export const saveOfflineQueue = (documentId, queue) => {
+  try {
+    if (queue) {
+      localStorage.setItem(storageKey(documentId), JSON.stringify(queue));
+    } else {
+      localStorage.removeItem(storageKey(documentId));
+    }
+  } catch (error) {
+    // Quota errors only cost us persistence; the in-memory queue still works
+    console.error('Failed to save offline queue:', error);
+  }
+};
@@ -0,0 +1,337 @@
+// Operational transformation for text documents.
+//
+// An operation is an array of components applied left to right over the
+// document, with an implicit retain of whatever is left at the end:
+//   { retain: n }  keep the next n characters
+//   { insert: s }  insert the string s at the current position
+//   { delete: n }  remove the next n characters
+// Retains and inserts may carry `attributes` (formatting, see richText.js).
+// On a retain they change the formatting of the retained text, with null
+// removing an attribute; on an insert they format the inserted text.
+// Operations are kept normalized: no empty components, adjacent components of
+// the same kind and attributes merged, an insert always placed before a
+// neighbouring delete and no trailing plain retain.
+//
+// This mirrors backend/utils/ot.js; keep the two in step.
+
+const isRetain = (component) => typeof component.retain === 'number';
+const isInsert = (component) => typeof component.insert === 'string';
+const isDelete = (component) => typeof component.delete === 'number';
+
+const hasAttributes = (component) => Boolean(component.attributes);
+
+function attributesEqual(a, b) {
+  if (!a || !b) return !a && !b;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+// Attach attributes to a component, leaving the key out when there are none
+function withAttributes(component, attributes) {
+  if (attributes && Object.keys(attributes).length > 0) {
+    component.attributes = attributes;
+  }
+  return component;
+}
+
+// Attributes after applying `second` on top of `first`; nulls are kept for
+// retains (they still have to remove something) and dropped for inserts
+function composeAttributes(first, second, keepNull) {
+  const result = { ...(first || {}), ...(second || {}) };
+  if (!keepNull) {
+    for (const key of Object.keys(result)) {
+      if (result[key] === null) delete result[key];
+    }
+  }
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+// Formatting from `ours` once `theirs` was applied first. On the 'left' side
+// theirs wins for keys both set; on the 'right' side ours is applied last and wins.
+function transformAttributes(ours, theirs, side) {
+  if (!ours) return undefined;
+  if (!theirs || side === 'right') return ours;
+
+  const result = {};
+  for (const key of Object.keys(ours)) {
+    if (!(key in theirs)) result[key] = ours[key];
+  }
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+// Append a component to an operation, merging it into the previous one if possible
+function push(operation, component) {
+  if (isRetain(component) && component.retain <= 0) return operation;
+  if (isInsert(component) && component.insert.length === 0) return operation;
+  if (isDelete(component) && component.delete <= 0) return operation;
+
+  const last = operation[operation.length - 1];
+  if (last) {
+    const sameAttributes = attributesEqual(last.attributes, component.attributes);
+    if (isRetain(last) && isRetain(component) && sameAttributes) {
+      last.retain += component.retain;
+      return operation;
+    }
+    if (isInsert(last) && isInsert(component) && sameAttributes) {
+      last.insert += component.insert;
+      return operation;
+    }
+    if (isDelete(last) && isDelete(component)) {
+      last.delete += component.delete;
+      return operation;
+    }
+    // Keep inserts ahead of deletes so equivalent operations look the same
+    if (isDelete(last) && isInsert(component)) {
+      const beforeLast = operation[operation.length - 2];
+      if (beforeLast && isInsert(beforeLast) && attributesEqual(beforeLast.attributes, component.attributes)) {
+        beforeLast.insert += component.insert;
+      } else {
+        operation.splice(operation.length - 1, 0, withAttributes({ insert: component.insert }, component.attributes));
+      }
+      return operation;
+    }
+  }
+
+  operation.push(withAttributes(
+    isRetain(component) ? { retain: component.retain }
+      : isInsert(component) ? { insert: component.insert }
+        : { delete: component.delete },
+    component.attributes && { ...component.attributes }
+  ));
+  return operation;
+}
+
+function chop(operation) {
+  while (operation.length > 0 && isRetain(operation[operation.length - 1]) && !hasAttributes(operation[operation.length - 1])) {
+    operation.pop();
+  }
+  return operation;
+}
+
+export function normalize(operation) {
+  const result = [];
+  for (const component of operation) {
+    push(result, component);
+  }
+  return chop(result);
+}
+
+// Number of characters an operation expects the document to have (excluding the implicit tail)
+export function baseLength(operation) {
+  return operation.reduce((length, component) => {
+    if (isRetain(component)) return length + component.retain;
+    if (isDelete(component)) return length + component.delete;
+    return length;
+  }, 0);
+}
+
+export function apply(content, operation) {
+  if (baseLength(operation) > content.length) {
+    throw new Error('Operation does not fit the document');
+  }
+
+  let result = '';
+  let index = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      result += content.slice(index, index + component.retain);
+      index += component.retain;
+    } else if (isInsert(component)) {
+      result += component.insert;
+    } else {
+      index += component.delete;
+    }
+  }
+
+  return result + content.slice(index);
+}
+
+// Iterates over an operation, handing out pieces of at most the requested length
+function createIterator(operation) {
+  let index = 0;
+  let offset = 0;
+
+  const peek = () => operation[index];
+
+  const next = (length = Infinity) => {
+    const component = operation[index];
+    if (!component) return { retain: Infinity };
+
+    if (isInsert(component)) {
+      const piece = component.insert.slice(offset, offset + length);
+      offset += piece.length;
+      if (offset >= component.insert.length) {
+        index += 1;
+        offset = 0;
+      }
+      return withAttributes({ insert: piece }, component.attributes);
+    }
+
+    const total = isRetain(component) ? component.retain : component.delete;
+    const size = Math.min(total - offset, length);
+    offset += size;
+    if (offset >= total) {
+      index += 1;
+      offset = 0;
+    }
+    return isRetain(component)
+      ? withAttributes({ retain: size }, component.attributes)
+      : { delete: size };
+  };
+
+  const peekLength = () => {
+    const component = operation[index];
+    if (!component) return Infinity;
+    if (isInsert(component)) return component.insert.length - offset;
+    return (isRetain(component) ? component.retain : component.delete) - offset;
+  };
+
+  const hasNext = () => index < operation.length;
+
+  return { peek, next, peekLength, hasNext };
+}
+
+/**
+ * Transform `operation` so it applies after `other`, where both were made
+ * against the same document. `side` breaks ties between inserts at the same
+ * position: 'left' keeps this operation's insert first, 'right' puts it after.
+ */
+export function transform(operation, other, side) {
+  const result = [];
+  const ours = createIterator(operation);
+  const theirs = createIterator(other);
+
+  while (ours.hasNext() || theirs.hasNext()) {
+    const ourNext = ours.peek();
+    const theirNext = theirs.peek();
+
+    if (ourNext && isInsert(ourNext) && (side === 'left' || !theirNext || !isInsert(theirNext))) {
+      push(result, ours.next());
+      continue;
+    }
+
+    if (theirNext && isInsert(theirNext)) {
+      push(result, { retain: theirs.next().insert.length });
+      continue;
+    }
+
+    if (!ours.hasNext()) break;
+
+    const length = Math.min(ours.peekLength(), theirs.peekLength());
+    const ourPiece = ours.next(length);
+    const theirPiece = theirs.next(length);
+
+    if (isDelete(theirPiece)) {
+      // Already removed by the other operation
+      continue;
+    }
+    if (isRetain(ourPiece)) {
+      push(result, withAttributes({ retain: ourPiece.retain }, transformAttributes(ourPiece.attributes, theirPiece.attributes, side)));
+    } else {
+      push(result, ourPiece);
+    }
+  }
+
+  return chop(result);
+}
+
+// Combine two consecutive operations into one with the same effect
+export function compose(first, second) {
+  const result = [];
+  const a = createIterator(first);
+  const b = createIterator(second);
+
+  while (a.hasNext() || b.hasNext()) {
+    const bNext = b.peek();
+    if (bNext && isInsert(bNext)) {
+      push(result, b.next());
+      continue;
+    }
+
+    const aNext = a.peek();
+    if (aNext && isDelete(aNext)) {
+      push(result, a.next());
+      continue;
+    }
+
+    if (!b.hasNext()) {
+      push(result, a.next());
+      continue;
+    }
+
+    const length = Math.min(a.peekLength(), b.peekLength());
+    const aPiece = a.next(length);
+    const bPiece = b.next(length);
+
+    if (isRetain(bPiece)) {
+      if (isInsert(aPiece)) {
+        push(result, withAttributes({ insert: aPiece.insert }, composeAttributes(aPiece.attributes, bPiece.attributes, false)));
+      } else {
+        push(result, withAttributes({ retain: bPiece.retain }, composeAttributes(aPiece.attributes, bPiece.attributes, true)));
+      }
+    } else if (!isInsert(aPiece)) {
+      // b deletes text that a retained (or the untouched tail)
+      push(result, { delete: bPiece.delete });
+    }
+    // b deleting something a inserted cancels both out
+  }
+
+  return chop(result);
+}
+
+/**
+ * Move a character offset through an operation. Inserts made exactly at the
+ * offset push it forward unless `stickToStart` is set.
+ */
+export function transformIndex(index, operation, stickToStart = false) {
+  let position = 0;
+  let result = index;
+
+  for (const component of operation) {
+    if (position > index) break;
+
+    if (isRetain(component)) {
+      position += component.retain;
+    } else if (isInsert(component)) {
+      if (position < index || !stickToStart) {
+        result += component.insert.length;
+      }
+    } else {
+      result -= Math.min(component.delete, index - position);
+      position += component.delete;
+    }
+  }
+
+  return result;
+}
+
+// Move a range through an operation; text inserted at either edge stays outside it
+export function transformRange(range, operation) {
+  const start = transformIndex(range.start, operation);
+  const end = Math.max(transformIndex(range.end, operation, true), start);
+  return { start, end };
+}
+
+// Smallest operation turning one string into another (common prefix/suffix)
+export function diff(oldContent, newContent) {
+  if (oldContent === newContent) return [];
+
+  let start = 0;
+  const maxStart = Math.min(oldContent.length, newContent.length);
+  while (start < maxStart && oldContent[start] === newContent[start]) {
+    start += 1;
+  }
+
+  let oldEnd = oldContent.length;
+  let newEnd = newContent.length;
+  while (oldEnd > start && newEnd > start && oldContent[oldEnd - 1] === newContent[newEnd - 1]) {
+    oldEnd -= 1;
+    newEnd -= 1;
+  }
+
+  return normalize([
+    { retain: start },
+    { insert: newContent.slice(start, newEnd) },
+    { delete: oldEnd - start }
+  ]);
+}
@@ -0,0 +1,276 @@
+// Rich text documents.
+//
+// Documents are stored as a list of blocks, each with a type and runs of
+// text carrying inline marks:
+//   { blocks: [{ type: 'h1', runs: [{ text: 'Title', marks: { bold: true } }] }] }
+// For collaboration the same document is handled as a delta: a list of
+// inserts where every block ends with a '\n' carrying the block type in its
+// `block` attribute, and text carries its marks as attributes. Operations
+// (see ot.js) apply to the delta. The plain text kept in `documents.content`
+// is the delta's text without the final newline, so offsets match in both.
+//
+// The first half mirrors backend/utils/richText.js; keep the two in step.
+// The operation builders after it are only used by the editor.
+
+import { baseLength, compose, normalize } from './ot';
+
+export const BLOCK_TYPES = ['paragraph', 'h1', 'h2', 'h3', 'bullet', 'ordered', 'quote', 'code'];
+const BOOLEAN_MARKS = ['bold', 'italic', 'underline', 'strike', 'code'];
+const MARKS = [...BOOLEAN_MARKS, 'link'];
+const MAX_LINK_LENGTH = 2048;
+
+export const isSafeLink = (href) => /^(https?:\/\/|mailto:|\/|#)/i.test(href);
+
+function isValidAttribute(key, value) {
+  if (key === 'block') {
+    return value === null || (BLOCK_TYPES.includes(value) && value !== 'paragraph');
+  }
+  if (key === 'link') {
+    return value === null || (typeof value === 'string' && value.length <= MAX_LINK_LENGTH && isSafeLink(value));
+  }
+  return BOOLEAN_MARKS.includes(key) && (value === null || value === true);
+}
+
+// Marks belong on text and block types on line breaks; anything else is dropped
+function pickAttributes(attributes, isLineBreak) {
+  if (!attributes) return undefined;
+  const picked = {};
+  // Sorted so equal formatting always serializes the same way
+  for (const key of Object.keys(attributes).sort()) {
+    const value = attributes[key];
+    const allowed = isLineBreak ? key === 'block' : MARKS.includes(key);
+    if (allowed && value !== null && value !== undefined && isValidAttribute(key, value)) {
+      picked[key] = value;
+    }
+  }
+  return Object.keys(picked).length > 0 ? picked : undefined;
+}
+
+// Split inserts at line breaks, keep only the attributes each part may have and merge neighbours
+export function normalizeDocument(delta) {
+  const parts = [];
+  for (const { insert, attributes } of delta) {
+    for (const part of insert.split(/(\n)/)) {
+      if (!part) continue;
+      const picked = pickAttributes(attributes, part === '\n');
+      parts.push(picked ? { insert: part, attributes: picked } : { insert: part });
+    }
+  }
+  return normalize(parts);
+}
+
+export function documentLength(delta) {
+  return delta.reduce((length, { insert }) => length + insert.length, 0);
+}
+
+export function fromPlainText(content) {
+  return [{ insert: `${content || ''}\n` }];
+}
+
+export function toPlainText(delta) {
+  return delta.map(({ insert }) => insert).join('').slice(0, -1);
+}
+
+// Build a delta from the stored block model; unknown types and marks are dropped
+export function fromModel(model) {
+  const delta = [];
+  const blocks = model && Array.isArray(model.blocks) && model.blocks.length > 0
+    ? model.blocks
+    : [{ type: 'paragraph', runs: [] }];
+
+  for (const block of blocks) {
+    for (const run of Array.isArray(block.runs) ? block.runs : []) {
+      if (typeof run.text === 'string' && run.text.length > 0) {
+        // Runs never contain line breaks; treat any that slipped in as spaces
+        delta.push({ insert: run.text.replace(/\n/g, ' '), attributes: run.marks });
+      }
+    }
+    const type = BLOCK_TYPES.includes(block.type) && block.type !== 'paragraph' ? block.type : null;
+    delta.push(type ? { insert: '\n', attributes: { block: type } } : { insert: '\n' });
+  }
+
+  return normalizeDocument(delta);
+}
+
+export function toModel(delta) {
+  const blocks = [];
+  let runs = [];
+
+  // Plain text and plain line breaks may share an insert
+  for (const { insert, attributes } of normalizeDocument(delta)) {
+    for (const part of insert.split(/(\n)/)) {
+      if (part === '\n') {
+        blocks.push({ type: attributes?.block || 'paragraph', runs });
+        runs = [];
+      } else if (part) {
+        runs.push(attributes ? { text: part, marks: attributes } : { text: part });
+      }
+    }
+  }
+
+  return { blocks };
+}
+
+/**
+ * Apply an operation to a delta. Throws if it does not fit or would remove
+ * or write past the final line break every document ends with.
+ */
+export function apply(delta, operation) {
+  const length = documentLength(delta);
+  if (baseLength(operation) > length) {
+    throw new Error('Operation does not fit the document');
+  }
+
+  let position = 0;
+  for (const component of operation) {
+    if (typeof component.insert === 'string' && position >= length) {
+      throw new Error('Operation writes past the end of the document');
+    }
+    if (typeof component.delete === 'number' && position + component.delete > length - 1) {
+      throw new Error('Operation removes the final line break');
+    }
+    position += component.retain || component.delete || 0;
+  }
+
+  return normalizeDocument(compose(delta, operation));
+}
+
+// Start, line break offset and type of every block
+export function blockRanges(delta) {
+  const blocks = [];
+  let start = 0;
+  let position = 0;
+  for (const { insert, attributes } of delta) {
+    for (const part of insert.split(/(\n)/)) {
+      if (part === '\n') {
+        blocks.push({ start, end: position, type: attributes?.block || 'paragraph' });
+        start = position + 1;
+      }
+      position += part.length;
+    }
+  }
+  return blocks;
+}
+
+// Blocks a selection touches; a selection ending right at a block start leaves that block out
+export function blocksInRange(delta, start, end) {
+  return blockRanges(delta).filter(block => block.end >= start && (block.start < end || block.start <= start));
+}
+
+export function blockAt(delta, offset) {
+  return blockRanges(delta).find(block => block.end >= offset);
+}
+
+function characterAt(delta, offset) {
+  let position = 0;
+  for (const { insert, attributes } of delta) {
+    if (offset < position + insert.length) {
+      return { character: insert[offset - position], attributes };
+    }
+    position += insert.length;
+  }
+  return { character: null, attributes: undefined };
+}
+
+// Marks text typed at `offset` picks up: those of the character before it in the
+// same block, except that a link only continues when typing inside it
+export function marksForInsert(delta, offset) {
+  if (offset === 0) return undefined;
+  const before = characterAt(delta, offset - 1);
+  if (before.character === '\n' || !before.attributes) return undefined;
+
+  const { link, ...marks } = before.attributes;
+  if (link && characterAt(delta, offset).attributes?.link === link) {
+    marks.link = link;
+  }
+  return Object.keys(marks).length > 0 ? marks : undefined;
+}
+
+// Marks every character of a selection has, ignoring line breaks
+export function commonMarks(delta, start, end) {
+  if (start === end) return marksForInsert(delta, start) || {};
+
+  let common = null;
+  let position = 0;
+  for (const { insert, attributes } of delta) {
+    const from = Math.max(start - position, 0);
+    const to = Math.min(end - position, insert.length);
+    if (from < to && insert.slice(from, to).replace(/\n/g, '')) {
+      const marks = attributes || {};
+      common = common === null
+        ? { ...marks }
+        : Object.fromEntries(Object.entries(common).filter(([key, value]) => marks[key] === value));
+    }
+    position += insert.length;
+    if (position >= end) break;
+  }
+  return common || {};
+}
+
+// Operation removing [start, end); blocks joined by it keep the type of the first one
+export function deleteRange(delta, start, end) {
+  if (end <= start) return [];
+
+  const first = blockAt(delta, start);
+  const last = blockAt(delta, end);
+  const operation = [{ retain: start }, { delete: end - start }];
+  if (first !== last && first.type !== last.type) {
+    operation.push(
+      { retain: last.end - end },
+      { retain: 1, attributes: { block: first.type === 'paragraph' ? null : first.type } }
+    );
+  }
+  return normalize(operation);
+}
+
+// Operation replacing [start, end) with text; line breaks in it start blocks of the same type
+export function insertText(delta, start, end, text, marks) {
+  const { type } = blockAt(delta, start);
+  const lineBreak = type === 'paragraph' ? { insert: '\n' } : { insert: '\n', attributes: { block: type } };
+
+  const insertion = [{ retain: start }];
+  for (const part of text.split(/(\n)/)) {
+    if (part === '\n') {
+      insertion.push(lineBreak);
+    } else if (part) {
+      insertion.push(marks ? { insert: part, attributes: marks } : { insert: part });
+    }
+  }
+  return compose(deleteRange(delta, start, end), normalize(insertion));
+}
+
+/**
+ * Operation for pressing Enter: splits the block, except that Enter in an
+ * empty list item ends the list, and the line after a heading is a paragraph.
+ */
+export function splitBlock(delta, start, end) {
+  const block = blockAt(delta, start);
+  if (start === end && block.start === block.end && (block.type === 'bullet' || block.type === 'ordered')) {
+    return normalize([{ retain: block.end }, { retain: 1, attributes: { block: null } }]);
+  }
+
+  const operation = insertText(delta, start, end, '\n');
+  if (['h1', 'h2', 'h3'].includes(block.type) && start === end && start === block.end) {
+    return compose(operation, normalize([{ retain: start + 1 }, { retain: 1, attributes: { block: null } }]));
+  }
+  return operation;
+}
+
+// Operation setting marks on [start, end); null removes a mark
+export function formatText(start, end, attributes) {
+  return normalize([{ retain: start }, { retain: end - start, attributes }]);
+}
+
+// Operation turning every block the selection touches into `type`
+export function setBlockType(delta, start, end, type) {
+  const operation = [];
+  let position = 0;
+  for (const block of blocksInRange(delta, start, end)) {
+    operation.push(
+      { retain: block.end - position },
+      { retain: 1, attributes: { block: type === 'paragraph' ? null : type } }
+    );
+    position = block.end + 1;
+  }
+  return normalize(operation);
+}
@@ -0,0 +1,79 @@
+// Suggesting mode (track changes).
+//
+// A suggestion proposes replacing the text between `anchorStart` and
+// `anchorEnd` with `text`: an insertion has an empty range, a deletion empty
+// text. Edits made in suggesting mode are turned into suggestions here
+// instead of being applied, and keystrokes that continue one of your own
+// suggestions extend it rather than starting another.
+
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * The text change an editor operation makes, as { start, end, text }: the
+ * range it replaces and what it puts there. Null when it only changes
+ * formatting, which can't be suggested, or changes more than one stretch of
+ * text, which the editors never do.
+ */
+export function changeFromOperation(operation) {
+  let position = 0;
+  let change = null;
+  for (const component of operation) {
+    if (typeof component.retain === 'number') {
+      position += component.retain;
+      continue;
+    }
+    change = change || { start: position, end: position, text: '' };
+    if (change.end !== position) return null;
+
+    if (typeof component.insert === 'string') {
+      change.text += component.insert;
+    } else {
+      position += component.delete;
+      change.end = position;
+    }
+  }
+  return change && (change.end > change.start || change.text) ? change : null;
+}
+
+/**
+ * Fold a change into your pending suggestions (`mine`). Returns the new or
+ * updated suggestion, and the caret offset to leave the editor at, since
+ * the document itself doesn't change. A suggestion left with nothing to
+ * insert or delete is withdrawn by its caller.
+ */
+export function suggestChange(mine, { start, end, text }) {
+  if (start === end) {
+    // Typing on at the end of a suggestion
+    const extended = mine.find(suggestion => suggestion.anchorEnd === start);
+    if (extended) {
+      return { suggestion: { ...extended, text: extended.text + text }, caret: start };
+    }
+  } else if (!text) {
+    // Backspace over suggested text takes it back
+    const typed = mine.find(suggestion => suggestion.anchorEnd === end && suggestion.text);
+    if (typed && end - start === 1) {
+      return { suggestion: { ...typed, text: typed.text.slice(0, -1) }, caret: end };
+    }
+
+    // Backspace just before a suggested deletion, or Delete at its start, makes it longer
+    const before = mine.find(suggestion => suggestion.anchorStart === end);
+    if (before) {
+      return { suggestion: { ...before, anchorStart: start }, caret: start };
+    }
+    const deleting = mine.find(suggestion =>
+      suggestion.anchorStart === start && suggestion.anchorEnd > start && !suggestion.text
+    );
+    if (deleting) {
+      return { suggestion: { ...deleting, anchorEnd: deleting.anchorEnd + end - start }, caret: start };
+    }
+  }
+
+  return {
+    suggestion: { id: uuidv4(), anchorStart: start, anchorEnd: end, text },
+    caret: text ? end : start
+  };
+}
+
+// A suggestion that no longer inserts or deletes anything
+export const isEmptySuggestion = (suggestion) =>
+  suggestion.anchorStart === suggestion.anchorEnd && !suggestion.text;